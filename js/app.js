@@ -9,9 +9,23 @@ import { SignaturePad } from './signature-pad.js';
 import { emailTemplates, setTemplatesBackend, getDefaultOnlyTemplatesStore } from './email-templates.js';
 import { secureStorage } from './secure-storage.js';
 import { BulkFillHandler } from './bulk-fill.js';
-import { parseSigningMetadata, hasOurSigningMetadata, computeDocumentHash } from './signing-metadata.js';
+import { parseSigningMetadata, hasOurSigningMetadata } from './signing-metadata.js';
 import { loadFormFieldsFromPdf } from './load-form-fields.js';
+import { loadAnnotationsFromPdf } from './load-annotations.js';
+import { TextSearch } from './text-search.js';
+import { DocumentHistory } from './history.js';
+import { FontManager, BUILTIN_FONT_FAMILIES } from './font-manager.js';
+import { DEFAULT_PERMISSIONS, decryptPdf, IncorrectPasswordError } from './pdf-encryption.js';
+import { readCertificate } from './pdf-signature.js';
+import { verifySignatures, verifyContentHash } from './signature-verification.js';
 import { toast } from './toast.js';
+import { PageOcr, OCR_LANGUAGES } from './ocr.js';
+import { detectFields, fieldNameFromLabel } from './field-detection.js';
+import { DEFAULT_OPTIMIZE_OPTIONS } from './optimize.js';
+import { propertiesFromMetadata, isCustomPropertyName } from './document-properties.js';
+import { DEFAULT_SANITIZE_OPTIONS } from './sanitize.js';
+import { DEFAULT_HEADER_FOOTER, hasHeaderFooter, headerFooterTexts, layoutHeaderFooter, parsePageRanges } from './header-footer.js';
+import { DEFAULT_WATERMARK, WATERMARK_POSITIONS, CAP_HEIGHT, hasWatermark, watermarkPages, layoutWatermark } from './watermark.js';
 import {
     isFirstDocumentUsed,
     markFirstDocumentUsed,
@@ -23,6 +37,9 @@ import {
     formatDuration
 } from './support-status.js';
 
+/** localStorage key of the OCR languages chosen last (Tesseract codes joined with "+") */
+const OCR_LANGUAGES_KEY = 'free-pdf-ocr-languages';
+
 function escapeHtml(s) {
     if (s == null) return '';
     const t = String(s);
@@ -37,20 +54,47 @@ function escapeHtml(s) {
 class PDFEditorApp {
     constructor() {
         this.pdfHandler = new PDFHandler();
-        this.canvasManager = new CanvasManager();
-        this.exporter = new PDFExporter();
+        /** Undo/redo for annotation edits on every page and for page operations */
+        this.documentHistory = new DocumentHistory();
+        this.canvasManager = new CanvasManager(this.documentHistory);
+        /** Uploaded TTF/OTF fonts, offered in the font pickers and embedded on export */
+        this.fontManager = new FontManager();
+        this.exporter = new PDFExporter(this.fontManager);
         this.signaturePad = new SignaturePad();
-        this.bulkFillHandler = new BulkFillHandler();
+        this.bulkFillHandler = new BulkFillHandler(this.fontManager);
+        this.textSearch = new TextSearch(this.pdfHandler);
+        /** Offline OCR of scanned pages; the recognized text is kept by textSearch */
+        this.pageOcr = new PageOcr(this.pdfHandler);
+        this.ocrRunning = false;
+        /** Find-in-document state: hits in view order, index of the focused hit, unticked hit indices, and a run counter to drop stale searches */
+        this.searchState = { hits: [], current: -1, query: '', seq: 0, excluded: new Set(), error: '' };
+        /** Detected-fields panel: proposals (field-detection.js FieldProposal plus pageId and name) under review, unticked indices, and the focused one */
+        this.detectState = { proposals: [], excluded: new Set(), current: -1 };
+        /** Bookmarks panel: the outline (outlines.js Bookmark entries, each with an id); edited once changed, so exports write it instead of copying the documents' own */
+        this.bookmarks = { items: [], edited: false };
+        this.selectedBookmarkId = null;
+        /**
+         * Download options chosen in the export modal ('flatten' draws annotations into the page; 'native' keeps them as PDF annotations).
+         * encryption holds the passwords and permissions when the export is password-protected (kept in memory only).
+         * incremental appends the changes to the opened file instead of rewriting it (on by default for signed documents).
+         */
+        this.exportOptions = { annotationMode: 'flatten', encryption: null, incremental: false, optimize: null, pdfa: false, sanitize: null };
+        this.headerFooter = null; // header, footer and Bates settings stamped on exported pages (kept for the session)
+        this.watermark = null; // text or image watermark drawn on exported pages (kept for the session)
 
         this.currentScale = 1.0;
         this.fileName = 'document.pdf';
         this.documentHash = null;
+        this.verification = null; // signature and content-hash checks of the opened document
         this.viewPages = []; // [{ id, docId, sourcePageNum, rotation }]
         /** Parsed from PDF Keywords when loading a doc that has our signing metadata */
         this.signingFlowMeta = null;
         /** Fields locked in an exported version; cannot be unlocked in this session (signatures: Set of labels, formFields: Set of field names) */
         this.lockedFromFile = { signatures: new Set(), formFields: new Set() };
+        /** Title, author, keywords, ... of the main document as opened and edited in Document Properties; written on export */
+        this.documentProperties = null;
         this._pendingSignatureImage = null;
+        this._pendingWatermarkImage = null;
         this._selectedSavedSig = null;
         
         /** Current mode: 'edit' (full editing) or 'fill' (signing/filling forms) */
@@ -80,6 +124,19 @@ class PDFEditorApp {
         this.setupBulkFillModal();
         this.setupExpectedSignersModal();
         this.setupSupportPromptModal();
+        this.setupExportModal();
+        this.setupPdfAReportModal();
+        this.setupPropertiesModal();
+        this.setupSanitizeModal();
+        this.setupHeaderFooterModal();
+        this.setupWatermarkModal();
+        this.setupPasswordModal();
+        this.setupVerifyModal();
+        this.setupFontsModal();
+        this.setupSearchPanel();
+        this.setupBookmarksPanel();
+        this.setupFieldDetection();
+        this.setupOcrModal();
         this.handleSupportReturnOnLoad();
     }
 
@@ -151,6 +208,7 @@ class PDFEditorApp {
         this.templateEditModal = document.getElementById('template-edit-modal');
         this.bulkFillModal = document.getElementById('bulk-fill-modal');
         this.supportPromptModal = document.getElementById('support-prompt-modal');
+        this.exportModal = document.getElementById('export-modal');
     }
 
     setupImageInsert() {
@@ -209,13 +267,13 @@ class PDFEditorApp {
         this.btnUndo.addEventListener('click', () => {
             const sigOpen = !this.signatureModal.classList.contains('hidden');
             if (sigOpen && this.signaturePad?.mode === 'draw') this.signaturePad.undo();
-            else this.canvasManager.undo();
+            else this.undo();
             this.updateHistoryButtons();
         });
         this.btnRedo.addEventListener('click', () => {
             const sigOpen = !this.signatureModal.classList.contains('hidden');
             if (sigOpen && this.signaturePad?.mode === 'draw') this.signaturePad.redo();
-            else this.canvasManager.redo();
+            else this.redo();
             this.updateHistoryButtons();
         });
 
@@ -286,6 +344,14 @@ class PDFEditorApp {
             }
         });
         
+        // Fill mode: a link was clicked
+        window.addEventListener('link-followed', (e) => this.followLink(e.detail.link));
+
+        // Edit text tool: the user clicked existing PDF text
+        window.addEventListener('edit-text-requested', (e) => {
+            this.editTextAt(e.detail.pageId, e.detail.x, e.detail.y);
+        });
+
         // Listen for form field selection
         window.addEventListener('form-field-selected', (e) => {
             if (this.mode === 'fill') {
@@ -359,6 +425,12 @@ class PDFEditorApp {
         const sidebar = document.getElementById('field-properties-sidebar');
         const bodyEl = document.getElementById('field-properties-body');
         if (!sidebar || !bodyEl) return;
+        const titleEl = sidebar.querySelector('.field-properties-title');
+        if (titleEl) titleEl.textContent = annotationType === 'link' ? 'Link' : 'Field Properties';
+        if (annotationType === 'link') {
+            this.showLinkProperties(fieldObject, canvas);
+            return;
+        }
         
         // Build sidebar content based on field type
         const fieldName = annotationType === 'signature-field' 
@@ -388,12 +460,7 @@ class PDFEditorApp {
                 </div>
                 <div class="field-property-group">
                     <label for="field-prop-font-family">Font</label>
-                    <select id="field-prop-font-family">
-                        <option value="Arial" ${fontFamily === 'Arial' ? 'selected' : ''}>Arial</option>
-                        <option value="Times New Roman" ${fontFamily === 'Times New Roman' ? 'selected' : ''}>Times New Roman</option>
-                        <option value="Courier New" ${fontFamily === 'Courier New' ? 'selected' : ''}>Courier New</option>
-                        <option value="Georgia" ${fontFamily === 'Georgia' ? 'selected' : ''}>Georgia</option>
-                    </select>
+                    <select id="field-prop-font-family">${this.fontOptionsHtml(fontFamily)}</select>
                 </div>
             `;
         }
@@ -466,6 +533,109 @@ class PDFEditorApp {
         sidebar.classList.remove('hidden');
     }
 
+    /**
+     * Show the Field Properties sidebar for a link: a web address, or a page of the document and its zoom.
+     * The page is kept by view page id, so the link follows it when pages are reordered.
+     */
+    showLinkProperties(linkObject, canvas) {
+        const sidebar = document.getElementById('field-properties-sidebar');
+        const bodyEl = document.getElementById('field-properties-body');
+        if (!sidebar || !bodyEl) return;
+        const link = linkObject._link || { url: '', pageId: null, zoom: null };
+        const pageExists = this.viewPages.some((vp) => vp.id === link.pageId);
+        const pageOptions = this.viewPages.map((vp, i) => `<option value="${this.escapeHtml(vp.id)}"${vp.id === link.pageId ? ' selected' : ''}>Page ${i + 1}</option>`);
+        if (link.pageId && !pageExists) pageOptions.unshift(`<option value="${this.escapeHtml(link.pageId)}" selected>Removed page</option>`);
+        const zooms = [['', 'Keep current zoom'], ['fit', 'Fit page'], ['fit-width', 'Fit width'], ['50', '50%'], ['100', '100%'], ['150', '150%'], ['200', '200%']];
+        const zoomOptions = zooms.map(([value, label]) => `<option value="${value}"${String(link.zoom ?? '') === value ? ' selected' : ''}>${label}</option>`);
+        const urlHint = 'Web address, mailto: or tel: link';
+
+        bodyEl.innerHTML = `
+            <div class="field-property-group">
+                <label for="link-prop-kind">Opens</label>
+                <select id="link-prop-kind">
+                    <option value="url"${link.pageId ? '' : ' selected'}>Web address</option>
+                    <option value="page"${link.pageId ? ' selected' : ''}>Page in this document</option>
+                </select>
+            </div>
+            <div class="field-property-group" id="link-prop-url-group">
+                <label for="link-prop-url">Address</label>
+                <input type="text" id="link-prop-url" value="${this.escapeHtml(link.url || '')}" placeholder="https://example.com">
+                <small id="link-prop-url-hint">${urlHint}</small>
+            </div>
+            <div class="field-property-group" id="link-prop-page-group">
+                <label for="link-prop-page">Page</label>
+                <select id="link-prop-page">${pageOptions.join('')}</select>
+                <label for="link-prop-zoom">Zoom</label>
+                <select id="link-prop-zoom">${zoomOptions.join('')}</select>
+                ${link.pageId && !pageExists ? '<small>The page this link opened was removed; the link is left out of exports.</small>' : ''}
+            </div>
+            <p class="field-properties-hint">Links without a target are left out of exports.</p>
+        `;
+
+        const kindSelect = document.getElementById('link-prop-kind');
+        const urlInput = document.getElementById('link-prop-url');
+        const urlHintEl = document.getElementById('link-prop-url-hint');
+        const pageSelect = document.getElementById('link-prop-page');
+        const zoomSelect = document.getElementById('link-prop-zoom');
+        const showKind = () => {
+            document.getElementById('link-prop-url-group')?.classList.toggle('hidden', kindSelect.value !== 'url');
+            document.getElementById('link-prop-page-group')?.classList.toggle('hidden', kindSelect.value !== 'page');
+        };
+        const apply = () => {
+            const zoom = zoomSelect.value === '' ? null : (/^\d+$/.test(zoomSelect.value) ? Number(zoomSelect.value) : zoomSelect.value);
+            let url = '';
+            if (kindSelect.value === 'url') {
+                url = this.normalizeLinkUrl(urlInput.value);
+                const invalid = url === null;
+                urlHintEl.textContent = invalid ? '⚠ Only web addresses, mailto: and tel: links are supported' : urlHint;
+                urlHintEl.style.color = invalid ? '#ef4444' : '';
+                if (invalid) return;
+                if (url !== urlInput.value.trim()) urlInput.value = url;
+            }
+            linkObject._link = kindSelect.value === 'page'
+                ? { url: '', pageId: pageSelect.value || null, zoom }
+                : { url, pageId: null, zoom: null };
+            const pageId = [...this.canvasManager.canvases].find(([, c]) => c === canvas)?.[0];
+            if (pageId) this.canvasManager.saveState(pageId, 'Edit link');
+        };
+        kindSelect.addEventListener('change', () => {
+            showKind();
+            apply();
+        });
+        urlInput.addEventListener('change', apply);
+        pageSelect.addEventListener('change', apply);
+        zoomSelect.addEventListener('change', apply);
+        showKind();
+        sidebar.classList.remove('hidden');
+    }
+
+    /**
+     * A link address as written to the PDF: a scheme is added to bare host names
+     * (including host:port, whose host would otherwise read as a scheme)
+     * @returns {string|null} '' for no address, null if the scheme is not allowed
+     */
+    normalizeLinkUrl(value) {
+        const url = String(value || '').trim();
+        if (!url) return '';
+        const hasScheme = /^(mailto|tel):/i.test(url) || /^[a-z][a-z\d+.-]*:(?!\d+(?:[/?#]|$))/i.test(url);
+        const withScheme = hasScheme ? url : `https://${url}`;
+        return /^(https?|mailto|tel):/i.test(withScheme) ? withScheme : null;
+    }
+
+    /**
+     * Follow a link clicked in Fill mode
+     * @param {{ url?: string; pageId?: string|null }} link
+     */
+    followLink(link) {
+        if (link?.pageId) {
+            const pageNum = this.viewPages.findIndex((vp) => vp.id === link.pageId) + 1;
+            if (pageNum > 0) this.goToPage(pageNum);
+            else toast.info('The page this link opens was removed.');
+        } else if (link?.url) {
+            window.open(link.url, '_blank', 'noopener');
+        }
+    }
+
     /**
      * Hide the Field Properties sidebar
      */
@@ -1200,12 +1370,7 @@ class PDFEditorApp {
                 </div>
                 <div class="field-property-group">
                     <label>Font</label>
-                    <select id="fields-detail-font-family">
-                        <option value="Arial" ${fontFamily === 'Arial' ? 'selected' : ''}>Arial</option>
-                        <option value="Times New Roman" ${fontFamily === 'Times New Roman' ? 'selected' : ''}>Times New Roman</option>
-                        <option value="Courier New" ${fontFamily === 'Courier New' ? 'selected' : ''}>Courier New</option>
-                        <option value="Georgia" ${fontFamily === 'Georgia' ? 'selected' : ''}>Georgia</option>
-                    </select>
+                    <select id="fields-detail-font-family">${this.fontOptionsHtml(fontFamily)}</select>
                 </div>
             `;
         }
@@ -1469,7 +1634,7 @@ class PDFEditorApp {
             if ((e.ctrlKey || e.metaKey) && e.key === 'z' && !e.shiftKey) {
                 e.preventDefault();
                 if (sigOpen && this.signaturePad?.mode === 'draw') this.signaturePad.undo();
-                else this.canvasManager.undo();
+                else this.undo();
                 this.updateHistoryButtons();
             }
 
@@ -1477,10 +1642,17 @@ class PDFEditorApp {
             if ((e.ctrlKey || e.metaKey) && (e.key === 'y' || (e.key === 'z' && e.shiftKey))) {
                 e.preventDefault();
                 if (sigOpen && this.signaturePad?.mode === 'draw') this.signaturePad.redo();
-                else this.canvasManager.redo();
+                else this.redo();
                 this.updateHistoryButtons();
             }
 
+            // Ctrl/Cmd + F = Find in document
+            if ((e.ctrlKey || e.metaKey) && e.key && e.key.toLowerCase() === 'f' && this.pdfHandler.isLoaded()) {
+                e.preventDefault();
+                this.openSearchPanel();
+                return;
+            }
+
             // Delete = Delete selected
             if (e.key === 'Delete' || e.key === 'Backspace') {
                 // Don't delete if we're in a text editing mode
@@ -1574,7 +1746,16 @@ class PDFEditorApp {
         try {
             const arrayBuffer = await file.arrayBuffer();
             this.documentHash = await this.computeDocumentHash(arrayBuffer);
-            await this.pdfHandler.loadPDF(arrayBuffer);
+            await this.pdfHandler.loadPDF(arrayBuffer, {
+                onPassword: (incorrect) => this.requestPassword(file.name, incorrect)
+            });
+            // An encrypted document keeps its protection on export unless changed in the export options
+            const originalEncryption = this.pdfHandler.getEncryption();
+            if (originalEncryption) {
+                this.exportOptions.encryption = { original: originalEncryption };
+            } else if (this.exportOptions.encryption?.original) {
+                this.exportOptions.encryption = null;
+            }
 
             // Clear any existing canvases
             this.canvasManager.clearAll();
@@ -1593,6 +1774,9 @@ class PDFEditorApp {
             this.pdfHandler.currentPage = 1;
             this.pdfHandler.totalPages = this.viewPages.length;
 
+            // Existing markup annotations become canvas objects instead of being drawn by PDF.js
+            const pdfAnnotations = await this.readPdfAnnotations(mainDocId);
+
             // Render all pages
             this.showLoading('Rendering pages...');
             await this.pdfHandler.renderViewPages(
@@ -1606,6 +1790,14 @@ class PDFEditorApp {
 
             this.renderPagesSidebar();
             this.applyPageRotationUI();
+            this.addImportedAnnotations(this.viewPages, pdfAnnotations);
+            this.selectedBookmarkId = null;
+            this.setBookmarks({ items: await this.readBookmarks(mainDocId), edited: false });
+
+            // Text of the previous document is no longer valid
+            this.textSearch.clear();
+            this.refreshSearch();
+            this.closeFieldDetection();
 
             // Load form fields from PDF into canvas so they appear in the sidebar and can be filled/signed
             try {
@@ -1621,19 +1813,22 @@ class PDFEditorApp {
                     }
                     if (descriptors.length > 0) {
                         this.canvasManager.canvases.forEach((c) => c.renderAll());
-                        this.canvasManager.canvases.forEach((c, pageId) => this.canvasManager.saveState(pageId));
                         if (this.mode === 'fill') this.refreshFieldsSidebar();
                     }
                 }
             } catch (e) {
                 console.warn('Could not load form fields from PDF:', e);
             }
+            // Imported fields and annotations are the starting point, not an undoable step
+            this.canvasManager.resetHistory();
 
             // Detect our signing metadata (Keywords or Producer) so we can show multi-signer flow
             this.signingFlowMeta = null;
             this.lockedFromFile = { signatures: new Set(), formFields: new Set() };
+            this.documentProperties = null;
             try {
                 const metadata = await this.pdfHandler.getMetadata(mainDocId);
+                this.documentProperties = propertiesFromMetadata(metadata);
                 if (hasOurSigningMetadata(metadata)) {
                     const info = metadata?.info || {};
                     const parsed = parseSigningMetadata(info.Keywords);
@@ -1649,6 +1844,10 @@ class PDFEditorApp {
             } catch (e) {
                 console.warn('Could not read PDF metadata for signing flow:', e);
             }
+            // Signatures are checked against the file exactly as opened (encrypted PDFs are signed encrypted)
+            this.verification = await this.verifyDocument(new Uint8Array(arrayBuffer), mainDocId);
+            // Rewriting a signed document would invalidate its signatures
+            this.exportOptions.incremental = !!this.verification?.signatures.length;
 
             // Auto-detect mode: if signing metadata present, default to Fill mode
             if (this.signingFlowMeta) {
@@ -1772,6 +1971,10 @@ class PDFEditorApp {
 
         // Pages sidebar: in Fill mode, hide edit actions (append, delete, extract, split, rotate, reorder)
         this.updatePagesSidebarForMode();
+        this.renderBookmarks();
+        this.updateSearchSelection();
+        // Detected fields are added in Edit mode only
+        if (newMode === 'fill') this.closeFieldDetection();
 
         // Switch to select tool
         this.selectToolByName('select');
@@ -1803,7 +2006,7 @@ class PDFEditorApp {
      */
     updateToolsForMode() {
         const editOnlyTools = [
-            'text', 'whiteout', 'draw', 'eraser',
+            'text', 'edit-text', 'whiteout', 'redact', 'link', 'draw', 'eraser',
             'signature-field', 'textfield', 'checkbox', 'radio', 'dropdown', 'date',
             'highlight', 'underline', 'strike', 'rect', 'ellipse', 'arrow', 'note', 'stamp', 'image'
         ];
@@ -1816,6 +2019,8 @@ class PDFEditorApp {
                 const btn = document.querySelector(`[data-tool="${tool}"]`);
                 if (btn) btn.style.display = 'none';
             });
+            const detectBtn = document.getElementById('btn-detect-fields');
+            if (detectBtn) detectBtn.style.display = 'none';
             // Show fill mode tools
             fillModeTools.forEach(tool => {
                 const btn = document.querySelector(`[data-tool="${tool}"]`);
@@ -1827,6 +2032,8 @@ class PDFEditorApp {
                 const btn = document.querySelector(`[data-tool="${tool}"]`);
                 if (btn) btn.style.display = '';
             });
+            const detectBtn = document.getElementById('btn-detect-fields');
+            if (detectBtn) detectBtn.style.display = '';
         }
     }
 
@@ -1849,13 +2056,8 @@ class PDFEditorApp {
                     </div>
                     <div class="tool-option">
                         <label>Font:</label>
-                        <select id="text-font">
-                            <option value="Arial">Arial</option>
-                            <option value="Times New Roman">Times New Roman</option>
-                            <option value="Courier New">Courier New</option>
-                            <option value="Georgia">Georgia</option>
-                            <option value="Verdana">Verdana</option>
-                        </select>
+                        <select id="text-font">${this.fontOptionsHtml(this.canvasManager.settings.fontFamily)}</select>
+                        <button type="button" class="pages-btn" id="text-fonts-btn" title="Upload fonts for other scripts and custom lettering">Fonts…</button>
                     </div>
                     <div class="tool-option">
                         <label>Style:</label>
@@ -1950,6 +2152,10 @@ class PDFEditorApp {
                 this.toolOptions.innerHTML = `<div class="tool-option"><small>Click to add a note (double-click to edit).</small></div>`;
                 break;
 
+            case 'link':
+                this.toolOptions.innerHTML = `<div class="tool-option"><small>Drag a box over the area to link, then choose a web address or page in the sidebar.</small></div>`;
+                break;
+
             case 'image':
                 this.toolOptions.innerHTML = `<div class="tool-option"><small>Click to place the selected image.</small></div>`;
                 break;
@@ -1958,6 +2164,14 @@ class PDFEditorApp {
                 this.toolOptions.innerHTML = `<div class="tool-option"><small>Click an annotation to remove it.</small></div>`;
                 break;
 
+            case 'edit-text':
+                this.toolOptions.innerHTML = `
+                    <div class="tool-option">
+                        <span>Click a line of the PDF's own text to edit it. The original text is replaced when you export.</span>
+                    </div>
+                `;
+                break;
+
             case 'whiteout':
                 this.toolOptions.innerHTML = `
                     <div class="tool-option">
@@ -1966,11 +2180,99 @@ class PDFEditorApp {
                 `;
                 break;
 
+            case 'redact':
+                this.toolOptions.innerHTML = `
+                    <div class="tool-option">
+                        <span>Drag over content to redact. Text, images and drawings under the box are removed when you export.</span>
+                    </div>
+                `;
+                break;
+
             default:
                 break;
         }
     }
 
+    /**
+     * Open an inline editor on the PDF text run under a point
+     * @param {string} pageId
+     * @param {number} x - Points from the page's top-left corner (unrotated)
+     * @param {number} y
+     */
+    async editTextAt(pageId, x, y) {
+        const page = this.pdfHandler.pages.find((p) => p.viewPageId === pageId);
+        if (!page) return;
+        let run;
+        try {
+            run = await this.textSearch.runAt(page.docId, page.sourcePageNum, x, y);
+        } catch (e) {
+            console.warn('Could not read page text:', e);
+        }
+        if (!run) {
+            toast.warning('No editable text here. Click directly on a horizontal line of text.');
+            return;
+        }
+
+        const existing = this.canvasManager.findTextEdit(pageId, run.box);
+        if (existing) {
+            existing.canvas?.setActiveObject(existing);
+            existing.enterEditing();
+            existing.canvas?.renderAll();
+            return;
+        }
+        this.canvasManager.addTextEdit(pageId, run, this.sampleTextColors(page.pdfCanvas, run.box));
+    }
+
+    /**
+     * Text and background colors of a box on the rendered page: the background is the most
+     * common color, the text the color that differs most from it
+     * @param {HTMLCanvasElement} pdfCanvas
+     * @param {{x0: number; y0: number; x1: number; y1: number}} box - Points
+     * @returns {{ color: string; background: string }}
+     */
+    sampleTextColors(pdfCanvas, box) {
+        const fallback = { color: '#000000', background: '#ffffff' };
+        const scale = this.canvasManager.currentScale;
+        const x = Math.max(0, Math.floor(box.x0 * scale));
+        const y = Math.max(0, Math.floor(box.y0 * scale));
+        const w = Math.min(pdfCanvas?.width || 0, Math.ceil(box.x1 * scale)) - x;
+        const h = Math.min(pdfCanvas?.height || 0, Math.ceil(box.y1 * scale)) - y;
+        if (!(w > 0 && h > 0)) return fallback;
+        let data;
+        try {
+            data = pdfCanvas.getContext('2d').getImageData(x, y, w, h).data;
+        } catch (e) {
+            return fallback;
+        }
+
+        const counts = new Map();
+        for (let i = 0; i < data.length; i += 4) {
+            const key = (data[i] << 16) | (data[i + 1] << 8) | data[i + 2];
+            counts.set(key, (counts.get(key) || 0) + 1);
+        }
+        let background = 0xffffff;
+        let most = 0;
+        counts.forEach((n, key) => {
+            if (n > most) {
+                most = n;
+                background = key;
+            }
+        });
+        const channels = (key) => [(key >> 16) & 255, (key >> 8) & 255, key & 255];
+        const bg = channels(background);
+        let color = background;
+        let farthest = 0;
+        counts.forEach((n, key) => {
+            const d = channels(key).reduce((sum, v, i) => sum + (v - bg[i]) ** 2, 0);
+            if (d > farthest) {
+                farthest = d;
+                color = key;
+            }
+        });
+        const hex = (key) => '#' + key.toString(16).padStart(6, '0');
+        return { color: farthest > 0 ? hex(color) : fallback.color, background: hex(background) };
+    }
+
     bindHighlightOptions() {
         const colorInput = document.getElementById('highlight-color');
         const opInput = document.getElementById('highlight-opacity');
@@ -2033,6 +2335,8 @@ class PDFEditorApp {
             this.canvasManager.updateSettings({ fontFamily: e.target.value });
         });
 
+        document.getElementById('text-fonts-btn')?.addEventListener('click', () => this.showFontsModal());
+
         boldBtn?.addEventListener('click', () => {
             const next = this.canvasManager.settings.fontWeight === 'bold' ? 'normal' : 'bold';
             this.canvasManager.updateSettings({ fontWeight: next });
@@ -2078,7 +2382,7 @@ class PDFEditorApp {
         this.pdfHandler.currentPage = pageNum;
         this.pageInput.value = pageNum;
 
-        // Set active canvas to this page so undo/redo apply to the page we're viewing
+        // Set active canvas to this page so tools apply to the page we're viewing
         const vp = this.viewPages?.[pageNum - 1];
         if (vp) this.canvasManager.setActivePage(vp.id);
 
@@ -2239,8 +2543,27 @@ class PDFEditorApp {
         const toIdx = this.viewPages.findIndex((p) => p.id === toId);
         if (fromIdx < 0 || toIdx < 0 || fromIdx === toIdx) return;
 
-        const [moved] = this.viewPages.splice(fromIdx, 1);
-        this.viewPages.splice(toIdx, 0, moved);
+        const before = this.viewPages.map((vp) => vp.id);
+        const after = before.slice();
+        const [moved] = after.splice(fromIdx, 1);
+        after.splice(toIdx, 0, moved);
+
+        this.applyViewOrder(after);
+        this.documentHistory.push({
+            label: 'Reorder pages',
+            pageId: fromId,
+            undo: () => this.applyViewOrder(before),
+            redo: () => this.applyViewOrder(after)
+        });
+    }
+
+    /**
+     * Put the view pages, their DOM wrappers and pdfHandler.pages into the given order
+     * @param {string[]} ids - Every current view page id, in the new order
+     */
+    applyViewOrder(ids) {
+        const vpById = new Map(this.viewPages.map((vp) => [vp.id, vp]));
+        this.viewPages = ids.map((id) => vpById.get(id)).filter(Boolean);
 
         // Reorder DOM page wrappers to match new view order (use pdfHandler refs so we move the right nodes)
         const wrapperById = new Map();
@@ -2265,16 +2588,84 @@ class PDFEditorApp {
             })
             .filter(Boolean);
 
-        this.pdfHandler.totalPages = this.viewPages.length;
+        const total = this.viewPages.length;
+        this.pdfHandler.totalPages = total;
+        this.pdfHandler.currentPage = Math.min(Math.max(1, this.pdfHandler.currentPage), Math.max(1, total));
         this.updatePageNavigation();
         this.applyPageRotationUI();
         this.renderPagesSidebar();
+        this.renderBookmarks();
+        this.refreshSearch();
+        this.refreshFieldProposals();
+        this.refreshPagePreviews();
+    }
+
+    /**
+     * Take view pages out of the document, keeping their rendered page and annotation canvas
+     * so they can be put back by reattachViewPages.
+     * @param {string[]} ids
+     * @returns {Array<{ vp: object; index: number; info: object; detached: object; scale: number }>}
+     */
+    detachViewPages(ids) {
+        const idSet = new Set(ids);
+        const infoById = new Map((this.pdfHandler.pages || []).map((p) => [p.viewPageId, p]));
+        const records = [];
+        this.viewPages.forEach((vp, index) => {
+            if (!idSet.has(vp.id)) return;
+            const info = infoById.get(vp.id);
+            info?.wrapper?.remove();
+            records.push({ vp, index, info, detached: this.canvasManager.detachPage(vp.id), scale: this.currentScale });
+        });
+
+        this.pdfHandler.pages = (this.pdfHandler.pages || []).filter((p) => !idSet.has(p.viewPageId));
+        this.applyViewOrder(this.viewPages.filter((vp) => !idSet.has(vp.id)).map((vp) => vp.id));
+        return records;
+    }
+
+    /**
+     * Put back pages removed by detachViewPages at their former positions
+     * @param {Array<{ vp: object; index: number; info: object; detached: object; scale: number }>} records
+     */
+    async reattachViewPages(records) {
+        const sorted = records.slice().sort((a, b) => a.index - b.index);
+        const ids = this.viewPages.map((vp) => vp.id);
+        for (const r of sorted) {
+            this.viewPages.push(r.vp);
+            ids.splice(Math.min(r.index, ids.length), 0, r.vp.id);
+            if (!r.info) continue;
+            this.pdfHandler.pages.push(r.info);
+            this.canvasManager.attachPage(r.vp.id, r.detached);
+            if (r.scale !== this.currentScale) {
+                await this.pdfHandler.rescalePage(r.info, this.currentScale, (canvas, width, height, newScale) => {
+                    this.canvasManager.updateCanvasSize(canvas, width, height, newScale);
+                });
+                r.scale = this.currentScale;
+            }
+        }
+        this.applyViewOrder(ids);
     }
 
     async appendPdfFile(file) {
         if (!file || file.type !== 'application/pdf') return;
         const bytes = await file.arrayBuffer();
-        const { docId, pageCount } = await this.pdfHandler.addDocument(bytes, file.name);
+        const { docId, pageCount } = await this.pdfHandler.addDocument(bytes, file.name, {
+            onPassword: (incorrect) => this.requestPassword(file.name, incorrect)
+        });
+        const pdfAnnotations = await this.readPdfAnnotations(docId);
+        // The appended file's bookmarks go under an entry named after it, as exports do
+        const appendedBookmarks = await this.readBookmarks(docId);
+        const bookmarksBefore = structuredClone(this.bookmarks);
+        const bookmarksAfter = structuredClone(this.bookmarks);
+        if (appendedBookmarks.length > 0) {
+            bookmarksAfter.items.push({
+                id: this.newBookmarkId(),
+                title: file.name,
+                pageId: `${docId}:1`,
+                view: [{ name: 'Fit' }],
+                open: false,
+                children: appendedBookmarks
+            });
+        }
 
         // Add view pages for appended doc
         const newPages = [];
@@ -2297,43 +2688,87 @@ class PDFEditorApp {
             }
 
             this.pdfHandler.totalPages = this.viewPages.length;
+            this.addImportedAnnotations(newPages, pdfAnnotations);
             this.updatePageNavigation();
             this.renderPagesSidebar();
+            this.setBookmarks(bookmarksAfter);
+            this.refreshSearch();
+            this.refreshPagePreviews();
         } finally {
             this.hideLoading();
         }
+
+        const ids = newPages.map((vp) => vp.id);
+        let records = null;
+        this.documentHistory.push({
+            label: 'Append pages',
+            pageId: ids[0],
+            undo: () => {
+                records = this.detachViewPages(ids);
+                this.setBookmarks(bookmarksBefore);
+            },
+            redo: async () => {
+                await this.reattachViewPages(records || []);
+                this.setBookmarks(bookmarksAfter);
+            },
+            discard: (applied) => {
+                if (!applied) records?.forEach((r) => this.canvasManager.disposeDetached(r.detached));
+            }
+        });
+    }
+
+    /**
+     * Read a document's markup annotations and stop PDF.js from drawing them.
+     * Call before the document's pages are rendered.
+     * @param {string} docId
+     * @returns {Promise<Array<Object>>} Descriptors for addImportedAnnotations
+     */
+    async readPdfAnnotations(docId) {
+        const bytes = this.pdfHandler.getOriginalBytes(docId);
+        if (!bytes) return [];
+        const descriptors = await loadAnnotationsFromPdf(bytes);
+        if (descriptors.length > 0) {
+            this.pdfHandler.setImportedAnnotations(docId, descriptors.map((d) => d.id));
+        }
+        return descriptors;
+    }
+
+    /**
+     * Add annotations read by readPdfAnnotations to the canvases of the given view pages
+     * @param {Array<{id: string; sourcePageNum: number}>} viewPages - Pages of the document the descriptors came from
+     * @param {Array<Object>} descriptors
+     */
+    addImportedAnnotations(viewPages, descriptors) {
+        if (descriptors.length === 0) return;
+        const byPageIndex = new Map();
+        for (const d of descriptors) {
+            if (!byPageIndex.has(d.pageIndex)) byPageIndex.set(d.pageIndex, []);
+            byPageIndex.get(d.pageIndex).push(d);
+        }
+        for (const vp of viewPages) {
+            const list = byPageIndex.get(vp.sourcePageNum - 1);
+            const canvas = this.canvasManager.canvases.get(vp.id);
+            if (list && canvas) this.canvasManager.addAnnotationsFromPdfDescriptors(canvas, vp.id, list, this.currentScale);
+        }
     }
 
     deleteSelectedPages() {
         const ids = this.getSelectedPageIds();
         if (ids.length === 0) return;
-        if (!confirm(`Delete ${ids.length} page(s)? This cannot be undone.`)) return;
-
-        const toDelete = new Set(ids);
-        this.viewPages = this.viewPages.filter((p) => !toDelete.has(p.id));
-        this.pdfHandler.pages = (this.pdfHandler.pages || []).filter((p) => !toDelete.has(p.viewPageId));
-
-        // Remove wrappers and canvases
-        ids.forEach((id) => {
-            const w = this.pdfPages.querySelector(`.page-wrapper[data-page-id="${CSS.escape(id)}"]`);
-            if (w) w.remove();
-            this.canvasManager.removePage(id);
-        });
-
-        // Re-number wrappers
-        this.viewPages.forEach((vp, i) => {
-            const w = this.pdfPages.querySelector(`.page-wrapper[data-page-id="${CSS.escape(vp.id)}"]`);
-            if (w) w.dataset.page = String(i + 1);
+        if (!confirm(`Delete ${ids.length} page(s)? You can undo this with Ctrl+Z.`)) return;
+
+        let records = this.detachViewPages(ids);
+        this.documentHistory.push({
+            label: ids.length === 1 ? 'Delete page' : 'Delete pages',
+            pageId: records[0]?.vp.id,
+            undo: () => this.reattachViewPages(records),
+            redo: () => {
+                records = this.detachViewPages(ids);
+            },
+            discard: (applied) => {
+                if (applied) records.forEach((r) => this.canvasManager.disposeDetached(r.detached));
+            }
         });
-
-        // Clamp current page
-        const total = this.viewPages.length;
-        this.pdfHandler.totalPages = total;
-        this.pdfHandler.currentPage = Math.min(this.pdfHandler.currentPage, Math.max(1, total));
-
-        this.updatePageNavigation();
-        this.renderPagesSidebar();
-        this.updateHistoryButtons();
     }
 
     rotateSelectedPages() {
@@ -2345,9 +2780,29 @@ class PDFEditorApp {
         }
         if (ids.length === 0) return;
         const idSet = new Set(ids);
+        const before = new Map();
+        const after = new Map();
         for (const vp of this.viewPages) {
             if (!idSet.has(vp.id)) continue;
-            vp.rotation = ((vp.rotation || 0) + 90) % 360;
+            before.set(vp.id, vp.rotation || 0);
+            after.set(vp.id, ((vp.rotation || 0) + 90) % 360);
+        }
+        this.setPageRotations(after);
+        this.documentHistory.push({
+            label: 'Rotate pages',
+            pageId: ids[0],
+            undo: () => this.setPageRotations(before),
+            redo: () => this.setPageRotations(after)
+        });
+    }
+
+    /**
+     * Set the rotation of view pages
+     * @param {Map<string, number>} rotations - view page id -> degrees
+     */
+    setPageRotations(rotations) {
+        for (const vp of this.viewPages) {
+            if (rotations.has(vp.id)) vp.rotation = rotations.get(vp.id);
         }
         for (const p of this.pdfHandler.pages || []) {
             const v = this.viewPages.find((vp) => vp.id === p.viewPageId);
@@ -2355,6 +2810,7 @@ class PDFEditorApp {
         }
         this.applyPageRotationUI();
         this.renderPagesSidebar();
+        this.refreshPagePreviews();
     }
 
     /**
@@ -2398,35 +2854,38 @@ class PDFEditorApp {
         try {
             const bytes = await this.exporter.exportPDF({
                 docBytesById: this.pdfHandler.getAllOriginalBytes(),
+                docNames: this.pdfHandler.getDocumentNames(),
+                mainDocId: this.pdfHandler.mainDocId,
                 viewPages: subset,
                 annotationsByPageId,
-                scale: this.currentScale
+                scale: this.currentScale,
+                annotationMode: this.exportOptions.annotationMode,
+                importedAnnotations: this.pdfHandler.getImportedAnnotationIds(),
+                encryption: this.exportOptions.encryption,
+                certificates: this.signingCertificates(),
+                outline: this.editedBookmarks(),
+                ocrText: this.ocrTextFor(subset),
+                optimize: this.exportOptions.optimize,
+                pdfa: this.exportOptions.pdfa,
+                properties: this.documentProperties,
+                sanitize: this.exportOptions.sanitize,
+                headerFooter: this.headerFooter,
+                watermark: this.watermark
             });
+            this.warnMissingCharacters();
+            this.reportOptimization();
+            this.reportSanitization();
+            this.reportPdfA();
             const baseName = (this.fileName || '').replace(/\.pdf$/i, '').trim() || 'document';
             this.exporter.downloadPDF(bytes, `${baseName}-extracted.pdf`);
+        } catch (error) {
+            console.error('Extract error:', error);
+            toast.error('Error extracting pages: ' + error.message);
         } finally {
             this.hideLoading();
         }
     }
 
-    parsePageRanges(input, maxPage) {
-        const out = [];
-        const parts = String(input || '')
-            .split(',')
-            .map((s) => s.trim())
-            .filter(Boolean);
-        for (const part of parts) {
-            const m = part.match(/^(\d+)(?:\s*-\s*(\d+))?$/);
-            if (!m) continue;
-            const a = parseInt(m[1], 10);
-            const b = m[2] ? parseInt(m[2], 10) : a;
-            const start = Math.max(1, Math.min(a, b));
-            const end = Math.min(maxPage, Math.max(a, b));
-            if (start <= end) out.push([start, end]);
-        }
-        return out;
-    }
-
     async splitPdfPrompt() {
         const total = this.viewPages.length;
         if (total === 0) return;
@@ -2435,7 +2894,7 @@ class PDFEditorApp {
             '1-1'
         );
         if (!input) return;
-        const ranges = this.parsePageRanges(input, total);
+        const ranges = parsePageRanges(input, total);
         if (ranges.length === 0) {
             toast.warning('No valid ranges.');
             return;
@@ -2448,6 +2907,7 @@ class PDFEditorApp {
             const docBytesById = this.pdfHandler.getAllOriginalBytes();
             const baseName = (this.fileName || '').replace(/\.pdf$/i, '').trim() || 'document';
 
+            const optimized = [];
             let partNum = 1;
             for (const [start, end] of ranges) {
                 const subset = this.viewPages.slice(start - 1, end);
@@ -2455,15 +2915,56 @@ class PDFEditorApp {
                 for (const vp of subset) {
                     annSubset.set(vp.id, annByIdAll.get(vp.id) || []);
                 }
-                const bytes = await this.exporter.exportPDF({
-                    docBytesById,
-                    viewPages: subset,
-                    annotationsByPageId: annSubset,
-                    scale: this.currentScale
-                });
+                let bytes;
+                try {
+                    bytes = await this.exporter.exportPDF({
+                        docBytesById,
+                        docNames: this.pdfHandler.getDocumentNames(),
+                        mainDocId: this.pdfHandler.mainDocId,
+                        viewPages: subset,
+                        annotationsByPageId: annSubset,
+                        scale: this.currentScale,
+                        annotationMode: this.exportOptions.annotationMode,
+                        importedAnnotations: this.pdfHandler.getImportedAnnotationIds(),
+                        encryption: this.exportOptions.encryption,
+                        certificates: this.signingCertificates(),
+                        outline: this.editedBookmarks(),
+                        ocrText: this.ocrTextFor(subset),
+                        optimize: this.exportOptions.optimize,
+                        pdfa: this.exportOptions.pdfa,
+                        properties: this.documentProperties,
+                        sanitize: this.exportOptions.sanitize,
+                        headerFooter: this.headerFooter,
+                        watermark: this.watermark
+                    });
+                } catch (error) {
+                    // Stop at the first failed part so the downloads so far are a complete prefix
+                    console.error('Split error:', error);
+                    const saved = partNum === 1 ? 'no parts were saved' : partNum === 2 ? 'part 1 was saved' : `parts 1-${partNum - 1} were saved`;
+                    toast.error(`Error exporting part ${partNum} (pages ${start}-${end}; ${saved}): ${error.message}`);
+                    break;
+                }
+                this.warnMissingCharacters();
+                if (this.exporter.lastOptimization) optimized.push(this.exporter.lastOptimization);
+                this.reportSanitization();
+                this.reportPdfA();
                 this.exporter.downloadPDF(bytes, `${baseName}-part-${partNum}-${start}-${end}.pdf`);
                 partNum += 1;
             }
+            // One report for all parts, against the source files they were split from
+            if (optimized.length > 0) {
+                const usedDocIds = new Set(ranges.slice(0, partNum - 1).flatMap(([start, end]) => this.viewPages.slice(start - 1, end).map((vp) => vp.docId)));
+                const report = {};
+                optimized.forEach((result) => Object.entries(result.report).forEach(([key, n]) => { report[key] = (report[key] || 0) + n; }));
+                this.reportOptimization({
+                    report,
+                    sizeBefore: [...docBytesById].reduce((sum, [docId, bytes]) => sum + (usedDocIds.has(docId) ? bytes.byteLength : 0), 0),
+                    sizeAfter: optimized.reduce((sum, result) => sum + result.sizeAfter, 0)
+                }, optimized.length);
+            }
+        } catch (error) {
+            console.error('Split error:', error);
+            toast.error('Error splitting PDF: ' + error.message);
         } finally {
             this.hideLoading();
         }
@@ -2509,756 +3010,2793 @@ class PDFEditorApp {
     }
 
     /**
-     * Initialize signature pad
+     * Find-in-document panel (Ctrl+F)
      */
-    initSignaturePad() {
-        const canvas = document.getElementById('signature-canvas');
-        this.signaturePad.init(canvas);
+    setupSearchPanel() {
+        this.searchPanel = document.getElementById('search-panel');
+        this.searchInput = document.getElementById('search-input');
+        this.searchResultsEl = document.getElementById('search-results');
+        this.searchCountEl = document.getElementById('search-count');
+        this.searchPrevBtn = document.getElementById('search-prev');
+        this.searchNextBtn = document.getElementById('search-next');
+        this.searchBulkEl = document.getElementById('search-bulk');
+        this.searchSelectAll = document.getElementById('search-select-all');
+        let debounce = null;
+
+        document.getElementById('btn-find')?.addEventListener('click', () => this.openSearchPanel());
+        document.getElementById('search-panel-close')?.addEventListener('click', () => this.closeSearchPanel());
+        this.searchPrevBtn?.addEventListener('click', () => this.stepSearchHit(-1));
+        this.searchNextBtn?.addEventListener('click', () => this.stepSearchHit(1));
+
+        this.searchInput?.addEventListener('input', () => {
+            clearTimeout(debounce);
+            debounce = setTimeout(() => this.runSearch(), 250);
+        });
+        this.searchInput?.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                clearTimeout(debounce);
+                if (this.searchState.query !== this.searchInput.value) {
+                    this.runSearch();
+                } else {
+                    this.stepSearchHit(e.shiftKey ? -1 : 1);
+                }
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                e.stopPropagation();
+                this.closeSearchPanel();
+            }
+        });
+        ['search-case', 'search-whole-word', 'search-regex'].forEach((id) => {
+            document.getElementById(id)?.addEventListener('change', () => this.runSearch());
+        });
+
+        this.searchResultsEl?.addEventListener('click', (e) => {
+            if (e.target.closest('.search-result-select')) return;
+            const item = e.target.closest('[data-hit-index]');
+            if (item) this.goToSearchHit(parseInt(item.dataset.hitIndex, 10));
+        });
+        this.searchResultsEl?.addEventListener('change', (e) => {
+            const box = e.target.closest('.search-result-select');
+            if (!box) return;
+            const index = parseInt(box.dataset.hitIndex, 10);
+            if (box.checked) this.searchState.excluded.delete(index);
+            else this.searchState.excluded.add(index);
+            this.updateSearchSelection();
+        });
+        this.searchSelectAll?.addEventListener('change', () => {
+            const { excluded, hits } = this.searchState;
+            excluded.clear();
+            if (!this.searchSelectAll.checked) hits.forEach((_, i) => excluded.add(i));
+            this.searchResultsEl?.querySelectorAll('.search-result-select').forEach((box) => {
+                box.checked = this.searchSelectAll.checked;
+            });
+            this.updateSearchSelection();
+        });
+        document.getElementById('search-highlight-selected')?.addEventListener('click', () => this.markSearchHits('highlight'));
+        document.getElementById('search-redact-selected')?.addEventListener('click', () => this.markSearchHits('redact'));
+    }
+
+    openSearchPanel() {
+        if (!this.searchPanel || !this.pdfHandler.isLoaded()) return;
+        this.searchPanel.classList.remove('hidden');
+        this.searchInput.focus();
+        this.searchInput.select();
+        if (this.searchInput.value.trim()) this.runSearch();
+    }
+
+    closeSearchPanel() {
+        if (!this.searchPanel) return;
+        this.searchPanel.classList.add('hidden');
+        this.searchState.seq++;
+        this.searchState.hits = [];
+        this.searchState.current = -1;
+        this.searchState.query = '';
+        this.searchState.excluded.clear();
+        this.drawSearchHighlights();
+    }
+
+    getSearchOptions() {
+        return {
+            caseSensitive: !!document.getElementById('search-case')?.checked,
+            wholeWord: !!document.getElementById('search-whole-word')?.checked,
+            regex: !!document.getElementById('search-regex')?.checked
+        };
     }
 
     /**
-     * Set up signature modal
+     * Re-run the current search after the page set changed, without moving the view.
      */
-    setupSignatureModal() {
-        const modal = this.signatureModal;
-        const closeBtn = document.getElementById('signature-modal-close');
-        const cancelBtn = document.getElementById('sig-cancel');
-        const applyBtn = document.getElementById('sig-apply');
-        const clearBtn = document.getElementById('sig-clear');
-        const tabs = modal.querySelectorAll('.sig-tab');
-        const textInput = document.getElementById('sig-text-input');
-        const fontOptions = modal.querySelectorAll('input[name="sig-font"]');
-        const preview = document.getElementById('sig-preview');
-        const intentCheck = document.getElementById('sig-intent');
-        const consentCheck = document.getElementById('sig-consent');
-        const nameInput = document.getElementById('sig-name');
-        const emailInput = document.getElementById('sig-email');
-        const sigCanvas = document.getElementById('signature-canvas');
+    refreshSearch() {
+        if (!this.searchPanel || this.searchPanel.classList.contains('hidden')) return;
+        this.runSearch({ navigate: false });
+    }
 
-        const updateApplyState = () => this.updateSignatureApplyState();
+    /**
+     * Search every view page and show the hits.
+     * @param {{ navigate?: boolean }} options - navigate: jump to the first hit at or after the current page
+     */
+    async runSearch({ navigate = true } = {}) {
+        const query = this.searchInput?.value || '';
+        const seq = ++this.searchState.seq;
+        this.searchState.query = query;
+        this.searchState.error = '';
+        this.searchState.excluded.clear();
+
+        if (!query.trim() || !this.pdfHandler.isLoaded()) {
+            this.searchState.hits = [];
+            this.searchState.current = -1;
+            this.renderSearchResults();
+            this.drawSearchHighlights();
+            return;
+        }
 
-        // Close modal
-        closeBtn.addEventListener('click', () => this.hideSignatureModal());
-        cancelBtn.addEventListener('click', () => this.hideSignatureModal());
+        if (this.searchCountEl) this.searchCountEl.textContent = 'Searching…';
+        let hits;
+        try {
+            hits = await this.textSearch.search(this.viewPages, query, this.getSearchOptions(), () => seq !== this.searchState.seq);
+        } catch (e) {
+            if (e instanceof SyntaxError) {
+                this.searchState.error = 'Invalid pattern';
+            } else {
+                console.warn('Search failed:', e);
+            }
+            hits = [];
+        }
+        if (seq !== this.searchState.seq) return;
+
+        const previous = this.searchState.current;
+        this.searchState.hits = hits;
+        if (hits.length === 0) {
+            this.searchState.current = -1;
+        } else if (navigate) {
+            // Start from the first hit at or after the page being viewed
+            const pageIndex = new Map(this.viewPages.map((vp, i) => [vp.id, i]));
+            const from = hits.findIndex((h) => (pageIndex.get(h.pageId) ?? -1) >= this.pdfHandler.currentPage - 1);
+            this.searchState.current = Math.max(0, from);
+        } else {
+            this.searchState.current = Math.min(Math.max(previous, 0), hits.length - 1);
+        }
 
-        // Clear signature
-        clearBtn.addEventListener('click', () => {
-            this.signaturePad.clear();
-            updateApplyState();
-            this.updateHistoryButtons();
-        });
+        this.renderSearchResults();
+        this.drawSearchHighlights();
+        if (navigate && this.searchState.current >= 0) this.goToSearchHit(this.searchState.current);
+    }
 
-        // Consent + identity
-        [intentCheck, consentCheck].forEach((el) => el?.addEventListener('change', updateApplyState));
-        nameInput?.addEventListener('input', updateApplyState);
-        emailInput?.addEventListener('input', updateApplyState);
+    renderSearchResults() {
+        if (!this.searchResultsEl) return;
+        const { hits, query } = this.searchState;
+        const pageIndex = new Map(this.viewPages.map((vp, i) => [vp.id, i + 1]));
+        const maxListed = 500;
 
-        // Tab switching
-        const drawArea = document.getElementById('sig-draw-area');
-        const typeArea = document.getElementById('sig-type-area');
-        const imageArea = document.getElementById('sig-image-area');
-        tabs.forEach(tab => {
-            tab.addEventListener('click', () => {
-                tabs.forEach(t => t.classList.remove('active'));
-                tab.classList.add('active');
+        if (!query.trim()) {
+            this.searchResultsEl.innerHTML = '';
+        } else if (hits.length === 0) {
+            this.searchResultsEl.innerHTML = '<div class="search-empty">No matches found.</div>';
+        } else {
+            const items = hits.slice(0, maxListed).map((hit, i) => `
+                <div class="search-result" role="listitem" data-hit-index="${i}">
+                    <input type="checkbox" class="search-result-select" data-hit-index="${i}" title="Include in Highlight/Redact"${this.searchState.excluded.has(i) ? '' : ' checked'}>
+                    <span class="search-result-page">Page ${pageIndex.get(hit.pageId) ?? '?'}</span>
+                    …${escapeHtml(hit.before)}<mark>${escapeHtml(hit.text)}</mark>${escapeHtml(hit.after)}…
+                </div>
+            `);
+            if (hits.length > maxListed) {
+                items.push(`<div class="search-empty">Showing the first ${maxListed} of ${hits.length} matches. Select all applies to every match.</div>`);
+            }
+            this.searchResultsEl.innerHTML = items.join('');
+        }
+        this.updateSearchCount();
+        this.updateSearchSelection();
+    }
 
-                const tabName = tab.dataset.tab;
-                drawArea?.classList.toggle('active', tabName === 'draw');
-                typeArea?.classList.toggle('active', tabName === 'type');
-                imageArea?.classList.toggle('active', tabName === 'image');
+    updateSearchCount() {
+        const { hits, current, query, error } = this.searchState;
+        if (this.searchCountEl) {
+            this.searchCountEl.textContent = error || (!query.trim() ? '' : hits.length ? `${current + 1} of ${hits.length}` : 'No matches');
+        }
+        if (this.searchPrevBtn) this.searchPrevBtn.disabled = hits.length === 0;
+        if (this.searchNextBtn) this.searchNextBtn.disabled = hits.length === 0;
+    }
 
-                this._selectedSavedSig = null;
-                if (tabName !== 'image') this._pendingSignatureImage = null;
-                this._clearImagePreview();
-                if (tabName === 'draw' || tabName === 'type') this.signaturePad.setMode(tabName);
-                this._refreshSignatureModalExtras();
-                updateApplyState();
-                this.updateHistoryButtons();
-            });
-        });
-
-        // Text input
-        textInput.addEventListener('input', (e) => {
-            this.signaturePad.setTypedText(e.target.value);
-            this.signaturePad.updatePreview(preview);
-            updateApplyState();
-        });
-
-        // Font options
-        fontOptions.forEach(option => {
-            option.addEventListener('change', (e) => {
-                this.signaturePad.setFontStyle(e.target.value);
-                this.signaturePad.updatePreview(preview);
-            });
-        });
-
-        // Draw end (mouseup/touchend on pad) to refresh Apply state
-        if (sigCanvas) {
-            const onSigChanged = () => {
-                updateApplyState();
-                this.updateHistoryButtons();
-            };
-            sigCanvas.addEventListener('mouseup', onSigChanged);
-            sigCanvas.addEventListener('touchend', onSigChanged);
-        }
-
-        // Image tab: file input, preview, clear
-        const imageInput = document.getElementById('sig-image-input');
-        const imagePreviewWrap = document.getElementById('sig-image-preview-wrap');
-        const imagePreview = document.getElementById('sig-image-preview');
-        const imageClear = document.getElementById('sig-image-clear');
-        imageInput?.addEventListener('change', (e) => {
-            const f = e.target.files?.[0];
-            if (!f) return;
-            const r = new FileReader();
-            r.onload = () => {
-                this._pendingSignatureImage = r.result;
-                if (imagePreview) imagePreview.src = this._pendingSignatureImage;
-                imagePreviewWrap?.classList.remove('hidden');
-                updateApplyState();
-                this._refreshSignatureModalExtras();
-            };
-            r.readAsDataURL(f);
-            imageInput.value = '';
-        });
-        imageClear?.addEventListener('click', () => {
-            this._pendingSignatureImage = null;
-            this._clearImagePreview();
-            updateApplyState();
-            this._refreshSignatureModalExtras();
-        });
-
-        // Save to My Signatures
-        const saveName = document.getElementById('sig-save-name');
-        const saveBtn = document.getElementById('sig-save-btn');
-        saveBtn?.addEventListener('click', async () => {
-            const name = (saveName?.value || '').trim();
-            if (!name) { toast.warning('Enter a name for this signature.'); return; }
-            const dataUrl = this._signatureDataUrlForSave();
-            if (!dataUrl) return;
-            const type = this._activeSignatureTab() === 'image' ? 'image' : (this.signaturePad.mode === 'type' ? 'type' : 'draw');
-            try {
-                await secureStorage.addSignature({ name, dataUrl, type });
-                if (saveName) saveName.value = '';
-                this._refreshSignatureModalExtras();
-            } catch (e) {
-                toast.error('Failed to save: ' + (e instanceof Error ? e.message : String(e)));
+    /**
+     * Draw hit boxes in a layer above each page's annotation canvas.
+     * Boxes are positioned in percentages so they follow zoom and CSS rotation.
+     */
+    drawSearchHighlights() {
+        this.pdfPages?.querySelectorAll('.search-hit-layer').forEach((el) => el.remove());
+        const infoById = new Map((this.pdfHandler.pages || []).map((p) => [p.viewPageId, p]));
+        const layers = new Map();
+
+        this.searchState.hits.forEach((hit, i) => {
+            const info = infoById.get(hit.pageId);
+            if (!info?.inner) return;
+            let layer = layers.get(hit.pageId);
+            if (!layer) {
+                layer = document.createElement('div');
+                layer.className = 'search-hit-layer';
+                info.inner.appendChild(layer);
+                layers.set(hit.pageId, layer);
             }
-        });
-
-        // Apply signature
-        applyBtn.addEventListener('click', () => {
-            if (!this.validateAndApplySignature()) return;
-            this.hideSignatureModal();
-            this.updateSigningFlowBanner();
-        });
-
-        // Close on backdrop click
-        modal.addEventListener('click', (e) => {
-            if (e.target === modal) {
-                this.hideSignatureModal();
+            for (const r of hit.rects) {
+                const box = document.createElement('div');
+                box.className = 'search-hit';
+                box.dataset.hitIndex = String(i);
+                box.style.left = `${r.x * 100}%`;
+                box.style.top = `${r.y * 100}%`;
+                box.style.width = `${r.w * 100}%`;
+                box.style.height = `${r.h * 100}%`;
+                layer.appendChild(box);
             }
         });
+        this.markCurrentSearchHit();
     }
 
-    _clearImagePreview() {
-        const wrap = document.getElementById('sig-image-preview-wrap');
-        const img = document.getElementById('sig-image-preview');
-        const input = document.getElementById('sig-image-input');
-        if (img) img.src = '';
-        wrap?.classList.add('hidden');
-        if (input) input.value = '';
+    markCurrentSearchHit() {
+        const current = String(this.searchState.current);
+        this.pdfPages?.querySelectorAll('.search-hit').forEach((el) => {
+            el.classList.toggle('search-hit--current', el.dataset.hitIndex === current);
+        });
+        this.searchResultsEl?.querySelectorAll('.search-result').forEach((el) => {
+            el.classList.toggle('active', el.dataset.hitIndex === current);
+        });
+        this.updateSearchCount();
     }
 
-    _activeSignatureTab() {
-        const t = this.signatureModal?.querySelector('.sig-tab.active');
-        return t?.dataset?.tab || 'draw';
-    }
+    goToSearchHit(index) {
+        const hit = this.searchState.hits[index];
+        if (!hit) return;
+        this.searchState.current = index;
+        const pageNum = this.viewPages.findIndex((vp) => vp.id === hit.pageId) + 1;
+        if (pageNum > 0) this.goToPage(pageNum);
+        this.markCurrentSearchHit();
 
-    _signatureDataUrlForSave() {
-        if (this._selectedSavedSig) return this._selectedSavedSig.dataUrl;
-        const tab = this._activeSignatureTab();
-        if (tab === 'image') return this._pendingSignatureImage || null;
-        if (tab === 'draw' && this.signaturePad.isEmpty()) return null;
-        if (tab === 'type' && !this.signaturePad.typedText?.trim()) return null;
-        return this.signaturePad.getDataUrl() || null;
+        this.pdfPages?.querySelector('.search-hit--current')?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        this.searchResultsEl?.querySelector('.search-result.active')?.scrollIntoView({ block: 'nearest' });
     }
 
-    _refreshSignatureModalExtras() {
-        const unlocked = secureStorage.hasVault() && secureStorage.isUnlocked();
-        const mySig = document.getElementById('sig-my-signatures');
-        const saveCurrent = document.getElementById('sig-save-current');
-        const hasSig = !!this._signatureDataUrlForSave();
-
-        if (mySig) mySig.classList.toggle('hidden', !unlocked);
-        if (saveCurrent) saveCurrent.classList.toggle('hidden', !unlocked || !hasSig);
-
-        if (unlocked) {
-            const list = document.getElementById('sig-saved-list');
-            if (!list) return;
-            const sigs = secureStorage.getSignatures();
-            list.innerHTML = sigs.length === 0
-                ? '<span class="sig-saved-empty">No saved signatures.</span>'
-                : sigs.map((s) => `<button type="button" class="sig-saved-item" data-id="${escapeHtml(s.id)}" title="${escapeHtml(s.name)}"><img src="${(s.dataUrl || '').replace(/"/g, '&quot;')}" alt=""><span>${escapeHtml(s.name)}</span></button>`).join('');
-            list.querySelectorAll('.sig-saved-item').forEach((btn) => {
-                btn.addEventListener('click', () => {
-                    const id = btn.dataset.id;
-                    const sig = secureStorage.getSignatures().find((x) => x.id === id);
-                    if (!sig) return;
-                    this._selectedSavedSig = sig;
-                    this.signatureModal?.querySelectorAll('.sig-tab').forEach((t) => t.classList.remove('active'));
-                    document.getElementById('sig-draw-area')?.classList.remove('active');
-                    document.getElementById('sig-type-area')?.classList.remove('active');
-                    document.getElementById('sig-image-area')?.classList.remove('active');
-                    this.updateSignatureApplyState();
-                });
-            });
+    /**
+     * Sync the bulk-action bar with the ticked hits
+     */
+    updateSearchSelection() {
+        const { hits, excluded } = this.searchState;
+        const selected = hits.length - excluded.size;
+        this.searchBulkEl?.classList.toggle('hidden', hits.length === 0);
+        if (this.searchSelectAll) {
+            this.searchSelectAll.checked = selected > 0;
+            this.searchSelectAll.indeterminate = selected > 0 && selected < hits.length;
         }
+        const label = document.getElementById('search-selected-count');
+        if (label) label.textContent = selected === hits.length ? `All ${hits.length} matches` : `${selected} of ${hits.length} selected`;
+        ['search-highlight-selected', 'search-redact-selected'].forEach((id) => {
+            const btn = document.getElementById(id);
+            if (btn) btn.disabled = selected === 0 || this.mode !== 'edit';
+        });
     }
 
     /**
-     * Set up signature field modal (for placing empty signature boxes when editing)
+     * Turn the ticked search hits into highlight or redaction annotations (one undo step)
+     * @param {'highlight'|'redact'} kind
      */
-    setupSignatureFieldModal() {
-        const modal = document.getElementById('signature-field-modal');
-        const closeBtn = document.getElementById('signature-field-modal-close');
-        const cancelBtn = document.getElementById('sig-field-cancel');
-        const addBtn = document.getElementById('sig-field-add');
-        const labelInput = document.getElementById('sig-field-label');
-
-        if (!modal || !closeBtn || !cancelBtn || !addBtn || !labelInput) return;
-
-        const updateAddState = () => {
-            const label = (labelInput.value || '').trim();
-            addBtn.disabled = !label;
-        };
-
-        // Close modal
-        closeBtn.addEventListener('click', () => this.hideSignatureFieldModal());
-        cancelBtn.addEventListener('click', () => this.hideSignatureFieldModal());
+    markSearchHits(kind) {
+        if (this.mode !== 'edit') {
+            toast.info('Switch to Edit mode to add highlights or redactions');
+            return;
+        }
+        const { hits, excluded } = this.searchState;
+        const selected = hits.filter((_, i) => !excluded.has(i));
+        if (selected.length === 0) return;
 
-        // Update Add button state when label changes
-        labelInput.addEventListener('input', updateAddState);
+        const added = this.canvasManager.addTextMarkupBatch(selected, kind);
+        if (added === 0) {
+            toast.warning('No matches could be marked');
+            return;
+        }
+        const noun = kind === 'redact' ? 'redaction' : 'highlight';
+        toast.success(`Added ${added} ${noun}${added === 1 ? '' : 's'} for ${selected.length} match${selected.length === 1 ? '' : 'es'}`);
+    }
 
-        // Add field button
-        addBtn.addEventListener('click', () => {
-            const label = (labelInput.value || '').trim();
-            if (!label) return;
+    stepSearchHit(delta) {
+        const n = this.searchState.hits.length;
+        if (n === 0) return;
+        const next = ((this.searchState.current < 0 ? 0 : this.searchState.current + delta) % n + n) % n;
+        this.goToSearchHit(next);
+    }
 
-            // Set the signature field label and switch to signature-field tool
-            this.canvasManager.setSignatureFieldLabel(label);
-            this.canvasManager.setTool('signature-field');
-            this.toolButtons.forEach(b => b.classList.remove('active'));
-            document.querySelector('[data-tool="signature-field"]')?.classList.add('active');
-            this.hideSignatureFieldModal();
-            
-            // Show hint banner and apply cursor
-            this.showToolHint('Click on the document where you want to place the signature field');
-            this.applyToolCursor('signature-field');
+    /**
+     * Detected-fields panel: proposes form fields for a flat PDF (blank lines, boxes, checkbox
+     * squares, "Signature:" labels) to review before they are added
+     */
+    setupFieldDetection() {
+        this.detectPanel = document.getElementById('detect-panel');
+        this.detectListEl = document.getElementById('detect-results');
+        this.detectSelectAll = document.getElementById('detect-select-all');
+
+        document.getElementById('btn-detect-fields')?.addEventListener('click', () => this.runFieldDetection());
+        document.getElementById('detect-panel-close')?.addEventListener('click', () => this.closeFieldDetection());
+        document.getElementById('detect-discard')?.addEventListener('click', () => this.closeFieldDetection());
+        document.getElementById('detect-add')?.addEventListener('click', () => this.addDetectedFields());
+
+        this.detectListEl?.addEventListener('click', (e) => {
+            if (e.target.closest('input, select')) return;
+            const item = e.target.closest('[data-proposal-index]');
+            if (item) this.goToFieldProposal(parseInt(item.dataset.proposalIndex, 10));
         });
-
-        // Close on outside click
-        modal.addEventListener('click', (e) => {
-            if (e.target === modal) this.hideSignatureFieldModal();
+        this.detectListEl?.addEventListener('focusin', (e) => {
+            const item = e.target.closest('[data-proposal-index]');
+            if (!item || !e.target.matches('.detect-name, .detect-type')) return;
+            const index = parseInt(item.dataset.proposalIndex, 10);
+            if (index !== this.detectState.current) this.goToFieldProposal(index);
+        });
+        this.detectListEl?.addEventListener('input', (e) => {
+            const item = e.target.closest('[data-proposal-index]');
+            if (!item || !e.target.matches('.detect-name')) return;
+            this.detectState.proposals[parseInt(item.dataset.proposalIndex, 10)].name = e.target.value;
+        });
+        this.detectListEl?.addEventListener('change', (e) => {
+            const item = e.target.closest('[data-proposal-index]');
+            if (!item) return;
+            const index = parseInt(item.dataset.proposalIndex, 10);
+            if (e.target.matches('.search-result-select')) {
+                if (e.target.checked) this.detectState.excluded.delete(index);
+                else this.detectState.excluded.add(index);
+                this.updateDetectSelection();
+            } else if (e.target.matches('.detect-type')) {
+                this.detectState.proposals[index].type = e.target.value;
+            }
+        });
+        this.detectSelectAll?.addEventListener('change', () => {
+            const { excluded, proposals } = this.detectState;
+            excluded.clear();
+            if (!this.detectSelectAll.checked) proposals.forEach((_, i) => excluded.add(i));
+            this.detectListEl?.querySelectorAll('.search-result-select').forEach((box) => {
+                box.checked = this.detectSelectAll.checked;
+            });
+            this.updateDetectSelection();
         });
     }
 
     /**
-     * Show signature field modal
+     * Look for fields on every page and list them in the panel
      */
-    showSignatureFieldModal() {
-        const modal = document.getElementById('signature-field-modal');
-        const labelInput = document.getElementById('sig-field-label');
-        const addBtn = document.getElementById('sig-field-add');
-        if (!modal || !labelInput || !addBtn) return;
+    async runFieldDetection() {
+        if (!this.pdfHandler.isLoaded()) return;
+        if (this.mode !== 'edit') {
+            toast.info('Switch to Edit mode to add form fields');
+            return;
+        }
+        const proposals = [];
+        try {
+            for (let i = 0; i < this.viewPages.length; i++) {
+                const vp = this.viewPages[i];
+                this.showLoading(`Detecting fields on page ${i + 1} of ${this.viewPages.length}...`);
+                const found = await detectFields(this.pdfHandler, this.textSearch, vp, this.fieldBoxesOnPage(vp.id));
+                found.forEach((proposal) => proposals.push({ ...proposal, pageId: vp.id, name: '' }));
+            }
+        } catch (e) {
+            console.warn('Field detection failed', e);
+            toast.error('Could not detect fields: ' + (e.message || e));
+            return;
+        } finally {
+            this.hideLoading();
+        }
 
-        labelInput.value = '';
-        addBtn.disabled = true;
-        modal.classList.remove('hidden');
-        labelInput.focus();
+        this.nameFieldProposals(proposals);
+        this.detectState = { proposals, excluded: new Set(), current: -1 };
+        this.detectPanel?.classList.remove('hidden');
+        this.renderFieldProposals();
+        if (proposals.length === 0) {
+            toast.info('No fields were found. Scanned pages need their text recognized (OCR) for labels to be read.');
+        }
     }
 
     /**
-     * Hide signature field modal
+     * Boxes of the form fields already on a page, as fractions of the page size
      */
-    hideSignatureFieldModal() {
-        const modal = document.getElementById('signature-field-modal');
-        if (modal) modal.classList.add('hidden');
+    fieldBoxesOnPage(pageId) {
+        const canvas = this.canvasManager.canvases.get(pageId);
+        if (!canvas) return [];
+        const width = canvas.getWidth();
+        const height = canvas.getHeight();
+        return canvas.getObjects()
+            .filter((obj) => obj._fieldName || obj._annotationType === 'signature-field')
+            .map((obj) => {
+                const r = obj.getBoundingRect();
+                return { x: r.left / width, y: r.top / height, w: r.width / width, h: r.height / height };
+            });
     }
 
     /**
-     * Show tool hint banner with message
+     * Give each proposal a unique field name: its label in snake_case, or the field tools'
+     * default name when it has no label
      */
-    showToolHint(message) {
-        const banner = document.getElementById('tool-hint-banner');
-        const text = document.getElementById('tool-hint-banner-text');
-        if (!banner || !text) return;
-        
-        text.textContent = message;
-        banner.classList.remove('hidden');
+    nameFieldProposals(proposals) {
+        const prefixes = { textfield: 'text_field', date: 'date_field', checkbox: 'checkbox', 'signature-field': 'signature_field' };
+        const used = new Set();
+        const taken = (name) => used.has(name) || this.canvasManager.isFieldNameDuplicate(name);
+        for (const proposal of proposals) {
+            const base = fieldNameFromLabel(proposal.label);
+            let name = base;
+            let n = 1;
+            if (!base) {
+                const prefix = prefixes[proposal.type] || 'field';
+                while (taken(`${prefix}_${n}`)) n++;
+                name = `${prefix}_${n}`;
+            } else {
+                while (taken(name)) name = `${base}_${++n}`;
+            }
+            used.add(name);
+            proposal.name = name;
+        }
+    }
+
+    renderFieldProposals() {
+        if (!this.detectListEl) return;
+        const { proposals, excluded } = this.detectState;
+        const pageIndex = new Map(this.viewPages.map((vp, i) => [vp.id, i + 1]));
+        const sources = { line: 'blank line', box: 'empty box', checkbox: 'checkbox square', label: 'label' };
+        const types = [['textfield', 'Text'], ['date', 'Date'], ['checkbox', 'Checkbox'], ['signature-field', 'Signature']];
+
+        if (proposals.length === 0) {
+            this.detectListEl.innerHTML = '<div class="search-empty">No fields found.</div>';
+        } else {
+            this.detectListEl.innerHTML = proposals.map((proposal, i) => `
+                <div class="search-result detect-result" role="listitem" data-proposal-index="${i}">
+                    <input type="checkbox" class="search-result-select" title="Add this field"${excluded.has(i) ? '' : ' checked'}>
+                    <span class="search-result-page">Page ${pageIndex.get(proposal.pageId) ?? '?'} · ${sources[proposal.source] || proposal.source}</span>
+                    <div class="detect-result-fields">
+                        <input type="text" class="search-input detect-name" value="${escapeHtml(proposal.name)}" aria-label="Field name" spellcheck="false">
+                        <select class="detect-type" aria-label="Field type">
+                            ${types.map(([value, label]) => `<option value="${value}"${proposal.type === value ? ' selected' : ''}>${label}</option>`).join('')}
+                        </select>
+                    </div>
+                    ${proposal.label ? `<div class="detect-result-label">${escapeHtml(proposal.label)}</div>` : ''}
+                </div>
+            `).join('');
+        }
+        this.updateDetectSelection();
+        this.drawFieldProposals();
     }
 
     /**
-     * Hide tool hint banner
+     * Sync the Add button, the select-all box and the page overlay with the ticked proposals
      */
-    hideToolHint() {
-        const banner = document.getElementById('tool-hint-banner');
-        if (banner) banner.classList.add('hidden');
+    updateDetectSelection() {
+        const { proposals, excluded } = this.detectState;
+        const selected = proposals.length - excluded.size;
+        if (this.detectSelectAll) {
+            this.detectSelectAll.checked = selected > 0;
+            this.detectSelectAll.indeterminate = selected > 0 && selected < proposals.length;
+        }
+        const label = document.getElementById('detect-selected-count');
+        if (label) label.textContent = selected === proposals.length ? `All ${proposals.length} fields` : `${selected} of ${proposals.length} selected`;
+        const addBtn = document.getElementById('detect-add');
+        if (addBtn) addBtn.disabled = selected === 0;
+        this.pdfPages?.querySelectorAll('.field-proposal').forEach((el) => {
+            el.classList.toggle('field-proposal--excluded', excluded.has(parseInt(el.dataset.proposalIndex, 10)));
+        });
     }
 
     /**
-     * Apply tool-specific cursor to canvas containers
+     * Outline the proposals in a layer above each page, positioned in percentages like search hits
      */
-    applyToolCursor(tool) {
-        const containers = document.querySelectorAll('.canvas-container');
-        containers.forEach(container => {
-            // Remove all tool cursor classes
-            container.classList.remove('text-mode', 'signature-field-mode');
-            
-            // Add specific cursor class
-            if (tool === 'text') {
-                container.classList.add('text-mode');
-            } else if (tool === 'signature-field') {
-                container.classList.add('signature-field-mode');
+    drawFieldProposals() {
+        this.pdfPages?.querySelectorAll('.field-proposal-layer').forEach((el) => el.remove());
+        const infoById = new Map((this.pdfHandler.pages || []).map((p) => [p.viewPageId, p]));
+        const layers = new Map();
+
+        this.detectState.proposals.forEach((proposal, i) => {
+            const info = infoById.get(proposal.pageId);
+            if (!info?.inner) return;
+            let layer = layers.get(proposal.pageId);
+            if (!layer) {
+                layer = document.createElement('div');
+                layer.className = 'field-proposal-layer';
+                info.inner.appendChild(layer);
+                layers.set(proposal.pageId, layer);
             }
+            const { box } = proposal;
+            const el = document.createElement('div');
+            el.className = 'field-proposal';
+            el.dataset.proposalIndex = String(i);
+            el.style.left = `${box.x * 100}%`;
+            el.style.top = `${box.y * 100}%`;
+            el.style.width = `${box.w * 100}%`;
+            el.style.height = `${box.h * 100}%`;
+            layer.appendChild(el);
+        });
+        this.updateDetectSelection();
+        this.markCurrentFieldProposal();
+    }
+
+    markCurrentFieldProposal() {
+        const current = String(this.detectState.current);
+        this.pdfPages?.querySelectorAll('.field-proposal').forEach((el) => {
+            el.classList.toggle('field-proposal--current', el.dataset.proposalIndex === current);
+        });
+        this.detectListEl?.querySelectorAll('.detect-result').forEach((el) => {
+            el.classList.toggle('active', el.dataset.proposalIndex === current);
         });
     }
 
+    goToFieldProposal(index) {
+        const proposal = this.detectState.proposals[index];
+        if (!proposal) return;
+        this.detectState.current = index;
+        const pageNum = this.viewPages.findIndex((vp) => vp.id === proposal.pageId) + 1;
+        if (pageNum > 0) this.goToPage(pageNum);
+        this.markCurrentFieldProposal();
+        this.pdfPages?.querySelector('.field-proposal--current')?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+
     /**
-     * Update Insert Signature button enabled state based on form validity
+     * Drop proposals for pages that were removed and redraw the rest (after the page set changed)
      */
-    updateSignatureApplyState() {
-        const intentCheck = document.getElementById('sig-intent');
-        const consentCheck = document.getElementById('sig-consent');
-        const nameInput = document.getElementById('sig-name');
-        const applyBtn = document.getElementById('sig-apply');
-        if (!intentCheck || !consentCheck || !nameInput || !applyBtn) return;
+    refreshFieldProposals() {
+        const { proposals, excluded } = this.detectState;
+        if (proposals.length === 0) return;
+        const ids = new Set(this.viewPages.map((vp) => vp.id));
+        const kept = [];
+        const keptExcluded = new Set();
+        proposals.forEach((proposal, i) => {
+            if (!ids.has(proposal.pageId)) return;
+            if (excluded.has(i)) keptExcluded.add(kept.length);
+            kept.push(proposal);
+        });
+        this.detectState = { proposals: kept, excluded: keptExcluded, current: -1 };
+        this.renderFieldProposals();
+    }
 
-        const intent = intentCheck.checked;
-        const consent = consentCheck.checked;
-        const name = (nameInput.value || '').trim();
-        const tab = this._activeSignatureTab();
-        let hasSignature = !!this._selectedSavedSig;
-        if (!hasSignature) {
-            if (tab === 'image') hasSignature = !!this._pendingSignatureImage;
-            else if (tab === 'draw') hasSignature = !this.signaturePad.isEmpty();
-            else hasSignature = !!this.signaturePad.typedText?.trim();
+    closeFieldDetection() {
+        this.detectPanel?.classList.add('hidden');
+        this.detectState = { proposals: [], excluded: new Set(), current: -1 };
+        if (this.detectListEl) this.detectListEl.innerHTML = '';
+        this.drawFieldProposals();
+    }
+
+    /**
+     * Add the ticked proposals as form fields (one undo step) and close the panel
+     */
+    addDetectedFields() {
+        if (this.mode !== 'edit') {
+            toast.info('Switch to Edit mode to add form fields');
+            return;
+        }
+        const { proposals, excluded } = this.detectState;
+        const selected = proposals.filter((_, i) => !excluded.has(i));
+        if (selected.length === 0) return;
+
+        const names = new Set();
+        for (const proposal of selected) {
+            const name = proposal.name.trim();
+            if (!name) {
+                toast.warning('Every field needs a name');
+                return;
+            }
+            if (names.has(name.toLowerCase()) || this.canvasManager.isFieldNameDuplicate(name)) {
+                toast.warning(`The field name "${name}" is used more than once`);
+                return;
+            }
+            names.add(name.toLowerCase());
         }
 
-        applyBtn.disabled = !(intent && consent && name && hasSignature);
+        const added = this.canvasManager.addFormFieldsBatch(selected.map((proposal) => ({
+            pageId: proposal.pageId,
+            type: proposal.type,
+            name: proposal.name.trim(),
+            box: proposal.box
+        })));
+        this.closeFieldDetection();
+        if (added === 0) {
+            toast.warning('No fields could be added');
+            return;
+        }
+        toast.success(`Added ${added} form field${added === 1 ? '' : 's'}`);
     }
 
     /**
-     * Validate form, build meta, set signature, and switch to signature tool
-     * @returns {boolean} true if applied
+     * Bookmarks panel: shows the document outline and, in Edit mode, lets it be edited
      */
-    validateAndApplySignature() {
-        const intentCheck = document.getElementById('sig-intent');
-        const consentCheck = document.getElementById('sig-consent');
-        const nameInput = document.getElementById('sig-name');
-        const printedNameInput = document.getElementById('sig-printed-name');
-        const emailInput = document.getElementById('sig-email');
-        const applyBtn = document.getElementById('sig-apply');
-        if (!intentCheck || !consentCheck || !nameInput || !applyBtn) return false;
+    setupBookmarksPanel() {
+        this.bookmarksPanel = document.getElementById('bookmarks-panel');
+        this.bookmarksTree = document.getElementById('bookmarks-tree');
 
-        const intent = intentCheck.checked;
-        const consent = consentCheck.checked;
-        const fieldLabel = (nameInput.value || '').trim();  // Which signature field (slot)
-        const printedName = (printedNameInput?.value || '').trim();  // Signer's legal name for audit
-        const email = (emailInput?.value || '').trim();
-        const dataUrl = this._selectedSavedSig
-            ? this._selectedSavedSig.dataUrl
-            : (this._activeSignatureTab() === 'image' ? this._pendingSignatureImage : this.signaturePad.getDataUrl());
+        document.getElementById('btn-bookmarks')?.addEventListener('click', () => {
+            if (!this.pdfHandler.isLoaded()) return;
+            this.bookmarksPanel?.classList.toggle('hidden');
+        });
+        document.getElementById('bookmarks-panel-close')?.addEventListener('click', () => this.bookmarksPanel?.classList.add('hidden'));
+        document.getElementById('bookmark-add')?.addEventListener('click', () => this.addBookmark());
+        document.getElementById('bookmark-rename')?.addEventListener('click', () => this.startBookmarkRename(this.selectedBookmarkId));
+        document.getElementById('bookmark-delete')?.addEventListener('click', () => this.deleteBookmark());
+        document.getElementById('bookmark-up')?.addEventListener('click', () => this.moveBookmark(-1));
+        document.getElementById('bookmark-down')?.addEventListener('click', () => this.moveBookmark(1));
+        document.getElementById('bookmark-outdent')?.addEventListener('click', () => this.outdentBookmark());
+        document.getElementById('bookmark-indent')?.addEventListener('click', () => this.indentBookmark());
+
+        this.bookmarksTree?.addEventListener('click', (e) => {
+            if (e.target.closest('.bookmark-title-input')) return;
+            const row = e.target.closest('[data-bookmark-id]');
+            if (!row) return;
+            const id = row.dataset.bookmarkId;
+            if (e.target.closest('.bookmark-toggle')) {
+                // Expanding is how the panel is viewed, not an edit to undo
+                const { item } = this.locateBookmark(id) || {};
+                if (item) item.open = !item.open;
+                this.renderBookmarks();
+                return;
+            }
+            this.selectedBookmarkId = id;
+            this.renderBookmarks();
+            this.goToBookmark(id);
+        });
+        this.bookmarksTree?.addEventListener('dblclick', (e) => {
+            const row = e.target.closest('[data-bookmark-id]');
+            if (row && !e.target.closest('.bookmark-toggle')) this.startBookmarkRename(row.dataset.bookmarkId);
+        });
+        this.bookmarksTree?.addEventListener('keydown', (e) => {
+            if (e.target.closest('.bookmark-title-input') || !this.selectedBookmarkId) return;
+            if (e.key === 'F2') {
+                e.preventDefault();
+                this.startBookmarkRename(this.selectedBookmarkId);
+            } else if (e.key === 'Delete' && this.mode !== 'fill') {
+                e.preventDefault();
+                e.stopPropagation();
+                this.deleteBookmark();
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                this.goToBookmark(this.selectedBookmarkId);
+            }
+        });
+    }
 
-        if (!intent || !consent || !fieldLabel || !dataUrl) return false;
+    /**
+     * Bookmarks for a document's outline, pointing at the document's view pages
+     * @param {string} docId
+     * @returns {Promise<Array<Object>>} Bookmark tree (see outlines.js Bookmark), each with an id
+     */
+    async readBookmarks(docId) {
+        let entries = [];
+        try {
+            entries = await this.pdfHandler.getOutline(docId);
+        } catch (e) {
+            console.warn('Could not read the document outline:', e);
+        }
+        const convert = (list) => list.map(({ pageNum, children, ...entry }) => ({
+            ...entry,
+            id: this.newBookmarkId(),
+            pageId: pageNum ? `${docId}:${pageNum}` : null,
+            children: convert(children)
+        }));
+        return convert(entries);
+    }
 
-        // signerName = printed name for audit trail; fallback to field label if not provided
-        const meta = {
-            signerName: printedName || fieldLabel,
-            signerEmail: email || undefined,
-            intentAccepted: intent,
-            consentAccepted: consent,
-            documentFilename: this.fileName || '',
-            documentHash: this.documentHash || undefined
-        };
+    newBookmarkId() {
+        this._bookmarkSeq = (this._bookmarkSeq || 0) + 1;
+        return `bm${this._bookmarkSeq}`;
+    }
 
-        this.canvasManager.setSignature(dataUrl, meta);
-        
-        // In Fill mode: fill signature field(s)
-        if (this.mode === 'fill') {
-            if (this._targetSignatureField?.object) {
-                // We have a specific field to fill
-                const canvas = this.canvasManager.canvases.get(this._targetSignatureField.pageId);
-                if (canvas) {
-                    this.canvasManager.replaceSignatureField(this._targetSignatureField.object, canvas);
-                    this._targetSignatureField = null;
-                    this.refreshFieldsSidebar();
-                    return true;
-                }
-            }
-            const filled = this.fillMatchingSignatureFields(fieldLabel, email);
-            if (filled > 0) {
-                this.refreshFieldsSidebar();
-                return true;
-            } else {
-                toast.warning('No matching signature field found for this signer. Please ensure the document has a signature field with your name or contact the sender.');
-                return false;
+    /**
+     * Replace the bookmarks (used on load and by undo/redo)
+     * @param {{ items: Array<Object>; edited: boolean }} state
+     */
+    setBookmarks(state) {
+        this.bookmarks = structuredClone(state);
+        if (this.selectedBookmarkId && !this.locateBookmark(this.selectedBookmarkId)) this.selectedBookmarkId = null;
+        this.renderBookmarks();
+    }
+
+    /**
+     * Change the bookmarks as one undoable step; exports write them from then on
+     * @param {string} label
+     * @param {(items: Array<Object>) => void} change - Edits the bookmark tree in place
+     */
+    editBookmarks(label, change) {
+        const before = structuredClone(this.bookmarks);
+        const after = structuredClone(this.bookmarks);
+        change(after.items);
+        after.edited = true;
+        this.setBookmarks(after);
+        const pageId = this.locateBookmark(this.selectedBookmarkId)?.item.pageId;
+        this.documentHistory.push({
+            label,
+            pageId,
+            undo: () => this.setBookmarks(before),
+            redo: () => this.setBookmarks(after)
+        });
+        this.updateHistoryButtons();
+    }
+
+    /**
+     * Find a bookmark in the tree
+     * @returns {{ item: Object; list: Array<Object>; index: number; parent: Object|null; parentList: Array<Object>|null } | null}
+     */
+    locateBookmark(id, list = this.bookmarks.items, parent = null, parentList = null) {
+        for (let index = 0; index < list.length; index++) {
+            const item = list[index];
+            if (item.id === id) return { item, list, index, parent, parentList };
+            const found = this.locateBookmark(id, item.children, item, list);
+            if (found) return found;
+        }
+        return null;
+    }
+
+    /** The bookmarks exports should write, or null to carry over the documents' own */
+    editedBookmarks() {
+        return this.bookmarks.edited ? this.bookmarks.items : null;
+    }
+
+    renderBookmarks() {
+        if (!this.bookmarksTree) return;
+        const pageNumById = new Map(this.viewPages.map((vp, i) => [vp.id, i + 1]));
+        const canEdit = this.mode !== 'fill';
+        const rows = [];
+        const addRows = (list, depth) => {
+            for (const item of list) {
+                const pageNum = item.pageId ? pageNumById.get(item.pageId) : null;
+                const missing = !!item.pageId && !pageNum;
+                const target = pageNum ? `p. ${pageNum}` : item.url ? 'Link' : '';
+                const toggle = item.children.length > 0
+                    ? `<button type="button" class="bookmark-toggle" aria-label="${item.open ? 'Collapse' : 'Expand'}">${item.open ? '▾' : '▸'}</button>`
+                    : '<span class="bookmark-toggle"></span>';
+                rows.push(`
+                    <div class="bookmark-item${item.id === this.selectedBookmarkId ? ' active' : ''}${missing ? ' bookmark-item--missing' : ''}" role="treeitem" tabindex="0"
+                        data-bookmark-id="${item.id}" style="padding-left: ${depth * 14 + 4}px"${item.children.length ? ` aria-expanded="${item.open}"` : ''}
+                        title="${missing ? 'Its page was removed; exports leave it out' : escapeHtml(item.url || item.title)}">
+                        ${toggle}<span class="bookmark-title">${escapeHtml(item.title || 'Untitled')}</span><span class="bookmark-page">${target}</span>
+                    </div>
+                `);
+                if (item.open) addRows(item.children, depth + 1);
             }
+        };
+        addRows(this.bookmarks.items, 0);
+        this.bookmarksTree.innerHTML = rows.length
+            ? rows.join('')
+            : `<div class="search-empty">No bookmarks.${canEdit ? ' Use Add to bookmark the page you are viewing.' : ''}</div>`;
+        this.updateBookmarksToolbar();
+    }
+
+    updateBookmarksToolbar() {
+        const canEdit = this.mode !== 'fill';
+        const found = this.locateBookmark(this.selectedBookmarkId);
+        document.getElementById('bookmarks-toolbar')?.classList.toggle('hidden', !canEdit);
+        const hint = document.getElementById('bookmarks-hint');
+        if (hint) hint.textContent = canEdit ? 'Click a bookmark to go to its page. Double-click to rename.' : 'Click a bookmark to go to its page.';
+        const enable = {
+            'bookmark-add': this.viewPages.length > 0,
+            'bookmark-rename': !!found,
+            'bookmark-delete': !!found,
+            'bookmark-up': !!found && found.index > 0,
+            'bookmark-down': !!found && found.index < found.list.length - 1,
+            'bookmark-outdent': !!found?.parent,
+            'bookmark-indent': !!found && found.index > 0
+        };
+        for (const [id, enabled] of Object.entries(enable)) {
+            const btn = document.getElementById(id);
+            if (btn) btn.disabled = !enabled;
         }
-        
-        // In Edit mode: set tool to place signature manually
-        this.canvasManager.setTool('signature');
-        this.toolButtons.forEach(b => b.classList.remove('active'));
-        document.querySelector('[data-tool="signature"]')?.classList.add('active');
-        return true;
+    }
+
+    goToBookmark(id) {
+        const item = this.locateBookmark(id)?.item;
+        if (!item?.pageId) return;
+        const pageNum = this.viewPages.findIndex((vp) => vp.id === item.pageId) + 1;
+        if (pageNum > 0) this.goToPage(pageNum);
+        else toast.info('The page of this bookmark was removed.');
     }
 
     /**
-     * Find and fill signature fields that match the field label and optional email
-     * @param {string} fieldLabelToMatch - Signature field label (slot identifier) to match
-     * @param {string} signerEmail - Email of the signer (optional, for expected-signer matching)
-     * @returns {number} Number of signature fields filled
+     * Bookmark the page being viewed, after the selected bookmark (or at the end), and start renaming it
      */
-    fillMatchingSignatureFields(fieldLabelToMatch, signerEmail) {
-        let filledCount = 0;
-        
-        // Get all signature fields from all canvases
-        this.canvasManager.canvases.forEach((canvas, pageId) => {
-            const objects = canvas.getObjects();
-            objects.forEach(obj => {
-                if (obj._annotationType === 'signature-field') {
-                    const fieldLabel = obj._signatureFieldLabel || '';
-                    
-                    // Match by field label (exact or partial)
-                    const matchesFieldLabel = fieldLabel.toLowerCase().includes(fieldLabelToMatch.toLowerCase()) ||
-                                             fieldLabelToMatch.toLowerCase().includes(fieldLabel.toLowerCase());
-                    const matchesEmail = signerEmail && fieldLabel.toLowerCase().includes(signerEmail.toLowerCase());
-                    
-                    // Also check if this field matches expected signers (by field label / email)
-                    const matchesExpected = this.signatureFieldMatchesExpectedSigner(fieldLabel, fieldLabelToMatch, signerEmail);
-                    
-                    if (matchesFieldLabel || matchesEmail || matchesExpected) {
-                        this.canvasManager.replaceSignatureField(obj, canvas);
-                        filledCount++;
-                    }
-                }
-            });
+    addBookmark() {
+        const pageNum = this.pdfHandler.currentPage;
+        const vp = this.viewPages[pageNum - 1];
+        if (!vp || this.mode === 'fill') return;
+        const bookmark = { id: this.newBookmarkId(), title: `Page ${pageNum}`, pageId: vp.id, view: null, open: false, children: [] };
+        const selectedId = this.selectedBookmarkId;
+        this.selectedBookmarkId = bookmark.id;
+        this.editBookmarks('Add bookmark', (items) => {
+            const found = this.locateBookmark(selectedId, items);
+            if (found) found.list.splice(found.index + 1, 0, bookmark);
+            else items.push(bookmark);
         });
-        
-        return filledCount;
+        this.bookmarksPanel?.classList.remove('hidden');
+        this.startBookmarkRename(bookmark.id);
     }
 
     /**
-     * Check if a signature field matches an expected signer from metadata
+     * Edit a bookmark's title in place (Enter or leaving the field keeps it, Escape cancels)
      */
-    signatureFieldMatchesExpectedSigner(fieldLabel, signerName, signerEmail) {
-        if (!this.signingFlowMeta || !this.signingFlowMeta.expectedSigners) return false;
-        
-        const expectedSigners = this.signingFlowMeta.expectedSigners || [];
-        
-        // Find a matching expected signer
-        const matchingSigner = expectedSigners.find(signer => {
-            const nameMatches = signer.name && (
-                signer.name.toLowerCase() === signerName.toLowerCase() ||
-                fieldLabel.toLowerCase().includes(signer.name.toLowerCase())
-            );
-            const emailMatches = signerEmail && signer.email && 
-                                signer.email.toLowerCase() === signerEmail.toLowerCase();
-            
-            return nameMatches || emailMatches;
+    startBookmarkRename(id) {
+        if (this.mode === 'fill') return;
+        const found = this.locateBookmark(id);
+        const titleEl = this.bookmarksTree?.querySelector(`[data-bookmark-id="${id}"] .bookmark-title`);
+        if (!found || !titleEl) return;
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'bookmark-title-input';
+        input.value = found.item.title;
+        titleEl.replaceWith(input);
+        input.focus();
+        input.select();
+        let done = false;
+        const finish = (keep) => {
+            if (done) return;
+            done = true;
+            const title = input.value.trim();
+            if (keep && title && title !== found.item.title) {
+                this.editBookmarks('Rename bookmark', (items) => {
+                    this.locateBookmark(id, items).item.title = title;
+                });
+            } else {
+                this.renderBookmarks();
+            }
+            this.bookmarksTree?.querySelector(`[data-bookmark-id="${id}"]`)?.focus();
+        };
+        input.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (e.key === 'Enter') finish(true);
+            else if (e.key === 'Escape') finish(false);
         });
-        
-        return !!matchingSigner;
+        input.addEventListener('blur', () => finish(true));
+    }
+
+    /** Delete the selected bookmark and the bookmarks nested in it */
+    deleteBookmark() {
+        const found = this.locateBookmark(this.selectedBookmarkId);
+        if (!found || this.mode === 'fill') return;
+        const next = found.list[found.index + 1] || found.list[found.index - 1] || found.parent;
+        const id = found.item.id;
+        this.editBookmarks('Delete bookmark', (items) => {
+            const { list, index } = this.locateBookmark(id, items);
+            list.splice(index, 1);
+        });
+        this.selectedBookmarkId = next?.id || null;
+        this.renderBookmarks();
+    }
+
+    /** Move the selected bookmark up (-1) or down (1) among its siblings */
+    moveBookmark(delta) {
+        const found = this.locateBookmark(this.selectedBookmarkId);
+        if (!found || !found.list[found.index + delta] || this.mode === 'fill') return;
+        this.editBookmarks('Move bookmark', (items) => {
+            const { list, index } = this.locateBookmark(found.item.id, items);
+            const [item] = list.splice(index, 1);
+            list.splice(index + delta, 0, item);
+        });
+    }
+
+    /** Nest the selected bookmark under the one above it */
+    indentBookmark() {
+        const found = this.locateBookmark(this.selectedBookmarkId);
+        if (!found || found.index === 0 || this.mode === 'fill') return;
+        this.editBookmarks('Nest bookmark', (items) => {
+            const { list, index } = this.locateBookmark(found.item.id, items);
+            const [item] = list.splice(index, 1);
+            const parent = list[index - 1];
+            parent.children.push(item);
+            parent.open = true;
+        });
+    }
+
+    /** Move the selected bookmark out of its parent, right after it */
+    outdentBookmark() {
+        const found = this.locateBookmark(this.selectedBookmarkId);
+        if (!found?.parent || this.mode === 'fill') return;
+        this.editBookmarks('Move bookmark out', (items) => {
+            const { list, index, parent, parentList } = this.locateBookmark(found.item.id, items);
+            const [item] = list.splice(index, 1);
+            parentList.splice(parentList.indexOf(parent) + 1, 0, item);
+        });
+    }
+
+    setupOcrModal() {
+        const modal = document.getElementById('ocr-modal');
+        const languages = document.getElementById('ocr-languages');
+        const saved = (localStorage.getItem(OCR_LANGUAGES_KEY) || 'eng').split('+');
+        if (languages) {
+            languages.innerHTML = OCR_LANGUAGES
+                .map(({ code, name }) => `<option value="${code}"${saved.includes(code) ? ' selected' : ''}>${escapeHtml(name)}</option>`)
+                .join('');
+        }
+        document.getElementById('btn-ocr')?.addEventListener('click', () => this.showOcrModal());
+        document.getElementById('ocr-modal-close')?.addEventListener('click', () => this.hideOcrModal());
+        document.getElementById('ocr-cancel')?.addEventListener('click', () => this.hideOcrModal());
+        document.getElementById('ocr-start')?.addEventListener('click', () => this.runOcr());
+        document.getElementById('ocr-clear')?.addEventListener('click', () => this.clearOcrText());
+        modal?.addEventListener('click', (e) => {
+            if (e.target === modal) this.hideOcrModal();
+        });
+    }
+
+    showOcrModal() {
+        if (this.viewPages.length === 0) return;
+        if (!this.pageOcr.isAvailable()) {
+            toast.error('The OCR engine is not installed on this site (see "OCR engine" in the README).');
+            return;
+        }
+        document.getElementById('ocr-progress')?.classList.add('hidden');
+        this.updateOcrModal();
+        document.getElementById('ocr-modal')?.classList.remove('hidden');
+    }
+
+    /** Close the OCR modal; a run in progress stops, keeping the pages already read */
+    hideOcrModal() {
+        if (this.ocrRunning) this.pageOcr.cancel();
+        document.getElementById('ocr-modal')?.classList.add('hidden');
+    }
+
+    updateOcrModal() {
+        const count = this.viewPages.filter((vp) => this.textSearch.getOcrText(vp.docId, vp.sourcePageNum)).length;
+        const status = document.getElementById('ocr-status');
+        if (status) {
+            status.textContent = count > 0
+                ? `${count} page${count === 1 ? ' has' : 's have'} recognized text; it is saved as an invisible text layer when you download.`
+                : '';
+        }
+        document.getElementById('ocr-clear')?.classList.toggle('hidden', count === 0 || this.ocrRunning);
+        document.getElementById('ocr-start').disabled = this.ocrRunning;
+        document.getElementById('ocr-languages').disabled = this.ocrRunning;
+        document.getElementById('ocr-pages').disabled = this.ocrRunning;
+        document.getElementById('ocr-cancel').textContent = this.ocrRunning ? 'Cancel' : 'Close';
     }
 
     /**
-     * Show signature modal
-     * @param {Object} [options]
-     * @param {Object} [options.targetField] - When signing a specific field, pass it. Name will be field ID (read-only), email pre-filled if known.
+     * Recognize the chosen pages one by one with per-page progress.
+     * The text can be searched at once and is written as an invisible layer on export.
      */
-    showSignatureModal(options = {}) {
-        const { targetField } = options;
-        this._targetSignatureField = targetField || null;
-        this._pendingSignatureImage = null;
-        this._selectedSavedSig = null;
-        this._clearImagePreview();
+    async runOcr() {
+        const language = [...document.getElementById('ocr-languages').selectedOptions].map((o) => o.value).join('+');
+        if (!language) {
+            toast.warning('Select the language(s) the pages are written in.');
+            return;
+        }
+        localStorage.setItem(OCR_LANGUAGES_KEY, language);
 
-        this.signatureModal.classList.remove('hidden');
-        this.signaturePad.clear();
-        this.signaturePad.setTypedText('');
-        // Resize canvas to match display after modal is laid out (fixes coordinate offset)
-        requestAnimationFrame(() => {
-            requestAnimationFrame(() => {
-                this.signaturePad.resize();
+        const scope = document.getElementById('ocr-pages').value;
+        let pages = scope === 'current' ? [this.viewPages[this.pdfHandler.currentPage - 1]].filter(Boolean) : this.viewPages;
+        if (scope === 'scanned') {
+            const scanned = [];
+            for (const vp of pages) {
+                try {
+                    if (!(await this.textSearch.hasOwnText(vp.docId, vp.sourcePageNum))) scanned.push(vp);
+                } catch (e) {
+                    console.warn('Could not extract text for page', vp.id, e);
+                    scanned.push(vp);
+                }
+            }
+            pages = scanned;
+        }
+        if (pages.length === 0) {
+            toast.info('Every page already has text. Choose "All pages" to recognize them anyway.');
+            return;
+        }
+
+        const progress = document.getElementById('ocr-progress');
+        const progressFill = document.getElementById('ocr-progress-fill');
+        const progressText = document.getElementById('ocr-progress-text');
+        const pageNumById = new Map(this.viewPages.map((vp, i) => [vp.id, i + 1]));
+        progressFill.style.width = '0%';
+        progressText.textContent = '';
+        progress.classList.remove('hidden');
+        this.ocrRunning = true;
+        this.updateOcrModal();
+
+        let outcome;
+        try {
+            outcome = await this.pageOcr.recognize(pages, language, ({ index, total, pageId, status, progress: p }) => {
+                progressFill.style.width = Math.round(((index + p) / total) * 100) + '%';
+                const percent = status === 'Recognizing text' ? ` ${Math.round(p * 100)}%` : '';
+                progressText.textContent = `Page ${pageNumById.get(pageId)} (${index + 1} of ${total}): ${status}${percent}`;
             });
-        });
-        const textInput = document.getElementById('sig-text-input');
-        if (textInput) textInput.value = '';
-        const preview = document.getElementById('sig-preview');
-        if (preview) preview.textContent = 'Preview';
+        } catch (e) {
+            console.warn('Text recognition failed:', e);
+            toast.error('Text recognition failed: ' + e.message);
+            progress.classList.add('hidden');
+            return;
+        } finally {
+            this.ocrRunning = false;
+            this.updateOcrModal();
+        }
 
-        this.signatureModal?.querySelectorAll('.sig-tab').forEach((t) => t.classList.remove('active'));
-        const drawTab = this.signatureModal?.querySelector('.sig-tab[data-tab="draw"]');
-        if (drawTab) drawTab.classList.add('active');
-        document.getElementById('sig-draw-area')?.classList.add('active');
-        document.getElementById('sig-type-area')?.classList.remove('active');
-        document.getElementById('sig-image-area')?.classList.remove('active');
-        this.signaturePad.setMode('draw');
+        const { results, cancelled } = outcome;
+        if (results.size > 0) {
+            this.changeOcrText('Recognize text', pages.filter((vp) => results.has(vp.id)).map((vp) => [vp, results.get(vp.id)]));
+        }
+        const done = `Recognized text on ${results.size} of ${pages.length} page${pages.length === 1 ? '' : 's'}`;
+        progressText.textContent = cancelled ? `Cancelled. ${done}.` : `${done}.`;
+        if (!cancelled) {
+            toast.success(`${done}. It can be searched now and is saved as an invisible text layer when you download.`);
+            this.hideOcrModal();
+        }
+    }
 
+    /** Remove the recognized text of every page (undoable) */
+    clearOcrText() {
+        const pages = this.viewPages.filter((vp) => this.textSearch.getOcrText(vp.docId, vp.sourcePageNum));
+        if (pages.length === 0) return;
+        this.changeOcrText('Remove recognized text', pages.map((vp) => [vp, null]));
+    }
+
+    /**
+     * Set the recognized text of pages as one undoable step
+     * @param {string} label
+     * @param {Array<[{id: string; docId: string; sourcePageNum: number}, import('./ocr.js').OcrPage|null]>} changes
+     */
+    changeOcrText(label, changes) {
+        const steps = changes.map(([vp, ocrPage]) => ({
+            vp,
+            before: this.textSearch.getOcrText(vp.docId, vp.sourcePageNum),
+            after: ocrPage
+        }));
+        const apply = (key) => {
+            steps.forEach((step) => this.textSearch.setOcrText(step.vp.docId, step.vp.sourcePageNum, step[key]));
+            this.refreshSearch();
+            this.updateOcrModal();
+        };
+        apply('after');
+        this.documentHistory.push({
+            label,
+            pageId: steps[0]?.vp.id,
+            undo: () => apply('before'),
+            redo: () => apply('after')
+        });
+        this.updateHistoryButtons();
+    }
+
+    /**
+     * Recognized text of the pages being exported, by view page id
+     * @returns {Map<string, import('./ocr.js').OcrPage>}
+     */
+    ocrTextFor(viewPages) {
+        const ocrText = new Map();
+        for (const vp of viewPages) {
+            const ocrPage = this.textSearch.getOcrText(vp.docId, vp.sourcePageNum);
+            if (ocrPage) ocrText.set(vp.id, ocrPage);
+        }
+        return ocrText;
+    }
+
+    /**
+     * Initialize signature pad
+     */
+    initSignaturePad() {
+        const canvas = document.getElementById('signature-canvas');
+        this.signaturePad.init(canvas);
+    }
+
+    /**
+     * Set up signature modal
+     */
+    setupSignatureModal() {
+        const modal = this.signatureModal;
+        const closeBtn = document.getElementById('signature-modal-close');
+        const cancelBtn = document.getElementById('sig-cancel');
+        const applyBtn = document.getElementById('sig-apply');
+        const clearBtn = document.getElementById('sig-clear');
+        const tabs = modal.querySelectorAll('.sig-tab');
+        const textInput = document.getElementById('sig-text-input');
+        const fontOptions = modal.querySelectorAll('input[name="sig-font"]');
+        const preview = document.getElementById('sig-preview');
         const intentCheck = document.getElementById('sig-intent');
         const consentCheck = document.getElementById('sig-consent');
         const nameInput = document.getElementById('sig-name');
-        const nameLabel = document.querySelector('label[for="sig-name"]');
-        const nameHint = nameInput?.closest('.sig-field')?.querySelector('.sig-field-hint');
-        const printedNameInput = document.getElementById('sig-printed-name');
         const emailInput = document.getElementById('sig-email');
-        const applyBtn = document.getElementById('sig-apply');
-        if (intentCheck) intentCheck.checked = false;
-        if (consentCheck) consentCheck.checked = false;
-        if (printedNameInput) printedNameInput.value = '';
-        if (applyBtn) applyBtn.disabled = true;
+        const sigCanvas = document.getElementById('signature-canvas');
 
-        if (targetField) {
-            // Signing a specific field: field ID read-only, printed name optional
-            const fieldLabel = targetField.signatureFieldLabel || targetField.object?._signatureFieldLabel || '';
-            if (nameInput) {
-                nameInput.value = fieldLabel;
-                nameInput.readOnly = true;
-                nameInput.classList.add('readonly');
-            }
-            if (nameLabel) nameLabel.textContent = 'Signature field';
-            if (nameHint) nameHint.textContent = 'This field will receive your signature.';
-            if (printedNameInput) {
-                printedNameInput.placeholder = 'e.g. John Doe';
-                printedNameInput.disabled = false;
-            }
-            const signerInfo = this.detectCurrentSignerForField(targetField);
-            if (emailInput) {
-                emailInput.value = signerInfo.email || '';
-                emailInput.readOnly = !!signerInfo.email;
-                emailInput.classList.toggle('readonly', !!signerInfo.email);
+        const updateApplyState = () => this.updateSignatureApplyState();
+
+        // Close modal
+        closeBtn.addEventListener('click', () => this.hideSignatureModal());
+        cancelBtn.addEventListener('click', () => this.hideSignatureModal());
+
+        // Clear signature
+        clearBtn.addEventListener('click', () => {
+            this.signaturePad.clear();
+            updateApplyState();
+            this.updateHistoryButtons();
+        });
+
+        // Consent + identity
+        [intentCheck, consentCheck].forEach((el) => el?.addEventListener('change', updateApplyState));
+        nameInput?.addEventListener('input', updateApplyState);
+        emailInput?.addEventListener('input', updateApplyState);
+
+        // Tab switching
+        const drawArea = document.getElementById('sig-draw-area');
+        const typeArea = document.getElementById('sig-type-area');
+        const imageArea = document.getElementById('sig-image-area');
+        tabs.forEach(tab => {
+            tab.addEventListener('click', () => {
+                tabs.forEach(t => t.classList.remove('active'));
+                tab.classList.add('active');
+
+                const tabName = tab.dataset.tab;
+                drawArea?.classList.toggle('active', tabName === 'draw');
+                typeArea?.classList.toggle('active', tabName === 'type');
+                imageArea?.classList.toggle('active', tabName === 'image');
+
+                this._selectedSavedSig = null;
+                if (tabName !== 'image') this._pendingSignatureImage = null;
+                this._clearImagePreview();
+                if (tabName === 'draw' || tabName === 'type') this.signaturePad.setMode(tabName);
+                this._refreshSignatureModalExtras();
+                updateApplyState();
+                this.updateHistoryButtons();
+            });
+        });
+
+        // Text input
+        textInput.addEventListener('input', (e) => {
+            this.signaturePad.setTypedText(e.target.value);
+            this.signaturePad.updatePreview(preview);
+            updateApplyState();
+        });
+
+        // Font options
+        fontOptions.forEach(option => {
+            option.addEventListener('change', (e) => {
+                this.signaturePad.setFontStyle(e.target.value);
+                this.signaturePad.updatePreview(preview);
+            });
+        });
+
+        // Draw end (mouseup/touchend on pad) to refresh Apply state
+        if (sigCanvas) {
+            const onSigChanged = () => {
+                updateApplyState();
+                this.updateHistoryButtons();
+            };
+            sigCanvas.addEventListener('mouseup', onSigChanged);
+            sigCanvas.addEventListener('touchend', onSigChanged);
+        }
+
+        // Image tab: file input, preview, clear
+        const imageInput = document.getElementById('sig-image-input');
+        const imagePreviewWrap = document.getElementById('sig-image-preview-wrap');
+        const imagePreview = document.getElementById('sig-image-preview');
+        const imageClear = document.getElementById('sig-image-clear');
+        imageInput?.addEventListener('change', (e) => {
+            const f = e.target.files?.[0];
+            if (!f) return;
+            const r = new FileReader();
+            r.onload = () => {
+                this._pendingSignatureImage = r.result;
+                if (imagePreview) imagePreview.src = this._pendingSignatureImage;
+                imagePreviewWrap?.classList.remove('hidden');
+                updateApplyState();
+                this._refreshSignatureModalExtras();
+            };
+            r.readAsDataURL(f);
+            imageInput.value = '';
+        });
+        imageClear?.addEventListener('click', () => {
+            this._pendingSignatureImage = null;
+            this._clearImagePreview();
+            updateApplyState();
+            this._refreshSignatureModalExtras();
+        });
+
+        // Save to My Signatures
+        const saveName = document.getElementById('sig-save-name');
+        const saveBtn = document.getElementById('sig-save-btn');
+        saveBtn?.addEventListener('click', async () => {
+            const name = (saveName?.value || '').trim();
+            if (!name) { toast.warning('Enter a name for this signature.'); return; }
+            const dataUrl = this._signatureDataUrlForSave();
+            if (!dataUrl) return;
+            const type = this._activeSignatureTab() === 'image' ? 'image' : (this.signaturePad.mode === 'type' ? 'type' : 'draw');
+            try {
+                await secureStorage.addSignature({ name, dataUrl, type });
+                if (saveName) saveName.value = '';
+                this._refreshSignatureModalExtras();
+            } catch (e) {
+                toast.error('Failed to save: ' + (e instanceof Error ? e.message : String(e)));
             }
-        } else {
-            // General sign: user enters field label for matching, printed name optional
-            if (nameInput) {
-                nameInput.value = '';
-                nameInput.readOnly = false;
-                nameInput.classList.remove('readonly');
+        });
+
+        // Apply signature
+        applyBtn.addEventListener('click', () => {
+            if (!this.validateAndApplySignature()) return;
+            this.hideSignatureModal();
+            this.updateSigningFlowBanner();
+        });
+
+        // Close on backdrop click
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                this.hideSignatureModal();
             }
-            if (nameLabel) nameLabel.innerHTML = 'Signature field <span class="required">*</span>';
-            if (nameHint) nameHint.textContent = 'Identifies which signature slot. Must match the field label on the document.';
-            if (printedNameInput) {
-                printedNameInput.placeholder = 'e.g. John Doe';
-                printedNameInput.disabled = false;
+        });
+    }
+
+    _clearImagePreview() {
+        const wrap = document.getElementById('sig-image-preview-wrap');
+        const img = document.getElementById('sig-image-preview');
+        const input = document.getElementById('sig-image-input');
+        if (img) img.src = '';
+        wrap?.classList.add('hidden');
+        if (input) input.value = '';
+    }
+
+    _activeSignatureTab() {
+        const t = this.signatureModal?.querySelector('.sig-tab.active');
+        return t?.dataset?.tab || 'draw';
+    }
+
+    _signatureDataUrlForSave() {
+        if (this._selectedSavedSig) return this._selectedSavedSig.dataUrl;
+        const tab = this._activeSignatureTab();
+        if (tab === 'image') return this._pendingSignatureImage || null;
+        if (tab === 'draw' && this.signaturePad.isEmpty()) return null;
+        if (tab === 'type' && !this.signaturePad.typedText?.trim()) return null;
+        return this.signaturePad.getDataUrl() || null;
+    }
+
+    _refreshSignatureModalExtras() {
+        const unlocked = secureStorage.hasVault() && secureStorage.isUnlocked();
+        const mySig = document.getElementById('sig-my-signatures');
+        const saveCurrent = document.getElementById('sig-save-current');
+        const hasSig = !!this._signatureDataUrlForSave();
+
+        if (mySig) mySig.classList.toggle('hidden', !unlocked);
+        if (saveCurrent) saveCurrent.classList.toggle('hidden', !unlocked || !hasSig);
+
+        if (unlocked) {
+            const list = document.getElementById('sig-saved-list');
+            if (!list) return;
+            const sigs = secureStorage.getSignatures();
+            list.innerHTML = sigs.length === 0
+                ? '<span class="sig-saved-empty">No saved signatures.</span>'
+                : sigs.map((s) => `<button type="button" class="sig-saved-item" data-id="${escapeHtml(s.id)}" title="${escapeHtml(s.name)}"><img src="${(s.dataUrl || '').replace(/"/g, '&quot;')}" alt=""><span>${escapeHtml(s.name)}</span></button>`).join('');
+            list.querySelectorAll('.sig-saved-item').forEach((btn) => {
+                btn.addEventListener('click', () => {
+                    const id = btn.dataset.id;
+                    const sig = secureStorage.getSignatures().find((x) => x.id === id);
+                    if (!sig) return;
+                    this._selectedSavedSig = sig;
+                    this.signatureModal?.querySelectorAll('.sig-tab').forEach((t) => t.classList.remove('active'));
+                    document.getElementById('sig-draw-area')?.classList.remove('active');
+                    document.getElementById('sig-type-area')?.classList.remove('active');
+                    document.getElementById('sig-image-area')?.classList.remove('active');
+                    this.updateSignatureApplyState();
+                });
+            });
+        }
+    }
+
+    /**
+     * Set up signature field modal (for placing empty signature boxes when editing)
+     */
+    setupSignatureFieldModal() {
+        const modal = document.getElementById('signature-field-modal');
+        const closeBtn = document.getElementById('signature-field-modal-close');
+        const cancelBtn = document.getElementById('sig-field-cancel');
+        const addBtn = document.getElementById('sig-field-add');
+        const labelInput = document.getElementById('sig-field-label');
+
+        if (!modal || !closeBtn || !cancelBtn || !addBtn || !labelInput) return;
+
+        const updateAddState = () => {
+            const label = (labelInput.value || '').trim();
+            addBtn.disabled = !label;
+        };
+
+        // Close modal
+        closeBtn.addEventListener('click', () => this.hideSignatureFieldModal());
+        cancelBtn.addEventListener('click', () => this.hideSignatureFieldModal());
+
+        // Update Add button state when label changes
+        labelInput.addEventListener('input', updateAddState);
+
+        // Add field button
+        addBtn.addEventListener('click', () => {
+            const label = (labelInput.value || '').trim();
+            if (!label) return;
+
+            // Set the signature field label and switch to signature-field tool
+            this.canvasManager.setSignatureFieldLabel(label);
+            this.canvasManager.setTool('signature-field');
+            this.toolButtons.forEach(b => b.classList.remove('active'));
+            document.querySelector('[data-tool="signature-field"]')?.classList.add('active');
+            this.hideSignatureFieldModal();
+            
+            // Show hint banner and apply cursor
+            this.showToolHint('Click on the document where you want to place the signature field');
+            this.applyToolCursor('signature-field');
+        });
+
+        // Close on outside click
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) this.hideSignatureFieldModal();
+        });
+    }
+
+    /**
+     * Show signature field modal
+     */
+    showSignatureFieldModal() {
+        const modal = document.getElementById('signature-field-modal');
+        const labelInput = document.getElementById('sig-field-label');
+        const addBtn = document.getElementById('sig-field-add');
+        if (!modal || !labelInput || !addBtn) return;
+
+        labelInput.value = '';
+        addBtn.disabled = true;
+        modal.classList.remove('hidden');
+        labelInput.focus();
+    }
+
+    /**
+     * Hide signature field modal
+     */
+    hideSignatureFieldModal() {
+        const modal = document.getElementById('signature-field-modal');
+        if (modal) modal.classList.add('hidden');
+    }
+
+    /**
+     * Show tool hint banner with message
+     */
+    showToolHint(message) {
+        const banner = document.getElementById('tool-hint-banner');
+        const text = document.getElementById('tool-hint-banner-text');
+        if (!banner || !text) return;
+        
+        text.textContent = message;
+        banner.classList.remove('hidden');
+    }
+
+    /**
+     * Hide tool hint banner
+     */
+    hideToolHint() {
+        const banner = document.getElementById('tool-hint-banner');
+        if (banner) banner.classList.add('hidden');
+    }
+
+    /**
+     * Apply tool-specific cursor to canvas containers
+     */
+    applyToolCursor(tool) {
+        const containers = document.querySelectorAll('.canvas-container');
+        containers.forEach(container => {
+            // Remove all tool cursor classes
+            container.classList.remove('text-mode', 'signature-field-mode');
+            
+            // Add specific cursor class
+            if (tool === 'text') {
+                container.classList.add('text-mode');
+            } else if (tool === 'signature-field') {
+                container.classList.add('signature-field-mode');
+            }
+        });
+    }
+
+    /**
+     * Update Insert Signature button enabled state based on form validity
+     */
+    updateSignatureApplyState() {
+        const intentCheck = document.getElementById('sig-intent');
+        const consentCheck = document.getElementById('sig-consent');
+        const nameInput = document.getElementById('sig-name');
+        const applyBtn = document.getElementById('sig-apply');
+        if (!intentCheck || !consentCheck || !nameInput || !applyBtn) return;
+
+        const intent = intentCheck.checked;
+        const consent = consentCheck.checked;
+        const name = (nameInput.value || '').trim();
+        const tab = this._activeSignatureTab();
+        let hasSignature = !!this._selectedSavedSig;
+        if (!hasSignature) {
+            if (tab === 'image') hasSignature = !!this._pendingSignatureImage;
+            else if (tab === 'draw') hasSignature = !this.signaturePad.isEmpty();
+            else hasSignature = !!this.signaturePad.typedText?.trim();
+        }
+
+        applyBtn.disabled = !(intent && consent && name && hasSignature);
+    }
+
+    /**
+     * Validate form, build meta, set signature, and switch to signature tool
+     * @returns {boolean} true if applied
+     */
+    validateAndApplySignature() {
+        const intentCheck = document.getElementById('sig-intent');
+        const consentCheck = document.getElementById('sig-consent');
+        const nameInput = document.getElementById('sig-name');
+        const printedNameInput = document.getElementById('sig-printed-name');
+        const emailInput = document.getElementById('sig-email');
+        const applyBtn = document.getElementById('sig-apply');
+        if (!intentCheck || !consentCheck || !nameInput || !applyBtn) return false;
+
+        const intent = intentCheck.checked;
+        const consent = consentCheck.checked;
+        const fieldLabel = (nameInput.value || '').trim();  // Which signature field (slot)
+        const printedName = (printedNameInput?.value || '').trim();  // Signer's legal name for audit
+        const email = (emailInput?.value || '').trim();
+        const certificateId = document.getElementById('sig-certificate')?.value || undefined;
+        const dataUrl = this._selectedSavedSig
+            ? this._selectedSavedSig.dataUrl
+            : (this._activeSignatureTab() === 'image' ? this._pendingSignatureImage : this.signaturePad.getDataUrl());
+
+        if (!intent || !consent || !fieldLabel || !dataUrl) return false;
+
+        // signerName = printed name for audit trail; fallback to field label if not provided
+        const meta = {
+            signerName: printedName || fieldLabel,
+            signerEmail: email || undefined,
+            certificateId,
+            intentAccepted: intent,
+            consentAccepted: consent,
+            documentFilename: this.fileName || '',
+            documentHash: this.documentHash || undefined
+        };
+
+        this.canvasManager.setSignature(dataUrl, meta);
+        
+        // In Fill mode: fill signature field(s)
+        if (this.mode === 'fill') {
+            if (this._targetSignatureField?.object) {
+                // We have a specific field to fill
+                const canvas = this.canvasManager.canvases.get(this._targetSignatureField.pageId);
+                if (canvas) {
+                    this.canvasManager.replaceSignatureField(this._targetSignatureField.object, canvas);
+                    this._targetSignatureField = null;
+                    this.refreshFieldsSidebar();
+                    return true;
+                }
+            }
+            const filled = this.fillMatchingSignatureFields(fieldLabel, email);
+            if (filled > 0) {
+                this.refreshFieldsSidebar();
+                return true;
+            } else {
+                toast.warning('No matching signature field found for this signer. Please ensure the document has a signature field with your name or contact the sender.');
+                return false;
+            }
+        }
+        
+        // In Edit mode: set tool to place signature manually
+        this.canvasManager.setTool('signature');
+        this.toolButtons.forEach(b => b.classList.remove('active'));
+        document.querySelector('[data-tool="signature"]')?.classList.add('active');
+        return true;
+    }
+
+    /**
+     * Find and fill signature fields that match the field label and optional email
+     * @param {string} fieldLabelToMatch - Signature field label (slot identifier) to match
+     * @param {string} signerEmail - Email of the signer (optional, for expected-signer matching)
+     * @returns {number} Number of signature fields filled
+     */
+    fillMatchingSignatureFields(fieldLabelToMatch, signerEmail) {
+        let filledCount = 0;
+        
+        // Get all signature fields from all canvases
+        this.canvasManager.canvases.forEach((canvas, pageId) => {
+            const objects = canvas.getObjects();
+            objects.forEach(obj => {
+                if (obj._annotationType === 'signature-field') {
+                    const fieldLabel = obj._signatureFieldLabel || '';
+                    
+                    // Match by field label (exact or partial)
+                    const matchesFieldLabel = fieldLabel.toLowerCase().includes(fieldLabelToMatch.toLowerCase()) ||
+                                             fieldLabelToMatch.toLowerCase().includes(fieldLabel.toLowerCase());
+                    const matchesEmail = signerEmail && fieldLabel.toLowerCase().includes(signerEmail.toLowerCase());
+                    
+                    // Also check if this field matches expected signers (by field label / email)
+                    const matchesExpected = this.signatureFieldMatchesExpectedSigner(fieldLabel, fieldLabelToMatch, signerEmail);
+                    
+                    if (matchesFieldLabel || matchesEmail || matchesExpected) {
+                        this.canvasManager.replaceSignatureField(obj, canvas);
+                        filledCount++;
+                    }
+                }
+            });
+        });
+        
+        return filledCount;
+    }
+
+    /**
+     * Check if a signature field matches an expected signer from metadata
+     */
+    signatureFieldMatchesExpectedSigner(fieldLabel, signerName, signerEmail) {
+        if (!this.signingFlowMeta || !this.signingFlowMeta.expectedSigners) return false;
+        
+        const expectedSigners = this.signingFlowMeta.expectedSigners || [];
+        
+        // Find a matching expected signer
+        const matchingSigner = expectedSigners.find(signer => {
+            const nameMatches = signer.name && (
+                signer.name.toLowerCase() === signerName.toLowerCase() ||
+                fieldLabel.toLowerCase().includes(signer.name.toLowerCase())
+            );
+            const emailMatches = signerEmail && signer.email && 
+                                signer.email.toLowerCase() === signerEmail.toLowerCase();
+            
+            return nameMatches || emailMatches;
+        });
+        
+        return !!matchingSigner;
+    }
+
+    /**
+     * Show signature modal
+     * @param {Object} [options]
+     * @param {Object} [options.targetField] - When signing a specific field, pass it. Name will be field ID (read-only), email pre-filled if known.
+     */
+    showSignatureModal(options = {}) {
+        const { targetField } = options;
+        this._targetSignatureField = targetField || null;
+        this._pendingSignatureImage = null;
+        this._selectedSavedSig = null;
+        this._clearImagePreview();
+
+        this.signatureModal.classList.remove('hidden');
+        this.signaturePad.clear();
+        this.signaturePad.setTypedText('');
+        // Resize canvas to match display after modal is laid out (fixes coordinate offset)
+        requestAnimationFrame(() => {
+            requestAnimationFrame(() => {
+                this.signaturePad.resize();
+            });
+        });
+        const textInput = document.getElementById('sig-text-input');
+        if (textInput) textInput.value = '';
+        const preview = document.getElementById('sig-preview');
+        if (preview) preview.textContent = 'Preview';
+
+        this.signatureModal?.querySelectorAll('.sig-tab').forEach((t) => t.classList.remove('active'));
+        const drawTab = this.signatureModal?.querySelector('.sig-tab[data-tab="draw"]');
+        if (drawTab) drawTab.classList.add('active');
+        document.getElementById('sig-draw-area')?.classList.add('active');
+        document.getElementById('sig-type-area')?.classList.remove('active');
+        document.getElementById('sig-image-area')?.classList.remove('active');
+        this.signaturePad.setMode('draw');
+
+        const intentCheck = document.getElementById('sig-intent');
+        const consentCheck = document.getElementById('sig-consent');
+        const nameInput = document.getElementById('sig-name');
+        const nameLabel = document.querySelector('label[for="sig-name"]');
+        const nameHint = nameInput?.closest('.sig-field')?.querySelector('.sig-field-hint');
+        const printedNameInput = document.getElementById('sig-printed-name');
+        const emailInput = document.getElementById('sig-email');
+        const applyBtn = document.getElementById('sig-apply');
+        if (intentCheck) intentCheck.checked = false;
+        if (consentCheck) consentCheck.checked = false;
+        if (printedNameInput) printedNameInput.value = '';
+        if (applyBtn) applyBtn.disabled = true;
+
+        if (targetField) {
+            // Signing a specific field: field ID read-only, printed name optional
+            const fieldLabel = targetField.signatureFieldLabel || targetField.object?._signatureFieldLabel || '';
+            if (nameInput) {
+                nameInput.value = fieldLabel;
+                nameInput.readOnly = true;
+                nameInput.classList.add('readonly');
+            }
+            if (nameLabel) nameLabel.textContent = 'Signature field';
+            if (nameHint) nameHint.textContent = 'This field will receive your signature.';
+            if (printedNameInput) {
+                printedNameInput.placeholder = 'e.g. John Doe';
+                printedNameInput.disabled = false;
+            }
+            const signerInfo = this.detectCurrentSignerForField(targetField);
+            if (emailInput) {
+                emailInput.value = signerInfo.email || '';
+                emailInput.readOnly = !!signerInfo.email;
+                emailInput.classList.toggle('readonly', !!signerInfo.email);
+            }
+        } else {
+            // General sign: user enters field label for matching, printed name optional
+            if (nameInput) {
+                nameInput.value = '';
+                nameInput.readOnly = false;
+                nameInput.classList.remove('readonly');
+            }
+            if (nameLabel) nameLabel.innerHTML = 'Signature field <span class="required">*</span>';
+            if (nameHint) nameHint.textContent = 'Identifies which signature slot. Must match the field label on the document.';
+            if (printedNameInput) {
+                printedNameInput.placeholder = 'e.g. John Doe';
+                printedNameInput.disabled = false;
+            }
+            if (emailInput) {
+                emailInput.readOnly = false;
+                emailInput.classList.remove('readonly');
+                emailInput.value = '';
+            }
+            if (this.mode === 'fill') {
+                const signerInfo = this.detectCurrentSigner();
+                if (signerInfo.fieldLabel && nameInput) nameInput.value = signerInfo.fieldLabel;
+                if (signerInfo.email && emailInput) emailInput.value = signerInfo.email;
+            }
+        }
+
+        this._refreshSignatureModalExtras();
+        this._refreshSignatureCertificates();
+        this.updateSignatureApplyState();
+        this.updateHistoryButtons();
+    }
+
+    /** Offer the vault's signing certificates for a digital signature */
+    _refreshSignatureCertificates() {
+        const wrap = document.getElementById('sig-certificate-wrap');
+        const select = document.getElementById('sig-certificate');
+        if (!wrap || !select) return;
+        const certificates = this.signingCertificates();
+        wrap.classList.toggle('hidden', certificates.length === 0);
+        select.innerHTML = '<option value="">None (signature image only)</option>' + certificates
+            .map((c) => `<option value="${escapeHtml(c.id)}">${escapeHtml(c.name)}${c.issuer && c.issuer !== c.subject ? ` (${escapeHtml(c.issuer)})` : ''}</option>`)
+            .join('');
+    }
+
+    /**
+     * Signing certificates of the unlocked vault (none while it is locked)
+     * @returns {Array<{ id: string; name: string; p12: string; password: string; subject: string; issuer: string; notAfter: string }>}
+     */
+    signingCertificates() {
+        return secureStorage.hasVault() && secureStorage.isUnlocked() ? secureStorage.getCertificates() : [];
+    }
+
+    renderVaultCertificates() {
+        const list = document.getElementById('vault-certificates-list');
+        if (!list) return;
+        const certificates = this.signingCertificates();
+        document.getElementById('vault-certificates-empty')?.classList.toggle('hidden', certificates.length > 0);
+        list.innerHTML = certificates
+            .map(
+                (c) =>
+                    `<li>
+  <div class="tpl-info">
+    <span class="tpl-name">${escapeHtml(c.name)}</span>
+    <div class="tpl-meta">Issued by ${escapeHtml(c.issuer || c.subject)}${c.notAfter ? ` · expires ${escapeHtml(new Date(c.notAfter).toLocaleDateString())}` : ''}</div>
+  </div>
+  <div class="tpl-actions">
+    <button type="button" class="tpl-btn delete-btn" data-id="${escapeHtml(c.id)}">Delete</button>
+  </div>
+</li>`
+            )
+            .join('');
+        list.querySelectorAll('.delete-btn').forEach((btn) => {
+            btn.addEventListener('click', async () => {
+                if (!confirm('Remove this certificate from the vault? Signatures placed with it are then drawn as images only.')) return;
+                await secureStorage.removeCertificate(btn.dataset.id);
+                this.renderVaultCertificates();
+            });
+        });
+    }
+
+    /**
+     * Import a PKCS#12 certificate into the unlocked vault, asking for its password
+     * @param {File} file
+     */
+    async importCertificate(file) {
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        let incorrect = false;
+        for (;;) {
+            const password = await this.requestPassword(file.name, incorrect, `Enter the password of the certificate "${file.name}".`);
+            if (password === null) return;
+            try {
+                const certificate = readCertificate(bytes, password);
+                if (certificate.notAfter < new Date()) toast.warning('This certificate has expired; viewers will not accept its signatures.');
+                await secureStorage.addCertificate({ ...certificate, name: certificate.subject, p12: bytes, password });
+                toast.success(`Added certificate "${certificate.subject}".`);
+                this.renderVaultCertificates();
+                return;
+            } catch (e) {
+                if (!(e instanceof IncorrectPasswordError)) {
+                    console.warn('Could not import certificate', file.name, e);
+                    toast.error(e.message || 'Could not read the certificate.');
+                    return;
+                }
+                incorrect = true;
+            }
+        }
+    }
+
+    /**
+     * Update the email associated with a signature field. Called when user edits the sidebar email input.
+     */
+    updateSignerEmailForField(field, email) {
+        const label = (field.signatureFieldLabel || field.object?._signatureFieldLabel || '').trim();
+        if (!label) return;
+        if (!this.signingFlowMeta) this.signingFlowMeta = { signers: [], expectedSigners: [] };
+        let expected = this.signingFlowMeta.expectedSigners || [];
+        const existing = expected.find((s) => (s.name || '').trim().toLowerCase() === label.toLowerCase());
+        if (existing) {
+            existing.email = email;
+        } else {
+            expected = [...expected, { name: label, email, order: expected.length + 1 }];
+            this.signingFlowMeta.expectedSigners = expected;
+        }
+        this.refreshSendModal();
+    }
+
+    /**
+     * Get signer email for a specific field (from URL params or signing flow metadata)
+     */
+    detectCurrentSignerForField(field) {
+        const urlParams = new URLSearchParams(window.location.search);
+        const urlEmail = urlParams.get('email');
+        if (urlEmail) return { email: urlEmail };
+
+        const fieldLabel = (field.signatureFieldLabel || field.object?._signatureFieldLabel || '').toLowerCase();
+        if (!fieldLabel || !this.signingFlowMeta?.expectedSigners) return { email: '' };
+        const signer = this.signingFlowMeta.expectedSigners.find(s => {
+            const sName = (s.name || '').toLowerCase();
+            const sEmail = (s.email || '').toLowerCase();
+            if (!sName && !sEmail) return false;
+            if (sName && (fieldLabel.includes(sName) || sName.includes(fieldLabel))) return true;
+            if (sEmail && fieldLabel.includes(sEmail)) return true;
+            return false;
+        });
+        return { email: signer?.email || '' };
+    }
+
+    /**
+     * Detect current signer from URL parameters or signing metadata
+     * Returns fieldLabel (which signature slot) and email for pre-filling the modal
+     */
+    detectCurrentSigner() {
+        const urlParams = new URLSearchParams(window.location.search);
+        const urlField = urlParams.get('field') || urlParams.get('signer') || urlParams.get('name');
+        const urlEmail = urlParams.get('email');
+        
+        if (urlField || urlEmail) {
+            return {
+                fieldLabel: urlField || '',
+                email: urlEmail || ''
+            };
+        }
+        
+        if (this.signingFlowMeta && this.signingFlowMeta.expectedSigners) {
+            const withEmail = this.signingFlowMeta.expectedSigners.filter(s => s.email);
+            if (withEmail.length === 1) {
+                return {
+                    fieldLabel: withEmail[0].name || '',  // expectedSigner.name = field label
+                    email: withEmail[0].email || ''
+                };
+            }
+        }
+        
+        return { fieldLabel: '', email: '' };
+    }
+
+    /**
+     * Hide signature modal
+     */
+    hideSignatureModal() {
+        this.signatureModal.classList.add('hidden');
+        this.updateHistoryButtons();
+    }
+
+    /**
+     * Export the PDF with annotations (shared logic)
+     * @param {{ encrypt?: boolean; sign?: boolean; incremental?: boolean }} [options] - encrypt / sign: false skip password
+     * protection and digital signatures (for bytes used inside the app); certificate signatures are then drawn as images.
+     * incremental: false always rewrites the file, even when the export options ask for an incremental update
+     * sanitize overrides the export options' sanitizing (see sanitizePdf)
+     * @returns {Promise<{ bytes: Uint8Array; exportName: string } | null>}
+     */
+    async getExportedPDF({ encrypt = true, sign = true, incremental = true, sanitize = this.exportOptions.sanitize } = {}) {
+        if (!this.pdfHandler.isLoaded()) return null;
+
+        const annotationsArr = this.canvasManager.getAllAnnotations();
+        const annotationsByPageId = new Map();
+        for (const p of annotationsArr) {
+            annotationsByPageId.set(p.pageId, p.annotations);
+        }
+
+        // Collect locked signature field labels and locked form field names (permanently locked on export)
+        const lockedSignatureFields = [];
+        const lockedFormFields = [];
+        for (const p of annotationsArr) {
+            for (const ann of p.annotations || []) {
+                if (ann.type === 'signature' && ann.object?._signatureLocked && ann.data?._signatureMeta?.replacedFieldLabel) {
+                    const label = (ann.data._signatureMeta.replacedFieldLabel || '').trim();
+                    if (label && !lockedSignatureFields.includes(label)) lockedSignatureFields.push(label);
+                }
+                if (['textfield', 'checkbox', 'radio', 'dropdown', 'date'].includes(ann.type) && ann.object?._fieldLocked && ann.data?._fieldName) {
+                    const name = (ann.data._fieldName || '').trim();
+                    if (name && !lockedFormFields.includes(name)) lockedFormFields.push(name);
+                }
+            }
+        }
+        const mergedLockedSignatures = [...new Set([...(this.signingFlowMeta?.lockedSignatureFields || []), ...lockedSignatureFields])];
+        const mergedLockedFormFields = [...new Set([...(this.signingFlowMeta?.lockedFormFields || []), ...lockedFormFields])];
+
+        // Document stage: signed if any locked fields; otherwise preserve previous or draft
+        const documentStage = (mergedLockedSignatures.length > 0 || mergedLockedFormFields.length > 0) ? 'signed' : (this.signingFlowMeta?.documentStage || 'draft');
+
+        const exportSigningFlowMeta = {
+            ...this.signingFlowMeta,
+            lockedSignatureFields: mergedLockedSignatures.length > 0 ? mergedLockedSignatures : (this.signingFlowMeta?.lockedSignatureFields),
+            lockedFormFields: mergedLockedFormFields.length > 0 ? mergedLockedFormFields : (this.signingFlowMeta?.lockedFormFields),
+            documentStage
+        };
+
+        const docBytesById = this.pdfHandler.getAllOriginalBytes();
+        const modifiedPdfBytes = await this.exporter.exportPDF({
+            docBytesById,
+            docNames: this.pdfHandler.getDocumentNames(),
+            viewPages: this.viewPages,
+            annotationsByPageId,
+            scale: this.currentScale,
+            mainDocId: this.pdfHandler.mainDocId,
+            signingFlowMeta: exportSigningFlowMeta,
+            annotationMode: this.exportOptions.annotationMode,
+            importedAnnotations: this.pdfHandler.getImportedAnnotationIds(),
+            encryption: encrypt ? this.exportOptions.encryption : null,
+            certificates: sign ? this.signingCertificates() : null,
+            // The decrypted copy of an encrypted document is not the file that was opened
+            incremental: incremental && this.exportOptions.incremental && !this.pdfHandler.getEncryption(),
+            outline: this.editedBookmarks(),
+            ocrText: this.ocrTextFor(this.viewPages),
+            optimize: this.exportOptions.optimize,
+            pdfa: this.exportOptions.pdfa,
+            properties: this.documentProperties,
+            sanitize,
+            headerFooter: this.headerFooter,
+            watermark: this.watermark
+        });
+        this.warnMissingCharacters();
+        this.warnIncrementalFallback();
+        this.reportOptimization();
+        this.reportSanitization();
+        this.reportPdfA();
+        // The exporter records a hash of the written content in the hash chain (checked when the file is reopened)
+        this.documentHash = this.exporter.lastContentHash || this.documentHash;
+
+        // Once exported, those locked fields become permanent for this session (cannot be unlocked)
+        mergedLockedSignatures.forEach((l) => this.lockedFromFile.signatures.add(l));
+        mergedLockedFormFields.forEach((l) => this.lockedFromFile.formFields.add(l));
+
+        const baseName = (this.fileName || '').replace(/\.pdf$/i, '').trim();
+        const hasRealFilename = baseName && baseName !== 'document';
+        const exportName = hasRealFilename
+            ? `${baseName}-edited.pdf`
+            : `pdf-export-${Math.random().toString(36).slice(2, 10)}.pdf`;
+
+        return { bytes: modifiedPdfBytes, exportName };
+    }
+
+    /**
+     * Export the PDF with annotations
+     */
+    async exportPDF() {
+        if (!this.pdfHandler.isLoaded()) return;
+
+        this.showLoading('Exporting PDF...');
+        try {
+            const result = await this.getExportedPDF();
+            if (result) {
+                this.exporter.downloadPDF(result.bytes, result.exportName);
+                markFirstDocumentUsed();
+                consumeSupportUse();
+            }
+        } catch (error) {
+            console.error('Export error:', error);
+            toast.error('Error exporting PDF: ' + error.message);
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    /**
+     * Show export options; on Download, check support status and export.
+     */
+    maybeExportPDF() {
+        if (!this.pdfHandler.isLoaded()) return;
+        this.showExportModal();
+    }
+
+    /**
+     * Export options modal (annotation mode, password protection). Choices are kept for the session
+     * and also apply to Send, Extract and Split exports (Bulk Fill has its own security options).
+     */
+    setupExportModal() {
+        const modal = this.exportModal;
+        if (!modal) return;
+        const encryptionOptions = document.getElementById('export-encryption');
+        this.bindEncryptionOptions(encryptionOptions);
+        // Keeping the opened document's protection replaces the new password options
+        const keepEncryption = document.getElementById('export-keep-encryption');
+        const enabled = encryptionOptions?.querySelector('[data-encryption="enabled"]');
+        this.syncKeepEncryption = () => {
+            const keep = !!keepEncryption?.checked && !!this.pdfHandler.getEncryption();
+            if (enabled) enabled.disabled = keep;
+            encryptionOptions?.querySelector('.encryption-details')?.classList.toggle('hidden', keep || !enabled?.checked);
+        };
+        keepEncryption?.addEventListener('change', this.syncKeepEncryption);
+        const optimize = document.getElementById('export-optimize');
+        optimize?.addEventListener('change', () => {
+            document.getElementById('export-optimize-details')?.classList.toggle('hidden', !optimize.checked);
+        });
+        const sanitizeOptions = document.getElementById('export-sanitize-options');
+        const sanitize = document.getElementById('export-sanitize');
+        sanitize?.addEventListener('change', () => {
+            sanitizeOptions?.querySelector('.sanitize-details')?.classList.toggle('hidden', !sanitize.checked);
+        });
+
+        document.getElementById('export-modal-close')?.addEventListener('click', () => this.hideExportModal());
+        document.getElementById('export-cancel')?.addEventListener('click', () => this.hideExportModal());
+        document.getElementById('export-confirm')?.addEventListener('click', () => {
+            const checked = modal.querySelector('input[name="export-annotation-mode"]:checked');
+            try {
+                const original = this.pdfHandler.getEncryption();
+                this.exportOptions.encryption = original && keepEncryption?.checked
+                    ? { original }
+                    : this.readEncryptionOptions(encryptionOptions);
+            } catch (e) {
+                toast.warning(e.message);
+                return;
+            }
+            this.exportOptions.annotationMode = checked?.value === 'native' ? 'native' : 'flatten';
+            this.exportOptions.incremental = !!document.getElementById('export-incremental')?.checked;
+            this.exportOptions.optimize = optimize?.checked
+                ? {
+                    maxDpi: Number(document.getElementById('export-optimize-dpi')?.value) || DEFAULT_OPTIMIZE_OPTIONS.maxDpi,
+                    jpegQuality: Number(document.getElementById('export-optimize-quality')?.value) || DEFAULT_OPTIMIZE_OPTIONS.jpegQuality
+                }
+                : null;
+            this.exportOptions.pdfa = !!document.getElementById('export-pdfa')?.checked;
+            this.exportOptions.sanitize = sanitize?.checked ? this.readSanitizeOptions(sanitizeOptions) : null;
+            this.hideExportModal();
+            if (!isFirstDocumentUsed() || isSupportValid()) {
+                this.exportPDF();
+                return;
+            }
+            this.showSupportPromptModal('download', () => this.exportPDF());
+        });
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) this.hideExportModal();
+        });
+    }
+
+    showExportModal() {
+        const modal = this.exportModal;
+        if (!modal) return;
+        modal.querySelectorAll('input[name="export-annotation-mode"]').forEach((input) => {
+            input.checked = input.value === this.exportOptions.annotationMode;
+        });
+        const encrypted = !!this.pdfHandler.getEncryption();
+        document.getElementById('export-keep-encryption-label')?.classList.toggle('hidden', !encrypted);
+        const keepEncryption = document.getElementById('export-keep-encryption');
+        if (keepEncryption) keepEncryption.checked = encrypted && !!this.exportOptions.encryption?.original;
+        this.syncKeepEncryption?.();
+        const incremental = document.getElementById('export-incremental');
+        if (incremental) {
+            incremental.disabled = encrypted;
+            incremental.checked = !encrypted && this.exportOptions.incremental;
+        }
+        const optimize = document.getElementById('export-optimize');
+        if (optimize) optimize.checked = !!this.exportOptions.optimize;
+        document.getElementById('export-optimize-details')?.classList.toggle('hidden', !this.exportOptions.optimize);
+        const pdfa = document.getElementById('export-pdfa');
+        if (pdfa) pdfa.checked = this.exportOptions.pdfa;
+        const sanitizeOptions = document.getElementById('export-sanitize-options');
+        const sanitize = document.getElementById('export-sanitize');
+        if (sanitize) sanitize.checked = !!this.exportOptions.sanitize;
+        sanitizeOptions?.querySelector('.sanitize-details')?.classList.toggle('hidden', !this.exportOptions.sanitize);
+        this.showSanitizeOptions(sanitizeOptions, this.exportOptions.sanitize);
+        modal.classList.remove('hidden');
+    }
+
+    hideExportModal() {
+        this.exportModal?.classList.add('hidden');
+    }
+
+    /**
+     * Password prompt for opening encrypted PDFs (see requestPassword)
+     */
+    setupPasswordModal() {
+        const modal = document.getElementById('password-modal');
+        const input = document.getElementById('password-input');
+        if (!modal || !input) return;
+        const finish = (password) => {
+            modal.classList.add('hidden');
+            const resolve = this.passwordResolve;
+            this.passwordResolve = null;
+            resolve?.(password);
+        };
+        document.getElementById('password-modal-close')?.addEventListener('click', () => finish(null));
+        document.getElementById('password-cancel')?.addEventListener('click', () => finish(null));
+        document.getElementById('password-confirm')?.addEventListener('click', () => finish(input.value));
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') finish(input.value);
+            if (e.key === 'Escape') finish(null);
+        });
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) finish(null);
+        });
+    }
+
+    /**
+     * Ask for the password of an encrypted PDF (or another protected file). The loading overlay is hidden while asking.
+     * @param {string} fileName
+     * @param {boolean} incorrect - The previous attempt was wrong
+     * @param {string} [message] - Prompt to show instead of the one for PDFs
+     * @returns {Promise<string|null>} The password, or null if cancelled
+     */
+    requestPassword(fileName, incorrect = false, message = '') {
+        const modal = document.getElementById('password-modal');
+        const input = document.getElementById('password-input');
+        if (!modal || !input) return Promise.resolve(null);
+        this.passwordResolve?.(null);
+
+        const wasLoading = !this.loadingOverlay.classList.contains('hidden');
+        this.hideLoading();
+        document.getElementById('password-modal-message').textContent = message || `"${fileName}" is password-protected. Enter its password to open it.`;
+        document.getElementById('password-error')?.classList.toggle('hidden', !incorrect);
+        input.value = '';
+        modal.classList.remove('hidden');
+        input.focus();
+        return new Promise((resolve) => {
+            this.passwordResolve = (password) => {
+                if (wasLoading) this.loadingOverlay.classList.remove('hidden');
+                resolve(password);
+            };
+        });
+    }
+
+    /**
+     * Decrypt PDF bytes opened outside the viewer (e.g. a Bulk Fill template), asking for the
+     * password if needed. Unencrypted PDFs are returned unchanged.
+     * @param {ArrayBuffer} bytes
+     * @param {string} fileName
+     * @returns {Promise<ArrayBuffer>}
+     */
+    async decryptWithPrompt(bytes, fileName) {
+        let password = '';
+        let incorrect = false;
+        for (;;) {
+            try {
+                const { bytes: decrypted } = await decryptPdf(bytes, password);
+                return decrypted.buffer.slice(decrypted.byteOffset, decrypted.byteOffset + decrypted.byteLength);
+            } catch (e) {
+                if (!(e instanceof IncorrectPasswordError)) throw e;
+            }
+            password = await this.requestPassword(fileName, incorrect);
+            if (password === null) throw new Error('A password is required to open this PDF.');
+            incorrect = true;
+        }
+    }
+
+    /**
+     * Show the password and permission inputs of a security fieldset only while it is ticked
+     * @param {HTMLElement|null} container - .encryption-options fieldset
+     */
+    bindEncryptionOptions(container) {
+        const enabled = container?.querySelector('[data-encryption="enabled"]');
+        const details = container?.querySelector('.encryption-details');
+        if (!enabled || !details) return;
+        enabled.addEventListener('change', () => details.classList.toggle('hidden', !enabled.checked));
+        // Commenting includes form filling in the PDF permission bits
+        const annotate = container.querySelector('[data-permission="annotate"]');
+        const fillForms = container.querySelector('[data-permission="fillForms"]');
+        annotate?.addEventListener('change', () => {
+            if (annotate.checked && fillForms) fillForms.checked = true;
+        });
+        fillForms?.addEventListener('change', () => {
+            if (!fillForms.checked && annotate) annotate.checked = false;
+        });
+    }
+
+    /**
+     * Encryption options from a security fieldset
+     * @param {HTMLElement|null} container - .encryption-options fieldset
+     * @returns {import('./pdf-encryption.js').EncryptionOptions|null} null when password protection is off
+     * @throws {Error} with a user-facing message when the settings would not protect anything
+     */
+    readEncryptionOptions(container) {
+        if (!container?.querySelector('[data-encryption="enabled"]')?.checked) return null;
+        const value = (name) => container.querySelector(`[data-encryption="${name}"]`)?.value || '';
+        const permissions = { ...DEFAULT_PERMISSIONS };
+        container.querySelectorAll('[data-permission]').forEach((input) => {
+            permissions[input.dataset.permission] = input.checked;
+        });
+        const encryption = {
+            userPassword: value('userPassword'),
+            ownerPassword: value('ownerPassword'),
+            algorithm: value('algorithm') === 'aes-128' ? 'aes-128' : 'aes-256',
+            permissions
+        };
+        if (!encryption.userPassword && Object.values(permissions).every(Boolean)) {
+            throw new Error('Enter an open password or untick a permission to restrict.');
+        }
+        return encryption;
+    }
+
+    /**
+     * Sanitize options from the data-sanitize checkboxes of a container
+     * @param {HTMLElement|null} container
+     * @returns {import('./sanitize.js').SanitizeOptions}
+     */
+    readSanitizeOptions(container) {
+        const options = { ...DEFAULT_SANITIZE_OPTIONS };
+        container?.querySelectorAll('[data-sanitize]').forEach((input) => {
+            if (input.dataset.sanitize in options) options[input.dataset.sanitize] = input.checked;
+        });
+        return options;
+    }
+
+    /**
+     * Tick the data-sanitize checkboxes of a container (the defaults when options is null)
+     * @param {HTMLElement|null} container
+     * @param {import('./sanitize.js').SanitizeOptions|null} options
+     */
+    showSanitizeOptions(container, options) {
+        const values = options || DEFAULT_SANITIZE_OPTIONS;
+        container?.querySelectorAll('[data-sanitize]').forEach((input) => {
+            input.checked = !!values[input.dataset.sanitize];
+        });
+    }
+
+    /**
+     * Fonts modal: upload and remove TTF/OTF fonts. Fonts load in the background at startup;
+     * text using them is re-measured once they are available.
+     */
+    setupFontsModal() {
+        const modal = document.getElementById('fonts-modal');
+        const uploadInput = document.getElementById('fonts-upload-input');
+
+        this.fontManager.setOnChange(() => {
+            this.refreshFontPickers();
+            this.renderFontsList();
+            this.refreshCustomFontText();
+        });
+        this.fontManager.init();
+
+        document.getElementById('fonts-modal-close')?.addEventListener('click', () => this.hideFontsModal());
+        uploadInput?.addEventListener('change', async () => {
+            const files = [...(uploadInput.files || [])];
+            uploadInput.value = '';
+            for (const file of files) {
+                try {
+                    const family = await this.fontManager.addFont(file);
+                    toast.success(`Added font "${family}".`);
+                } catch (e) {
+                    console.warn('Could not add font', file.name, e);
+                    toast.error(`${file.name}: ${e.message || 'Could not load font.'}`);
+                }
+            }
+        });
+        modal?.addEventListener('click', (e) => {
+            if (e.target === modal) this.hideFontsModal();
+        });
+    }
+
+    showFontsModal() {
+        this.renderFontsList();
+        document.getElementById('fonts-modal')?.classList.remove('hidden');
+    }
+
+    hideFontsModal() {
+        document.getElementById('fonts-modal')?.classList.add('hidden');
+    }
+
+    renderFontsList() {
+        const list = document.getElementById('fonts-list');
+        if (!list) return;
+        const fonts = this.fontManager.list();
+        document.getElementById('fonts-empty')?.classList.toggle('hidden', fonts.length > 0);
+        list.innerHTML = fonts
+            .map(
+                (f) =>
+                    `<li>
+  <div class="tpl-info">
+    <span class="tpl-name" style="font-family: &quot;${escapeHtml(f.family)}&quot;">${escapeHtml(f.family)}</span>
+    <div class="tpl-meta">${escapeHtml(f.fileName)}</div>
+  </div>
+  <div class="tpl-actions">
+    <button type="button" class="tpl-btn delete-btn" data-family="${escapeHtml(f.family)}">Delete</button>
+  </div>
+</li>`
+            )
+            .join('');
+        list.querySelectorAll('.delete-btn').forEach((btn) => {
+            btn.addEventListener('click', () => {
+                if (!confirm(`Remove the font "${btn.dataset.family}"? Text using it falls back to a standard font.`)) return;
+                this.fontManager.removeFont(btn.dataset.family);
+            });
+        });
+    }
+
+    /**
+     * <option> list for a font picker: standard families, then uploaded fonts
+     * @param {string} selected
+     */
+    fontOptionsHtml(selected) {
+        const families = [...BUILTIN_FONT_FAMILIES, ...this.fontManager.list().map((f) => f.family)];
+        if (selected && !families.includes(selected)) families.push(selected);
+        return families
+            .map((f) => `<option value="${escapeHtml(f)}" ${f === selected ? 'selected' : ''}>${escapeHtml(f)}</option>`)
+            .join('');
+    }
+
+    refreshFontPickers() {
+        ['text-font', 'field-prop-font-family', 'fields-detail-font-family', 'header-footer-font', 'watermark-font'].forEach((id) => {
+            const select = document.getElementById(id);
+            if (select) select.innerHTML = this.fontOptionsHtml(select.value);
+        });
+    }
+
+    /**
+     * Re-measure text drawn with uploaded fonts (they may have loaded after the text was created)
+     */
+    refreshCustomFontText() {
+        fabric.util.clearFabricFontCache();
+        const refresh = (obj) => {
+            if (obj.type === 'group') obj.getObjects().forEach(refresh);
+            else if (typeof obj.initDimensions === 'function' && this.fontManager.has(obj.fontFamily)) {
+                obj.initDimensions();
+                obj.setCoords();
+            }
+        };
+        this.canvasManager.canvases.forEach((canvas) => {
+            canvas.getObjects().forEach(refresh);
+            canvas.requestRenderAll();
+        });
+    }
+
+    /**
+     * Tell the user about characters the last export had no font for
+     */
+    warnMissingCharacters() {
+        const missing = [...this.exporter.missingCharacters];
+        if (missing.length === 0) return;
+        toast.warning(`No font for ${missing.slice(0, 12).join(' ')}${missing.length > 12 ? ' …' : ''}; shown as "?" in the PDF. Upload a font that has these characters (Text tool → Fonts…).`);
+    }
+
+    /** Tell the user when an export asked to append to the original file had to rewrite it */
+    warnIncrementalFallback() {
+        const reason = this.exporter.incrementalFallback;
+        if (!reason) return;
+        const signed = this.verification?.signatures.length > 0;
+        toast.warning(`Saved as a new file instead of appending to the original: ${reason}${signed ? ' The signatures already in the document are not valid in the new file.' : ''}`);
+    }
+
+    /**
+     * Tell the user how much smaller the last export got when it was optimized
+     * @param {{ report: object; sizeBefore: number; sizeAfter: number }|null} [result] - Defaults to the exporter's last result
+     * @param {number} [files] - Number of files the result covers (the parts of a split)
+     */
+    reportOptimization(result = this.exporter.lastOptimization, files = 1) {
+        if (!result) return;
+        const { sizeBefore, sizeAfter, report } = result;
+        const formatSize = (bytes) => bytes >= 1024 * 1024 ? `${(bytes / (1024 * 1024)).toFixed(1)} MB` : `${Math.max(1, Math.round(bytes / 1024))} KB`;
+        const change = sizeBefore > 0 ? Math.round((1 - sizeAfter / sizeBefore) * 100) : 0;
+        const images = report.downsampled + report.recompressed > 0 || report.duplicates > 0
+            ? ` (${report.downsampled} image${report.downsampled === 1 ? '' : 's'} downsampled, ${report.recompressed} recompressed, ${report.duplicates} duplicate${report.duplicates === 1 ? '' : 's'} removed)`
+            : '';
+        const summary = `${formatSize(sizeBefore)} → ${formatSize(sizeAfter)}${files > 1 ? ` in ${files} files` : ''}`;
+        if (change > 0) toast.success(`Optimized: ${summary}, ${change}% smaller${images}`);
+        else toast.info(`Optimized: ${summary}; the file could not be made smaller${images}`);
+    }
+
+    /**
+     * Header & Footer modal: text at six positions with page, date, file name and Bates tokens.
+     * The pages preview the settings while they are edited; Cancel puts back the saved ones.
+     */
+    setupHeaderFooterModal() {
+        const modal = document.getElementById('header-footer-modal');
+        const close = () => {
+            modal?.classList.add('hidden');
+            this.previewHeaderFooter(this.headerFooter);
+        };
+        document.getElementById('btn-header-footer')?.addEventListener('click', () => this.showHeaderFooterModal());
+        modal?.addEventListener('input', () => this.previewHeaderFooter(this.readHeaderFooterSettings()));
+        document.getElementById('header-footer-modal-close')?.addEventListener('click', close);
+        document.getElementById('header-footer-cancel')?.addEventListener('click', close);
+        document.getElementById('header-footer-remove')?.addEventListener('click', () => {
+            this.headerFooter = null;
+            close();
+            toast.info('Header and footer removed.');
+        });
+        document.getElementById('header-footer-apply')?.addEventListener('click', () => {
+            const settings = this.readHeaderFooterSettings();
+            if (settings.pageRange.trim() && parsePageRanges(settings.pageRange, Number.MAX_SAFE_INTEGER).length === 0) {
+                toast.warning('Enter pages like "1-3, 5", or leave the page range empty for all pages.');
+                return;
+            }
+            if (!Number.isInteger(settings.bates.start) || settings.bates.start < 0 || !Number.isInteger(settings.bates.digits) || settings.bates.digits > 12) {
+                toast.warning('The Bates start must be a whole number, with at most 12 digits of padding.');
+                return;
+            }
+            this.headerFooter = hasHeaderFooter(settings) ? settings : null;
+            close();
+            if (this.headerFooter) toast.success('The header and footer are drawn when you download, extract, split or send the PDF.');
+        });
+        modal?.addEventListener('click', (e) => {
+            if (e.target === modal) close();
+        });
+    }
+
+    showHeaderFooterModal() {
+        if (!this.pdfHandler.isLoaded()) return;
+        const settings = this.headerFooter || DEFAULT_HEADER_FOOTER;
+        document.querySelectorAll('[data-header-footer]').forEach((input) => {
+            input.value = settings.texts[input.dataset.headerFooter] || '';
+        });
+        const set = (id, value) => {
+            const input = document.getElementById(id);
+            if (input) input.value = value;
+        };
+        const font = document.getElementById('header-footer-font');
+        if (font) font.innerHTML = this.fontOptionsHtml(settings.fontFamily);
+        set('header-footer-size', settings.fontSize);
+        set('header-footer-color', settings.color);
+        set('header-footer-margin-top', settings.margins.top);
+        set('header-footer-margin-bottom', settings.margins.bottom);
+        set('header-footer-margin-left', settings.margins.left);
+        set('header-footer-margin-right', settings.margins.right);
+        set('header-footer-range', settings.pageRange);
+        set('header-footer-parity', settings.pageParity);
+        set('header-footer-bates-prefix', settings.bates.prefix);
+        set('header-footer-bates-start', settings.bates.start);
+        set('header-footer-bates-digits', settings.bates.digits);
+        document.getElementById('header-footer-modal')?.classList.remove('hidden');
+    }
+
+    /**
+     * Header and footer settings as entered in the modal (empty numbers fall back to the defaults)
+     * @returns {import('./header-footer.js').HeaderFooterSettings}
+     */
+    readHeaderFooterSettings() {
+        const value = (id) => document.getElementById(id)?.value || '';
+        const number = (id, fallback) => (value(id).trim() === '' || !Number.isFinite(Number(value(id))) ? fallback : Number(value(id)));
+        const texts = { ...DEFAULT_HEADER_FOOTER.texts };
+        document.querySelectorAll('[data-header-footer]').forEach((input) => {
+            texts[input.dataset.headerFooter] = input.value;
+        });
+        const { margins, bates } = DEFAULT_HEADER_FOOTER;
+        return {
+            texts,
+            fontFamily: value('header-footer-font') || DEFAULT_HEADER_FOOTER.fontFamily,
+            fontSize: Math.min(72, Math.max(4, number('header-footer-size', DEFAULT_HEADER_FOOTER.fontSize))),
+            color: value('header-footer-color') || DEFAULT_HEADER_FOOTER.color,
+            margins: {
+                top: Math.max(0, number('header-footer-margin-top', margins.top)),
+                bottom: Math.max(0, number('header-footer-margin-bottom', margins.bottom)),
+                left: Math.max(0, number('header-footer-margin-left', margins.left)),
+                right: Math.max(0, number('header-footer-margin-right', margins.right))
+            },
+            pageRange: value('header-footer-range'),
+            pageParity: ['odd', 'even'].includes(value('header-footer-parity')) ? value('header-footer-parity') : 'all',
+            bates: {
+                prefix: value('header-footer-bates-prefix'),
+                start: number('header-footer-bates-start', bates.start),
+                digits: number('header-footer-bates-digits', bates.digits)
+            }
+        };
+    }
+
+    /**
+     * Show header and footer text over the pages where the export draws it (null hides it)
+     * @param {import('./header-footer.js').HeaderFooterSettings|null} settings
+     */
+    previewHeaderFooter(settings) {
+        if (!hasHeaderFooter(settings)) {
+            this.canvasManager.setPagePainter('header-footer', null);
+            return;
+        }
+        // Texts by view page id, worked out again when pages are added, removed or reordered
+        let cache = null;
+        this.canvasManager.setPagePainter('header-footer', (pageId, ctx, canvas) => {
+            if (cache?.viewPages !== this.viewPages || cache.count !== this.viewPages.length || cache.fileName !== this.fileName) {
+                const pages = headerFooterTexts(settings, { pageCount: this.viewPages.length, fileName: this.fileName });
+                cache = {
+                    viewPages: this.viewPages,
+                    count: this.viewPages.length,
+                    fileName: this.fileName,
+                    byId: new Map(this.viewPages.map((vp, i) => [vp.id, { vp, texts: pages[i] }]))
+                };
+            }
+            const entry = cache.byId.get(pageId);
+            if (!entry?.texts?.length) return;
+            const scale = this.currentScale;
+            const page = { width: canvas.getWidth() / scale, height: canvas.getHeight() / scale };
+            ctx.save();
+            ctx.font = `${settings.fontSize * scale}px "${settings.fontFamily}"`;
+            ctx.fillStyle = settings.color;
+            ctx.textBaseline = 'alphabetic';
+            const measure = (text) => ctx.measureText(text).width / scale;
+            for (const { text, x, y, rotation } of layoutHeaderFooter(entry.texts, settings, page, entry.vp.rotation || 0, measure)) {
+                ctx.save();
+                ctx.translate(x * scale, y * scale);
+                // The page is turned clockwise by CSS; turning the text back keeps it upright
+                ctx.rotate((-rotation * Math.PI) / 180);
+                ctx.fillText(text, 0, 0);
+                ctx.restore();
+            }
+            ctx.restore();
+        });
+    }
+
+    /**
+     * Watermark modal: a text or image watermark on the pages in a range, edited and removed as one.
+     * The pages preview the settings while they are edited; Cancel puts back the saved ones.
+     */
+    setupWatermarkModal() {
+        const modal = document.getElementById('watermark-modal');
+        const close = () => {
+            modal?.classList.add('hidden');
+            this.previewWatermark(this.watermark);
+        };
+        const update = () => {
+            const image = this.readWatermarkSettings().kind === 'image';
+            modal?.querySelector('.watermark-text-options')?.classList.toggle('hidden', image);
+            modal?.querySelector('.watermark-image-options')?.classList.toggle('hidden', !image);
+            this.previewWatermark(this.readWatermarkSettings());
+        };
+        document.getElementById('btn-watermark')?.addEventListener('click', () => this.showWatermarkModal());
+        modal?.addEventListener('input', update);
+        document.getElementById('watermark-image-input')?.addEventListener('change', async (e) => {
+            const file = e.target.files?.[0];
+            e.target.value = '';
+            if (!file) return;
+            try {
+                this._pendingWatermarkImage = await this.readWatermarkImage(file);
+            } catch (err) {
+                console.warn('Could not read watermark image', err);
+                toast.error('That image could not be read. Choose a PNG or JPEG file.');
+                return;
             }
-            if (emailInput) {
-                emailInput.readOnly = false;
-                emailInput.classList.remove('readonly');
-                emailInput.value = '';
+            const name = document.getElementById('watermark-image-name');
+            if (name) name.textContent = file.name;
+            update();
+        });
+        document.getElementById('watermark-modal-close')?.addEventListener('click', close);
+        document.getElementById('watermark-cancel')?.addEventListener('click', close);
+        document.getElementById('watermark-remove')?.addEventListener('click', () => {
+            this.watermark = null;
+            close();
+            toast.info('Watermark removed.');
+        });
+        document.getElementById('watermark-apply')?.addEventListener('click', () => {
+            const settings = this.readWatermarkSettings();
+            if (settings.kind === 'image' && !settings.image) {
+                toast.warning('Choose an image for the watermark.');
+                return;
             }
-            if (this.mode === 'fill') {
-                const signerInfo = this.detectCurrentSigner();
-                if (signerInfo.fieldLabel && nameInput) nameInput.value = signerInfo.fieldLabel;
-                if (signerInfo.email && emailInput) emailInput.value = signerInfo.email;
+            if (settings.pageRange.trim() && parsePageRanges(settings.pageRange, Number.MAX_SAFE_INTEGER).length === 0) {
+                toast.warning('Enter pages like "1-3, 5", or leave the page range empty for all pages.');
+                return;
             }
-        }
+            this.watermark = hasWatermark(settings) ? settings : null;
+            close();
+            if (this.watermark) toast.success('The watermark is drawn when you download, extract, split or send the PDF.');
+        });
+        modal?.addEventListener('click', (e) => {
+            if (e.target === modal) close();
+        });
+    }
 
-        this._refreshSignatureModalExtras();
-        this.updateSignatureApplyState();
-        this.updateHistoryButtons();
+    showWatermarkModal() {
+        if (!this.pdfHandler.isLoaded()) return;
+        const settings = this.watermark || DEFAULT_WATERMARK;
+        const set = (id, value) => {
+            const input = document.getElementById(id);
+            if (input) input.value = value;
+        };
+        document.querySelectorAll('input[name="watermark-kind"]').forEach((radio) => {
+            radio.checked = radio.value === settings.kind;
+        });
+        const font = document.getElementById('watermark-font');
+        if (font) font.innerHTML = this.fontOptionsHtml(settings.fontFamily);
+        const bold = document.getElementById('watermark-bold');
+        if (bold) bold.checked = settings.bold;
+        set('watermark-text', settings.text);
+        set('watermark-color', settings.color);
+        set('watermark-scale', Math.round(settings.scale * 100));
+        set('watermark-rotation', settings.rotation);
+        set('watermark-opacity', Math.round(settings.opacity * 100));
+        set('watermark-position', settings.position);
+        set('watermark-layer', settings.layer);
+        set('watermark-range', settings.pageRange);
+        this._pendingWatermarkImage = settings.image;
+        const name = document.getElementById('watermark-image-name');
+        if (name) name.textContent = settings.image ? 'Current image' : 'No image chosen';
+        const modal = document.getElementById('watermark-modal');
+        modal?.querySelector('.watermark-text-options')?.classList.toggle('hidden', settings.kind === 'image');
+        modal?.querySelector('.watermark-image-options')?.classList.toggle('hidden', settings.kind !== 'image');
+        modal?.classList.remove('hidden');
     }
 
     /**
-     * Update the email associated with a signature field. Called when user edits the sidebar email input.
+     * Watermark settings as entered in the modal (empty numbers fall back to the defaults)
+     * @returns {import('./watermark.js').WatermarkSettings}
      */
-    updateSignerEmailForField(field, email) {
-        const label = (field.signatureFieldLabel || field.object?._signatureFieldLabel || '').trim();
-        if (!label) return;
-        if (!this.signingFlowMeta) this.signingFlowMeta = { signers: [], expectedSigners: [] };
-        let expected = this.signingFlowMeta.expectedSigners || [];
-        const existing = expected.find((s) => (s.name || '').trim().toLowerCase() === label.toLowerCase());
-        if (existing) {
-            existing.email = email;
-        } else {
-            expected = [...expected, { name: label, email, order: expected.length + 1 }];
-            this.signingFlowMeta.expectedSigners = expected;
-        }
-        this.refreshSendModal();
+    readWatermarkSettings() {
+        const value = (id) => document.getElementById(id)?.value || '';
+        const number = (id, fallback) => (value(id).trim() === '' || !Number.isFinite(Number(value(id))) ? fallback : Number(value(id)));
+        const kind = document.querySelector('input[name="watermark-kind"]:checked')?.value === 'image' ? 'image' : 'text';
+        return {
+            kind,
+            text: value('watermark-text'),
+            fontFamily: value('watermark-font') || DEFAULT_WATERMARK.fontFamily,
+            bold: !!document.getElementById('watermark-bold')?.checked,
+            color: value('watermark-color') || DEFAULT_WATERMARK.color,
+            image: this._pendingWatermarkImage || null,
+            scale: Math.min(100, Math.max(5, number('watermark-scale', DEFAULT_WATERMARK.scale * 100))) / 100,
+            rotation: Math.min(180, Math.max(-180, number('watermark-rotation', DEFAULT_WATERMARK.rotation))),
+            opacity: Math.min(100, Math.max(5, number('watermark-opacity', DEFAULT_WATERMARK.opacity * 100))) / 100,
+            position: WATERMARK_POSITIONS.includes(value('watermark-position')) ? value('watermark-position') : DEFAULT_WATERMARK.position,
+            layer: value('watermark-layer') === 'behind' ? 'behind' : 'above',
+            pageRange: value('watermark-range')
+        };
     }
 
     /**
-     * Get signer email for a specific field (from URL params or signing flow metadata)
+     * Read an image file for a watermark; images other than PNG and JPEG are converted to PNG
+     * @param {File} file
+     * @returns {Promise<{ dataUrl: string; width: number; height: number }>}
      */
-    detectCurrentSignerForField(field) {
-        const urlParams = new URLSearchParams(window.location.search);
-        const urlEmail = urlParams.get('email');
-        if (urlEmail) return { email: urlEmail };
-
-        const fieldLabel = (field.signatureFieldLabel || field.object?._signatureFieldLabel || '').toLowerCase();
-        if (!fieldLabel || !this.signingFlowMeta?.expectedSigners) return { email: '' };
-        const signer = this.signingFlowMeta.expectedSigners.find(s => {
-            const sName = (s.name || '').toLowerCase();
-            const sEmail = (s.email || '').toLowerCase();
-            if (!sName && !sEmail) return false;
-            if (sName && (fieldLabel.includes(sName) || sName.includes(fieldLabel))) return true;
-            if (sEmail && fieldLabel.includes(sEmail)) return true;
-            return false;
+    readWatermarkImage(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onerror = () => reject(reader.error);
+            reader.onload = () => {
+                const img = new Image();
+                img.onerror = () => reject(new Error('Not an image'));
+                img.onload = () => {
+                    let dataUrl = reader.result;
+                    if (!/^data:image\/(png|jpe?g)/.test(dataUrl)) {
+                        const canvas = document.createElement('canvas');
+                        canvas.width = img.naturalWidth;
+                        canvas.height = img.naturalHeight;
+                        canvas.getContext('2d').drawImage(img, 0, 0);
+                        dataUrl = canvas.toDataURL('image/png');
+                    }
+                    resolve({ dataUrl, width: img.naturalWidth, height: img.naturalHeight });
+                };
+                img.src = reader.result;
+            };
+            reader.readAsDataURL(file);
         });
-        return { email: signer?.email || '' };
     }
 
     /**
-     * Detect current signer from URL parameters or signing metadata
-     * Returns fieldLabel (which signature slot) and email for pre-filling the modal
+     * Show the watermark on the pages where the export draws it (null hides it). One behind the
+     * content is drawn under the annotations; the page image itself is always under the preview.
+     * @param {import('./watermark.js').WatermarkSettings|null} settings
      */
-    detectCurrentSigner() {
-        const urlParams = new URLSearchParams(window.location.search);
-        const urlField = urlParams.get('field') || urlParams.get('signer') || urlParams.get('name');
-        const urlEmail = urlParams.get('email');
-        
-        if (urlField || urlEmail) {
-            return {
-                fieldLabel: urlField || '',
-                email: urlEmail || ''
-            };
+    previewWatermark(settings) {
+        if (!hasWatermark(settings)) {
+            this.canvasManager.setPagePainter('watermark', null);
+            return;
         }
-        
-        if (this.signingFlowMeta && this.signingFlowMeta.expectedSigners) {
-            const withEmail = this.signingFlowMeta.expectedSigners.filter(s => s.email);
-            if (withEmail.length === 1) {
-                return {
-                    fieldLabel: withEmail[0].name || '',  // expectedSigner.name = field label
-                    email: withEmail[0].email || ''
+        let image = null;
+        if (settings.kind === 'image') {
+            image = new Image();
+            image.onload = () => this.canvasManager.renderAll();
+            image.src = settings.image.dataUrl;
+        }
+        const text = settings.text.replace(/\s*\r?\n\s*/g, ' ').trim();
+        const font = (size) => `${settings.bold ? 'bold ' : ''}${size}px "${settings.fontFamily}"`;
+        // Pages marked by view page id, worked out again when pages are added, removed or reordered
+        let cache = null;
+        this.canvasManager.setPagePainter('watermark', (pageId, ctx, canvas) => {
+            if (cache?.viewPages !== this.viewPages || cache.count !== this.viewPages.length) {
+                const marked = watermarkPages(settings, this.viewPages.length);
+                cache = {
+                    viewPages: this.viewPages,
+                    count: this.viewPages.length,
+                    byId: new Map(this.viewPages.map((vp, i) => [vp.id, marked[i] ? vp : null]))
                 };
             }
-        }
-        
-        return { fieldLabel: '', email: '' };
+            const vp = cache.byId.get(pageId);
+            if (!vp || (image && !image.complete)) return;
+            const scale = this.currentScale;
+            const page = { width: canvas.getWidth() / scale, height: canvas.getHeight() / scale };
+            ctx.save();
+            ctx.font = font(100);
+            const aspect = image ? image.naturalHeight / image.naturalWidth : (100 * CAP_HEIGHT) / ctx.measureText(text).width;
+            const { width, height, marks } = layoutWatermark(settings, page, vp.rotation || 0, aspect);
+            ctx.globalAlpha = settings.opacity;
+            ctx.fillStyle = settings.color;
+            ctx.font = font((height / CAP_HEIGHT) * scale);
+            ctx.textBaseline = 'alphabetic';
+            for (const { x, y, rotation } of marks) {
+                ctx.save();
+                ctx.translate(x * scale, y * scale);
+                ctx.rotate((-rotation * Math.PI) / 180);
+                if (image) ctx.drawImage(image, (-width / 2) * scale, (-height / 2) * scale, width * scale, height * scale);
+                else ctx.fillText(text, (-width / 2) * scale, (height / 2) * scale);
+                ctx.restore();
+            }
+            ctx.restore();
+        }, settings.layer === 'behind');
+    }
+
+    /** Redraw the header, footer and watermark previews after the pages changed (numbers, order, rotation) */
+    refreshPagePreviews() {
+        if (this.canvasManager.pagePainters.size > 0) this.canvasManager.renderAll();
     }
 
     /**
-     * Hide signature modal
+     * Tell the user what the last export removed when it was sanitized
      */
-    hideSignatureModal() {
-        this.signatureModal.classList.add('hidden');
-        this.updateHistoryButtons();
+    reportSanitization() {
+        const result = this.exporter.lastSanitization;
+        if (!result) return;
+        if (result.removed.length === 0) toast.info('Sanitized: the document had none of the selected information.');
+        else toast.success(`Sanitized. Removed: ${result.removed.join('; ')}.`);
     }
 
     /**
-     * Export the PDF with annotations (shared logic)
-     * @returns {Promise<{ bytes: Uint8Array; exportName: string } | null>}
+     * Sanitize modal: download a copy without metadata, scripts, attachments, hidden content,
+     * comments or thumbnails, whatever the export options say
      */
-    async getExportedPDF() {
-        if (!this.pdfHandler.isLoaded()) return null;
-
-        const annotationsArr = this.canvasManager.getAllAnnotations();
-        const annotationsByPageId = new Map();
-        for (const p of annotationsArr) {
-            annotationsByPageId.set(p.pageId, p.annotations);
-        }
-
-        // Collect locked signature field labels and locked form field names (permanently locked on export)
-        const lockedSignatureFields = [];
-        const lockedFormFields = [];
-        for (const p of annotationsArr) {
-            for (const ann of p.annotations || []) {
-                if (ann.type === 'signature' && ann.object?._signatureLocked && ann.data?._signatureMeta?.replacedFieldLabel) {
-                    const label = (ann.data._signatureMeta.replacedFieldLabel || '').trim();
-                    if (label && !lockedSignatureFields.includes(label)) lockedSignatureFields.push(label);
-                }
-                if (['textfield', 'checkbox', 'radio', 'dropdown', 'date'].includes(ann.type) && ann.object?._fieldLocked && ann.data?._fieldName) {
-                    const name = (ann.data._fieldName || '').trim();
-                    if (name && !lockedFormFields.includes(name)) lockedFormFields.push(name);
-                }
+    setupSanitizeModal() {
+        const modal = document.getElementById('sanitize-modal');
+        const hide = () => modal?.classList.add('hidden');
+        document.getElementById('btn-sanitize')?.addEventListener('click', () => {
+            if (!this.pdfHandler.isLoaded()) return;
+            this.showSanitizeOptions(document.getElementById('sanitize-options'), this.exportOptions.sanitize);
+            modal?.classList.remove('hidden');
+        });
+        document.getElementById('sanitize-modal-close')?.addEventListener('click', hide);
+        document.getElementById('sanitize-cancel')?.addEventListener('click', hide);
+        document.getElementById('sanitize-confirm')?.addEventListener('click', () => {
+            const options = this.readSanitizeOptions(document.getElementById('sanitize-options'));
+            hide();
+            if (!isFirstDocumentUsed() || isSupportValid()) {
+                this.downloadSanitized(options);
+                return;
             }
-        }
-        const mergedLockedSignatures = [...new Set([...(this.signingFlowMeta?.lockedSignatureFields || []), ...lockedSignatureFields])];
-        const mergedLockedFormFields = [...new Set([...(this.signingFlowMeta?.lockedFormFields || []), ...lockedFormFields])];
-
-        // Document stage: signed if any locked fields; otherwise preserve previous or draft
-        const documentStage = (mergedLockedSignatures.length > 0 || mergedLockedFormFields.length > 0) ? 'signed' : (this.signingFlowMeta?.documentStage || 'draft');
-
-        // Build canonical digest for hash chain (proves when changes were made)
-        const canonical = {
-            viewPages: (this.viewPages || []).map((vp) => ({ id: vp.id, docId: vp.docId, sourcePageNum: vp.sourcePageNum, rotation: vp.rotation })),
-            pages: (this.viewPages || []).map((vp) => {
-                const anns = annotationsByPageId.get(vp.id) || [];
-                const digests = anns.map((a) => {
-                    const type = a.type || '';
-                    const label = a.data?._signatureMeta?.replacedFieldLabel ?? a.data?._fieldName ?? a.data?._signatureFieldLabel ?? '';
-                    return { type, label: (label || '').trim() };
-                }).sort((a, b) => (a.type + a.label).localeCompare(b.type + b.label));
-                return digests;
-            })
-        };
-        const documentHash = await computeDocumentHash(JSON.stringify(canonical));
-        const previousHash = this.signingFlowMeta?.hashChain?.hash || undefined;
-        const hashChain = documentHash ? { hash: documentHash, timestamp: new Date().toISOString(), previousHash } : undefined;
-        this.documentHash = documentHash || this.documentHash;
-
-        const exportSigningFlowMeta = {
-            ...this.signingFlowMeta,
-            lockedSignatureFields: mergedLockedSignatures.length > 0 ? mergedLockedSignatures : (this.signingFlowMeta?.lockedSignatureFields),
-            lockedFormFields: mergedLockedFormFields.length > 0 ? mergedLockedFormFields : (this.signingFlowMeta?.lockedFormFields),
-            documentStage,
-            hashChain
-        };
-
-        const docBytesById = this.pdfHandler.getAllOriginalBytes();
-        const modifiedPdfBytes = await this.exporter.exportPDF({
-            docBytesById,
-            viewPages: this.viewPages,
-            annotationsByPageId,
-            scale: this.currentScale,
-            mainDocId: this.pdfHandler.mainDocId,
-            signingFlowMeta: exportSigningFlowMeta
+            this.showSupportPromptModal('download', () => this.downloadSanitized(options));
+        });
+        modal?.addEventListener('click', (e) => {
+            if (e.target === modal) hide();
         });
-
-        // Once exported, those locked fields become permanent for this session (cannot be unlocked)
-        mergedLockedSignatures.forEach((l) => this.lockedFromFile.signatures.add(l));
-        mergedLockedFormFields.forEach((l) => this.lockedFromFile.formFields.add(l));
-
-        const baseName = (this.fileName || '').replace(/\.pdf$/i, '').trim();
-        const hasRealFilename = baseName && baseName !== 'document';
-        const exportName = hasRealFilename
-            ? `${baseName}-edited.pdf`
-            : `pdf-export-${Math.random().toString(36).slice(2, 10)}.pdf`;
-
-        return { bytes: modifiedPdfBytes, exportName };
     }
 
     /**
-     * Export the PDF with annotations
+     * Download a sanitized copy of the document
+     * @param {import('./sanitize.js').SanitizeOptions} options
      */
-    async exportPDF() {
-        if (!this.pdfHandler.isLoaded()) return;
-
-        this.showLoading('Exporting PDF...');
+    async downloadSanitized(options) {
+        this.showLoading('Sanitizing PDF...');
         try {
-            const result = await this.getExportedPDF();
+            const result = await this.getExportedPDF({ incremental: false, sanitize: options });
             if (result) {
-                this.exporter.downloadPDF(result.bytes, result.exportName);
+                this.exporter.downloadPDF(result.bytes, result.exportName.replace(/(-edited)?\.pdf$/i, '-sanitized.pdf'));
                 markFirstDocumentUsed();
                 consumeSupportUse();
             }
         } catch (error) {
-            console.error('Export error:', error);
-            toast.error('Error exporting PDF: ' + error.message);
+            console.error('Sanitize error:', error);
+            toast.error('Error sanitizing PDF: ' + error.message);
         } finally {
             this.hideLoading();
         }
     }
 
     /**
-     * Check support status; if expired, show support prompt. Otherwise export.
+     * Document Properties modal: title, author, subject, keywords, language, the creating application
+     * and custom properties of the main document. Changes are kept for the session and written on export.
      */
-    maybeExportPDF() {
+    setupPropertiesModal() {
+        const modal = document.getElementById('properties-modal');
+        const listEl = document.getElementById('properties-custom-list');
+        const hide = () => modal?.classList.add('hidden');
+
+        this.renderCustomProperties = (entries) => {
+            if (!listEl) return;
+            listEl.innerHTML = '';
+            entries.forEach(({ name, value }) => {
+                const row = document.createElement('div');
+                row.className = 'expected-signers-row';
+                row.setAttribute('role', 'listitem');
+                row.innerHTML = `
+                    <input type="text" class="properties-custom-name send-input" placeholder="Name (e.g. Department)" value="${escapeHtml(name || '')}">
+                    <input type="text" class="properties-custom-value send-input" placeholder="Value" value="${escapeHtml(value || '')}">
+                    <button type="button" class="btn btn-secondary expected-signers-remove" title="Remove property">Remove</button>
+                `;
+                listEl.appendChild(row);
+            });
+        };
+
+        document.getElementById('btn-properties')?.addEventListener('click', () => this.showPropertiesModal());
+        document.getElementById('properties-custom-add')?.addEventListener('click', () => {
+            this.renderCustomProperties([...this.readCustomProperties(), { name: '', value: '' }]);
+            listEl?.querySelector('.expected-signers-row:last-child .properties-custom-name')?.focus();
+        });
+        listEl?.addEventListener('click', (e) => {
+            e.target.closest('.expected-signers-remove')?.closest('.expected-signers-row')?.remove();
+        });
+        document.getElementById('properties-modal-close')?.addEventListener('click', hide);
+        document.getElementById('properties-cancel')?.addEventListener('click', hide);
+        document.getElementById('properties-save')?.addEventListener('click', () => {
+            const custom = this.readCustomProperties().filter((p) => p.name || p.value);
+            const invalid = custom.find((p) => !isCustomPropertyName(p.name));
+            if (invalid) {
+                toast.warning(invalid.name
+                    ? `"${invalid.name}" cannot be used as a property name: use a name without spaces that is not a standard one (Title, Author, ...).`
+                    : 'Give every custom property a name.');
+                return;
+            }
+            if (new Set(custom.map((p) => p.name)).size !== custom.length) {
+                toast.warning('Each custom property needs a different name.');
+                return;
+            }
+            const value = (id) => (document.getElementById(id)?.value || '').trim();
+            this.documentProperties = {
+                title: value('properties-title'),
+                author: value('properties-author'),
+                subject: value('properties-subject'),
+                keywords: value('properties-keywords'),
+                creator: value('properties-creator'),
+                language: value('properties-language'),
+                custom
+            };
+            hide();
+            toast.success('Document properties are saved with the next download.');
+        });
+        modal?.addEventListener('click', (e) => {
+            if (e.target === modal) hide();
+        });
+    }
+
+    /** Custom properties as entered in the Document Properties modal */
+    readCustomProperties() {
+        return Array.from(document.querySelectorAll('#properties-custom-list .expected-signers-row'), (row) => ({
+            name: (row.querySelector('.properties-custom-name')?.value || '').trim(),
+            value: row.querySelector('.properties-custom-value')?.value || ''
+        }));
+    }
+
+    showPropertiesModal() {
         if (!this.pdfHandler.isLoaded()) return;
-        if (!isFirstDocumentUsed() || isSupportValid()) {
-            this.exportPDF();
+        const props = this.documentProperties || {};
+        const fields = { title: 'properties-title', author: 'properties-author', subject: 'properties-subject', keywords: 'properties-keywords', creator: 'properties-creator', language: 'properties-language' };
+        for (const [key, id] of Object.entries(fields)) {
+            const input = document.getElementById(id);
+            if (input) input.value = props[key] || '';
+        }
+        this.renderCustomProperties?.(props.custom || []);
+        document.getElementById('properties-modal')?.classList.remove('hidden');
+    }
+
+    /**
+     * Show the preflight of the last export when it was PDF/A: a toast when it passed, else the report
+     */
+    reportPdfA() {
+        const result = this.exporter.lastPreflight;
+        if (!result) return;
+        const name = `PDF/A-${result.part}b`;
+        if (result.issues.length === 0) {
+            toast.success(`Saved as ${name}; the preflight found no problems.`);
             return;
         }
-        this.showSupportPromptModal('download', () => this.exportPDF());
+        const results = document.getElementById('pdfa-report-results');
+        if (!results) return;
+        const item = (status, label, text) => `<li class="verify-item verify-item--${status}">
+  <span class="verify-status">${label}</span>
+  <div class="tpl-info"><span class="tpl-name">${escapeHtml(text)}</span></div>
+</li>`;
+        let html = `<p>The file is marked as ${escapeHtml(name)}, but these problems keep it from conforming:</p>`;
+        html += '<h4 class="verify-heading">Issues</h4><ul class="templates-list">';
+        html += result.issues.map((issue) => item('modified', 'Blocks', issue)).join('');
+        html += '</ul>';
+        if (result.fixes.length > 0) {
+            html += '<h4 class="verify-heading">Fixed during conversion</h4><ul class="templates-list">';
+            html += result.fixes.map((fix) => item('valid', 'Fixed', fix)).join('');
+            html += '</ul>';
+        }
+        results.innerHTML = html;
+        document.getElementById('pdfa-report-modal')?.classList.remove('hidden');
+    }
+
+    setupPdfAReportModal() {
+        const modal = document.getElementById('pdfa-report-modal');
+        document.getElementById('pdfa-report-close')?.addEventListener('click', () => modal?.classList.add('hidden'));
+        modal?.addEventListener('click', (e) => {
+            if (e.target === modal) modal.classList.add('hidden');
+        });
     }
 
     /**
@@ -3713,8 +6251,15 @@ class PDFEditorApp {
             const r = secureStorage.getRegistry().find((x) => x.id === id);
             return r?.name ?? '';
         };
+        const certificateInput = document.getElementById('vault-certificate-input');
+        certificateInput?.addEventListener('change', async () => {
+            const file = certificateInput.files?.[0];
+            certificateInput.value = '';
+            if (file) await this.importCertificate(file);
+        });
         const showUnlockedPanel = () => {
             if (unlockedNameEl) unlockedNameEl.textContent = secureStorage.getActiveVaultName();
+            this.renderVaultCertificates();
             unlockedPanel?.classList.remove('hidden');
         };
         const showVaultModal = (panel) => {
@@ -4618,6 +7163,17 @@ class PDFEditorApp {
         const progressFill = document.getElementById('bulk-fill-progress-fill');
         const progressText = document.getElementById('bulk-fill-progress-text');
         const templateStatus = document.getElementById('bulk-fill-template-status');
+        const encryptionOptions = document.getElementById('bulk-fill-encryption');
+        this.bindEncryptionOptions(encryptionOptions);
+        /** Security options for the filled PDFs; null after showing the user why they are invalid */
+        const readEncryption = () => {
+            try {
+                return { encryption: this.readEncryptionOptions(encryptionOptions) };
+            } catch (e) {
+                toast.warning(e.message);
+                return null;
+            }
+        };
 
         let templateBytes = null;
         let csvText = null;
@@ -4689,7 +7245,7 @@ class PDFEditorApp {
             if (!file) return;
 
             try {
-                await setTemplateFromBytes(await file.arrayBuffer());
+                await setTemplateFromBytes(await this.decryptWithPrompt(await file.arrayBuffer(), file.name));
                 
                 if (pdfFieldNames.length === 0) {
                     toast.warning('No form fields found in PDF. Make sure the PDF has form fields created with the Form Text Field or Form Checkbox tools.');
@@ -4730,7 +7286,7 @@ class PDFEditorApp {
             // If the user didn't upload a template, default to the currently open document
             if (!templateBytes) {
                 if (this.pdfHandler.isLoaded()) {
-                    const exported = await this.getExportedPDF();
+                    const exported = await this.getExportedPDF({ encrypt: false, sign: false, incremental: false });
                     if (exported?.bytes) {
                         await setTemplateFromBytes(arrayBufferFromUint8(exported.bytes));
                     }
@@ -4754,6 +7310,8 @@ class PDFEditorApp {
             });
 
             const filenameTemplate = filenameInput?.value || 'document-{{row}}.pdf';
+            const security = readEncryption();
+            if (!security) return;
 
             // Show progress
             progressDiv.classList.remove('hidden');
@@ -4770,7 +7328,8 @@ class PDFEditorApp {
                         const percent = Math.round((current / total) * 100);
                         progressFill.style.width = percent + '%';
                         progressText.textContent = `Processing ${current} of ${total}...`;
-                    }
+                    },
+                    security.encryption
                 );
 
                 progressText.textContent = `Completed! ${csvHeaders.length > 0 ? this.bulkFillHandler.parseCSV(csvText).length : 0} PDFs downloaded.`;
@@ -4928,9 +7487,11 @@ class PDFEditorApp {
             const rowData = rows[index];
             const fieldMapping = getFieldMappingFromDOM();
             const filenameTemplate = filenameInput?.value || 'document-{{row}}.pdf';
+            const security = readEncryption();
+            if (!security) return;
 
             const doRow = async () => {
-                const filledBytes = await this.bulkFillHandler.fillPDF(templateBytes, rowData, fieldMapping);
+                const filledBytes = await this.bulkFillHandler.fillPDF(templateBytes, rowData, fieldMapping, security.encryption);
                 const filename = this.bulkFillHandler.generateFilename(filenameTemplate, rowData, index);
                 this.bulkFillHandler.downloadPDF(filledBytes, filename);
                 return { filledBytes, filename };
@@ -5024,6 +7585,8 @@ class PDFEditorApp {
 
             const fieldMapping = getFieldMappingFromDOM();
             const filenameTemplate = filenameInput?.value || 'document-{{row}}.pdf';
+            const security = readEncryption();
+            if (!security) return;
             const tplId = emailTemplateSelect?.value || '';
             const tpl = emailTemplates.getById(tplId) || emailTemplates.getDefault();
             const pageCount = await this.bulkFillHandler.getPageCount(templateBytes);
@@ -5047,7 +7610,7 @@ class PDFEditorApp {
                     sendAllStatus.textContent = `Opening email ${i + 1} of ${indicesToSend.length}…`;
                 }
                 try {
-                    const filledBytes = await this.bulkFillHandler.fillPDF(templateBytes, rowData, fieldMapping);
+                    const filledBytes = await this.bulkFillHandler.fillPDF(templateBytes, rowData, fieldMapping, security.encryption);
                     const filename = this.bulkFillHandler.generateFilename(filenameTemplate, rowData, index);
                     this.bulkFillHandler.downloadPDF(filledBytes, filename);
                     const ctx = {
@@ -5100,7 +7663,7 @@ class PDFEditorApp {
                     return;
                 }
                 if (templateStatus) templateStatus.textContent = 'Using the currently open document as the template.';
-                const exported = await this.getExportedPDF();
+                const exported = await this.getExportedPDF({ encrypt: false, sign: false, incremental: false });
                 if (exported?.bytes) {
                     await setTemplateFromBytes(arrayBufferFromUint8(exported.bytes));
                 }
@@ -5265,6 +7828,28 @@ class PDFEditorApp {
         this.bulkFillModal.classList.add('hidden');
     }
 
+    /**
+     * Undo the last action anywhere in the document and show the page it affected
+     */
+    async undo() {
+        this.afterHistoryStep(await this.documentHistory.undo());
+    }
+
+    /**
+     * Redo the last undone action and show the page it affected
+     */
+    async redo() {
+        this.afterHistoryStep(await this.documentHistory.redo());
+    }
+
+    afterHistoryStep(command) {
+        if (!command) return;
+        const pageNum = this.viewPages.findIndex((vp) => vp.id === command.pageId) + 1;
+        if (pageNum > 0 && pageNum !== this.pdfHandler.currentPage) this.goToPage(pageNum);
+        if (this.mode === 'fill') this.refreshFieldsSidebar();
+        this.updateHistoryButtons();
+    }
+
     /**
      * Update undo/redo button states
      */
@@ -5288,11 +7873,25 @@ class PDFEditorApp {
         const textEl = document.getElementById('signing-flow-banner-text');
         if (!banner || !textEl) return;
 
-        if (!this.signingFlowMeta) {
+        if (!this.signingFlowMeta && !this.verification) {
             banner.classList.add('hidden');
             return;
         }
 
+        const modified = this.isModifiedAfterSigning();
+        banner.classList.toggle('signing-flow-banner--warning', modified);
+        const icon = banner.querySelector('.signing-flow-banner-icon');
+        if (icon) icon.textContent = modified ? '⚠' : '✓';
+        document.getElementById('signing-flow-set-expected')?.classList.toggle('hidden', !this.signingFlowMeta);
+        document.getElementById('signing-flow-verify')?.classList.toggle('hidden', !this.verification);
+        const warning = modified ? 'Warning: this document was changed after it was signed. Open Verify for details. ' : '';
+        if (!this.signingFlowMeta) {
+            const count = this.verification.signatures.length;
+            textEl.textContent = `${warning}This document has ${count} digital signature${count === 1 ? '' : 's'}.`;
+            banner.classList.remove('hidden');
+            return;
+        }
+
         const fromMeta = this.signingFlowMeta.signers || [];
         const fromCanvas = [];
         for (const page of this.canvasManager.getAllAnnotations?.() || []) {
@@ -5358,10 +7957,77 @@ class PDFEditorApp {
             msg += 'Sign below and send to the next person to get a complete document.';
         }
 
-        textEl.textContent = msg;
+        textEl.textContent = warning + msg;
         banner.classList.remove('hidden');
     }
 
+    /**
+     * Check the opened document: embedded CMS signatures over their byte ranges, and the content hash
+     * recorded by the signing flow.
+     * @param {Uint8Array} fileBytes - The file as opened
+     * @param {string} docId
+     * @returns {Promise<{ signatures: import('./signature-verification.js').SignatureResult[]; content: import('./signature-verification.js').VerificationResult | null } | null>} null when there is nothing to check
+     */
+    async verifyDocument(fileBytes, docId) {
+        try {
+            const pdfDoc = await PDFLib.PDFDocument.load(this.pdfHandler.getOriginalBytes(docId), { updateMetadata: false });
+            const signatures = await verifySignatures(fileBytes, pdfDoc);
+            const content = this.signingFlowMeta ? await verifyContentHash(pdfDoc, this.signingFlowMeta.hashChain) : null;
+            return signatures.length > 0 || content ? { signatures, content } : null;
+        } catch (e) {
+            console.warn('Could not verify the document:', e);
+            return null;
+        }
+    }
+
+    isModifiedAfterSigning() {
+        const { signatures = [], content = null } = this.verification || {};
+        return [...signatures, content].some((r) => r?.status === 'modified');
+    }
+
+    setupVerifyModal() {
+        const modal = document.getElementById('verify-modal');
+        document.getElementById('signing-flow-verify')?.addEventListener('click', () => this.showVerifyModal());
+        document.getElementById('verify-modal-close')?.addEventListener('click', () => modal?.classList.add('hidden'));
+        modal?.addEventListener('click', (e) => {
+            if (e.target === modal) modal.classList.add('hidden');
+        });
+    }
+
+    /** Per-signer status of the opened document */
+    showVerifyModal() {
+        const results = document.getElementById('verify-results');
+        if (!results || !this.verification) return;
+        const labels = { valid: 'Valid', modified: 'Modified after signing', unknown: 'Unknown' };
+        const formatDate = (iso) => (iso ? new Date(iso).toLocaleString() : '');
+        const item = (name, date, result) => `<li class="verify-item verify-item--${result.status}">
+  <span class="verify-status">${labels[result.status]}</span>
+  <div class="tpl-info">
+    <span class="tpl-name">${escapeHtml(name || 'Unnamed signer')}</span>
+    <div class="tpl-meta">${date ? `${escapeHtml(formatDate(date))} · ` : ''}${escapeHtml(result.detail)}</div>
+  </div>
+</li>`;
+
+        const { signatures, content } = this.verification;
+        let html = '';
+        if (signatures.length > 0) {
+            html += '<h4 class="verify-heading">Digital signatures</h4><ul class="templates-list">';
+            html += signatures.map((sig) => item(sig.name, sig.signedAt, sig)).join('');
+            html += '</ul>';
+        }
+        if (content) {
+            // Signing-flow signatures are images; they are only as intact as the content hash
+            const signers = this.signingFlowMeta?.signers || [];
+            html += '<h4 class="verify-heading">Signing flow</h4><ul class="templates-list">';
+            html += signers.length > 0
+                ? signers.map((s) => item(s.name, s.timestamp, content)).join('')
+                : item('Document content', this.signingFlowMeta?.hashChain?.timestamp, content);
+            html += '</ul>';
+        }
+        results.innerHTML = html;
+        document.getElementById('verify-modal')?.classList.remove('hidden');
+    }
+
     /**
      * Show loading overlay
      */
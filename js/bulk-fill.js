@@ -2,9 +2,18 @@
  * Bulk Fill Handler - Handles CSV-based bulk PDF filling
  */
 
+import { encryptPdf } from './pdf-encryption.js';
+
 const { PDFDocument, rgb } = PDFLib;
 
 export class BulkFillHandler {
+    /**
+     * @param {import('./font-manager.js').FontManager} [fontManager] - Uploaded fonts for values Helvetica cannot draw
+     */
+    constructor(fontManager = null) {
+        this.fontManager = fontManager;
+    }
+
     /**
      * Parse CSV file content
      * @param {string} csvText - CSV file content
@@ -105,12 +114,15 @@ export class BulkFillHandler {
      * @param {ArrayBuffer} templateBytes - Template PDF bytes
      * @param {Object} rowData - Data object with field names as keys
      * @param {Object} fieldMapping - Mapping from CSV column names to PDF field names
+     * @param {import('./pdf-encryption.js').EncryptionOptions} [encryption] - Password-protect the filled PDF
      * @returns {Promise<Uint8Array>} Filled PDF bytes
      */
-    async fillPDF(templateBytes, rowData, fieldMapping) {
+    async fillPDF(templateBytes, rowData, fieldMapping, encryption = null) {
         const pdfDoc = await PDFDocument.load(templateBytes);
+        pdfDoc.registerFontkit(fontkit);
         const form = pdfDoc.getForm();
         const fields = form.getFields();
+        const fontFor = this.createFieldFontResolver(pdfDoc);
 
         // Create reverse mapping: PDF field name -> CSV column name
         const reverseMapping = {};
@@ -122,7 +134,7 @@ export class BulkFillHandler {
         });
 
         // Fill form fields
-        fields.forEach(field => {
+        for (const field of fields) {
             const fieldName = field.getName();
             const csvColumn = reverseMapping[fieldName];
             
@@ -132,6 +144,8 @@ export class BulkFillHandler {
                     
                     if (field.constructor.name === 'PDFTextField') {
                         field.setText(value);
+                        const font = await fontFor(value);
+                        if (font) field.updateAppearances(font);
                     } else if (field.constructor.name === 'PDFCheckBox') {
                         // For checkboxes, treat 'true', '1', 'yes', 'checked' as checked
                         const checked = ['true', '1', 'yes', 'checked', 'x'].includes(value.toLowerCase());
@@ -145,13 +159,40 @@ export class BulkFillHandler {
                     console.warn(`Failed to fill field ${fieldName}:`, error);
                 }
             }
-        });
+        }
 
         // Flatten form to prevent further editing
         form.flatten();
 
         const filledBytes = await pdfDoc.save();
-        return filledBytes;
+        return encryption ? encryptPdf(filledBytes, encryption) : filledBytes;
+    }
+
+    /**
+     * Returns a function giving the uploaded font (embedded once per document) for a value
+     * Helvetica cannot encode, or null when Helvetica will do or no uploaded font has the characters
+     * @param {PDFLib.PDFDocument} pdfDoc
+     * @returns {(text: string) => Promise<PDFLib.PDFFont|null>}
+     */
+    createFieldFontResolver(pdfDoc) {
+        const embedded = new Map();
+        return async (text) => {
+            if (!this.fontManager?.list().length) return null;
+            try {
+                // The form's default font is the Helvetica pdf-lib draws field appearances with
+                const helvetica = pdfDoc.getForm().getDefaultFont();
+                String(text).split(/\r?\n/).forEach((line) => helvetica.encodeText(line));
+                return null;
+            } catch {
+                // Needs an uploaded font
+            }
+            const family = this.fontManager.findFamilyFor(text);
+            if (!family) return null;
+            if (!embedded.has(family)) {
+                embedded.set(family, await pdfDoc.embedFont(this.fontManager.getBytes(family), { subset: true }));
+            }
+            return embedded.get(family);
+        };
     }
 
     /**
@@ -207,9 +248,10 @@ export class BulkFillHandler {
      * @param {Object} fieldMapping - Mapping from CSV columns to PDF field names
      * @param {string} filenameTemplate - Filename template
      * @param {Function} progressCallback - Callback for progress updates (current, total)
+     * @param {import('./pdf-encryption.js').EncryptionOptions} [encryption] - Password-protect every filled PDF
      * @returns {Promise<void>}
      */
-    async processBulkFill(templateBytes, csvText, fieldMapping, filenameTemplate, progressCallback) {
+    async processBulkFill(templateBytes, csvText, fieldMapping, filenameTemplate, progressCallback, encryption = null) {
         const rows = this.parseCSV(csvText);
         
         if (rows.length === 0) {
@@ -222,7 +264,7 @@ export class BulkFillHandler {
             }
 
             const rowData = rows[i];
-            const filledBytes = await this.fillPDF(templateBytes, rowData, fieldMapping);
+            const filledBytes = await this.fillPDF(templateBytes, rowData, fieldMapping, encryption);
             const filename = this.generateFilename(filenameTemplate, rowData, i);
             
             // Download with a small delay to avoid browser blocking multiple downloads
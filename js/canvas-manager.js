@@ -2,18 +2,69 @@
  * Canvas Manager - Manages Fabric.js canvas overlays for PDF annotation
  */
 
+import { DocumentHistory } from './history.js';
+
+/** Custom object properties kept in history snapshots */
+const SNAPSHOT_PROPS = [
+    '_annotationType',
+    '_checked',
+    '_fieldValue',
+    '_fieldName',
+    '_signatureMeta',
+    '_signatureFieldLabel',
+    '_signatureLocked',
+    '_fieldLocked',
+    '_noteText',
+    '_stampText',
+    '_options',
+    '_selectedOption',
+    '_radioGroup',
+    '_radioValue',
+    '_textEdit',
+    '_link'
+];
+
+/**
+ * Replacement for a run of existing PDF text. It paints the page background over the
+ * original run's box (the original glyphs are removed on export) and draws the new text on top.
+ * _textEdit: { box: original run in points from the page's top-left, mask: the same box in
+ * the object's local units from its top-left corner, background: CSS color, original: text }
+ */
+fabric.EditedText = fabric.util.createClass(fabric.IText, {
+    type: 'edited-text',
+    // The mask reaches past the text's own bounds, which a cache canvas would clip
+    objectCaching: false,
+
+    _renderBackground(ctx) {
+        const mask = this._textEdit?.mask;
+        if (mask) {
+            ctx.fillStyle = this._textEdit.background || '#ffffff';
+            ctx.fillRect(-this.width / 2 + mask.left, -this.height / 2 + mask.top, mask.width, mask.height);
+        }
+        this.callSuper('_renderBackground', ctx);
+    }
+});
+
+fabric.EditedText.fromObject = (object, callback) => {
+    const styles = fabric.util.stylesFromArray(object.styles, object.text);
+    fabric.Object._fromObject('EditedText', { ...object, styles }, callback, 'text');
+};
+
 export class CanvasManager {
-    constructor() {
+    /**
+     * @param {DocumentHistory} [history] - Shared document history; annotation edits are pushed onto it
+     */
+    constructor(history = new DocumentHistory()) {
         this.canvases = new Map(); // pageId -> fabric.Canvas
         this.activeCanvas = null;
         this.activePageId = null;
         this.activeTool = 'select';
         this.fillMode = false; // Whether in fill mode (form filling/signing)
-        this.history = new Map(); // pageId -> {undoStack, redoStack}
+        this.history = history;
+        this.snapshots = new Map(); // pageId -> { json, scale } last recorded state of each page
         this.currentScale = 1.0;
         this._restoringPages = new Set(); // pageId currently being restored from history
-        /** Optional callback when undo/redo stacks change (e.g. to update toolbar buttons) */
-        this._onHistoryChange = null;
+        this.pagePainters = new Map(); // name -> { paint, below } previews drawn on every page, see setPagePainter
 
         // Tool settings
         this.settings = {
@@ -26,6 +77,7 @@ export class CanvasManager {
             strokeColor: '#000000',
             strokeWidth: 2,
             whiteoutColor: '#ffffff',
+            redactColor: '#000000',
             highlightColor: '#fff59d',
             highlightOpacity: 0.55,
             shapeFill: 'transparent',
@@ -74,12 +126,20 @@ export class CanvasManager {
 
         // Store reference
         this.canvases.set(pageId, fabricCanvas);
-        this.history.set(pageId, { undoStack: [], redoStack: [] });
 
         // Set up event listeners
         this.setupCanvasEvents(fabricCanvas, pageId);
+        // Only renders of the objects' canvas come with a context (the selection layer's do not)
+        const paint = (below) => (e) => {
+            if (!e?.ctx) return;
+            this.pagePainters.forEach((painter) => {
+                if (painter.below === below) painter.paint(pageId, e.ctx, fabricCanvas);
+            });
+        };
+        fabricCanvas.on('before:render', paint(true));
+        fabricCanvas.on('after:render', paint(false));
 
-        // Seed initial "blank" state so the first action can be undone
+        // Seed the initial state so the first action can be undone
         this.saveState(pageId);
 
         // Default active canvas/page (first created)
@@ -92,19 +152,15 @@ export class CanvasManager {
     }
 
     canUndo() {
-        const pageId = this.activePageId;
-        const history = pageId != null ? this.history.get(pageId) : null;
-        return !!(history && history.undoStack.length > 1);
+        return this.history.canUndo();
     }
 
     canRedo() {
-        const pageId = this.activePageId;
-        const history = pageId != null ? this.history.get(pageId) : null;
-        return !!(history && history.redoStack.length > 0);
+        return this.history.canRedo();
     }
 
     /**
-     * Set the active page (e.g. when user navigates). Undo/redo will apply to this page.
+     * Set the active page (e.g. when user navigates). Tools act on this page.
      * @param {string} pageId - View page id
      */
     setActivePage(pageId) {
@@ -120,7 +176,7 @@ export class CanvasManager {
      * @param {() => void} callback
      */
     setOnHistoryChange(callback) {
-        this._onHistoryChange = typeof callback === 'function' ? callback : null;
+        this.history.setOnChange(callback);
     }
 
     /**
@@ -132,7 +188,8 @@ export class CanvasManager {
         // Track modifications for undo/redo
         canvas.on('object:added', (e) => {
             if (this._restoringPages.has(pageId)) return;
-            if (e?.target && !e.target._fromHistory) {
+            // Drag tools save once when the drag ends
+            if (e?.target && !this._isTempObject(e.target)) {
                 this.saveState(pageId);
             }
         });
@@ -144,7 +201,7 @@ export class CanvasManager {
 
         canvas.on('object:removed', (e) => {
             if (this._restoringPages.has(pageId)) return;
-            if (e?.target && !e.target._fromHistory) {
+            if (e?.target && !this._isTempObject(e.target)) {
                 this.saveState(pageId);
             }
         });
@@ -211,6 +268,10 @@ export class CanvasManager {
                 window.dispatchEvent(new CustomEvent('field-updated'));
                 return;
             }
+            if (annotationType === 'link') {
+                window.dispatchEvent(new CustomEvent('link-followed', { detail: { link: e.target._link } }));
+                return;
+            }
             if (annotationType === 'signature-field') {
                 // Dispatch to open signature modal
                 window.dispatchEvent(new CustomEvent('form-field-selected', {
@@ -225,9 +286,22 @@ export class CanvasManager {
             case 'text':
                 this.addTextBox(canvas, pointer.x, pointer.y);
                 break;
+            case 'edit-text':
+                // Clicking an edit already made lets Fabric place the cursor in it
+                if (e.target?._annotationType === 'edit-text') break;
+                window.dispatchEvent(new CustomEvent('edit-text-requested', {
+                    detail: { pageId, x: pointer.x / this.currentScale, y: pointer.y / this.currentScale }
+                }));
+                break;
             case 'whiteout':
                 this.startWhiteout(canvas, pointer.x, pointer.y);
                 break;
+            case 'redact':
+                this.startRedact(canvas, pointer.x, pointer.y);
+                break;
+            case 'link':
+                this.startLink(canvas, pointer.x, pointer.y);
+                break;
             case 'highlight':
                 this.startHighlight(canvas, pointer.x, pointer.y);
                 break;
@@ -289,13 +363,20 @@ export class CanvasManager {
      */
     handleMouseUp(e, canvas, pageId) {
         if (this.activeTool === 'whiteout' && this.tempWhiteout) {
-            this.finishWhiteout(canvas);
+            this.finishWhiteout(canvas, pageId);
         }
         if (this._temp) {
-            this.finishTempTool(canvas);
+            this.finishTempTool(canvas, pageId);
         }
     }
 
+    /**
+     * Whether an object is the one a drag tool is still sizing
+     */
+    _isTempObject(obj) {
+        return obj === this.tempWhiteout || (!!this._temp && obj === this._temp.obj);
+    }
+
     /**
      * Set the active tool
      * @param {string} tool - Tool name
@@ -315,9 +396,15 @@ export class CanvasManager {
         const isLockedFormField = isFormField && obj._fieldLocked;
         const isSignatureField = obj._annotationType === 'signature-field';
         const isLockedSignature = obj._annotationType === 'signature' && obj._signatureLocked;
+        const isTextEdit = obj._annotationType === 'edit-text';
+        const isLink = obj._annotationType === 'link';
+        // Links are followed with a click in Fill mode
+        if (isLink) obj.set('hoverCursor', fillMode ? 'pointer' : null);
 
         if (fillMode) {
-            if (isLockedFormField || isLockedSignature) {
+            if (isLink) {
+                obj.set({ selectable: false, evented: true });
+            } else if (isLockedFormField || isLockedSignature) {
                 // Locked form fields and signed fields: read-only, not editable
                 obj.set({
                     selectable: false,
@@ -346,8 +433,9 @@ export class CanvasManager {
                 obj.set({ selectable: false, evented: false });
             }
         } else if (activeTool === 'select') {
-            if (isLockedSignature || isLockedFormField) {
-                // Locked signatures/form fields: selectable (e.g. show in sidebar) but not moved/resized/deleted
+            if (isLockedSignature || isLockedFormField || isTextEdit) {
+                // Locked signatures/form fields: selectable (e.g. show in sidebar) but not moved/resized/deleted.
+                // Edited PDF text stays where the original run was.
                 obj.set({
                     selectable: true,
                     evented: true,
@@ -372,6 +460,8 @@ export class CanvasManager {
                     lockRotation: false
                 });
             }
+        } else if (activeTool === 'edit-text' && isTextEdit) {
+            obj.set({ selectable: true, evented: true, hasControls: false, hasBorders: true });
         } else {
             obj.set({ selectable: false, evented: false });
         }
@@ -457,6 +547,69 @@ export class CanvasManager {
         document.querySelector('[data-tool="text"]')?.classList.remove('active');
     }
 
+    /**
+     * Replace a run of existing PDF text with an editable copy
+     * @param {string} pageId
+     * @param {{ text: string; box: {x0: number; y0: number; x1: number; y1: number}; baseline: number; fontSize: number; font: {family: string; bold: boolean; italic: boolean} }} run - From TextSearch.runAt (points)
+     * @param {{ color: string; background: string }} colors
+     * @returns {fabric.EditedText|null}
+     */
+    addTextEdit(pageId, run, colors) {
+        const canvas = this.canvases.get(pageId);
+        if (!canvas) return null;
+        const scale = this.currentScale;
+        const fontSize = run.fontSize * scale;
+        const text = new fabric.EditedText(run.text, {
+            left: run.box.x0 * scale,
+            top: 0,
+            fontSize,
+            fontFamily: run.font.family,
+            fontWeight: run.font.bold ? 'bold' : 'normal',
+            fontStyle: run.font.italic ? 'italic' : 'normal',
+            textBaseline: 'alphabetic',
+            fill: colors.color,
+            editable: true,
+            _annotationType: 'edit-text'
+        });
+        // Line up the Fabric baseline with the original one
+        text.set('top', run.baseline * scale - fontSize * text._fontSizeMult * (1 - text._fontSizeFraction));
+        text._textEdit = {
+            box: run.box,
+            mask: {
+                left: run.box.x0 * scale - text.left,
+                top: run.box.y0 * scale - text.top,
+                width: (run.box.x1 - run.box.x0) * scale,
+                height: (run.box.y1 - run.box.y0) * scale
+            },
+            background: colors.background,
+            original: run.text
+        };
+        this._applyObjectInteractivity(text, this.fillMode, this.activeTool);
+        text.set({ lockMovementX: true, lockMovementY: true, lockScalingX: true, lockScalingY: true, lockRotation: true });
+
+        this.activeCanvas = canvas;
+        this.activePageId = pageId;
+        canvas.add(text);
+        canvas.setActiveObject(text);
+        text.enterEditing();
+        text.selectAll();
+        canvas.renderAll();
+        return text;
+    }
+
+    /**
+     * Edit already made for a run box on a page, if any
+     * @returns {fabric.EditedText|null}
+     */
+    findTextEdit(pageId, box) {
+        const canvas = this.canvases.get(pageId);
+        if (!canvas) return null;
+        const same = (a, b) => Math.abs(a - b) < 0.5;
+        return canvas.getObjects().find((obj) => obj._annotationType === 'edit-text' && obj._textEdit
+            && same(obj._textEdit.box.x0, box.x0) && same(obj._textEdit.box.y0, box.y0)
+            && same(obj._textEdit.box.x1, box.x1) && same(obj._textEdit.box.y1, box.y1)) || null;
+    }
+
     /**
      * Start drawing a whiteout rectangle
      */
@@ -496,12 +649,13 @@ export class CanvasManager {
     /**
      * Finish whiteout rectangle
      */
-    finishWhiteout(canvas) {
+    finishWhiteout(canvas, pageId) {
         if (this._whiteoutMoveHandler) {
             canvas.off('mouse:move', this._whiteoutMoveHandler);
             this._whiteoutMoveHandler = null;
         }
 
+        let kept = false;
         if (this.tempWhiteout) {
             // If too small, remove it
             if (this.tempWhiteout.width < 5 || this.tempWhiteout.height < 5) {
@@ -512,29 +666,79 @@ export class CanvasManager {
                     selectable: true,
                     evented: true
                 });
+                kept = true;
             }
             this.tempWhiteout = null;
         }
 
         canvas.renderAll();
+        if (kept && pageId != null) this.saveState(pageId);
     }
 
     /**
-     * Start drawing a highlight rectangle
+     * Start drawing a redaction box. Content under it is removed on export.
      */
-    startHighlight(canvas, x, y) {
-        this._temp = { kind: 'highlight', startX: x, startY: y, obj: null, moveHandler: null };
-        const rect = new fabric.Rect({
-            left: x,
-            top: y,
-            width: 0,
-            height: 0,
-            fill: this.settings.highlightColor,
-            opacity: this.settings.highlightOpacity,
+    startRedact(canvas, x, y) {
+        this._temp = { kind: 'redact', startX: x, startY: y, obj: null, moveHandler: null };
+        const rect = this.createRedactRect(x, y, 0, 0);
+        this._temp.obj = rect;
+        canvas.add(rect);
+
+        const moveHandler = (ev) => {
+            const p = canvas.getPointer(ev.e);
+            this.updateDragRect(rect, x, y, p.x, p.y);
+            canvas.renderAll();
+        };
+        canvas.on('mouse:move', moveHandler);
+        this._temp.moveHandler = moveHandler;
+    }
+
+    /**
+     * Start drawing a link box. Its target is set in the Field Properties sidebar.
+     */
+    startLink(canvas, x, y) {
+        this._temp = { kind: 'link', startX: x, startY: y, obj: null, moveHandler: null };
+        const rect = this.createLinkRect(x, y, 0, 0);
+        this._temp.obj = rect;
+        canvas.add(rect);
+
+        const moveHandler = (ev) => {
+            const p = canvas.getPointer(ev.e);
+            this.updateDragRect(rect, x, y, p.x, p.y);
+            canvas.renderAll();
+        };
+        canvas.on('mouse:move', moveHandler);
+        this._temp.moveHandler = moveHandler;
+    }
+
+    /**
+     * Link box without a target (not yet interactive).
+     * _link: { url: web address, or pageId: view page it opens, with zoom: null (keep), 'fit', 'fit-width' or a percentage }
+     */
+    createLinkRect(left, top, width, height) {
+        return new fabric.Rect({
+            left,
+            top,
+            width,
+            height,
+            fill: 'rgba(37, 99, 235, 0.08)',
+            stroke: '#2563eb',
+            strokeWidth: 1 / this.currentScale,
+            strokeDashArray: [4 / this.currentScale, 3 / this.currentScale],
+            strokeUniform: true,
             selectable: false,
             evented: false,
-            _annotationType: 'highlight'
+            _annotationType: 'link',
+            _link: { url: '', pageId: null, zoom: null }
         });
+    }
+
+    /**
+     * Start drawing a highlight rectangle
+     */
+    startHighlight(canvas, x, y) {
+        this._temp = { kind: 'highlight', startX: x, startY: y, obj: null, moveHandler: null };
+        const rect = this.createHighlightRect(x, y, 0, 0);
         this._temp.obj = rect;
         canvas.add(rect);
 
@@ -547,6 +751,153 @@ export class CanvasManager {
         this._temp.moveHandler = moveHandler;
     }
 
+    /**
+     * Redaction box with the current settings (not yet interactive)
+     */
+    createRedactRect(left, top, width, height) {
+        return new fabric.Rect({
+            left,
+            top,
+            width,
+            height,
+            fill: this.settings.redactColor,
+            stroke: '#dc2626',
+            strokeWidth: 1 / this.currentScale,
+            strokeDashArray: [4 / this.currentScale, 3 / this.currentScale],
+            strokeUniform: true,
+            selectable: false,
+            evented: false,
+            _annotationType: 'redact'
+        });
+    }
+
+    /**
+     * Highlight box with the current settings (not yet interactive)
+     */
+    createHighlightRect(left, top, width, height) {
+        return new fabric.Rect({
+            left,
+            top,
+            width,
+            height,
+            fill: this.settings.highlightColor,
+            opacity: this.settings.highlightOpacity,
+            selectable: false,
+            evented: false,
+            _annotationType: 'highlight'
+        });
+    }
+
+    /**
+     * Add highlight or redaction boxes over text matches on any number of pages.
+     * The whole batch is a single undo/redo step.
+     * @param {Array<{ pageId: string; rects: Array<{x: number; y: number; w: number; h: number}> }>} matches - Boxes as fractions of the page size
+     * @param {'highlight'|'redact'} kind
+     * @returns {number} Number of boxes added
+     */
+    addTextMarkupBatch(matches, kind) {
+        const objectsByPage = new Map();
+        for (const match of matches) {
+            const canvas = this.canvases.get(match.pageId);
+            if (!canvas) continue;
+            const width = canvas.getWidth();
+            const height = canvas.getHeight();
+            const list = objectsByPage.get(match.pageId) || [];
+            for (const r of match.rects) {
+                const left = r.x * width;
+                const top = r.y * height;
+                const w = r.w * width;
+                const h = r.h * height;
+                if (!(w > 0 && h > 0)) continue;
+                const obj = kind === 'redact'
+                    ? this.createRedactRect(left, top, w, h)
+                    : this.createHighlightRect(left, top, w, h);
+                list.push(obj);
+            }
+            if (list.length) objectsByPage.set(match.pageId, list);
+        }
+
+        let added = 0;
+        this.history.group(kind === 'redact' ? 'Redact matches' : 'Highlight matches', () => {
+            objectsByPage.forEach((objects, pageId) => {
+                const canvas = this.canvases.get(pageId);
+                objects.forEach((obj) => this._applyObjectInteractivity(obj, this.fillMode, this.activeTool));
+                this.addObjectsBatch(canvas, pageId, objects, (obj) => {
+                    if (kind === 'highlight') obj.sendToBack();
+                });
+                added += objects.length;
+            });
+        });
+        return added;
+    }
+
+    /**
+     * Add form fields on any number of pages as a single undo/redo step.
+     * @param {Array<{ pageId: string; type: string; name: string; box: {x: number; y: number; w: number; h: number} }>} fields - Boxes as fractions of the page size
+     * @returns {number} Number of fields added
+     */
+    addFormFieldsBatch(fields) {
+        const fieldsByPage = new Map();
+        for (const field of fields) {
+            if (!this.canvases.has(field.pageId)) continue;
+            const list = fieldsByPage.get(field.pageId) || [];
+            list.push(field);
+            fieldsByPage.set(field.pageId, list);
+        }
+
+        let added = 0;
+        this.history.group('Add detected fields', () => {
+            fieldsByPage.forEach((list, pageId) => {
+                const canvas = this.canvases.get(pageId);
+                // Descriptor rects are in points
+                const width = canvas.getWidth() / this.currentScale;
+                const height = canvas.getHeight() / this.currentScale;
+                const before = new Set(canvas.getObjects());
+                this._restoringPages.add(pageId);
+                try {
+                    for (const { type, name, box } of list) {
+                        this.addFormFieldFromPdfDescriptor(canvas, {
+                            type,
+                            name,
+                            signatureLabel: name,
+                            rect: { left: box.x * width, top: box.y * height, width: box.w * width, height: box.h * height }
+                        }, this.currentScale);
+                    }
+                } finally {
+                    this._restoringPages.delete(pageId);
+                }
+                const objects = canvas.getObjects().filter((obj) => !before.has(obj));
+                objects.forEach((obj) => this._applyObjectInteractivity(obj, this.fillMode, this.activeTool));
+                canvas.renderAll();
+                this.saveState(pageId);
+                added += objects.length;
+            });
+        });
+        return added;
+    }
+
+    /**
+     * Add objects to one page as a single history step.
+     * Wrap calls in `history.group()` to make changes on several pages one step.
+     * @param {fabric.Canvas} canvas
+     * @param {string} pageId
+     * @param {fabric.Object[]} objects
+     * @param {(obj: fabric.Object) => void} [afterAdd]
+     */
+    addObjectsBatch(canvas, pageId, objects, afterAdd) {
+        this._restoringPages.add(pageId);
+        try {
+            objects.forEach((obj) => {
+                canvas.add(obj);
+                afterAdd?.(obj);
+            });
+        } finally {
+            this._restoringPages.delete(pageId);
+        }
+        canvas.renderAll();
+        this.saveState(pageId);
+    }
+
     startRect(canvas, x, y) {
         this._temp = { kind: 'rect', startX: x, startY: y, obj: null, moveHandler: null };
         const rect = new fabric.Rect({
@@ -680,11 +1031,12 @@ export class CanvasManager {
         rect.set({ left, top, width, height });
     }
 
-    finishTempTool(canvas) {
+    finishTempTool(canvas, pageId) {
         const t = this._temp;
         if (!t) return;
         if (t.moveHandler) canvas.off('mouse:move', t.moveHandler);
         const obj = t.obj;
+        let kept = false;
         if (obj) {
             const bounds = obj.getBoundingRect();
             if (bounds.width < 5 || bounds.height < 5) {
@@ -692,15 +1044,38 @@ export class CanvasManager {
             } else {
                 obj.set({ selectable: true, evented: true });
                 if (t.kind === 'highlight') obj.sendToBack();
+                kept = true;
             }
         }
         this._temp = null;
         canvas.renderAll();
+        if (kept && pageId != null) this.saveState(pageId);
+        if (kept && t.kind === 'link') {
+            // Select the new link so its target can be set right away
+            this.setTool('select');
+            document.querySelector('[data-tool="select"]')?.classList.add('active');
+            document.querySelector('[data-tool="link"]')?.classList.remove('active');
+            canvas.setActiveObject(obj);
+            canvas.renderAll();
+        }
     }
 
     addNote(canvas, x, y) {
         const text = prompt('Note text:', '');
         if (text == null) return;
+        const group = this.createNoteGroup(canvas, text, x, y);
+        canvas.add(group);
+        canvas.setActiveObject(group);
+        canvas.renderAll();
+        this.setTool('select');
+        document.querySelector('[data-tool="select"]')?.classList.add('active');
+        document.querySelector('[data-tool="note"]')?.classList.remove('active');
+    }
+
+    /**
+     * Sticky note callout (double-click to edit its text)
+     */
+    createNoteGroup(canvas, text, x, y) {
         const w = 140 / this.currentScale;
         const h = 70 / this.currentScale;
         const bg = new fabric.Rect({
@@ -735,12 +1110,7 @@ export class CanvasManager {
             label.text = next || 'Note';
             canvas.renderAll();
         });
-        canvas.add(group);
-        canvas.setActiveObject(group);
-        canvas.renderAll();
-        this.setTool('select');
-        document.querySelector('[data-tool="select"]')?.classList.add('active');
-        document.querySelector('[data-tool="note"]')?.classList.remove('active');
+        return group;
     }
 
     addStamp(canvas, x, y) {
@@ -1735,109 +2105,105 @@ export class CanvasManager {
      * Delete selected objects
      */
     deleteSelected() {
-        this.canvases.forEach((canvas, pageId) => {
-            const activeObjects = canvas.getActiveObjects();
-            if (activeObjects.length > 0) {
-                activeObjects.forEach((obj) => {
-                    // Signed/locked fields are immutable; do not allow deletion
-                    if (obj._signatureLocked || obj._fieldLocked) return;
-                    canvas.remove(obj);
-                });
-                canvas.discardActiveObject();
-                canvas.renderAll();
-                this.saveState(pageId);
-            }
+        this.history.group('Delete', () => {
+            this.canvases.forEach((canvas, pageId) => {
+                const activeObjects = canvas.getActiveObjects();
+                if (activeObjects.length > 0) {
+                    activeObjects.forEach((obj) => {
+                        // Signed/locked fields are immutable; do not allow deletion
+                        if (obj._signatureLocked || obj._fieldLocked) return;
+                        canvas.remove(obj);
+                    });
+                    canvas.discardActiveObject();
+                    canvas.renderAll();
+                    this.saveState(pageId);
+                }
+            });
         });
     }
 
     /**
-     * Save current state for undo
+     * Record the current state of a page; the change since the last recorded state becomes one undo step
+     * @param {string} pageId
+     * @param {string} [label] - Shown to the user for the step
      */
-    saveState(pageId) {
+    saveState(pageId, label = 'Edit annotations') {
         const canvas = this.canvases.get(pageId);
-        const history = this.history.get(pageId);
-        if (!canvas || !history) return;
-
-        const state = JSON.stringify(
-            canvas.toJSON([
-                '_annotationType',
-                '_checked',
-                '_fieldValue',
-                '_fieldName',
-                '_signatureMeta',
-                '_signatureFieldLabel',
-                '_signatureLocked',
-                '_fieldLocked',
-                '_noteText',
-                '_stampText',
-                '_options',
-                '_selectedOption',
-                '_radioGroup',
-                '_radioValue'
-            ])
-        );
-        history.undoStack.push(state);
-        history.redoStack = []; // Clear redo stack on new action
-
-        // Limit history size
-        if (history.undoStack.length > 50) {
-            history.undoStack.shift();
-        }
-        this._onHistoryChange?.();
+        if (!canvas) return;
+
+        const after = this._captureState(canvas);
+        const before = this.snapshots.get(pageId);
+        this.snapshots.set(pageId, after);
+        if (!before || (before.json === after.json && before.scale === after.scale)) return;
+
+        this.history.push({
+            label,
+            pageId,
+            undo: () => this._loadSnapshot(pageId, before),
+            redo: () => this._loadSnapshot(pageId, after)
+        });
+    }
+
+    _captureState(canvas) {
+        return { json: JSON.stringify(canvas.toJSON(SNAPSHOT_PROPS)), scale: this.currentScale };
     }
 
     /**
-     * Undo last action
+     * Undo the last action anywhere in the document
+     * @returns {Promise<object|null>} The command that was undone
      */
     undo() {
-        const pageId = this.activePageId;
-        const canvas = pageId != null ? this.canvases.get(pageId) : null;
-        const history = pageId != null ? this.history.get(pageId) : null;
-        if (!canvas || !history || history.undoStack.length <= 1) return;
-
-        const currentState = history.undoStack.pop();
-        history.redoStack.push(currentState);
-
-        const prevState = history.undoStack[history.undoStack.length - 1];
-        if (!prevState) return;
-
-        this._restoringPages.add(pageId);
-        canvas.loadFromJSON(prevState, () => {
-            canvas.forEachObject((obj) => {
-                this._fixTextBaseline(obj);
-                obj._fromHistory = true;
-                this._applyObjectInteractivity(obj, this.fillMode, this.activeTool);
-            });
-            canvas.discardActiveObject();
-            canvas.renderAll();
-            this._restoringPages.delete(pageId);
-            this._onHistoryChange?.();
-        });
+        return this.history.undo();
     }
 
     /**
-     * Redo last undone action
+     * Redo the last undone action
+     * @returns {Promise<object|null>} The command that was redone
      */
     redo() {
-        const pageId = this.activePageId;
-        const canvas = pageId != null ? this.canvases.get(pageId) : null;
-        const history = pageId != null ? this.history.get(pageId) : null;
-        if (!canvas || !history || history.redoStack.length === 0) return;
+        return this.history.redo();
+    }
 
-        const nextState = history.redoStack.pop();
-        history.undoStack.push(nextState);
+    /**
+     * Treat the current annotations of every page as the starting point (nothing to undo)
+     */
+    resetHistory() {
+        this.snapshots.clear();
+        this.canvases.forEach((canvas, pageId) => this.saveState(pageId));
+        this.history.clear();
+    }
+
+    /**
+     * Replace a page's objects with a recorded snapshot, rescaled to the current zoom
+     * @param {string} pageId
+     * @param {{ json: string; scale: number }} snapshot
+     * @returns {Promise<void>}
+     */
+    _loadSnapshot(pageId, snapshot) {
+        const canvas = this.canvases.get(pageId);
+        if (!canvas) return Promise.resolve();
 
         this._restoringPages.add(pageId);
-        canvas.loadFromJSON(nextState, () => {
-            canvas.forEachObject((obj) => {
-                this._fixTextBaseline(obj);
-                obj._fromHistory = true;
-                this._applyObjectInteractivity(obj, this.fillMode, this.activeTool);
+        return new Promise((resolve) => {
+            canvas.loadFromJSON(snapshot.json, () => {
+                const scaleChange = this.currentScale / snapshot.scale;
+                canvas.forEachObject((obj) => {
+                    this._fixTextBaseline(obj);
+                    if (scaleChange !== 1) {
+                        obj.scaleX *= scaleChange;
+                        obj.scaleY *= scaleChange;
+                        obj.left *= scaleChange;
+                        obj.top *= scaleChange;
+                        obj.setCoords();
+                    }
+                    this._applyObjectInteractivity(obj, this.fillMode, this.activeTool);
+                });
+                canvas.discardActiveObject();
+                canvas.renderAll();
+                this._restoringPages.delete(pageId);
+                this.snapshots.set(pageId, snapshot);
+                resolve();
             });
-            canvas.discardActiveObject();
-            canvas.renderAll();
-            this._restoringPages.delete(pageId);
-            this._onHistoryChange?.();
         });
     }
 
@@ -1888,6 +2254,24 @@ export class CanvasManager {
         fabricCanvas.renderAll();
     }
 
+    /**
+     * Draw a preview on every page, such as text or images added on export. It is not an object:
+     * it cannot be selected and is neither exported nor part of the undo history.
+     * @param {string} name - Replaces the painter set earlier under this name
+     * @param {((pageId: string, ctx: CanvasRenderingContext2D, canvas: fabric.Canvas) => void) | null} paint - null removes it
+     * @param {boolean} [below] - Draw under the page's objects instead of over them
+     */
+    setPagePainter(name, paint, below = false) {
+        if (paint) this.pagePainters.set(name, { paint, below });
+        else this.pagePainters.delete(name);
+        this.renderAll();
+    }
+
+    /** Render every page's canvas again */
+    renderAll() {
+        this.canvases.forEach((canvas) => canvas.requestRenderAll());
+    }
+
     /**
      * Get all annotations for export
      */
@@ -1899,7 +2283,7 @@ export class CanvasManager {
             canvas.forEachObject((obj) => {
                 pageAnnotations.push({
                     type: obj._annotationType || obj.type,
-                    data: obj.toJSON(['_annotationType', '_checked', '_fieldValue', '_fieldName', '_signatureMeta', '_signatureFieldLabel', '_signatureLocked', '_fieldLocked']),
+                    data: obj.toJSON(['_annotationType', '_checked', '_fieldValue', '_fieldName', '_signatureMeta', '_signatureFieldLabel', '_signatureLocked', '_fieldLocked', '_link']),
                     object: obj
                 });
             });
@@ -1938,7 +2322,7 @@ export class CanvasManager {
             window.dispatchEvent(new CustomEvent('field-properties-hide'));
         } else if (activeObject) {
             const annotationType = activeObject._annotationType;
-            if (['textfield', 'checkbox', 'radio', 'dropdown', 'date', 'signature-field'].includes(annotationType)) {
+            if (['textfield', 'checkbox', 'radio', 'dropdown', 'date', 'signature-field', 'link'].includes(annotationType)) {
                 window.dispatchEvent(new CustomEvent('field-properties-show', {
                     detail: { object: activeObject, canvas, annotationType }
                 }));
@@ -2233,6 +2617,151 @@ export class CanvasManager {
         return false;
     }
 
+    /**
+     * Recreate annotations read from the PDF (see load-annotations.js) as canvas objects.
+     * They become part of the page's starting state, so adding them is not an undo step.
+     * @param {fabric.Canvas} canvas
+     * @param {string} pageId
+     * @param {Array<Object>} descriptors - { type, color, opacity, rect?, rects?, paths?, from?, to?, ... } in PDF points
+     * @param {number} scale - Scale factor (PDF points to canvas pixels)
+     */
+    addAnnotationsFromPdfDescriptors(canvas, pageId, descriptors, scale) {
+        const objects = [];
+        for (const d of descriptors) {
+            try {
+                objects.push(...this._objectsFromPdfDescriptor(canvas, d, scale));
+            } catch (e) {
+                console.warn('Could not import PDF annotation', d.id, e);
+            }
+        }
+        if (objects.length === 0) return;
+
+        this._restoringPages.add(pageId);
+        try {
+            objects.forEach((obj) => {
+                this._applyObjectInteractivity(obj, this.fillMode, this.activeTool);
+                canvas.add(obj);
+                if (obj._annotationType === 'highlight') obj.sendToBack();
+            });
+        } finally {
+            this._restoringPages.delete(pageId);
+        }
+        canvas.renderAll();
+        this.snapshots.set(pageId, this._captureState(canvas));
+    }
+
+    _objectsFromPdfDescriptor(canvas, d, scale) {
+        const color = d.color || this.settings.strokeColor;
+        const opacity = d.opacity ?? 1;
+        const strokeWidth = Math.max(0.5, (d.strokeWidth ?? 1) * scale);
+        const box = (r) => ({ left: r.left * scale, top: r.top * scale, width: r.width * scale, height: r.height * scale });
+
+        switch (d.type) {
+            case 'highlight':
+                // The overlay cannot multiply with the page below, so opaque highlights get the tool's opacity
+                return d.rects.map((r) => {
+                    const b = box(r);
+                    const rect = this.createHighlightRect(b.left, b.top, b.width, b.height);
+                    rect.set({ fill: d.color || this.settings.highlightColor, opacity: opacity < 1 ? opacity : this.settings.highlightOpacity });
+                    return rect;
+                });
+            case 'underline':
+            case 'strike':
+                return d.rects.map((r) => {
+                    const b = box(r);
+                    const y = d.type === 'underline' ? b.top + b.height * 0.9 : b.top + b.height / 2;
+                    return new fabric.Line([b.left, y, b.left + b.width, y], {
+                        stroke: color,
+                        strokeWidth: Math.max(1, b.height / 14),
+                        opacity,
+                        _annotationType: d.type
+                    });
+                });
+            case 'draw': {
+                const path = d.paths
+                    .map((points) => points.map((p, i) => `${i === 0 ? 'M' : 'L'} ${p.x * scale} ${p.y * scale}`).join(' '))
+                    .join(' ');
+                return [new fabric.Path(path, {
+                    fill: null,
+                    stroke: color,
+                    strokeWidth,
+                    strokeLineCap: 'round',
+                    strokeLineJoin: 'round',
+                    opacity,
+                    _annotationType: 'draw'
+                })];
+            }
+            case 'rect':
+            case 'ellipse': {
+                const b = box(d.rect);
+                const common = {
+                    fill: d.fill || 'transparent',
+                    stroke: d.color || 'transparent',
+                    strokeWidth: d.color ? strokeWidth : 0,
+                    strokeDashArray: d.dash ? d.dash.map((n) => n * scale) : null,
+                    opacity,
+                    _annotationType: d.type
+                };
+                const sw = common.strokeWidth;
+                if (d.type === 'rect') {
+                    return [new fabric.Rect({
+                        ...common,
+                        left: b.left,
+                        top: b.top,
+                        width: Math.max(1, b.width - sw),
+                        height: Math.max(1, b.height - sw)
+                    })];
+                }
+                return [new fabric.Ellipse({
+                    ...common,
+                    left: b.left + b.width / 2,
+                    top: b.top + b.height / 2,
+                    rx: Math.max(0.5, (b.width - sw) / 2),
+                    ry: Math.max(0.5, (b.height - sw) / 2),
+                    originX: 'center',
+                    originY: 'center'
+                })];
+            }
+            case 'arrow': {
+                const x1 = d.from.x * scale;
+                const y1 = d.from.y * scale;
+                const x2 = d.to.x * scale;
+                const y2 = d.to.y * scale;
+                const line = new fabric.Line([x1, y1, x2, y2], { stroke: color, strokeWidth });
+                const head = new fabric.Triangle({
+                    width: 10 / this.currentScale,
+                    height: 12 / this.currentScale,
+                    fill: color,
+                    left: x2,
+                    top: y2,
+                    originX: 'center',
+                    originY: 'center',
+                    angle: (Math.atan2(y2 - y1, x2 - x1) * 180) / Math.PI + 90
+                });
+                return [new fabric.Group([line, head], { opacity, _annotationType: 'arrow' })];
+            }
+            case 'note':
+                return [this.createNoteGroup(canvas, d.text, d.rect.left * scale, d.rect.top * scale)];
+            case 'text': {
+                const b = box(d.rect);
+                return [new fabric.IText(d.text, {
+                    left: b.left,
+                    top: b.top,
+                    fontSize: d.fontSize * scale,
+                    fontFamily: d.fontFamily || 'Arial',
+                    textAlign: d.textAlign || 'left',
+                    textBaseline: 'alphabetic',
+                    fill: d.color || '#000000',
+                    opacity,
+                    editable: true,
+                    _annotationType: 'text'
+                })];
+            }
+            default:
+                return [];
+        }
+    }
+
     /**
      * Clear all canvases
      */
@@ -2242,6 +2771,7 @@ export class CanvasManager {
             canvas.dispose();
         });
         this.canvases.clear();
+        this.snapshots.clear();
         this.history.clear();
         this.activeCanvas = null;
         this.activePageId = null;
@@ -2262,11 +2792,53 @@ export class CanvasManager {
             }
         }
         this.canvases.delete(pageId);
-        this.history.delete(pageId);
+        this.snapshots.delete(pageId);
         this._restoringPages.delete(pageId);
         if (this.activePageId === pageId) {
             this.activeCanvas = null;
             this.activePageId = null;
         }
     }
+
+    /**
+     * Take a page canvas out of the document but keep it alive, so a page delete can be undone
+     * @param {string} pageId
+     * @returns {{ canvas: fabric.Canvas; snapshot: object } | null}
+     */
+    detachPage(pageId) {
+        const canvas = this.canvases.get(pageId);
+        if (!canvas) return null;
+        canvas.discardActiveObject();
+        const detached = { canvas, snapshot: this.snapshots.get(pageId) };
+        this.canvases.delete(pageId);
+        this.snapshots.delete(pageId);
+        if (this.activePageId === pageId) {
+            this.activeCanvas = null;
+            this.activePageId = null;
+        }
+        return detached;
+    }
+
+    /**
+     * Put back a canvas taken out by detachPage
+     * @param {string} pageId
+     * @param {{ canvas: fabric.Canvas; snapshot: object }} detached
+     */
+    attachPage(pageId, detached) {
+        if (!detached) return;
+        this.canvases.set(pageId, detached.canvas);
+        if (detached.snapshot) this.snapshots.set(pageId, detached.snapshot);
+    }
+
+    /**
+     * Free a canvas that was detached and will not come back
+     * @param {{ canvas: fabric.Canvas } | null} detached
+     */
+    disposeDetached(detached) {
+        try {
+            detached?.canvas.dispose();
+        } catch {
+            // ignore
+        }
+    }
 }
@@ -0,0 +1,185 @@
+/**
+ * Document properties - Title, author, subject, keywords, language and custom properties.
+ * Read from the opened document (Info dictionary, with XMP filling in what it lacks) and written
+ * on export to both the Info dictionary and an XMP metadata stream, so the two always agree.
+ */
+
+const { PDFName, PDFString, PDFHexString, PDFNumber, PDFBool } = PDFLib;
+import { splitSigningKeywords } from './signing-metadata.js';
+
+/**
+ * @typedef {Object} DocumentProperties
+ * @property {string} title
+ * @property {string} author
+ * @property {string} subject
+ * @property {string} keywords - The user's keywords (the signing payload is kept apart, see splitSigningKeywords)
+ * @property {string} creator - Application the document was created with
+ * @property {string} language - Language tag such as "en-US"
+ * @property {Array<{ name: string; value: string }>} custom - Other entries of the Info dictionary
+ */
+
+/** Info entries with a defined meaning; any other entry is a custom property */
+const STANDARD_INFO_KEYS = new Set(['Title', 'Author', 'Subject', 'Keywords', 'Creator', 'Producer', 'CreationDate', 'ModDate', 'Trapped']);
+
+/**
+ * Whether a name can be used for a custom property
+ * @param {string} name
+ */
+export function isCustomPropertyName(name) {
+    return !!name && !STANDARD_INFO_KEYS.has(name) && !/[\s/()<>[\]{}%]/.test(name);
+}
+
+/**
+ * Properties of the opened document from PDF.js getMetadata()
+ * @param {{ info?: Object; metadata?: { get(name: string): any } | null }} [metadata]
+ * @returns {DocumentProperties}
+ */
+export function propertiesFromMetadata({ info = {}, metadata = null } = {}) {
+    const xmp = (name) => {
+        const value = metadata?.get?.(name);
+        return Array.isArray(value) ? value.join(', ') : typeof value === 'string' ? value : '';
+    };
+    const text = (value) => (typeof value === 'string' ? value.trim() : '');
+    const custom = Object.entries(info.Custom || {})
+        .filter(([name]) => isCustomPropertyName(name))
+        .map(([name, value]) => ({ name, value: value && typeof value === 'object' ? String(value.name ?? '') : String(value ?? '') }));
+    return {
+        title: text(info.Title) || xmp('dc:title'),
+        author: text(info.Author) || xmp('dc:creator'),
+        subject: text(info.Subject) || xmp('dc:description'),
+        keywords: splitSigningKeywords(text(info.Keywords) || xmp('pdf:keywords')).keywords,
+        creator: text(info.Creator) || xmp('xmp:creatortool'),
+        language: text(info.Language) || xmp('dc:language'),
+        custom
+    };
+}
+
+function textOf(obj) {
+    if (obj instanceof PDFString || obj instanceof PDFHexString) return obj.decodeText();
+    if (obj instanceof PDFName) return obj.decodeText();
+    if (obj instanceof PDFNumber) return String(obj.asNumber());
+    if (obj instanceof PDFBool) return String(obj.asBoolean());
+    return '';
+}
+
+/**
+ * Properties a document stores in its Info dictionary and catalog (pdf-lib)
+ * @param {PDFLib.PDFDocument} pdfDoc
+ * @returns {DocumentProperties}
+ */
+export function readDocumentProperties(pdfDoc) {
+    const info = pdfDoc.getInfoDict();
+    const custom = info.entries()
+        .filter(([key]) => isCustomPropertyName(key.decodeText()))
+        .map(([key, value]) => ({ name: key.decodeText(), value: textOf(pdfDoc.context.lookup(value)) }));
+    return {
+        title: pdfDoc.getTitle() || '',
+        author: pdfDoc.getAuthor() || '',
+        subject: pdfDoc.getSubject() || '',
+        keywords: splitSigningKeywords(pdfDoc.getKeywords() || '').keywords,
+        creator: pdfDoc.getCreator() || '',
+        language: textOf(pdfDoc.catalog.lookup(PDFName.of('Lang'))),
+        custom
+    };
+}
+
+/**
+ * Write the properties to the Info dictionary and the catalog (language). Custom entries not
+ * listed are removed; keywords are written as given (join the signing payload first).
+ * @param {PDFLib.PDFDocument} pdfDoc
+ * @param {Partial<DocumentProperties>} properties
+ */
+export function writeDocumentProperties(pdfDoc, properties) {
+    const info = pdfDoc.getInfoDict();
+    const setText = (key, value) => {
+        if (value) info.set(PDFName.of(key), PDFHexString.fromText(value));
+        else info.delete(PDFName.of(key));
+    };
+    setText('Title', properties.title);
+    setText('Author', properties.author);
+    setText('Subject', properties.subject);
+    setText('Keywords', properties.keywords);
+    setText('Creator', properties.creator);
+    for (const [key] of info.entries()) {
+        if (!STANDARD_INFO_KEYS.has(key.decodeText())) info.delete(key);
+    }
+    for (const { name, value } of properties.custom || []) {
+        if (isCustomPropertyName(name)) info.set(PDFName.of(name), PDFHexString.fromText(value || ''));
+    }
+    if (properties.language) pdfDoc.catalog.set(PDFName.of('Lang'), PDFString.of(properties.language));
+    else pdfDoc.catalog.delete(PDFName.of('Lang'));
+}
+
+/* ---------- XMP ---------- */
+
+function escapeXml(s) {
+    return String(s).replace(/[&<>"]/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]))
+        // XML 1.0 cannot carry most control characters
+        .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+}
+
+function xmpDate(date) {
+    return date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+/**
+ * Write an XMP metadata stream matching the Info dictionary and language, replacing any earlier
+ * one. Run after the Info dictionary is final. Custom properties stay in the Info dictionary only
+ * (in XMP they would need a schema description).
+ * @param {PDFLib.PDFDocument} pdfDoc
+ * @param {{ pdfaPart?: 2|3 }} [options] - Also declare PDF/A-2b or -3b conformance
+ */
+export function writeXmpMetadata(pdfDoc, { pdfaPart } = {}) {
+    const context = pdfDoc.context;
+    // The Info dictionary stores dates to the second, and XMP must match it exactly
+    const toSecond = (date) => new Date(Math.floor(date.getTime() / 1000) * 1000);
+    const now = toSecond(new Date());
+    const created = toSecond(pdfDoc.getCreationDate() || now);
+    const modified = toSecond(pdfDoc.getModificationDate() || now);
+    pdfDoc.setCreationDate(created);
+    pdfDoc.setModificationDate(modified);
+    const title = pdfDoc.getTitle();
+    const author = pdfDoc.getAuthor();
+    const subject = pdfDoc.getSubject();
+    const keywords = pdfDoc.getKeywords();
+    const creator = pdfDoc.getCreator();
+    const producer = pdfDoc.getProducer();
+    const language = textOf(pdfDoc.catalog.lookup(PDFName.of('Lang')));
+
+    const alt = (value) => `<rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(value)}</rdf:li></rdf:Alt>`;
+    const xmp = [
+        '<?xpacket begin="﻿" id="W5M0MpCehiHzreSzNTczkc9d"?>',
+        '<x:xmpmeta xmlns:x="adobe:ns:meta/">',
+        '<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">',
+        ...(pdfaPart ? [
+            '<rdf:Description rdf:about="" xmlns:pdfaid="http://www.aiim.org/pdfa/ns/id/">',
+            `<pdfaid:part>${pdfaPart}</pdfaid:part>`,
+            '<pdfaid:conformance>B</pdfaid:conformance>',
+            '</rdf:Description>'
+        ] : []),
+        '<rdf:Description rdf:about="" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+        '<dc:format>application/pdf</dc:format>',
+        title ? `<dc:title>${alt(title)}</dc:title>` : '',
+        author ? `<dc:creator><rdf:Seq><rdf:li>${escapeXml(author)}</rdf:li></rdf:Seq></dc:creator>` : '',
+        subject ? `<dc:description>${alt(subject)}</dc:description>` : '',
+        language ? `<dc:language><rdf:Bag><rdf:li>${escapeXml(language)}</rdf:li></rdf:Bag></dc:language>` : '',
+        '</rdf:Description>',
+        '<rdf:Description rdf:about="" xmlns:xmp="http://ns.adobe.com/xap/1.0/">',
+        `<xmp:CreateDate>${xmpDate(created)}</xmp:CreateDate>`,
+        `<xmp:ModifyDate>${xmpDate(modified)}</xmp:ModifyDate>`,
+        `<xmp:MetadataDate>${xmpDate(modified)}</xmp:MetadataDate>`,
+        creator ? `<xmp:CreatorTool>${escapeXml(creator)}</xmp:CreatorTool>` : '',
+        '</rdf:Description>',
+        '<rdf:Description rdf:about="" xmlns:pdf="http://ns.adobe.com/pdf/1.3/">',
+        producer ? `<pdf:Producer>${escapeXml(producer)}</pdf:Producer>` : '',
+        keywords ? `<pdf:Keywords>${escapeXml(keywords)}</pdf:Keywords>` : '',
+        '</rdf:Description>',
+        '</rdf:RDF>',
+        '</x:xmpmeta>',
+        '<?xpacket end="w"?>'
+    ].filter(Boolean).join('\n');
+
+    // Metadata is left uncompressed so archive and search tools can read it without a PDF parser
+    const metadata = context.stream(new TextEncoder().encode(xmp), { Type: 'Metadata', Subtype: 'XML' });
+    pdfDoc.catalog.set(PDFName.of('Metadata'), context.register(metadata));
+}
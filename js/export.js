@@ -2,8 +2,46 @@
  * PDF Export - Handles exporting annotated PDFs using pdf-lib
  */
 
-const { PDFDocument, rgb, StandardFonts, degrees } = PDFLib;
-import { parseSigningMetadata, buildSigningKeywords } from './signing-metadata.js';
+const { PDFDocument, rgb, StandardFonts, degrees, pushGraphicsState, popGraphicsState, concatTransformationMatrix, drawObject, setLineJoin, LineCapStyle, LineJoinStyle, beginText, endText, setFontAndSize, setTextMatrix, setCharacterSqueeze, setTextRenderingMode, showText, TextRenderingMode, drawText, drawImage, PDFArray, PDFName } = PDFLib;
+import { parseSigningMetadata, buildSigningKeywords, splitSigningKeywords, joinSigningKeywords } from './signing-metadata.js';
+import { redactPage } from './redaction.js';
+import { pruneUnreachableObjects } from './pdf-utils.js';
+import { addNativeAnnotation } from './native-annotations.js';
+import { removeAnnotations } from './load-annotations.js';
+import { encryptPdf } from './pdf-encryption.js';
+import { readCertificate, addSignatureField, signPdf } from './pdf-signature.js';
+import { computeContentHash, CONTENT_HASH_METHOD } from './signature-verification.js';
+import { startIncrementalUpdate, saveIncrementalUpdate } from './incremental-update.js';
+import { detachLinkDestinations, copyNavigation, setOutline } from './outlines.js';
+import { optimizePdf } from './optimize.js';
+import { embedArchivalFonts, embedStandInFonts, convertToPdfA, writePdfAMetadata, preflightPdfA } from './pdfa.js';
+import { readDocumentProperties, writeDocumentProperties, writeXmpMetadata } from './document-properties.js';
+import { sanitizePdf, removeHiddenContent, stripDocumentInfo } from './sanitize.js';
+import { hasHeaderFooter, headerFooterTexts, layoutHeaderFooter } from './header-footer.js';
+import { hasWatermark, watermarkPages, layoutWatermark, CAP_HEIGHT } from './watermark.js';
+
+/** Fabric stroke caps and joins as pdf-lib styles */
+const LINE_CAPS = { butt: LineCapStyle.Butt, round: LineCapStyle.Round, square: LineCapStyle.Projecting };
+const LINE_JOINS = { miter: LineJoinStyle.Miter, round: LineJoinStyle.Round, bevel: LineJoinStyle.Bevel };
+/** Flips local y so pdf-lib's SVG paths and text (which assume y-up) land the right way round */
+const FLIP_Y = [1, 0, 0, -1, 0, 0];
+
+/** Embedded stand-ins for the standard fonts (PDF/A), which draw missing characters as blanks rather than failing */
+const archivalFonts = new WeakSet();
+
+/** Whether a pdf-lib font can encode every line of the text (standard fonts only cover WinAnsi) */
+function canEncode(font, text) {
+    try {
+        if (archivalFonts.has(font)) {
+            const glyphs = font.embedder.font;
+            return Array.from(String(text).replace(/\s/g, '')).every((ch) => glyphs.hasGlyphForCodePoint(ch.codePointAt(0)));
+        }
+        String(text).split(/\r?\n/).forEach((line) => font.encodeText(line));
+        return true;
+    } catch {
+        return false;
+    }
+}
 
 /**
  * pdf-lib setKeywords() requires an array of strings. buildSigningKeywords returns a string.
@@ -20,15 +58,51 @@ function toKeywordsArray(payload) {
 }
 
 export class PDFExporter {
-    constructor() {
+    /**
+     * @param {import('./font-manager.js').FontManager} [fontManager] - Uploaded fonts to embed for text and form fields
+     */
+    constructor(fontManager = null) {
         this.fonts = {};
+        this.fontManager = fontManager;
+        this.customFonts = new Map(); // family -> embedded PDFFont for the current export
+        this.missingCharacters = new Set(); // characters no available font could draw in the last export
+        this.lastContentHash = ''; // content hash recorded in the hash chain by the last export
+        this.incrementalFallback = ''; // why the last export, asked to be incremental, rewrote the file instead
+        this.lastOptimization = null; // { report, sizeBefore, sizeAfter } of the last export, when it was optimized
+        this.lastPreflight = null; // { part, fixes, issues } of the last export, when it was PDF/A
+        this.lastSanitization = null; // { removed } of the last export, when it was sanitized
     }
 
     /**
      * Export a PDF with annotations.
      *
      * New mode (supports reorder/append via viewPages):
-     * @param {{ docBytesById: Map<string, ArrayBuffer>; viewPages: Array<{id: string; docId: string; sourcePageNum: number; rotation?: number}>; annotationsByPageId: Map<string, any[]>; scale: number }} input
+     * annotationMode 'native' writes markup (highlights, shapes, ink, notes, stamps, text) as editable
+     * PDF annotations; 'flatten' (default) draws everything into the page content.
+     * importedAnnotations lists source annotations that were turned into canvas objects; they are
+     * removed from the copied pages so they are not written twice.
+     * encryption (see encryptPdf) password-protects the output and restricts what it allows.
+     * certificates are the vault's signing certificates; a signature placed with one of them is
+     * written as a digital signature (at most one per export). Without the list it is drawn as an image.
+     * incremental appends the changes to the main document's bytes as an incremental update, keeping
+     * its signatures, outlines and other structure; it needs the main document's pages in their
+     * original order and no redaction or new encryption, otherwise the file is rewritten and
+     * incrementalFallback says why.
+     * Bookmarks, links and named destinations are carried over to the new order; the bookmarks of
+     * documents other than the main one go under an entry named after their file (docNames).
+     * outline (bookmarks edited in the app, see setOutline) replaces the documents' own bookmarks.
+     * ocrText (text recognized on scanned pages, by view page id) is written as invisible text so the pages can be searched and selected.
+     * optimize (see optimizePdf) downsamples and recompresses images and drops duplicate and unused objects;
+     * lastOptimization then holds what it did and the file size before and after.
+     * pdfa writes a PDF/A-2b file (PDF/A-3b when it has attachments, see convertToPdfA): embedded fonts,
+     * sRGB output intent, XMP metadata and no encryption; lastPreflight lists what was fixed and what still blocks conformance.
+     * properties (title, author, keywords, ... edited in the app) are written to the document info and XMP metadata;
+     * without them the main document's own are kept. The signing payload is added after the keywords.
+     * sanitize (see sanitizePdf) removes metadata, JavaScript, attachments, hidden content, comments and
+     * thumbnails from the output; lastSanitization lists what was removed.
+     * headerFooter (see headerFooterTexts) stamps headers, footers and Bates numbers on the pages, numbered in export order.
+     * watermark (see layoutWatermark) draws a text or image watermark on the pages in its range, with one shared font or image.
+     * @param {{ docBytesById: Map<string, ArrayBuffer>; docNames?: Map<string, string>; viewPages: Array<{id: string; docId: string; sourcePageNum: number; rotation?: number}>; annotationsByPageId: Map<string, any[]>; scale: number; annotationMode?: 'flatten'|'native'; importedAnnotations?: Map<string, Set<string>>; encryption?: import('./pdf-encryption.js').EncryptionOptions | null; certificates?: Array<{ id: string; p12: string; password: string }> | null; incremental?: boolean; outline?: import('./outlines.js').Bookmark[] | null; ocrText?: Map<string, import('./ocr.js').OcrPage> | null; optimize?: import('./optimize.js').OptimizeOptions | null; pdfa?: boolean; properties?: import('./document-properties.js').DocumentProperties | null; sanitize?: import('./sanitize.js').SanitizeOptions | null; headerFooter?: import('./header-footer.js').HeaderFooterSettings | null; watermark?: import('./watermark.js').WatermarkSettings | null }} input
      * @returns {Promise<Uint8Array>} - Modified PDF bytes
      */
     async exportPDF(input, allAnnotationsLegacy, scaleLegacy) {
@@ -42,16 +116,21 @@ export class PDFExporter {
             this.fonts.helveticaBold = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
             this.fonts.timesRoman = await pdfDoc.embedFont(StandardFonts.TimesRoman);
             this.fonts.courier = await pdfDoc.embedFont(StandardFonts.Courier);
+            await this.prepareFonts(pdfDoc, (allAnnotationsLegacy || []).flatMap((p) => p.annotations));
 
             const pages = pdfDoc.getPages();
             const scaleFactor = 1 / (scaleLegacy || 1);
             const auditEntries = [];
+            let redacted = false;
+            this._signing = null;
 
             for (const pageData of allAnnotationsLegacy || []) {
                 const pageIndex = pageData.pageNum - 1;
                 if (pageIndex >= pages.length) continue;
                 const page = pages[pageIndex];
                 const { height: pageHeight } = page.getSize();
+                await this.applyTextEdits(pdfDoc, page, pageData.annotations, pageData.pageNum);
+                redacted = (await this.applyRedactions(pdfDoc, page, pageData.annotations, scaleFactor, pageData.pageNum)) || redacted;
                 for (const annotation of pageData.annotations) {
                     await this.drawAnnotation(pdfDoc, page, annotation, scaleFactor, pageHeight, auditEntries, pageData.pageNum);
                 }
@@ -60,61 +139,119 @@ export class PDFExporter {
             if (auditEntries.length > 0) {
                 const auditJson = JSON.stringify(auditEntries, null, 2);
                 const auditBytes = new TextEncoder().encode(auditJson);
-                await pdfDoc.attach(auditBytes, 'signatures-audit.json', {
-                    mimeType: 'application/json',
-                    description: 'Signature audit trail'
-                });
+                await pdfDoc.attach(auditBytes, 'signatures-audit.json', this.auditAttachmentOptions());
                 const signers = auditEntries.map((e) => ({ name: e.signerName || '', timestamp: e.timestamp || '' }));
                 const keywordsPayload = buildSigningKeywords({ signers });
-                const kwArray = toKeywordsArray(keywordsPayload);
+                const kwArray = toKeywordsArray(joinSigningKeywords(splitSigningKeywords(pdfDoc.getKeywords()).keywords, keywordsPayload));
                 if (kwArray) pdfDoc.setKeywords(kwArray);
             }
 
             pdfDoc.setModificationDate(new Date());
             pdfDoc.setProducer('PDF Editor');
-            pdfDoc.setCreator('PDF Editor');
+            if (!pdfDoc.getCreator()) pdfDoc.setCreator('PDF Editor');
+            writeXmpMetadata(pdfDoc);
+            if (redacted) pruneUnreachableObjects(pdfDoc);
             return await pdfDoc.save();
         }
 
-        const { docBytesById, viewPages, annotationsByPageId, scale, mainDocId, signingFlowMeta } = input;
+        const { docBytesById, docNames, viewPages, annotationsByPageId, scale, mainDocId, signingFlowMeta, annotationMode = 'flatten', importedAnnotations, encryption, certificates = null, incremental = false, outline = null, ocrText = null, optimize = null, pdfa = false, properties = null, sanitize = null, headerFooter = null, watermark = null } = input;
 
-        // Load all source PDFs with pdf-lib
+        // Load all source PDFs with pdf-lib (as they are: the main one may be saved incrementally)
         const srcDocs = new Map();
         for (const [docId, bytes] of docBytesById.entries()) {
-            srcDocs.set(docId, await PDFDocument.load(bytes));
+            srcDocs.set(docId, await PDFDocument.load(bytes, { updateMetadata: false }));
         }
         const mainDocIdResolved = mainDocId || viewPages?.[0]?.docId;
+        // A rewritten file starts with empty document info, so the main document's is carried over
+        const mainProperties = srcDocs.has(mainDocIdResolved) ? readDocumentProperties(srcDocs.get(mainDocIdResolved)) : null;
+        const documentProperties = { ...(properties || mainProperties || {}) };
+        const created = srcDocs.get(mainDocIdResolved)?.getCreationDate();
+
+        // Edit the main document in place when the changes can be appended to it
+        this.incrementalFallback = '';
+        let revision = null;
+        if (incremental) {
+            const mainSrc = srcDocs.get(mainDocIdResolved);
+            this.incrementalFallback = this.incrementalUpdateBlocker(input, mainDocIdResolved, mainSrc) || '';
+            if (!this.incrementalFallback) {
+                try {
+                    revision = startIncrementalUpdate(mainSrc, docBytesById.get(mainDocIdResolved));
+                } catch (e) {
+                    this.incrementalFallback = e.message;
+                }
+            }
+        }
+        // A rewritten file does not carry the documents' layer configuration, so hidden layers go before their pages are copied
+        const sanitized = [];
+        for (const [docId, src] of srcDocs.entries()) {
+            if (sanitize?.hidden) sanitized.push(...removeHiddenContent(src));
+            removeAnnotations(src, importedAnnotations?.get(docId));
+            // Links are pointed at the copied pages once they are all in place
+            if (!revision) detachLinkDestinations(src);
+        }
 
         // Create output PDF
-        const outDoc = await PDFDocument.create();
+        const outDoc = revision ? srcDocs.get(mainDocIdResolved) : await PDFDocument.create();
 
         // Register fontkit for custom fonts
         outDoc.registerFontkit(fontkit);
 
-        // Embed standard fonts
-        this.fonts.helvetica = await outDoc.embedFont(StandardFonts.Helvetica);
-        this.fonts.helveticaBold = await outDoc.embedFont(StandardFonts.HelveticaBold);
-        this.fonts.timesRoman = await outDoc.embedFont(StandardFonts.TimesRoman);
-        this.fonts.courier = await outDoc.embedFont(StandardFonts.Courier);
+        // Embed standard fonts (PDF/A needs every font embedded, so it draws with metric-compatible stand-ins)
+        if (pdfa) {
+            this.fonts = await embedArchivalFonts(outDoc);
+            Object.values(this.fonts).forEach((font) => archivalFonts.add(font));
+        } else {
+            this.fonts.helvetica = await outDoc.embedFont(StandardFonts.Helvetica);
+            this.fonts.helveticaBold = await outDoc.embedFont(StandardFonts.HelveticaBold);
+            this.fonts.timesRoman = await outDoc.embedFont(StandardFonts.TimesRoman);
+            this.fonts.courier = await outDoc.embedFont(StandardFonts.Courier);
+        }
+        const ocrWords = viewPages.flatMap((vp) => ocrText?.get(vp.id)?.lines.flatMap((line) => line.words.map((word) => ({ text: word.text }))) || []);
+        const headerFooterPages = hasHeaderFooter(headerFooter)
+            ? headerFooterTexts(headerFooter, { pageCount: viewPages.length, fileName: docNames?.get(mainDocIdResolved) || '' })
+            : null;
+        const headerFooterWords = (headerFooterPages || []).flatMap((texts) => (texts || []).map(({ text }) => ({ fontFamily: headerFooter.fontFamily, text })));
+        const watermarked = hasWatermark(watermark) ? watermarkPages(watermark, viewPages.length) : null;
+        const watermarkWords = watermarked && watermark.kind === 'text' ? [{ ...this.watermarkFont(watermark), text: watermark.text }] : [];
+        await this.prepareFonts(outDoc, viewPages.flatMap((vp) => annotationsByPageId.get(vp.id) || []), [...ocrWords, ...headerFooterWords, ...watermarkWords]);
+        const watermarkMark = watermarked ? await this.prepareWatermark(outDoc, watermark) : null;
 
         const scaleFactor = 1 / scale;
         const auditEntries = [];
         // Per-export run cache for PDF form fields that may be referenced multiple times
         this._formFieldCache = { dropdown: new Map(), radio: new Map() };
+        // The certificate of the digital signature added by this export, if any
+        this._signing = certificates ? { certificates, certificate: null } : null;
+        // Form fields already in the document are updated rather than created again
+        this._incremental = !!revision;
 
-        // Build output pages in view order
+        // Build output pages in view order (an incremental update keeps the document's own pages)
+        const copiedPages = [];
         for (const vp of viewPages) {
             const src = srcDocs.get(vp.docId);
             if (!src) continue;
-            const [copied] = await outDoc.copyPages(src, [vp.sourcePageNum - 1]);
+            const page = revision ? outDoc.getPage(vp.sourcePageNum - 1) : (await outDoc.copyPages(src, [vp.sourcePageNum - 1]))[0];
             if (vp.rotation) {
-                copied.setRotation(degrees(vp.rotation));
+                page.setRotation(degrees(vp.rotation));
             }
-            outDoc.addPage(copied);
+            if (!revision) outDoc.addPage(page);
+            copiedPages.push({ page, pageId: vp.id, docId: vp.docId, sourcePageNum: vp.sourcePageNum });
         }
+        // Links to pages of the document point at the pages by view page id
+        this._pagesById = new Map(copiedPages.map(({ pageId, page }) => [pageId, page]));
+        if (!revision) {
+            const docIds = [...new Set([mainDocIdResolved, ...viewPages.map((vp) => vp.docId)])].filter((id) => srcDocs.has(id));
+            copyNavigation(outDoc, docIds.map((docId) => ({
+                pdfDoc: srcDocs.get(docId),
+                docId,
+                name: docId === mainDocIdResolved ? undefined : (docNames?.get(docId) || 'Appended document')
+            })), copiedPages, { outlines: !outline });
+        }
+        if (outline) setOutline(outDoc, outline, copiedPages);
 
         // Draw annotations in view order
         const outPages = outDoc.getPages();
+        let redacted = false;
         for (let i = 0; i < viewPages.length; i++) {
             const vp = viewPages[i];
             const page = outPages[i];
@@ -122,20 +259,42 @@ export class PDFExporter {
 
             const { height: pageHeight } = page.getSize();
             const pageAnnotations = annotationsByPageId.get(vp.id) || [];
+            // Remove replaced and redacted content before anything is drawn on top of it
+            await this.applyTextEdits(outDoc, page, pageAnnotations, i + 1);
+            redacted = (await this.applyRedactions(outDoc, page, pageAnnotations, scaleFactor, i + 1)) || redacted;
+            const ocrPage = ocrText?.get(vp.id);
+            if (ocrPage) this.drawOcrText(page, ocrPage, pageAnnotations, scaleFactor);
             for (const annotation of pageAnnotations) {
+                if (annotationMode === 'native' && await this.drawNativeAnnotation(outDoc, page, annotation, scaleFactor)) continue;
                 await this.drawAnnotation(outDoc, page, annotation, scaleFactor, pageHeight, auditEntries, i + 1);
             }
+            if (headerFooterPages?.[i]?.length) this.drawHeaderFooter(page, headerFooterPages[i], headerFooter);
+            if (watermarked?.[i]) this.drawWatermark(outDoc, page, watermark, watermarkMark);
         }
 
-        if (auditEntries.length > 0) {
-            const auditJson = JSON.stringify(auditEntries, null, 2);
-            const auditBytes = new TextEncoder().encode(auditJson);
-            await outDoc.attach(auditBytes, 'signatures-audit.json', {
-                mimeType: 'application/json',
-                description: 'Signature audit trail'
-            });
+        if (created) outDoc.setCreationDate(created);
+        outDoc.setModificationDate(new Date());
+        outDoc.setProducer('PDF Editor');
+
+        // Ensure form field appearances are generated for viewer compatibility
+        // This is CRITICAL - without it, form fields won't be recognized by many PDF viewers
+        // Fields with an uploaded font already have theirs; one field Helvetica cannot draw must not stop the rest
+        try {
+            for (const field of outDoc.getForm().getFields()) {
+                if (!field.needsAppearancesUpdate()) continue;
+                try {
+                    field.defaultUpdateAppearances(this.fonts.helvetica);
+                } catch (e) {
+                    console.warn('Could not update appearance of form field', field.getName(), e);
+                }
+            }
+        } catch (e) {
+            console.warn('Could not update form field appearances:', e);
         }
 
+        // Objects detached by redaction must not be written out
+        if (redacted) pruneUnreachableObjects(outDoc);
+
         // Read existing signing metadata from main source (so expectedSigners persist) and write merged payload to Keywords
         let previousMeta = null;
         if (mainDocIdResolved) {
@@ -154,28 +313,455 @@ export class PDFExporter {
         const lockedSignatureFields = signingFlowMeta?.lockedSignatureFields ?? previousMeta?.lockedSignatureFields;
         const lockedFormFields = signingFlowMeta?.lockedFormFields ?? previousMeta?.lockedFormFields;
         const documentStage = signingFlowMeta?.documentStage ?? previousMeta?.documentStage;
-        const hashChain = signingFlowMeta?.hashChain ?? previousMeta?.hashChain;
+        // Hash the content as it is written (fonts and images embedded) so it can be checked when reopened
+        await outDoc.flush();
+        // Sanitizing comes before the audit trail is attached, which is signing-flow data like the Keywords payload
+        this.lastSanitization = null;
+        if (sanitize) this.lastSanitization = { removed: [...sanitized, ...sanitizePdf(outDoc, sanitize)] };
+        if (auditEntries.length > 0) {
+            if (sanitize?.attachments && !sanitize.keepSigningData) {
+                this.lastSanitization.removed.push('the signature audit trail');
+            } else {
+                const auditJson = JSON.stringify(auditEntries, null, 2);
+                const auditBytes = new TextEncoder().encode(auditJson);
+                await outDoc.attach(auditBytes, this.attachmentName(outDoc, 'signatures-audit.json'), this.auditAttachmentOptions());
+                await outDoc.flush();
+            }
+        }
+        this.lastOptimization = null;
+        if (optimize) {
+            const usedDocIds = new Set(viewPages.map((vp) => vp.docId));
+            const sizeBefore = [...docBytesById].reduce((sum, [docId, bytes]) => sum + (usedDocIds.has(docId) ? bytes.byteLength : 0), 0);
+            this.lastOptimization = { report: await optimizePdf(outDoc, optimize), sizeBefore, sizeAfter: 0 };
+        }
+        // Annotations and images change for PDF/A, so this comes before the hash too
+        this.lastPreflight = null;
+        if (pdfa) {
+            const standIns = await embedStandInFonts(outDoc);
+            const { part, fixes } = convertToPdfA(outDoc);
+            fixes.unshift(...standIns);
+            if (encryption) fixes.push('Password protection was left off: PDF/A does not allow encryption.');
+            this.lastPreflight = { part, fixes, issues: [] };
+        }
+        this.lastContentHash = await computeContentHash(outDoc);
+        const hashChain = {
+            hash: this.lastContentHash,
+            method: CONTENT_HASH_METHOD,
+            timestamp: new Date().toISOString(),
+            previousHash: signingFlowMeta?.hashChain?.hash ?? previousMeta?.hashChain?.hash
+        };
         const signers = auditEntries.map((e) => ({ name: e.signerName || '', timestamp: e.timestamp || '' }));
         const keywordsPayload = buildSigningKeywords({ signers, expectedSigners, emailTemplate, originalSenderEmail, completionToEmails, completionCcEmails, completionBccEmails, lockedSignatureFields, lockedFormFields, documentStage, hashChain });
-        const kwArray = toKeywordsArray(keywordsPayload);
-        if (kwArray) outDoc.setKeywords(kwArray);
+        if (sanitize?.metadata) {
+            this.lastSanitization.removed.push(...stripDocumentInfo(outDoc, sanitize.keepSigningData ? keywordsPayload : ''));
+        } else {
+            writeDocumentProperties(outDoc, {
+                ...documentProperties,
+                keywords: joinSigningKeywords(documentProperties.keywords, keywordsPayload),
+                creator: documentProperties.creator || 'PDF Editor'
+            });
+        }
+        // PDF/A needs XMP metadata even in a sanitized file; it then only repeats the dates and kept keywords
+        if (this.lastPreflight) {
+            writePdfAMetadata(outDoc, this.lastPreflight.part);
+            this.lastPreflight.issues.push(...preflightPdfA(outDoc));
+        } else if (!sanitize?.metadata) {
+            writeXmpMetadata(outDoc);
+        }
 
-        outDoc.setModificationDate(new Date());
-        outDoc.setProducer('PDF Editor');
-        outDoc.setCreator('PDF Editor');
+        // The signature dictionary must stay a plain object so signPdf can find and fill it
+        const signingCertificate = this._signing?.certificate;
+        this._signing = null;
+        this._incremental = false;
+        let bytes;
+        if (revision) {
+            bytes = await saveIncrementalUpdate(outDoc, revision);
+        } else {
+            bytes = await outDoc.save({ updateFieldAppearances: false, useObjectStreams: !signingCertificate });
+            if (encryption && !pdfa) bytes = await encryptPdf(bytes, encryption, { useObjectStreams: !signingCertificate });
+        }
+        if (signingCertificate) bytes = await signPdf(bytes, signingCertificate);
+        if (this.lastOptimization) this.lastOptimization.sizeAfter = bytes.length;
+        return bytes;
+    }
 
-        // Ensure form field appearances are generated for viewer compatibility
-        // This is CRITICAL - without it, form fields won't be recognized by many PDF viewers
+    /**
+     * Why an export cannot be appended to the main document as an incremental update
+     * @returns {string|null} The reason, or null if it can
+     */
+    incrementalUpdateBlocker({ viewPages, annotationsByPageId, encryption, optimize, pdfa, sanitize }, mainDocId, mainDoc) {
+        if (encryption) return 'Password protection applies to the whole file.';
+        if (optimize) return 'Optimizing rewrites the images of the whole file.';
+        if (pdfa) return 'PDF/A conversion applies to the whole file.';
+        if (sanitize) return 'Sanitizing must also clean the earlier revisions of the file.';
+        if (!mainDoc || viewPages.length !== mainDoc.getPageCount()
+            || viewPages.some((vp, i) => vp.docId !== mainDocId || vp.sourcePageNum !== i + 1)) {
+            return 'Pages were added, removed or reordered.';
+        }
+        const redacts = viewPages.some((vp) => (annotationsByPageId.get(vp.id) || []).some((a) => a.type === 'redact'));
+        if (redacts) return 'Redacted content must also be removed from the earlier revisions.';
+        return null;
+    }
+
+    /**
+     * Attachment settings of the signature audit trail, declared as supplementing the document (PDF/A-3)
+     */
+    auditAttachmentOptions() {
+        const now = new Date();
+        return {
+            mimeType: 'application/json',
+            description: 'Signature audit trail',
+            creationDate: now,
+            modificationDate: now,
+            afRelationship: PDFLib.AFRelationship.Supplement
+        };
+    }
+
+    /**
+     * A name for a new attachment that the document's attachments do not use yet
+     * (an incremental update keeps the audit trails of earlier saves)
+     * @returns {string} name, or name-2, name-3, ... before the extension
+     */
+    attachmentName(pdfDoc, name) {
+        const { PDFName, PDFDict, PDFArray, PDFString, PDFHexString } = PDFLib;
+        const names = pdfDoc.catalog.lookupMaybe(PDFName.of('Names'), PDFDict)
+            ?.lookupMaybe(PDFName.of('EmbeddedFiles'), PDFDict)
+            ?.lookupMaybe(PDFName.of('Names'), PDFArray);
+        const used = new Set();
+        for (let i = 0; names && i < names.size(); i += 2) {
+            const key = names.lookup(i);
+            if (key instanceof PDFString || key instanceof PDFHexString) used.add(key.decodeText());
+        }
+        const dot = name.lastIndexOf('.');
+        let candidate = name;
+        for (let n = 2; used.has(candidate); n++) candidate = `${name.slice(0, dot)}-${n}${name.slice(dot)}`;
+        return candidate;
+    }
+
+    /**
+     * Embed (as subsets) the uploaded fonts this export needs: fonts picked for text and form
+     * fields, and fallbacks for text the standard fonts cannot encode (CJK, Cyrillic, emoji, ...).
+     * @param {PDFLib.PDFDocument} pdfDoc
+     * @param {Array<{ type: string; object: fabric.Object }>} annotations
+     * @param {Array<{ fontFamily?: string; text: string }>} [texts] - Other text (recognized by OCR, headers and footers)
+     */
+    async prepareFonts(pdfDoc, annotations, texts = []) {
+        this.customFonts = new Map();
+        this.missingCharacters = new Set();
+        if (!this.fontManager) return;
+        const families = new Set();
+        const need = (fontObj, text) => {
+            if (this.fontManager.has(fontObj.fontFamily)) families.add(fontObj.fontFamily);
+            if (text && !canEncode(this.standardFont(fontObj), text)) {
+                const fallback = this.fontManager.findFamilyFor(text);
+                if (fallback) families.add(fallback);
+            }
+        };
+        annotations.forEach(({ object }) => this.collectFontNeeds(object, need));
+        texts.forEach((fontObj) => need(fontObj, fontObj.text));
+        for (const family of families) {
+            try {
+                this.customFonts.set(family, await pdfDoc.embedFont(this.fontManager.getBytes(family), { subset: true }));
+            } catch (e) {
+                console.warn('Could not embed font', family, e);
+            }
+        }
+    }
+
+    /**
+     * Report the text an object draws, with the font settings it is drawn with
+     * @param {fabric.Object} obj
+     * @param {(fontObj: { fontFamily?: string; fontWeight?: string|number }, text: string) => void} need
+     */
+    collectFontNeeds(obj, need) {
+        if (!obj) return;
+        const fieldFont = { fontFamily: obj._fontFamily };
+        switch (obj._annotationType) {
+            case 'textfield':
+            case 'date':
+                need(fieldFont, obj._fieldValue || '');
+                return;
+            case 'dropdown':
+                need(fieldFont, obj._selectedOption || '');
+                return;
+            case 'signature-field':
+                need(fieldFont, obj._signatureFieldLabel || '');
+                return;
+        }
+        if (obj.type === 'group') {
+            obj.getObjects().forEach((child) => this.collectFontNeeds(child, need));
+        } else if (obj.type === 'text' || obj.type === 'i-text' || obj.type === 'textbox' || obj.type === 'edited-text') {
+            need(obj, obj.text || '');
+        }
+    }
+
+    /**
+     * Font to draw an object's text with: its uploaded font, else the matching standard font,
+     * else an uploaded font that has all the characters.
+     * @param {{ fontFamily?: string; fontWeight?: string|number }} obj
+     * @param {string} text
+     * @returns {PDFLib.PDFFont}
+     */
+    textFont(obj, text) {
+        const chosen = this.customFonts.get(obj.fontFamily);
+        if (chosen && this.fontManager.covers(obj.fontFamily, text)) return chosen;
+        const standard = this.standardFont(obj);
+        if (!chosen && canEncode(standard, text)) return standard;
+        const fallback = this.customFonts.get(this.fontManager?.findFamilyFor(text));
+        return fallback || chosen || standard;
+    }
+
+    standardFont(obj) {
+        const family = (obj.fontFamily || 'Arial').toLowerCase();
+        if (family.includes('times')) return this.fonts.timesRoman;
+        if (family.includes('courier') || family.includes('mono')) return this.fonts.courier;
+        const bold = obj.fontWeight === 'bold' || Number(obj.fontWeight) >= 600;
+        return bold ? this.fonts.helveticaBold : this.fonts.helvetica;
+    }
+
+    /**
+     * Uploaded (or PDF/A) font for a form field's appearance, or undefined to keep pdf-lib's Helvetica
+     */
+    fieldFont(obj, text) {
+        const font = this.textFont({ fontFamily: obj._fontFamily }, text);
+        return [...this.customFonts.values()].includes(font) || archivalFonts.has(font) ? font : undefined;
+    }
+
+    /**
+     * Text limited to what the font can encode; other characters become "?" and are reported
+     * in missingCharacters (only standard fonts reject characters)
+     */
+    encodableText(font, text) {
+        if (canEncode(font, text)) return text;
+        return Array.from(text, (ch) => {
+            if (canEncode(font, ch)) return ch;
+            this.missingCharacters.add(ch);
+            return '?';
+        }).join('');
+    }
+
+    /**
+     * Map an object's box (a redaction or link) from canvas coordinates to the page's default user space.
+     * The canvas shows the crop box unrotated, so its origin is the crop box top-left.
+     */
+    getPageRect(page, obj, scaleFactor) {
+        const crop = page.getCropBox();
+        const bounds = obj.getBoundingRect();
+        return {
+            x0: crop.x + bounds.left * scaleFactor,
+            y0: crop.y + crop.height - (bounds.top + bounds.height) * scaleFactor,
+            x1: crop.x + (bounds.left + bounds.width) * scaleFactor,
+            y1: crop.y + crop.height - bounds.top * scaleFactor
+        };
+    }
+
+    /**
+     * Remove content under the page's redaction boxes.
+     * Throws (aborting the export) if removal cannot be guaranteed.
+     * @returns {Promise<boolean>} whether any redaction was applied
+     */
+    async applyRedactions(pdfDoc, page, pageAnnotations, scaleFactor, pageNum) {
+        const rects = pageAnnotations
+            .filter((a) => a.type === 'redact')
+            .map((a) => this.getPageRect(page, a.object, scaleFactor));
+        if (rects.length === 0) return false;
         try {
-            const form = outDoc.getForm();
-            if (form.getFields().length > 0) {
-                form.updateFieldAppearances(this.fonts.helvetica);
+            await redactPage(pdfDoc, page, rects);
+        } catch (e) {
+            throw new Error(`Redaction failed on page ${pageNum}: ${e.message}`);
+        }
+        return true;
+    }
+
+    /**
+     * Draw header and footer text on a page, upright as the page is shown (see layoutHeaderFooter)
+     * @param {PDFLib.PDFPage} page
+     * @param {Array<{ position: import('./header-footer.js').HeaderFooterPosition; text: string }>} texts
+     * @param {import('./header-footer.js').HeaderFooterSettings} settings
+     */
+    drawHeaderFooter(page, texts, settings) {
+        const crop = page.getCropBox();
+        const color = this.parseColor(settings.color);
+        const fonts = new Map();
+        const encoded = texts.map(({ position, text }) => {
+            const font = this.textFont({ fontFamily: settings.fontFamily }, text);
+            const drawn = this.encodableText(font, text);
+            fonts.set(drawn, font);
+            return { position, text: drawn };
+        });
+        const measure = (text) => fonts.get(text).widthOfTextAtSize(text, settings.fontSize);
+        for (const { text, x, y, rotation } of layoutHeaderFooter(encoded, settings, crop, page.getRotation().angle, measure)) {
+            page.drawText(text, {
+                x: crop.x + x,
+                y: crop.y + crop.height - y,
+                size: settings.fontSize,
+                font: fonts.get(text),
+                color: rgb(color.r, color.g, color.b),
+                rotate: degrees(rotation)
+            });
+        }
+    }
+
+    /** Font settings of a text watermark, as prepareFonts and textFont take them */
+    watermarkFont(settings) {
+        return { fontFamily: settings.fontFamily, fontWeight: settings.bold ? 'bold' : 'normal' };
+    }
+
+    /**
+     * Embed what a watermark draws once for the file: the text's font, or the image
+     * @param {PDFLib.PDFDocument} pdfDoc
+     * @param {import('./watermark.js').WatermarkSettings} settings
+     * @returns {Promise<{ font?: PDFLib.PDFFont; text?: string; image?: PDFLib.PDFImage; aspect: number; graphicsState: PDFLib.PDFRef }>}
+     */
+    async prepareWatermark(pdfDoc, settings) {
+        const graphicsState = pdfDoc.context.register(pdfDoc.context.obj({ Type: 'ExtGState', ca: settings.opacity, CA: settings.opacity }));
+        if (settings.kind === 'image') {
+            const { dataUrl } = settings.image;
+            const bytes = this.dataUrlToBytes(dataUrl);
+            const image = dataUrl.startsWith('data:image/png') ? await pdfDoc.embedPng(bytes) : await pdfDoc.embedJpg(bytes);
+            return { image, aspect: image.height / image.width, graphicsState };
+        }
+        const text = settings.text.replace(/\s*\r?\n\s*/g, ' ').trim();
+        const font = this.textFont(this.watermarkFont(settings), text);
+        const drawn = this.encodableText(font, text);
+        return { font, text: drawn, aspect: CAP_HEIGHT / font.widthOfTextAtSize(drawn, 1), graphicsState };
+    }
+
+    /**
+     * Draw a watermark on a page as one content stream: first in the page (behind its content)
+     * or last (above it and the annotations). Each mark is turned about its center.
+     * @param {PDFLib.PDFDocument} pdfDoc
+     * @param {PDFLib.PDFPage} page
+     * @param {import('./watermark.js').WatermarkSettings} settings
+     * @param {{ font?: PDFLib.PDFFont; text?: string; image?: PDFLib.PDFImage; aspect: number; graphicsState: PDFLib.PDFRef }} mark - From prepareWatermark
+     */
+    drawWatermark(pdfDoc, page, settings, mark) {
+        const { context } = pdfDoc;
+        const crop = page.getCropBox();
+        const { width, height, marks } = layoutWatermark(settings, crop, page.getRotation().angle, mark.aspect);
+        const graphicsState = page.node.newExtGState('GS', mark.graphicsState);
+        const key = mark.image ? page.node.newXObject('Image', mark.image.ref) : page.node.newFontDictionary(mark.font.name, mark.font.ref);
+        const color = this.parseColor(settings.color);
+        const operators = [];
+        for (const { x, y, rotation } of marks) {
+            const angle = (rotation * Math.PI) / 180;
+            const cos = Math.cos(angle);
+            const sin = Math.sin(angle);
+            // Bottom-left corner of the turned box, from its center
+            const options = {
+                x: crop.x + x - (width / 2) * cos + (height / 2) * sin,
+                y: crop.y + crop.height - y - (width / 2) * sin - (height / 2) * cos,
+                rotate: degrees(rotation),
+                xSkew: degrees(0),
+                ySkew: degrees(0),
+                graphicsState
+            };
+            if (mark.image) {
+                operators.push(...drawImage(key, { ...options, width, height }));
+            } else {
+                const size = height / CAP_HEIGHT;
+                operators.push(...drawText(mark.font.encodeText(mark.text), { ...options, font: key, size, color: rgb(color.r, color.g, color.b) }));
             }
+        }
+        const ref = context.register(context.contentStream(operators));
+        if (settings.layer !== 'behind') {
+            page.node.addContentStream(ref);
+            return;
+        }
+        const { Contents } = page.node.normalizedEntries();
+        if (Contents instanceof PDFArray) Contents.insert(0, ref);
+        else page.node.set(PDFName.of('Contents'), context.obj([ref]));
+    }
+
+    /**
+     * Write text recognized by OCR over the page as invisible text (render mode 3), each word
+     * stretched to the box it was found in so selections line up with the scan.
+     * Words under a redaction box are left out: the scan under it is removed, and so must its text be.
+     * @param {PDFLib.PDFPage} page
+     * @param {import('./ocr.js').OcrPage} ocrPage
+     */
+    drawOcrText(page, ocrPage, pageAnnotations, scaleFactor) {
+        const crop = page.getCropBox();
+        const redactions = pageAnnotations
+            .filter((a) => a.type === 'redact')
+            .map((a) => this.getPageRect(page, a.object, scaleFactor));
+        const fontKeys = new Map();
+        const operators = [pushGraphicsState(), beginText(), setTextRenderingMode(TextRenderingMode.Invisible)];
+        for (const line of ocrPage.lines) {
+            const size = line.size * crop.height;
+            const baseline = crop.y + crop.height - line.baseline * crop.height;
+            const words = line.words.map((word) => ({
+                text: word.text,
+                x0: crop.x + word.x * crop.width,
+                x1: crop.x + (word.x + word.w) * crop.width,
+                y0: crop.y + crop.height - (word.y + word.h) * crop.height,
+                y1: crop.y + crop.height - word.y * crop.height
+            })).filter((word) => !redactions.some((r) => word.x0 < r.x1 && word.x1 > r.x0 && word.y0 < r.y1 && word.y1 > r.y0));
+            words.forEach((word, i) => {
+                // A trailing space keeps words apart when the text is copied or extracted
+                const text = i < words.length - 1 ? `${word.text} ` : word.text;
+                const font = this.textFont({}, text);
+                if (!fontKeys.has(font)) fontKeys.set(font, page.node.newFontDictionary(font.name, font.ref));
+                const encoded = this.encodableText(font, text);
+                const width = font.widthOfTextAtSize(encoded.trimEnd(), size);
+                operators.push(
+                    setFontAndSize(fontKeys.get(font), size),
+                    setCharacterSqueeze(width > 0 ? (100 * (word.x1 - word.x0)) / width : 100),
+                    setTextMatrix(1, 0, 0, 1, word.x0, baseline),
+                    showText(font.encodeText(encoded))
+                );
+            });
+        }
+        operators.push(endText(), popGraphicsState());
+        page.pushOperators(...operators);
+    }
+
+    /**
+     * Remove the original glyphs of text the user edited in place; the new text is drawn later.
+     * Throws (aborting the export) if the original text cannot be removed.
+     */
+    async applyTextEdits(pdfDoc, page, pageAnnotations, pageNum) {
+        const crop = page.getCropBox();
+        // Run boxes are in points from the crop box top-left
+        const rects = pageAnnotations
+            .filter((a) => a.type === 'edit-text' && a.object._textEdit?.box)
+            .map(({ object }) => {
+                const b = object._textEdit.box;
+                return {
+                    x0: crop.x + b.x0,
+                    y0: crop.y + crop.height - b.y1,
+                    x1: crop.x + b.x1,
+                    y1: crop.y + crop.height - b.y0
+                };
+            });
+        if (rects.length === 0) return;
+        let report;
+        try {
+            report = await redactPage(pdfDoc, page, rects, { textOnly: true });
         } catch (e) {
-            console.warn('Could not update form field appearances:', e);
+            throw new Error(`Editing text on page ${pageNum} failed: ${e.message}`);
         }
+        if (report.glyphs === 0) {
+            throw new Error(`Editing text on page ${pageNum} failed: the original text could not be found in the page content.`);
+        }
+    }
 
-        return await outDoc.save();
+    /**
+     * Write an annotation as an editable PDF annotation dictionary.
+     * @returns {Promise<boolean>} false if it must be flattened instead (unsupported type or failure)
+     */
+    async drawNativeAnnotation(pdfDoc, page, annotation, scaleFactor) {
+        try {
+            return await addNativeAnnotation(pdfDoc, page, annotation.object, annotation.type, {
+                scaleFactor,
+                fonts: this.fonts,
+                textFont: (obj, text) => this.textFont(obj, text),
+                parseColor: (c) => this.parseColor(c)
+            });
+        } catch (e) {
+            console.warn('Could not write native annotation, flattening instead:', e);
+            return false;
+        }
     }
 
     /**
@@ -201,17 +787,24 @@ export class PDFExporter {
                 await this.drawText(page, obj, scaleFactor, pageHeight);
                 break;
 
-            case 'highlight':
-            case 'whiteout':
-            case 'rect':
-                this.drawRect(page, obj, scaleFactor, pageHeight);
+            case 'edit-text':
+                if (!this.drawVector(page, obj, scaleFactor)) {
+                    await this.drawText(page, obj, scaleFactor, pageHeight);
+                }
                 break;
 
-            case 'ellipse':
-                // Export ellipse as an image for fidelity (stroke/fill/opacity)
-                await this.drawObjectAsImage(pdfDoc, page, obj, scaleFactor, pageHeight);
+            case 'redact':
+                this.drawRedaction(page, obj, scaleFactor);
                 break;
 
+            case 'link':
+                this.drawLink(pdfDoc, page, obj, scaleFactor);
+                break;
+
+            case 'highlight':
+            case 'whiteout':
+            case 'rect':
+            case 'ellipse':
             case 'underline':
             case 'strike':
             case 'arrow':
@@ -219,15 +812,22 @@ export class PDFExporter {
             case 'note':
             case 'path':
             case 'draw':
-                await this.drawObjectAsImage(pdfDoc, page, obj, scaleFactor, pageHeight);
+                if (!this.drawVector(page, obj, scaleFactor)) {
+                    await this.drawObjectAsImage(pdfDoc, page, obj, scaleFactor, pageHeight);
+                }
                 break;
 
             case 'signature':
             case 'image':
-                await this.drawImage(pdfDoc, page, obj, scaleFactor, pageHeight);
+                if (type === 'signature' && obj._signatureMeta?.certificateId && this._signing) {
+                    await this.drawDigitalSignature(pdfDoc, page, obj, scaleFactor, pageHeight);
+                } else {
+                    await this.drawImage(pdfDoc, page, obj, scaleFactor, pageHeight);
+                }
                 // Handle signature audit trail (signerName stored in metadata only, not drawn on page)
                 if (type === 'signature' && obj._signatureMeta && auditEntries !== null && pageNum !== null) {
-                    const meta = { ...obj._signatureMeta };
+                    const { certificateId, ...meta } = obj._signatureMeta;
+                    if (certificateId && this._signing?.certificate) meta.certificate = this._signing.certificate.subject;
                     meta.pageNum = pageNum;
                     meta.bounds = {
                         left: bounds.left * scaleFactor,
@@ -290,14 +890,8 @@ export class PDFExporter {
         const text = obj.text || '';
         if (!text.trim()) return;
 
-        // Map font family to embedded font
-        let font = this.fonts.helvetica;
-        const fontFamily = (obj.fontFamily || 'Arial').toLowerCase();
-        if (fontFamily.includes('times')) {
-            font = this.fonts.timesRoman;
-        } else if (fontFamily.includes('courier') || fontFamily.includes('mono')) {
-            font = this.fonts.courier;
-        }
+        // Uploaded font, standard font, or an uploaded font that has the characters
+        const font = this.textFont(obj, text);
 
         // Calculate position
         const left = (obj.left || 0) * scaleFactor;
@@ -315,7 +909,7 @@ export class PDFExporter {
 
         for (const line of lines) {
             if (line.trim()) {
-                page.drawText(line, {
+                page.drawText(this.encodableText(font, line), {
                     x: left,
                     y: currentY,
                     size: fontSize,
@@ -328,36 +922,54 @@ export class PDFExporter {
     }
 
     /**
-     * Draw rectangle (whiteout)
+     * Draw the opaque fill over a redacted area (content was already removed)
      */
-    drawRect(page, obj, scaleFactor, pageHeight) {
-        const left = (obj.left || 0) * scaleFactor;
-        const width = (obj.width || 0) * (obj.scaleX || 1) * scaleFactor;
-        const height = (obj.height || 0) * (obj.scaleY || 1) * scaleFactor;
-        const top = pageHeight - (obj.top || 0) * scaleFactor - height;
-
-        const fillColor = this.parseColor(obj.fill || '#ffffff');
-
+    drawRedaction(page, obj, scaleFactor) {
+        const r = this.getPageRect(page, obj, scaleFactor);
+        const fillColor = this.parseColor(obj.fill || '#000000');
         page.drawRectangle({
-            x: left,
-            y: top,
-            width: width,
-            height: height,
+            x: r.x0,
+            y: r.y0,
+            width: r.x1 - r.x0,
+            height: r.y1 - r.y0,
             color: rgb(fillColor.r, fillColor.g, fillColor.b)
         });
+    }
 
-        // Draw border if present
-        if (obj.stroke && obj.strokeWidth) {
-            const strokeColor = this.parseColor(obj.stroke);
-            page.drawRectangle({
-                x: left,
-                y: top,
-                width: width,
-                height: height,
-                borderColor: rgb(strokeColor.r, strokeColor.g, strokeColor.b),
-                borderWidth: obj.strokeWidth * scaleFactor
-            });
+    /**
+     * Write a link box as a /Link annotation that opens a web address (/URI) or goes to a page of
+     * the export (/GoTo). A link without a target, or to a page that is not exported, is left out.
+     */
+    drawLink(pdfDoc, page, obj, scaleFactor) {
+        const { PDFName, PDFNull, PDFNumber, PDFString } = PDFLib;
+        const link = obj._link || {};
+        let action;
+        if (link.pageId) {
+            const target = this._pagesById?.get(link.pageId);
+            if (!target) return;
+            const crop = target.getCropBox();
+            const top = PDFNumber.of(crop.y + crop.height);
+            let dest;
+            if (link.zoom === 'fit') dest = [PDFName.of('Fit')];
+            else if (link.zoom === 'fit-width') dest = [PDFName.of('FitH'), top];
+            else dest = [PDFName.of('XYZ'), PDFNull, top, typeof link.zoom === 'number' ? PDFNumber.of(link.zoom / 100) : PDFNull];
+            action = { S: 'GoTo', D: [target.ref, ...dest] };
+        } else if (link.url) {
+            action = { S: 'URI', URI: PDFString.of(link.url.replace(/[\\()]/g, '\\$&')) };
+        } else {
+            return;
         }
+        const r = this.getPageRect(page, obj, scaleFactor);
+        const annot = pdfDoc.context.obj({
+            Type: 'Annot',
+            Subtype: 'Link',
+            Rect: [r.x0, r.y0, r.x1, r.y1],
+            Border: [0, 0, 0],
+            F: 4, // Print
+            P: page.ref,
+            A: action
+        });
+        page.node.addAnnot(pdfDoc.context.register(annot));
     }
 
     /**
@@ -389,48 +1001,287 @@ export class PDFExporter {
     }
 
     /**
-     * Convert Fabric.js path to SVG path string
+     * Draw a Fabric object (shapes, lines, paths, and groups of them with text such as stamps
+     * and notes) with vector operators. Each object is drawn in its own coordinate space under
+     * its Fabric transform, so rotation, scaling and flips are kept.
+     * @returns {boolean} false if some part needs the image fallback (nothing is drawn then)
      */
-    fabricPathToSvg(obj, scaleFactor, pageHeight) {
-        const pathData = obj.path;
-        if (!pathData) return '';
+    drawVector(page, obj, scaleFactor) {
+        if (!this.canDrawVector(obj)) return false;
+        const crop = page.getCropBox();
+        // Canvas pixels -> default user space; the canvas shows the crop box unrotated
+        const base = [scaleFactor, 0, 0, -scaleFactor, crop.x, crop.y + crop.height];
+        try {
+            this.drawVectorPart(page, obj, base, 1);
+        } catch (e) {
+            console.warn('Vector export failed; drawing the object as an image instead:', e);
+            return false;
+        }
+        return true;
+    }
+
+    canDrawVector(obj) {
+        if (obj.clipPath || obj.shadow) return false;
+        switch (obj.type) {
+            case 'group':
+                return obj.getObjects().every((child) => this.canDrawVector(child));
+            case 'rect':
+            case 'ellipse':
+            case 'line':
+            case 'triangle':
+            case 'path':
+            case 'polygon':
+            case 'polyline':
+                return true;
+            case 'circle':
+                return (obj.endAngle ?? 360) - (obj.startAngle ?? 0) >= 360;
+            case 'text':
+            case 'i-text':
+            case 'textbox':
+            case 'edited-text': {
+                if (obj.underline || obj.linethrough || obj.overline) return false;
+                if (Object.values(obj.styles || {}).some((line) => Object.keys(line || {}).length > 0)) return false;
+                return canEncode(this.textFont(obj, obj.text || ''), (obj.textLines || []).join('\n'));
+            }
+            default:
+                return false;
+        }
+    }
 
-        let svgPath = '';
-        const offsetX = (obj.left || 0);
-        const offsetY = (obj.top || 0);
+    drawVectorPart(page, obj, base, parentOpacity) {
+        if (obj.visible === false) return;
+        const opacity = parentOpacity * (typeof obj.opacity === 'number' ? obj.opacity : 1);
+        if (obj.type === 'group') {
+            // Children's transforms already include the group's
+            obj.getObjects().forEach((child) => this.drawVectorPart(page, child, base, opacity));
+            return;
+        }
 
+        const local = obj.calcTransformMatrix();
+        const m = fabric.util.multiplyTransformMatrices(base, local);
+        const paint = this.vectorPaint(obj, local, opacity);
+        const w = obj.width || 0;
+        const h = obj.height || 0;
+
+        switch (obj.type) {
+            case 'line': {
+                if (!paint.borderColor) return;
+                const p = obj.calcLinePoints();
+                this.withMatrix(page, m, () => page.drawLine({
+                    start: { x: p.x1, y: p.y1 },
+                    end: { x: p.x2, y: p.y2 },
+                    thickness: paint.borderWidth,
+                    color: paint.borderColor,
+                    opacity: paint.borderOpacity,
+                    lineCap: paint.lineCap,
+                    dashArray: paint.dashArray
+                }));
+                break;
+            }
+            case 'text':
+            case 'i-text':
+            case 'textbox':
+            case 'edited-text':
+                this.drawVectorText(page, obj, fabric.util.multiplyTransformMatrices(m, FLIP_Y), opacity);
+                break;
+            default: {
+                let path;
+                if (obj.type === 'rect') path = this.roundedRectPath(w, h, obj.rx || 0, obj.ry || 0);
+                else if (obj.type === 'ellipse') path = this.ellipsePath(obj.rx, obj.ry);
+                else if (obj.type === 'circle') path = this.ellipsePath(obj.radius, obj.radius);
+                else if (obj.type === 'triangle') path = `M 0 ${-h / 2} L ${w / 2} ${h / 2} L ${-w / 2} ${h / 2} Z`;
+                else if (obj.type === 'path') path = this.fabricPathToSvg(obj);
+                else {
+                    const off = obj.pathOffset || { x: 0, y: 0 };
+                    path = obj.points.map((pt, i) => `${i === 0 ? 'M' : 'L'} ${pt.x - off.x} ${pt.y - off.y}`).join(' ') + (obj.type === 'polygon' ? ' Z' : '');
+                }
+                if (!path || (!paint.color && !paint.borderColor)) return;
+                this.withMatrix(page, fabric.util.multiplyTransformMatrices(m, FLIP_Y), () => {
+                    page.pushOperators(setLineJoin(paint.lineJoin));
+                    page.drawSvgPath(path, {
+                        x: 0,
+                        y: 0,
+                        color: paint.color,
+                        opacity: paint.opacity,
+                        borderColor: paint.borderColor,
+                        borderWidth: paint.borderColor ? paint.borderWidth : 0,
+                        borderOpacity: paint.borderOpacity,
+                        borderDashArray: paint.dashArray,
+                        borderLineCap: paint.lineCap
+                    });
+                });
+                break;
+            }
+        }
+    }
+
+    /**
+     * Fill/stroke settings for pdf-lib in the object's local units
+     * @param {number[]} local - The object's Fabric transform (local -> canvas)
+     */
+    vectorPaint(obj, local, opacity) {
+        const fill = this.parseRgba(obj.fill);
+        const stroke = obj.strokeWidth > 0 ? this.parseRgba(obj.stroke) : null;
+        // A uniform stroke keeps its canvas width whatever the object's scale
+        const localPerCanvas = obj.strokeUniform
+            ? 1 / Math.sqrt(Math.abs(local[0] * local[3] - local[1] * local[2])) || 1
+            : 1;
+        const dash = Array.isArray(obj.strokeDashArray) && obj.strokeDashArray.some((n) => n > 0)
+            ? obj.strokeDashArray.map((n) => n * localPerCanvas)
+            : undefined;
+        // Only partially transparent paint needs a graphics state
+        const alpha = (a) => (a < 1 ? a : undefined);
+        return {
+            color: fill ? fill.color : undefined,
+            opacity: fill ? alpha(opacity * fill.alpha) : undefined,
+            borderColor: stroke ? stroke.color : undefined,
+            borderOpacity: stroke ? alpha(opacity * stroke.alpha) : undefined,
+            borderWidth: (obj.strokeWidth || 0) * localPerCanvas,
+            dashArray: dash,
+            lineCap: LINE_CAPS[obj.strokeLineCap] ?? LineCapStyle.Butt,
+            lineJoin: LINE_JOINS[obj.strokeLineJoin] ?? LineJoinStyle.Miter
+        };
+    }
+
+    /**
+     * Draw Fabric text lines baseline by baseline as Fabric lays them out
+     * @param {number[]} m - Local (y flipped) -> user space matrix
+     */
+    drawVectorText(page, obj, m, opacity) {
+        const fill = this.parseRgba(obj.fill);
+        if (!fill) return;
+        const font = this.textFont(obj, obj.text || '');
+        const size = obj.fontSize || 16;
+        const lines = obj.textLines || [];
+        let top = -obj.height / 2;
+        this.withMatrix(page, m, () => {
+            lines.forEach((line, i) => {
+                const lineHeight = obj.getHeightOfLine(i);
+                const glyphHeight = lineHeight / obj.lineHeight;
+                const baseline = top + glyphHeight * (1 - obj._fontSizeFraction);
+                top += lineHeight;
+                if (!line.trim()) return;
+                const width = font.widthOfTextAtSize(line, size);
+                let x = -obj.width / 2;
+                if (obj.textAlign === 'center') x = -width / 2;
+                else if (obj.textAlign === 'right') x = obj.width / 2 - width;
+                const alpha = opacity * fill.alpha;
+                page.drawText(line, { x, y: -baseline, size, font, color: fill.color, opacity: alpha < 1 ? alpha : undefined });
+            });
+        });
+    }
+
+    withMatrix(page, m, draw) {
+        page.pushOperators(pushGraphicsState(), concatTransformationMatrix(m[0], m[1], m[2], m[3], m[4], m[5]));
+        draw();
+        page.pushOperators(popGraphicsState());
+    }
+
+    roundedRectPath(w, h, rx, ry) {
+        const x0 = -w / 2;
+        const y0 = -h / 2;
+        rx = Math.min(rx, w / 2);
+        ry = Math.min(ry, h / 2);
+        if (!rx || !ry) return `M ${x0} ${y0} H ${x0 + w} V ${y0 + h} H ${x0} Z`;
+        return [
+            `M ${x0 + rx} ${y0}`, `H ${x0 + w - rx}`, `A ${rx} ${ry} 0 0 1 ${x0 + w} ${y0 + ry}`,
+            `V ${y0 + h - ry}`, `A ${rx} ${ry} 0 0 1 ${x0 + w - rx} ${y0 + h}`,
+            `H ${x0 + rx}`, `A ${rx} ${ry} 0 0 1 ${x0} ${y0 + h - ry}`,
+            `V ${y0 + ry}`, `A ${rx} ${ry} 0 0 1 ${x0 + rx} ${y0}`, 'Z'
+        ].join(' ');
+    }
+
+    /** Starts on the right and runs clockwise like the canvas arc, so dashes fall in the same places */
+    ellipsePath(rx, ry) {
+        return `M ${rx} 0 A ${rx} ${ry} 0 0 1 0 ${ry} A ${rx} ${ry} 0 0 1 ${-rx} 0 A ${rx} ${ry} 0 0 1 0 ${-ry} A ${rx} ${ry} 0 0 1 ${rx} 0 Z`;
+    }
+
+    /**
+     * Convert a Fabric.js path to an SVG path string in the object's local coordinates.
+     * Quadratic segments (freehand strokes) become the equivalent cubics, which pdf-lib draws exactly.
+     */
+    fabricPathToSvg(obj) {
+        const pathData = obj.path;
+        if (!pathData) return '';
+        const off = obj.pathOffset || { x: 0, y: 0 };
+        let cx = 0;
+        let cy = 0;
+        let sx = 0;
+        let sy = 0;
+        const parts = [];
         for (const cmd of pathData) {
+            const n = cmd.slice(1).map((v, i) => (i % 2 === 0 ? v - off.x : v - off.y));
             switch (cmd[0]) {
                 case 'M':
-                    const mx = (cmd[1] + offsetX) * scaleFactor;
-                    const my = pageHeight - (cmd[2] + offsetY) * scaleFactor;
-                    svgPath += `M ${mx} ${my} `;
+                    [cx, cy] = n;
+                    [sx, sy] = n;
+                    parts.push(`M ${cx} ${cy}`);
                     break;
                 case 'L':
-                    const lx = (cmd[1] + offsetX) * scaleFactor;
-                    const ly = pageHeight - (cmd[2] + offsetY) * scaleFactor;
-                    svgPath += `L ${lx} ${ly} `;
+                    [cx, cy] = n;
+                    parts.push(`L ${cx} ${cy}`);
                     break;
-                case 'Q':
-                    const qcx = (cmd[1] + offsetX) * scaleFactor;
-                    const qcy = pageHeight - (cmd[2] + offsetY) * scaleFactor;
-                    const qx = (cmd[3] + offsetX) * scaleFactor;
-                    const qy = pageHeight - (cmd[4] + offsetY) * scaleFactor;
-                    svgPath += `Q ${qcx} ${qcy} ${qx} ${qy} `;
+                case 'Q': {
+                    const [qx, qy, x, y] = n;
+                    parts.push(`C ${cx + (2 / 3) * (qx - cx)} ${cy + (2 / 3) * (qy - cy)} ${x + (2 / 3) * (qx - x)} ${y + (2 / 3) * (qy - y)} ${x} ${y}`);
+                    [cx, cy] = [x, y];
                     break;
+                }
                 case 'C':
-                    const c1x = (cmd[1] + offsetX) * scaleFactor;
-                    const c1y = pageHeight - (cmd[2] + offsetY) * scaleFactor;
-                    const c2x = (cmd[3] + offsetX) * scaleFactor;
-                    const c2y = pageHeight - (cmd[4] + offsetY) * scaleFactor;
-                    const cx = (cmd[5] + offsetX) * scaleFactor;
-                    const cy = pageHeight - (cmd[6] + offsetY) * scaleFactor;
-                    svgPath += `C ${c1x} ${c1y} ${c2x} ${c2y} ${cx} ${cy} `;
+                    parts.push(`C ${n.join(' ')}`);
+                    [cx, cy] = n.slice(4);
+                    break;
+                case 'Z':
+                case 'z':
+                    parts.push('Z');
+                    [cx, cy] = [sx, sy];
                     break;
             }
         }
+        return parts.join(' ');
+    }
+
+    /**
+     * Color with alpha from any CSS color; null if missing or fully transparent
+     * @returns {{ color: ReturnType<typeof rgb>; alpha: number } | null}
+     */
+    parseRgba(colorStr) {
+        if (!colorStr || typeof colorStr !== 'string') return null;
+        const source = new fabric.Color(colorStr).getSource();
+        if (!source || source[3] === 0) return null;
+        return { color: rgb(source[0] / 255, source[1] / 255, source[2] / 255), alpha: source[3] ?? 1 };
+    }
+
+    /**
+     * Embed the image of an image or signature object
+     * @returns {Promise<PDFLib.PDFImage|null>}
+     */
+    async embedImage(pdfDoc, obj) {
+        const src = obj.getSrc ? obj.getSrc() : obj._element?.src;
+        if (!src) return null;
+
+        if (src.startsWith('data:image/png')) {
+            return pdfDoc.embedPng(this.dataUrlToBytes(src));
+        }
+        if (src.startsWith('data:image/jpeg') || src.startsWith('data:image/jpg')) {
+            return pdfDoc.embedJpg(this.dataUrlToBytes(src));
+        }
+        // Try to fetch and embed
+        const response = await fetch(src);
+        const imageBytes = await response.arrayBuffer();
+        const contentType = response.headers.get('content-type');
+        return contentType?.includes('png') ? pdfDoc.embedPng(imageBytes) : pdfDoc.embedJpg(imageBytes);
+    }
 
-        return svgPath;
+    /**
+     * Page rectangle of an image object
+     */
+    imageRect(obj, pdfImage, scaleFactor, pageHeight) {
+        const width = (obj.width || pdfImage.width) * (obj.scaleX || 1) * scaleFactor;
+        const height = (obj.height || pdfImage.height) * (obj.scaleY || 1) * scaleFactor;
+        const x = (obj.left || 0) * scaleFactor;
+        const y = pageHeight - (obj.top || 0) * scaleFactor - height;
+        return { x, y, width, height };
     }
 
     /**
@@ -438,47 +1289,48 @@ export class PDFExporter {
      */
     async drawImage(pdfDoc, page, obj, scaleFactor, pageHeight) {
         try {
-            // Get image source
-            const src = obj.getSrc ? obj.getSrc() : obj._element?.src;
-            if (!src) return;
-
-            // Embed image in PDF
-            let pdfImage;
-            if (src.startsWith('data:image/png')) {
-                const imageBytes = this.dataUrlToBytes(src);
-                pdfImage = await pdfDoc.embedPng(imageBytes);
-            } else if (src.startsWith('data:image/jpeg') || src.startsWith('data:image/jpg')) {
-                const imageBytes = this.dataUrlToBytes(src);
-                pdfImage = await pdfDoc.embedJpg(imageBytes);
-            } else {
-                // Try to fetch and embed
-                const response = await fetch(src);
-                const imageBytes = await response.arrayBuffer();
-                const contentType = response.headers.get('content-type');
-                if (contentType?.includes('png')) {
-                    pdfImage = await pdfDoc.embedPng(imageBytes);
-                } else {
-                    pdfImage = await pdfDoc.embedJpg(imageBytes);
-                }
-            }
-
-            // Calculate position and size
-            const width = (obj.width || pdfImage.width) * (obj.scaleX || 1) * scaleFactor;
-            const height = (obj.height || pdfImage.height) * (obj.scaleY || 1) * scaleFactor;
-            const left = (obj.left || 0) * scaleFactor;
-            const top = pageHeight - (obj.top || 0) * scaleFactor - height;
-
-            page.drawImage(pdfImage, {
-                x: left,
-                y: top,
-                width: width,
-                height: height
-            });
+            const pdfImage = await this.embedImage(pdfDoc, obj);
+            if (!pdfImage) return;
+            page.drawImage(pdfImage, this.imageRect(obj, pdfImage, scaleFactor, pageHeight));
         } catch (error) {
             console.error('Error embedding image:', error);
         }
     }
 
+    /**
+     * Add a signature placed with a vault certificate as a digital signature field whose appearance
+     * is the signature image. exportPDF signs it once the file is written.
+     */
+    async drawDigitalSignature(pdfDoc, page, obj, scaleFactor, pageHeight) {
+        const meta = obj._signatureMeta;
+        if (this._signing.certificate) throw new Error('Only one digital signature can be added per export.');
+        const entry = this._signing.certificates.find((c) => c.id === meta.certificateId);
+        if (!entry) throw new Error('Unlock the vault that holds the signing certificate to export this signature.');
+        const certificate = readCertificate(this.dataUrlToBytes(`data:application/x-pkcs12;base64,${entry.p12}`), entry.password);
+
+        const pdfImage = await this.embedImage(pdfDoc, obj);
+        if (!pdfImage) throw new Error('The signature has no image.');
+        const rect = this.imageRect(obj, pdfImage, scaleFactor, pageHeight);
+        const appearance = pdfDoc.context.formXObject(
+            [
+                pushGraphicsState(),
+                concatTransformationMatrix(rect.width, 0, 0, rect.height, 0, 0),
+                drawObject('Im0'),
+                popGraphicsState()
+            ],
+            { BBox: [0, 0, rect.width, rect.height], Resources: { XObject: { Im0: pdfImage.ref } } }
+        );
+        addSignatureField(pdfDoc, page, {
+            rect,
+            appearance: pdfDoc.context.register(appearance),
+            certificate,
+            fieldName: meta.replacedFieldLabel || `Signature ${meta.signerName || certificate.subject}`.trim(),
+            signerName: meta.signerName,
+            contactInfo: meta.signerEmail
+        });
+        this._signing.certificate = certificate;
+    }
+
     /**
      * Draw signature field as a real PDF form field (AcroForm widget).
      * pdf-lib has no createSignature(); we use a read-only text field with sig_ prefix.
@@ -497,6 +1349,9 @@ export class PDFExporter {
         const baseName = (label || 'Signature').replace(/[^a-zA-Z0-9_-]/g, '_') || 'Signature';
         const fieldName = `sig_${baseName}_${Math.round(left)}_${Math.round(top)}`;
         const placeholderText = `${label || 'Signature'}\n(Sign here)`;
+        // An incremental update keeps the document's own signature fields (and the signatures in them)
+        if (this._incremental && (pdfDoc.getForm().getFieldMaybe(fieldName) || pdfDoc.getForm().getFieldMaybe(label))) return;
+        const font = this.fieldFont(obj, placeholderText);
 
         try {
             const form = pdfDoc.getForm();
@@ -512,8 +1367,10 @@ export class PDFExporter {
                 borderWidth: 1.5,
                 backgroundColor: rgb(1, 1, 0.95),
                 borderColor: rgb(0.6, 0.6, 0.6),
-                textColor: rgb(0.4, 0.4, 0.4)
+                textColor: rgb(0.4, 0.4, 0.4),
+                font
             });
+            if (font) textField.updateAppearances(font);
         } catch (e) {
             console.warn('Could not create signature form field:', e);
             // Fallback: draw graphics only (no form field)
@@ -523,10 +1380,10 @@ export class PDFExporter {
                 color: rgb(1, 1, 0.9), opacity: 0.3
             });
             const fontSize = Math.min(12, height / 4);
-            const font = this.fonts.helvetica;
+            const labelFont = font || this.fonts.helvetica;
             let y = top + height / 2 - fontSize;
-            page.drawText(placeholderText.replace('\n', ' - '), {
-                x: left + 4, y, size: fontSize, font, color: rgb(0.4, 0.4, 0.4)
+            page.drawText(this.encodableText(labelFont, placeholderText.replace('\n', ' - ')), {
+                x: left + 4, y, size: fontSize, font: labelFont, color: rgb(0.4, 0.4, 0.4)
             });
         }
     }
@@ -541,6 +1398,7 @@ export class PDFExporter {
         const height = bounds.height * scaleFactor;
         const top = pageHeight - bounds.top * scaleFactor - height;
         const fieldName = obj._fieldName || '';
+        const font = this.fieldFont(obj, fieldType === 'dropdown' ? obj._selectedOption || '' : obj._fieldValue || '');
 
         // Only create form field if it has a name
         if (!fieldName) {
@@ -548,10 +1406,11 @@ export class PDFExporter {
             this.drawFormField(page, obj, scaleFactor, pageHeight, fieldType);
             return;
         }
+        if (this._incremental && this.updateExistingField(pdfDoc, obj, fieldName, fieldType)) return;
 
         try {
             if (fieldType === 'text') {
-                const textField = pdfDoc.form.createTextField(fieldName);
+                const textField = pdfDoc.getForm().createTextField(fieldName);
                 textField.addToPage(page, {
                     x: left,
                     y: top,
@@ -559,14 +1418,16 @@ export class PDFExporter {
                     height: height,
                     borderColor: rgb(0.15, 0.39, 0.92),
                     borderWidth: 1,
-                    backgroundColor: rgb(1, 1, 1)
+                    backgroundColor: rgb(1, 1, 1),
+                    font
                 });
                 // Set value if present
                 if (obj._fieldValue) {
                     textField.setText(obj._fieldValue);
                 }
+                if (font) textField.updateAppearances(font);
             } else if (fieldType === 'checkbox') {
-                const checkbox = pdfDoc.form.createCheckBox(fieldName);
+                const checkbox = pdfDoc.getForm().createCheckBox(fieldName);
                 checkbox.addToPage(page, {
                     x: left,
                     y: top,
@@ -583,7 +1444,7 @@ export class PDFExporter {
                 const cache = (this._formFieldCache ||= { dropdown: new Map(), radio: new Map() });
                 let dd = cache.dropdown.get(fieldName);
                 if (!dd) {
-                    dd = pdfDoc.form.createDropdown(fieldName);
+                    dd = pdfDoc.getForm().createDropdown(fieldName);
                     const opts = (obj._options || []).map((s) => String(s));
                     if (opts.length) dd.addOptions(opts);
                     cache.dropdown.set(fieldName, dd);
@@ -595,7 +1456,8 @@ export class PDFExporter {
                     height: height,
                     borderColor: rgb(0.15, 0.39, 0.92),
                     borderWidth: 1,
-                    backgroundColor: rgb(1, 1, 1)
+                    backgroundColor: rgb(1, 1, 1),
+                    font
                 });
                 if (obj._selectedOption) {
                     try {
@@ -604,11 +1466,12 @@ export class PDFExporter {
                         // ignore invalid option
                     }
                 }
+                if (font) dd.updateAppearances(font);
             } else if (fieldType === 'radio') {
                 const cache = (this._formFieldCache ||= { dropdown: new Map(), radio: new Map() });
                 let rg = cache.radio.get(fieldName);
                 if (!rg) {
-                    rg = pdfDoc.form.createRadioGroup(fieldName);
+                    rg = pdfDoc.getForm().createRadioGroup(fieldName);
                     cache.radio.set(fieldName, rg);
                 }
                 const value = String(obj._radioValue || `${fieldName}_${Math.round(left)}_${Math.round(top)}`);
@@ -636,6 +1499,40 @@ export class PDFExporter {
         }
     }
 
+    /**
+     * In an incremental update, fill in a field the document already has instead of adding a second
+     * one with the same name. Values that did not change are left alone, so the field is not rewritten.
+     * @returns {boolean} false if the document has no field with that name
+     */
+    updateExistingField(pdfDoc, obj, fieldName, fieldType) {
+        const { PDFTextField, PDFCheckBox, PDFDropdown, PDFRadioGroup } = PDFLib;
+        const field = pdfDoc.getForm().getFieldMaybe(fieldName);
+        if (!field) return false;
+        try {
+            if (fieldType === 'text' && field instanceof PDFTextField) {
+                const text = obj._fieldValue || '';
+                if ((field.getText() || '') !== text) field.setText(text);
+            } else if (fieldType === 'checkbox' && field instanceof PDFCheckBox) {
+                if (field.isChecked() !== !!obj._checked) {
+                    if (obj._checked) field.check();
+                    else field.uncheck();
+                }
+            } else if (fieldType === 'dropdown' && field instanceof PDFDropdown) {
+                const selected = obj._selectedOption ? String(obj._selectedOption) : '';
+                if ((field.getSelected()[0] || '') !== selected) {
+                    if (selected) field.select(selected);
+                    else field.clear();
+                }
+            } else if (fieldType === 'radio' && field instanceof PDFRadioGroup) {
+                const value = obj._radioValue ? String(obj._radioValue) : '';
+                if (obj._checked && value && field.getSelected() !== value) field.select(value);
+            }
+        } catch (e) {
+            console.warn('Could not update form field', fieldName, e);
+        }
+        return true;
+    }
+
     /**
      * Draw form field visual representation
      */
@@ -0,0 +1,383 @@
+/**
+ * Field detection - Finds where a flat PDF (one without form fields) expects input: blank lines
+ * after labels, empty boxes, checkbox squares and "Signature:" / "Date:" labels with room after
+ * them. Lines and boxes are found in the rendered page, labels in its text (including OCR text).
+ */
+
+/** Analysis resolution in pixels per point */
+const SCALE = 2;
+/** Pixels darker than this (0-255) count as ink; light form shading does not */
+const INK_LEVEL = 200;
+
+const SIGNATURE_LABEL = /\b(signature|signed|sign here|signer|firma|unterschrift)\b/i;
+const DATE_LABEL = /\b(date|dated|dob|d\.o\.b|fecha|datum)\b/i;
+/** Label keywords that ask for a value even without a line or box after them */
+const INPUT_LABEL = /\b(signature|signed|sign here|date|dated|initials)\b/i;
+
+/**
+ * @typedef {Object} FieldProposal
+ * @property {'textfield'|'date'|'checkbox'|'signature-field'} type
+ * @property {string} label - Text next to the field ('' when none was found)
+ * @property {'line'|'box'|'checkbox'|'label'} source - What the field was found from
+ * @property {{ x: number; y: number; w: number; h: number }} box - As fractions of the unrotated page
+ */
+
+/** Ink of a rendered page, with a summed-area table for counting ink in rectangles */
+class InkMap {
+    constructor(imageData) {
+        const { data, width, height } = imageData;
+        this.width = width;
+        this.height = height;
+        this.ink = new Uint8Array(width * height);
+        this.sums = new Uint32Array((width + 1) * (height + 1));
+        for (let y = 0; y < height; y++) {
+            let row = 0;
+            for (let x = 0; x < width; x++) {
+                const i = y * width + x;
+                const p = i * 4;
+                const level = (data[p] * 299 + data[p + 1] * 587 + data[p + 2] * 114) / 1000;
+                const ink = data[p + 3] > 127 && level < INK_LEVEL ? 1 : 0;
+                this.ink[i] = ink;
+                row += ink;
+                this.sums[(y + 1) * (width + 1) + x + 1] = this.sums[y * (width + 1) + x + 1] + row;
+            }
+        }
+    }
+
+    /** Ink pixels in [x0, x1) x [y0, y1), clamped to the page */
+    count(x0, y0, x1, y1) {
+        const w = this.width + 1;
+        x0 = Math.max(0, Math.min(this.width, Math.round(x0)));
+        x1 = Math.max(x0, Math.min(this.width, Math.round(x1)));
+        y0 = Math.max(0, Math.min(this.height, Math.round(y0)));
+        y1 = Math.max(y0, Math.min(this.height, Math.round(y1)));
+        return this.sums[y1 * w + x1] - this.sums[y0 * w + x1] - this.sums[y1 * w + x0] + this.sums[y0 * w + x0];
+    }
+
+    /** Share of ink in a rectangle (1 for an empty rectangle, so it never passes as blank) */
+    ratio(x0, y0, x1, y1) {
+        const area = Math.max(0, Math.round(x1) - Math.round(x0)) * Math.max(0, Math.round(y1) - Math.round(y0));
+        return area > 0 ? this.count(x0, y0, x1, y1) / area : 1;
+    }
+}
+
+/**
+ * White areas fully enclosed by ink and bounded by straight ink edges on all four sides: the
+ * insides of boxes, table cells and checkbox squares
+ * @param {InkMap} map
+ */
+function enclosedAreas(map, minSize, maxWidth, maxHeight) {
+    const { width, height, ink } = map;
+    const seen = new Uint8Array(width * height);
+    const stack = new Int32Array(width * height);
+    const areas = [];
+    for (let start = 0; start < ink.length; start++) {
+        if (ink[start] || seen[start]) continue;
+        let top = 0;
+        stack[top++] = start;
+        seen[start] = 1;
+        let x0 = width;
+        let y0 = height;
+        let x1 = 0;
+        let y1 = 0;
+        let open = false;
+        while (top > 0) {
+            const i = stack[--top];
+            const x = i % width;
+            const y = (i - x) / width;
+            if (x < x0) x0 = x;
+            if (x > x1) x1 = x;
+            if (y < y0) y0 = y;
+            if (y > y1) y1 = y;
+            if (x === 0 || y === 0 || x === width - 1 || y === height - 1) {
+                open = true;
+                continue;
+            }
+            if (!ink[i - 1] && !seen[i - 1]) {
+                seen[i - 1] = 1;
+                stack[top++] = i - 1;
+            }
+            if (!ink[i + 1] && !seen[i + 1]) {
+                seen[i + 1] = 1;
+                stack[top++] = i + 1;
+            }
+            if (!ink[i - width] && !seen[i - width]) {
+                seen[i - width] = 1;
+                stack[top++] = i - width;
+            }
+            if (!ink[i + width] && !seen[i + width]) {
+                seen[i + width] = 1;
+                stack[top++] = i + width;
+            }
+        }
+        const area = { x0, y0, x1: x1 + 1, y1: y1 + 1 };
+        const w = area.x1 - area.x0;
+        const h = area.y1 - area.y0;
+        if (open || w < minSize || h < minSize || w > maxWidth || h > maxHeight) continue;
+        const edge = (ex0, ey0, ex1, ey1) => map.ratio(ex0, ey0, ex1, ey1) >= 0.9;
+        if (edge(area.x0, area.y0 - 1, area.x1, area.y0) && edge(area.x0, area.y1, area.x1, area.y1 + 1)
+            && edge(area.x0 - 1, area.y0, area.x0, area.y1) && edge(area.x1, area.y0, area.x1 + 1, area.y1)) {
+            areas.push(area);
+        }
+    }
+    return areas;
+}
+
+/**
+ * Thin horizontal ink rules at least minLength long
+ * @param {InkMap} map
+ */
+function horizontalRules(map, minLength, maxThickness) {
+    const { width, height, ink } = map;
+    const rules = [];
+    let open = [];
+    for (let y = 0; y < height; y++) {
+        const next = [];
+        let x = 0;
+        while (x < width) {
+            if (!ink[y * width + x]) {
+                x++;
+                continue;
+            }
+            const start = x;
+            while (x < width && ink[y * width + x]) x++;
+            if (x - start < minLength) continue;
+            // Rows of one rule (antialiased or thicker than a pixel) overlap almost entirely
+            const rule = open.find((r) => Math.min(r.x1, x) - Math.max(r.x0, start) >= 0.8 * Math.max(r.x1 - r.x0, x - start));
+            if (rule) {
+                rule.x0 = Math.min(rule.x0, start);
+                rule.x1 = Math.max(rule.x1, x);
+                rule.y1 = y + 1;
+                next.push(rule);
+            } else {
+                const created = { x0: start, x1: x, y0: y, y1: y + 1 };
+                rules.push(created);
+                next.push(created);
+            }
+        }
+        open = next;
+    }
+    return rules.filter((r) => r.y1 - r.y0 <= maxThickness);
+}
+
+/**
+ * Label candidates in points: the page's text split at underscores, dot leaders and wide gaps,
+ * then joined into phrases along each line
+ * @param {import('./text-search.js').TextSearch} textSearch
+ */
+async function readLabels(textSearch, docId, pageNum) {
+    const pageText = await textSearch.getPageText(docId, pageNum);
+    const pieces = [];
+    for (const run of pageText.runs) {
+        const [a, b, c] = run.transform;
+        if (run.end === run.start || a <= 0 || Math.abs(b) > 1e-3 || Math.abs(c) > 1e-3) continue;
+        const text = pageText.text.slice(run.start, run.end);
+        const [rect] = textSearch.rectsForRange(pageText, run.start, run.end);
+        if (!rect) continue;
+        const x = rect.x * pageText.width;
+        const charWidth = (rect.w * pageText.width) / text.length;
+        const separator = /_{2,}|\.{3,}|…+|\s{2,}|\t/g;
+        let from = 0;
+        for (const m of [...text.matchAll(separator), { index: text.length, 0: '' }]) {
+            const part = text.slice(from, m.index);
+            const lead = part.length - part.trimStart().length;
+            const trimmed = part.trim();
+            if (/[\p{L}\p{N}]/u.test(trimmed)) {
+                pieces.push({
+                    text: trimmed,
+                    x0: x + (from + lead) * charWidth,
+                    x1: x + (from + lead + trimmed.length) * charWidth,
+                    y0: rect.y * pageText.height,
+                    y1: (rect.y + rect.h) * pageText.height
+                });
+            }
+            from = m.index + m[0].length;
+        }
+    }
+
+    const labels = [];
+    for (const piece of pieces.sort((p, q) => p.x0 - q.x0)) {
+        const h = piece.y1 - piece.y0;
+        const line = labels.find((l) => {
+            const lh = l.y1 - l.y0;
+            const sameLine = Math.abs((l.y0 + l.y1) / 2 - (piece.y0 + piece.y1) / 2) < 0.3 * Math.max(h, lh);
+            const gap = piece.x0 - l.x1;
+            return sameLine && gap > -0.2 * h && gap < 0.6 * Math.max(h, lh);
+        });
+        if (line) {
+            line.text += piece.x0 - line.x1 > 0.1 * h ? ` ${piece.text}` : piece.text;
+            line.x1 = Math.max(line.x1, piece.x1);
+            line.y0 = Math.min(line.y0, piece.y0);
+            line.y1 = Math.max(line.y1, piece.y1);
+        } else {
+            labels.push({ ...piece });
+        }
+    }
+    return { labels, width: pageText.width, height: pageText.height };
+}
+
+function overlap(a0, a1, b0, b1) {
+    return Math.max(0, Math.min(a1, b1) - Math.max(a0, b0));
+}
+
+/**
+ * The label of a field at r (points), looking in the given directions in order.
+ * Text inside a box the field is not in belongs to that box, not to the field.
+ */
+function findLabel(labels, r, directions, boxes = []) {
+    const within = (l, b) => l.x0 >= b.x0 - 2 && l.x1 <= b.x1 + 2 && l.y0 >= b.y0 - 2 && l.y1 <= b.y1 + 2;
+    const outsideBoxes = boxes.filter((b) => !within(r, b));
+    const boxedElsewhere = (l) => outsideBoxes.some((b) => within(l, b));
+    const candidates = {
+        left: (l) => l.x1 <= r.x0 + 4 && r.x0 - l.x1 < 150 && overlap(l.y0, l.y1, r.y0, r.y1) >= 0.5 * (l.y1 - l.y0),
+        right: (l) => l.x0 >= r.x1 - 2 && l.x0 - r.x1 < 24 && overlap(l.y0, l.y1, r.y0 - 4, r.y1 + 4) >= 0.5 * (l.y1 - l.y0),
+        below: (l) => l.y0 >= r.y1 - 2 && l.y0 - r.y1 < 14 && overlap(l.x0, l.x1, r.x0, r.x1) >= 0.5 * (l.x1 - l.x0),
+        above: (l) => l.y1 <= r.y0 + 2 && r.y0 - l.y1 < 14 && overlap(l.x0, l.x1, r.x0, r.x1) > 0 && Math.abs(l.x0 - r.x0) < 40,
+        inside: (l) => within(l, r)
+    };
+    const distance = {
+        left: (l) => r.x0 - l.x1,
+        right: (l) => l.x0 - r.x1,
+        below: (l) => l.y0 - r.y1,
+        above: (l) => r.y0 - l.y1,
+        inside: (l) => l.y0 - r.y0 + (l.x0 - r.x0) / 1000
+    };
+    for (const direction of directions) {
+        const found = labels.filter((l) => candidates[direction](l) && (direction === 'inside' || !boxedElsewhere(l))).sort((a, b) => distance[direction](a) - distance[direction](b))[0];
+        if (found) return found;
+    }
+    return null;
+}
+
+/** Field type suggested by its label */
+function typeForLabel(text) {
+    if (SIGNATURE_LABEL.test(text)) return 'signature-field';
+    if (DATE_LABEL.test(text)) return 'date';
+    return 'textfield';
+}
+
+/**
+ * A field name derived from label text: lowercase words joined with underscores ("Full Name:" -> "full_name")
+ * @param {string} label
+ * @returns {string} '' when the label has no letters or digits
+ */
+export function fieldNameFromLabel(label) {
+    return String(label || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/\(.*?\)|\*/g, ' ')
+        .replace(/[^\p{L}\p{N}]+/gu, '_')
+        .replace(/^_+|_+$/g, '')
+        .slice(0, 40)
+        .replace(/_+$/, '');
+}
+
+/**
+ * Propose form fields for one page.
+ * @param {import('./pdf-handler.js').PDFHandler} pdfHandler
+ * @param {import('./text-search.js').TextSearch} textSearch
+ * @param {{ docId: string; sourcePageNum: number }} page
+ * @param {Array<{ x: number; y: number; w: number; h: number }>} [existing] - Fields already on the page, as fractions; proposals overlapping them are left out
+ * @returns {Promise<FieldProposal[]>} In reading order
+ */
+export async function detectFields(pdfHandler, textSearch, page, existing = []) {
+    const canvas = document.createElement('canvas');
+    let map;
+    try {
+        await pdfHandler.renderPage(page.docId, page.sourcePageNum, canvas, SCALE, 0);
+        map = new InkMap(canvas.getContext('2d', { willReadFrequently: true }).getImageData(0, 0, canvas.width, canvas.height));
+    } finally {
+        canvas.width = 0;
+        canvas.height = 0;
+    }
+    const { labels, width, height } = await readLabels(textSearch, page.docId, page.sourcePageNum);
+    const px = (points) => points * SCALE;
+    const toPoints = (r) => ({ x0: r.x0 / SCALE, y0: r.y0 / SCALE, x1: r.x1 / SCALE, y1: r.y1 / SCALE });
+
+    const found = [];
+    const taken = existing.map((b) => ({ x0: b.x * width, y0: b.y * height, x1: (b.x + b.w) * width, y1: (b.y + b.h) * height }));
+    const usedLabels = new Set();
+    const propose = (type, source, r, label) => {
+        const clash = taken.some((t) => {
+            const shared = overlap(t.x0, t.x1, r.x0, r.x1) * overlap(t.y0, t.y1, r.y0, r.y1);
+            return shared > 0.3 * Math.min((t.x1 - t.x0) * (t.y1 - t.y0), (r.x1 - r.x0) * (r.y1 - r.y0));
+        });
+        if (clash) return;
+        taken.push(r);
+        if (label) usedLabels.add(label);
+        found.push({
+            type,
+            source,
+            label: label ? label.text : '',
+            box: { x: r.x0 / width, y: r.y0 / height, w: (r.x1 - r.x0) / width, h: (r.y1 - r.y0) / height }
+        });
+    };
+
+    // Boxes and checkbox squares: enclosed white areas
+    const areas = enclosedAreas(map, px(6), px(width * 0.9), px(200)).map(toPoints);
+    const label = (r, directions) => findLabel(labels, r, directions, areas);
+    for (const r of areas) {
+        const w = r.x1 - r.x0;
+        const h = r.y1 - r.y0;
+        const inked = map.ratio(px(r.x0), px(r.y0), px(r.x1), px(r.y1)) > 0.01;
+        if (w <= 22 && h <= 22 && w / h > 0.75 && w / h < 1.33) {
+            if (!inked) propose('checkbox', 'checkbox', r, label(r, ['right', 'left']));
+            continue;
+        }
+        if (h < 10 || w < 30) continue;
+        if (!inked) {
+            const outside = label(r, ['left', 'above']);
+            propose(typeForLabel(outside?.text || ''), 'box', { x0: r.x0 + 1, y0: r.y0 + 1, x1: r.x1 - 1, y1: r.y1 - 1 }, outside);
+            continue;
+        }
+        // A box with its label inside ("Name:" before the blank, or a caption above it): the field takes
+        // the blank part; table cells that hold data have no such room
+        const caption = label(r, ['inside']);
+        if (!caption) continue;
+        const right = { x0: caption.x1 + 4, y0: r.y0 + 1, x1: r.x1 - 2, y1: r.y1 - 1 };
+        const below = { x0: r.x0 + 2, y0: caption.y1 + 1, x1: r.x1 - 2, y1: r.y1 - 2 };
+        const blank = (b) => map.ratio(px(b.x0), px(b.y0), px(b.x1), px(b.y1)) < 0.005;
+        if (caption.text.endsWith(':') && right.x1 - right.x0 >= 40 && blank(right)) propose(typeForLabel(caption.text), 'box', right, caption);
+        else if (below.y1 - below.y0 >= 10 && blank(below)) propose(typeForLabel(caption.text), 'box', below, caption);
+    }
+
+    // Blank lines: thin rules with room to write above them and a label next to them
+    for (const rule of horizontalRules(map, px(40), px(3))) {
+        if (rule.x1 - rule.x0 > px(width * 0.9)) continue;
+        // Box and table edges meet vertical strokes at their ends
+        const stroke = Math.max(2, rule.y1 - rule.y0);
+        const vertical = (x) => map.ratio(x, rule.y0 - px(6), x + stroke, rule.y0) > 0.8 || map.ratio(x, rule.y1, x + stroke, rule.y1 + px(6)) > 0.8;
+        if (vertical(rule.x0) || vertical(rule.x1 - stroke)) continue;
+        let free = 0;
+        while (free < px(36) && map.ratio(rule.x0, rule.y0 - 2 - free - 1, rule.x1, rule.y0 - 2 - free) < 0.01) free++;
+        if (free < px(8)) continue;
+        const r = toPoints(rule);
+        const band = { x0: r.x0, y0: r.y0 - 14, x1: r.x1, y1: r.y0 };
+        const lineLabel = label(band, ['left']) || label({ ...band, y1: r.y1 }, ['below']);
+        if (!lineLabel) continue;
+        const type = typeForLabel(lineLabel.text);
+        const fieldHeight = Math.min(free / SCALE - 1, type === 'signature-field' ? 30 : 18);
+        propose(type, 'line', { x0: r.x0, y0: r.y0 - 1 - fieldHeight, x1: r.x1, y1: r.y0 - 1 }, lineLabel);
+    }
+
+    // "Signature:", "Date:" and other "Label:" text with blank room after it on the same line
+    for (const text of labels) {
+        if (usedLabels.has(text) || !text.text.endsWith(':')) continue;
+        const needed = INPUT_LABEL.test(text.text) ? 60 : 100;
+        const y0 = text.y0 - 2;
+        const y1 = text.y1 + 2;
+        const x0 = text.x1 + 4;
+        let x1 = x0;
+        while (x1 < width - 18 && x1 - x0 < 200 && map.count(px(x1), px(y0), px(x1 + 1), px(y1)) === 0) x1++;
+        if (x1 - x0 < needed) continue;
+        const type = typeForLabel(text.text);
+        const fieldHeight = type === 'signature-field' ? Math.max(24, 2 * (text.y1 - text.y0)) : Math.max(14, y1 - y0);
+        const r = { x0, y0: y1 - fieldHeight, x1: x1 - 4, y1 };
+        // A tall signature field only reaches above the label where the page is blank
+        if (map.ratio(px(r.x0), px(r.y0), px(r.x1), px(r.y1)) > 0) r.y0 = y0;
+        propose(type, 'label', r, text);
+    }
+
+    return found.sort((a, b) => a.box.y - b.box.y || a.box.x - b.box.x);
+}
@@ -0,0 +1,207 @@
+/**
+ * Font Manager - User-uploaded TrueType/OpenType fonts for text, stamps and form fields.
+ * Fonts are kept in IndexedDB (too large for localStorage), registered with the browser so
+ * the canvas renders them, and embedded as subsets by the exporter.
+ */
+
+const DB_NAME = 'free-pdf-fonts';
+const STORE_NAME = 'fonts';
+const MAX_FONT_BYTES = 30 * 1024 * 1024;
+
+/** Families offered by default in the font pickers; uploaded fonts must not shadow them */
+export const BUILTIN_FONT_FAMILIES = ['Arial', 'Times New Roman', 'Courier New', 'Georgia', 'Verdana'];
+
+function openDb() {
+    return new Promise((resolve, reject) => {
+        const req = indexedDB.open(DB_NAME, 1);
+        req.onupgradeneeded = () => req.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+async function withStore(mode, fn) {
+    const db = await openDb();
+    try {
+        return await new Promise((resolve, reject) => {
+            const tx = db.transaction(STORE_NAME, mode);
+            const req = fn(tx.objectStore(STORE_NAME));
+            tx.oncomplete = () => resolve(req?.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    } finally {
+        db.close();
+    }
+}
+
+function fontId() {
+    return 'font-' + Math.random().toString(36).slice(2, 10);
+}
+
+export class FontManager {
+    constructor() {
+        this.fonts = new Map(); // family -> { id, family, fileName, bytes, face, parsed }
+        this._ready = null;
+        this._onChange = null;
+    }
+
+    /**
+     * Register callback to run when fonts are added or removed
+     * @param {() => void} callback
+     */
+    setOnChange(callback) {
+        this._onChange = typeof callback === 'function' ? callback : null;
+    }
+
+    /**
+     * Load saved fonts and register them with the browser (safe to call repeatedly)
+     * @returns {Promise<void>}
+     */
+    init() {
+        if (!this._ready) this._ready = this._loadSaved();
+        return this._ready;
+    }
+
+    async _loadSaved() {
+        let records = [];
+        try {
+            records = (await withStore('readonly', (store) => store.getAll())) || [];
+        } catch (e) {
+            console.warn('Could not open saved fonts:', e);
+            return;
+        }
+        records.sort((a, b) => (a.addedAt || 0) - (b.addedAt || 0));
+        for (const record of records) {
+            try {
+                await this._register(record);
+            } catch (e) {
+                console.warn('Could not load saved font', record.family, e);
+            }
+        }
+        if (records.length) this._onChange?.();
+    }
+
+    /**
+     * Uploaded fonts in the order they were added
+     * @returns {Array<{ id: string; family: string; fileName: string }>}
+     */
+    list() {
+        return [...this.fonts.values()].map(({ id, family, fileName }) => ({ id, family, fileName }));
+    }
+
+    /**
+     * @param {string} family
+     * @returns {boolean} whether the family is an uploaded font
+     */
+    has(family) {
+        return !!family && this.fonts.has(family);
+    }
+
+    /**
+     * Raw font file for embedding
+     * @param {string} family
+     * @returns {Uint8Array|null}
+     */
+    getBytes(family) {
+        const entry = this.fonts.get(family);
+        return entry ? new Uint8Array(entry.bytes) : null;
+    }
+
+    /**
+     * Whether a font has glyphs for every visible character of the text
+     * @param {string} family
+     * @param {string} text
+     */
+    covers(family, text) {
+        const parsed = this.fonts.get(family)?.parsed;
+        if (!parsed) return false;
+        for (const ch of String(text)) {
+            if (/\s/.test(ch)) continue;
+            if (!parsed.hasGlyphForCodePoint(ch.codePointAt(0))) return false;
+        }
+        return true;
+    }
+
+    /**
+     * First uploaded font that can draw the whole text (fallback for characters the standard PDF fonts lack)
+     * @param {string} text
+     * @returns {string|null} family
+     */
+    findFamilyFor(text) {
+        for (const family of this.fonts.keys()) {
+            if (this.covers(family, text)) return family;
+        }
+        return null;
+    }
+
+    /**
+     * Add a TTF/OTF file. Throws with a user-facing message if the file cannot be used.
+     * @param {File} file
+     * @returns {Promise<string>} The family name the font is available under
+     */
+    async addFont(file) {
+        await this.init();
+        if (file.size > MAX_FONT_BYTES) throw new Error('Font file is too large (30 MB max).');
+        const bytes = await file.arrayBuffer();
+        let parsed;
+        try {
+            parsed = fontkit.create(new Uint8Array(bytes));
+        } catch (e) {
+            throw new Error('Not a TrueType or OpenType font.');
+        }
+        if (!parsed || typeof parsed.hasGlyphForCodePoint !== 'function') {
+            throw new Error('Font collections (.ttc) are not supported; upload a single .ttf or .otf file.');
+        }
+
+        const record = {
+            id: fontId(),
+            family: this._uniqueFamily(parsed.fullName || parsed.familyName || file.name.replace(/\.[^.]+$/, '')),
+            fileName: file.name,
+            bytes,
+            addedAt: Date.now()
+        };
+        await this._register(record, parsed);
+        try {
+            await withStore('readwrite', (store) => store.put(record));
+        } catch (e) {
+            console.warn('Could not save font; it is available until the page is closed:', e);
+        }
+        this._onChange?.();
+        return record.family;
+    }
+
+    /**
+     * Remove an uploaded font
+     * @param {string} family
+     */
+    async removeFont(family) {
+        const entry = this.fonts.get(family);
+        if (!entry) return;
+        this.fonts.delete(family);
+        try {
+            document.fonts.delete(entry.face);
+        } catch (_) {}
+        try {
+            await withStore('readwrite', (store) => store.delete(entry.id));
+        } catch (e) {
+            console.warn('Could not delete saved font:', e);
+        }
+        this._onChange?.();
+    }
+
+    async _register(record, parsed = fontkit.create(new Uint8Array(record.bytes))) {
+        const face = new FontFace(record.family, record.bytes.slice(0));
+        await face.load();
+        document.fonts.add(face);
+        this.fonts.set(record.family, { ...record, face, parsed });
+    }
+
+    _uniqueFamily(name) {
+        const base = String(name).replace(/["',;]/g, '').trim() || 'Custom font';
+        const taken = (n) => this.fonts.has(n) || BUILTIN_FONT_FAMILIES.some((b) => b.toLowerCase() === n.toLowerCase());
+        let family = taken(base) ? `${base} (custom)` : base;
+        for (let i = 2; taken(family); i++) family = `${base} (custom ${i})`;
+        return family;
+    }
+}
@@ -0,0 +1,156 @@
+/**
+ * Headers and footers - Text at six positions (top and bottom; left, center and right) of the pages
+ * of an exported file, with tokens for page numbers, the date, the file name and Bates numbers.
+ * The exporter draws it as vector text; the canvas overlays preview it with the same layout.
+ */
+
+/** @typedef {'topLeft'|'topCenter'|'topRight'|'bottomLeft'|'bottomCenter'|'bottomRight'} HeaderFooterPosition */
+
+/**
+ * @typedef {Object} HeaderFooterSettings
+ * @property {Record<HeaderFooterPosition, string>} texts - Text of each position, with tokens (see resolveTokens)
+ * @property {string} fontFamily - A standard family (Arial, Times New Roman, ...) or an uploaded font
+ * @property {number} fontSize - In points
+ * @property {string} color - CSS hex color
+ * @property {{ top: number; bottom: number; left: number; right: number }} margins - Distance from the page edges, in points
+ * @property {string} pageRange - Pages to stamp, e.g. "1-3, 5" (empty for all)
+ * @property {'all'|'odd'|'even'} pageParity
+ * @property {{ prefix: string; start: number; digits: number }} bates - Bates numbers count the stamped pages from start, zero-padded to digits
+ */
+
+/** @type {HeaderFooterPosition[]} */
+export const HEADER_FOOTER_POSITIONS = ['topLeft', 'topCenter', 'topRight', 'bottomLeft', 'bottomCenter', 'bottomRight'];
+
+/** @type {HeaderFooterSettings} */
+export const DEFAULT_HEADER_FOOTER = {
+    texts: { topLeft: '', topCenter: '', topRight: '', bottomLeft: '', bottomCenter: '', bottomRight: '' },
+    fontFamily: 'Arial',
+    fontSize: 10,
+    color: '#000000',
+    margins: { top: 36, bottom: 36, left: 54, right: 54 },
+    pageRange: '',
+    pageParity: 'all',
+    bates: { prefix: '', start: 1, digits: 6 }
+};
+
+/** Share of the font size above the baseline, to keep header text inside the top margin */
+const ASCENT = 0.8;
+
+/**
+ * Page ranges such as "1-3, 5" as [start, end] pairs within 1..maxPage; invalid parts are skipped
+ * @param {string} input
+ * @param {number} maxPage
+ * @returns {Array<[number, number]>}
+ */
+export function parsePageRanges(input, maxPage) {
+    const out = [];
+    const parts = String(input || '')
+        .split(',')
+        .map((s) => s.trim())
+        .filter(Boolean);
+    for (const part of parts) {
+        const m = part.match(/^(\d+)(?:\s*-\s*(\d+))?$/);
+        if (!m) continue;
+        const a = parseInt(m[1], 10);
+        const b = m[2] ? parseInt(m[2], 10) : a;
+        const start = Math.max(1, Math.min(a, b));
+        const end = Math.min(maxPage, Math.max(a, b));
+        if (start <= end) out.push([start, end]);
+    }
+    return out;
+}
+
+/**
+ * Whether the settings put any text on the pages
+ * @param {HeaderFooterSettings|null} settings
+ */
+export function hasHeaderFooter(settings) {
+    return !!settings && HEADER_FOOTER_POSITIONS.some((position) => settings.texts?.[position]?.trim());
+}
+
+/**
+ * Bates number of a stamped page: prefix and the zero-padded count
+ * @param {HeaderFooterSettings['bates']} bates
+ * @param {number} index - 0 for the first stamped page
+ */
+export function formatBatesNumber(bates, index) {
+    return `${bates.prefix || ''}${String((bates.start || 0) + index).padStart(bates.digits || 0, '0')}`;
+}
+
+/**
+ * Replace the tokens {page}, {pages}, {date}, {filename} and {bates} (case-insensitive); others stay as typed
+ * @param {string} text
+ * @param {{ page: number; pages: number; date: string; fileName: string; bates: string }} values
+ */
+export function resolveTokens(text, values) {
+    const tokens = { page: values.page, pages: values.pages, date: values.date, filename: values.fileName, bates: values.bates };
+    return String(text).replace(/\{(\w+)\}/g, (match, name) => (name.toLowerCase() in tokens ? String(tokens[name.toLowerCase()]) : match));
+}
+
+/**
+ * A point of the page as it is shown (rotated clockwise) in the unrotated page; both measured from the top-left corner
+ * @param {{ x: number; y: number }} point
+ * @param {{ width: number; height: number }} page - Unrotated page size
+ * @param {number} rotation - 0, 90, 180 or 270
+ * @returns {{ x: number; y: number }}
+ */
+export function unrotatePoint({ x, y }, page, rotation) {
+    switch (((rotation % 360) + 360) % 360) {
+        case 90: return { x: y, y: page.height - x };
+        case 180: return { x: page.width - x, y: page.height - y };
+        case 270: return { x: page.width - y, y: x };
+        default: return { x, y };
+    }
+}
+
+/**
+ * Text of each position on every page of a file, in page order
+ * @param {HeaderFooterSettings} settings
+ * @param {{ pageCount: number; fileName?: string; date?: Date }} file
+ * @returns {Array<Array<{ position: HeaderFooterPosition; text: string }>|null>} null for pages that are left out
+ */
+export function headerFooterTexts(settings, { pageCount, fileName = '', date = new Date() }) {
+    const ranges = parsePageRanges(settings.pageRange, pageCount);
+    const inRange = (n) => !settings.pageRange?.trim() || ranges.some(([start, end]) => n >= start && n <= end);
+    const parity = (n) => settings.pageParity === 'odd' ? n % 2 === 1 : settings.pageParity === 'even' ? n % 2 === 0 : true;
+    const dateText = date.toLocaleDateString();
+    const out = [];
+    let stamped = 0;
+    for (let page = 1; page <= pageCount; page++) {
+        if (!inRange(page) || !parity(page)) {
+            out.push(null);
+            continue;
+        }
+        const values = { page, pages: pageCount, date: dateText, fileName, bates: formatBatesNumber(settings.bates, stamped++) };
+        out.push(HEADER_FOOTER_POSITIONS
+            .filter((position) => settings.texts[position]?.trim())
+            .map((position) => ({ position, text: resolveTokens(settings.texts[position].replace(/\s*\r?\n\s*/g, ' '), values) })));
+    }
+    return out;
+}
+
+/**
+ * Where the texts of a page are drawn, upright on the page as it is shown (rotated). Positions are
+ * the start of each text's baseline in the unrotated page, in points from its top-left corner.
+ * @param {Array<{ position: HeaderFooterPosition; text: string }>} texts
+ * @param {HeaderFooterSettings} settings
+ * @param {{ width: number; height: number }} page - Unrotated page (crop box) size, in points
+ * @param {number} rotation - Clockwise page rotation: 0, 90, 180 or 270
+ * @param {(text: string) => number} measure - Width of a text at the font size, in points
+ * @returns {Array<{ text: string; x: number; y: number; rotation: number }>}
+ */
+export function layoutHeaderFooter(texts, settings, page, rotation, measure) {
+    const r = ((rotation % 360) + 360) % 360;
+    const sideways = r === 90 || r === 270;
+    const width = sideways ? page.height : page.width;
+    const height = sideways ? page.width : page.height;
+    const { margins, fontSize } = settings;
+    return texts.map(({ position, text }) => {
+        const textWidth = measure(text);
+        const vx = position.endsWith('Left') ? margins.left
+            : position.endsWith('Right') ? width - margins.right - textWidth
+                : (width - textWidth) / 2;
+        const vy = position.startsWith('top') ? margins.top + fontSize * ASCENT : height - margins.bottom;
+        return { text, ...unrotatePoint({ x: vx, y: vy }, page, r), rotation: r };
+    });
+}
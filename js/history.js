@@ -0,0 +1,153 @@
+/**
+ * Document History - One undo/redo stack for the whole document
+ *
+ * Every user action (an annotation edit on any page, or a page operation such as
+ * reorder, rotate, delete or append) is pushed as a command:
+ *   { label, pageId?, undo(), redo(), discard?(applied) }
+ * undo/redo may return a promise; steps run one at a time in order.
+ * discard(applied) is called when a command leaves the history for good, so it can
+ * free resources it kept alive (e.g. the canvases of deleted pages). `applied` tells
+ * whether the command's effect is currently in the document.
+ */
+
+export class DocumentHistory {
+    /**
+     * @param {number} [limit] - Maximum number of undo steps kept
+     */
+    constructor(limit = 100) {
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+        this._group = null; // commands collected by group()
+        this._replaying = false;
+        this._pending = Promise.resolve();
+        this._onChange = null;
+    }
+
+    /**
+     * Register callback to run when the stacks change (e.g. to update toolbar buttons)
+     * @param {() => void} callback
+     */
+    setOnChange(callback) {
+        this._onChange = typeof callback === 'function' ? callback : null;
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Record an action that has just been applied.
+     * Changes made while an undo/redo step is replaying are not new actions and are ignored.
+     * @param {{ label: string; pageId?: string; undo: Function; redo: Function; discard?: Function }} command
+     */
+    push(command) {
+        if (this._replaying) return;
+        if (this._group) {
+            this._group.push(command);
+            return;
+        }
+        this.undoStack.push(command);
+        this.redoStack.forEach((c) => c.discard?.(false));
+        this.redoStack = [];
+        while (this.undoStack.length > this.limit) {
+            this.undoStack.shift().discard?.(true);
+        }
+        this._notify();
+    }
+
+    /**
+     * Run a synchronous function and record everything it pushes as a single step
+     * @template T
+     * @param {string} label
+     * @param {() => T} fn
+     * @returns {T}
+     */
+    group(label, fn) {
+        if (this._group) return fn();
+        const commands = [];
+        this._group = commands;
+        try {
+            return fn();
+        } finally {
+            this._group = null;
+            if (commands.length === 1) this.push(commands[0]);
+            else if (commands.length > 1) this.push(compound(label, commands));
+        }
+    }
+
+    /**
+     * Undo the most recent action
+     * @returns {Promise<object|null>} The command that was undone
+     */
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) return Promise.resolve(null);
+        this.redoStack.push(command);
+        this._notify();
+        return this._replay(() => command.undo()).then(() => command);
+    }
+
+    /**
+     * Redo the most recently undone action
+     * @returns {Promise<object|null>} The command that was redone
+     */
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return Promise.resolve(null);
+        this.undoStack.push(command);
+        this._notify();
+        return this._replay(() => command.redo()).then(() => command);
+    }
+
+    /**
+     * Forget all steps (e.g. when a new document is loaded)
+     */
+    clear() {
+        this.undoStack.forEach((c) => c.discard?.(true));
+        this.redoStack.forEach((c) => c.discard?.(false));
+        this.undoStack = [];
+        this.redoStack = [];
+        this._notify();
+    }
+
+    _replay(step) {
+        const run = this._pending.then(async () => {
+            this._replaying = true;
+            try {
+                await step();
+            } catch (e) {
+                console.warn('Undo/redo step failed:', e);
+            } finally {
+                this._replaying = false;
+            }
+            this._notify();
+        });
+        this._pending = run;
+        return run;
+    }
+
+    _notify() {
+        this._onChange?.();
+    }
+}
+
+function compound(label, commands) {
+    return {
+        label,
+        pageId: commands[commands.length - 1].pageId,
+        async undo() {
+            for (let i = commands.length - 1; i >= 0; i--) await commands[i].undo();
+        },
+        async redo() {
+            for (const c of commands) await c.redo();
+        },
+        discard(applied) {
+            commands.forEach((c) => c.discard?.(applied));
+        }
+    };
+}
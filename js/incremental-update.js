@@ -0,0 +1,143 @@
+/**
+ * Incremental update - Saves changes to an opened PDF by appending them to the original bytes
+ * (ISO 32000 7.5.6) instead of rewriting the file. Earlier revisions stay byte for byte as they
+ * were, so signatures over them stay valid and each save can be compared with the one before.
+ */
+
+const { PDFNumber, PDFRef, PDFCrossRefSection, PDFCrossRefStream, PDFTrailer, PDFTrailerDict } = PDFLib;
+import { reachableObjects } from './pdf-utils.js';
+
+/**
+ * @typedef {Object} Revision
+ * The opened file and its objects as loaded, for saveIncrementalUpdate
+ * @property {Uint8Array} bytes - The file as opened
+ * @property {Map<PDFLib.PDFRef, Uint8Array>} objects - Serialized objects as loaded
+ * @property {number} xrefOffset - Offset of the last cross-reference section
+ * @property {boolean} xrefStream - Whether that section is a cross-reference stream
+ * @property {number} size - Trailer /Size of the file
+ */
+
+/**
+ * Record a document as loaded so its changes can later be appended to the file.
+ * Call right after loading (with updateMetadata: false, or the new producer and dates count as
+ * unchanged) and before anything is added. Throws if the file has no usable cross-reference section.
+ * @param {PDFLib.PDFDocument} pdfDoc
+ * @param {ArrayBuffer|Uint8Array} fileBytes - The bytes pdfDoc was loaded from
+ * @returns {Revision}
+ */
+export function startIncrementalUpdate(pdfDoc, fileBytes) {
+    const bytes = new Uint8Array(fileBytes);
+    const tail = latin1(bytes.subarray(Math.max(0, bytes.length - 1024)));
+    const startxref = [...tail.matchAll(/startxref\s+(\d+)\s+%%EOF/g)].pop();
+    const xrefOffset = startxref ? Number(startxref[1]) : -1;
+    if (xrefOffset < 0 || xrefOffset >= bytes.length) {
+        throw new Error('The original file has no cross-reference table to append to.');
+    }
+    const section = latin1(bytes.subarray(xrefOffset));
+    const size = /\/Size\s+(\d+)/.exec(section);
+    if (!size) throw new Error('The original file has no cross-reference table to append to.');
+
+    const { context } = pdfDoc;
+    // New objects must not reuse numbers the file's cross-reference table already hands out
+    context.largestObjectNumber = Math.max(context.largestObjectNumber, Number(size[1]) - 1);
+    const objects = new Map();
+    for (const [ref, object] of context.enumerateIndirectObjects()) objects.set(ref, serialize(object));
+    return { bytes, objects, xrefOffset, xrefStream: !/^\s*xref/.test(section.slice(0, 32)), size: Number(size[1]) };
+}
+
+/**
+ * Append the objects that changed since startIncrementalUpdate to the original bytes, with a
+ * cross-reference section of the same kind as the file's last one pointing back to it.
+ * New objects nothing refers to (such as fonts that ended up unused) are left out.
+ * @param {PDFLib.PDFDocument} pdfDoc
+ * @param {Revision} revision
+ * @returns {Promise<Uint8Array>} The original bytes followed by the update
+ */
+export async function saveIncrementalUpdate(pdfDoc, revision) {
+    await pdfDoc.flush();
+    const { context } = pdfDoc;
+    const reachable = reachableObjects(context);
+    const changed = [];
+    for (const [ref, object] of context.enumerateIndirectObjects()) {
+        const before = revision.objects.get(ref);
+        if (!before && !reachable.has(ref)) continue;
+        const bytes = serialize(object);
+        if (!before || !equalBytes(before, bytes)) changed.push([ref, bytes]);
+    }
+    changed.sort(([a], [b]) => a.objectNumber - b.objectNumber);
+
+    const parts = [revision.bytes];
+    let offset = revision.bytes.length;
+    const write = (data) => {
+        const bytes = typeof data === 'string' ? encodeLatin1(data) : data;
+        parts.push(bytes);
+        offset += bytes.length;
+    };
+    const last = revision.bytes[revision.bytes.length - 1];
+    if (last !== 0x0a && last !== 0x0d) write('\n');
+
+    const offsets = [];
+    for (const [ref, bytes] of changed) {
+        offsets.push([ref, offset]);
+        write(`${ref.objectNumber} ${ref.generationNumber} obj\n`);
+        write(bytes);
+        write('\nendobj\n');
+    }
+
+    const { Root, Info, ID } = context.trailerInfo;
+    const trailer = { Size: Math.max(revision.size, context.largestObjectNumber + 1), Root, Info, ID, Prev: PDFNumber.of(revision.xrefOffset) };
+    const xrefOffset = offset;
+    if (revision.xrefStream) {
+        const ref = PDFRef.of(trailer.Size);
+        trailer.Size += 1;
+        const xref = PDFCrossRefStream.of(context.obj(trailer), [], true);
+        for (const [entryRef, entryOffset] of offsets) xref.addUncompressedEntry(entryRef, entryOffset);
+        xref.addUncompressedEntry(ref, xrefOffset);
+        write(`${ref.objectNumber} 0 obj\n`);
+        write(serialize(xref));
+        write('\nendobj\n');
+    } else {
+        const xref = PDFCrossRefSection.createEmpty();
+        for (const [entryRef, entryOffset] of offsets) xref.addEntry(entryRef, entryOffset);
+        write(serialize(xref));
+        write(serialize(PDFTrailerDict.of(context.obj(trailer))));
+        write('\n');
+    }
+    write(serialize(PDFTrailer.forLastCrossRefSectionOffset(xrefOffset)));
+    write('\n');
+
+    const out = new Uint8Array(offset);
+    let at = 0;
+    for (const part of parts) {
+        out.set(part, at);
+        at += part.length;
+    }
+    return out;
+}
+
+/** Bytes pdf-lib writes for an object (or cross-reference section, trailer) */
+function serialize(object) {
+    const bytes = new Uint8Array(object.sizeInBytes());
+    object.copyBytesInto(bytes, 0);
+    return bytes;
+}
+
+function equalBytes(a, b) {
+    if (a.length !== b.length) return false;
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] !== b[i]) return false;
+    }
+    return true;
+}
+
+function latin1(bytes) {
+    let s = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) s += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    return s;
+}
+
+function encodeLatin1(text) {
+    const bytes = new Uint8Array(text.length);
+    for (let i = 0; i < text.length; i++) bytes[i] = text.charCodeAt(i) & 0xff;
+    return bytes;
+}
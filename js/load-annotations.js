@@ -0,0 +1,278 @@
+/**
+ * Load markup annotations (highlights, ink, notes, shapes, arrows, free text) from a PDF using pdf-lib.
+ * Returns descriptors for recreating them as editable canvas objects when opening a PDF.
+ * The originals are then hidden from PDF.js rendering and dropped from the page on export,
+ * so each annotation exists only once.
+ */
+
+const { PDFDocument, PDFName, PDFArray, PDFDict, PDFNumber, PDFString, PDFHexString, PDFRef } = PDFLib;
+
+const FLAG_HIDDEN = 2;
+const FLAG_NO_VIEW = 32;
+const ARROW_ENDINGS = new Set(['OpenArrow', 'ClosedArrow']);
+
+/**
+ * Id PDF.js uses for an annotation (its object reference, e.g. "12R")
+ * @param {PDFLib.PDFRef} ref
+ * @returns {string}
+ */
+export function annotationId(ref) {
+    return ref.generationNumber === 0 ? `${ref.objectNumber}R` : `${ref.objectNumber}R${ref.generationNumber}`;
+}
+
+/**
+ * Extract supported markup annotations from PDF bytes.
+ * Geometry is in PDF points with a top-left origin at the crop box corner (the canvas layout).
+ * Annotations that would lose information as canvas objects (comments on markup, reply threads,
+ * callouts, hidden annotations) are left alone and keep rendering natively.
+ * @param {ArrayBuffer} pdfBytes
+ * @returns {Promise<Array<{ id: string; type: string; pageIndex: number; color: string|null; opacity: number; [key: string]: any }>>}
+ */
+export async function loadAnnotationsFromPdf(pdfBytes) {
+    const results = [];
+    try {
+        const pdfDoc = await PDFDocument.load(pdfBytes);
+        const pages = pdfDoc.getPages();
+
+        // Annotations that other annotations reply to (/IRT) are part of a comment thread
+        const repliedTo = new Set();
+        pages.forEach((page) => {
+            forEachAnnot(page, (dict) => {
+                const irt = dict.get(PDFName.of('IRT'));
+                if (irt instanceof PDFRef) repliedTo.add(annotationId(irt));
+            });
+        });
+
+        pages.forEach((page, pageIndex) => {
+            const crop = page.getCropBox();
+            const toTop = (x, y) => ({ x: x - crop.x, y: crop.y + crop.height - y });
+            forEachAnnot(page, (dict, ref) => {
+                if (!ref || repliedTo.has(annotationId(ref))) return;
+                if (dict.has(PDFName.of('IRT'))) return;
+                const flags = numberOf(dict.get(PDFName.of('F')), 0);
+                if (flags & (FLAG_HIDDEN | FLAG_NO_VIEW)) return;
+                try {
+                    const descriptor = describe(dict, toTop);
+                    if (descriptor) results.push({ id: annotationId(ref), pageIndex, ...descriptor });
+                } catch (e) {
+                    console.warn('Could not read PDF annotation', annotationId(ref), e);
+                }
+            });
+        });
+    } catch (e) {
+        console.warn('Could not load annotations from PDF:', e);
+    }
+    return results;
+}
+
+/**
+ * Remove annotations (and their popups) from every page of a pdf-lib document
+ * @param {PDFLib.PDFDocument} pdfDoc
+ * @param {Set<string>} ids - Ids from annotationId()
+ */
+export function removeAnnotations(pdfDoc, ids) {
+    if (!ids || ids.size === 0) return;
+    for (const page of pdfDoc.getPages()) {
+        const annots = page.node.lookup(PDFName.of('Annots'));
+        if (!(annots instanceof PDFArray)) continue;
+        for (let i = annots.size() - 1; i >= 0; i--) {
+            const ref = annots.get(i);
+            const dict = annots.lookup(i);
+            const parent = dict instanceof PDFDict ? dict.get(PDFName.of('Parent')) : null;
+            const isPopupOfRemoved = parent instanceof PDFRef && ids.has(annotationId(parent))
+                && dict.lookup(PDFName.of('Subtype')) === PDFName.of('Popup');
+            if ((ref instanceof PDFRef && ids.has(annotationId(ref))) || isPopupOfRemoved) {
+                annots.remove(i);
+            }
+        }
+    }
+}
+
+function forEachAnnot(page, fn) {
+    const annots = page.node.lookup(PDFName.of('Annots'));
+    if (!(annots instanceof PDFArray)) return;
+    for (let i = 0; i < annots.size(); i++) {
+        const dict = annots.lookup(i);
+        if (!(dict instanceof PDFDict)) continue;
+        const ref = annots.get(i);
+        fn(dict, ref instanceof PDFRef ? ref : null);
+    }
+}
+
+function describe(dict, toTop) {
+    const subtype = dict.lookup(PDFName.of('Subtype'));
+    const name = subtype instanceof PDFName ? subtype.decodeText() : '';
+    const rect = rectOf(dict, toTop);
+    if (!rect) return null;
+    const base = {
+        color: colorOf(dict.lookup(PDFName.of('C'))),
+        opacity: Math.max(0, Math.min(1, numberOf(dict.lookup(PDFName.of('CA')), 1)))
+    };
+    const comment = textOf(dict.lookup(PDFName.of('Contents')));
+
+    switch (name) {
+        case 'Highlight':
+        case 'Underline':
+        case 'StrikeOut': {
+            if (comment.trim()) return null;
+            const rects = quadRects(dict, toTop);
+            const type = name === 'Highlight' ? 'highlight' : name === 'Underline' ? 'underline' : 'strike';
+            return { type, ...base, rects: rects.length ? rects : [rect] };
+        }
+        case 'Ink': {
+            if (comment.trim()) return null;
+            const inkList = dict.lookup(PDFName.of('InkList'));
+            if (!(inkList instanceof PDFArray)) return null;
+            const paths = [];
+            for (let i = 0; i < inkList.size(); i++) {
+                const nums = numbersOf(inkList.lookup(i));
+                const points = [];
+                for (let j = 0; j + 1 < nums.length; j += 2) points.push(toTop(nums[j], nums[j + 1]));
+                if (points.length) paths.push(points);
+            }
+            if (!paths.length) return null;
+            return { type: 'draw', ...base, strokeWidth: borderOf(dict).width, paths };
+        }
+        case 'Square':
+        case 'Circle': {
+            if (comment.trim()) return null;
+            const border = borderOf(dict);
+            // /RD insets the drawn shape from the annotation rectangle (left, top, right, bottom)
+            const rd = numbersOf(dict.lookup(PDFName.of('RD')));
+            const [l, t, r, b] = rd.length >= 4 ? rd : [0, 0, 0, 0];
+            return {
+                type: name === 'Square' ? 'rect' : 'ellipse',
+                ...base,
+                fill: colorOf(dict.lookup(PDFName.of('IC'))),
+                strokeWidth: border.width,
+                dash: border.dash,
+                rect: {
+                    left: rect.left + l,
+                    top: rect.top + t,
+                    width: Math.max(0, rect.width - l - r),
+                    height: Math.max(0, rect.height - t - b)
+                }
+            };
+        }
+        case 'Line': {
+            if (comment.trim()) return null;
+            const l = numbersOf(dict.lookup(PDFName.of('L')));
+            if (l.length < 4) return null;
+            const endings = dict.lookup(PDFName.of('LE'));
+            const ending = (i) => {
+                const e = endings instanceof PDFArray ? endings.lookup(i) : null;
+                return e instanceof PDFName ? e.decodeText() : 'None';
+            };
+            let from = toTop(l[0], l[1]);
+            let to = toTop(l[2], l[3]);
+            // Only single-headed arrows have a matching canvas object; other lines stay native
+            const start = ARROW_ENDINGS.has(ending(0));
+            const end = ARROW_ENDINGS.has(ending(1));
+            if (start === end) return null;
+            if (start) [from, to] = [to, from];
+            return { type: 'arrow', ...base, strokeWidth: borderOf(dict).width, from, to };
+        }
+        case 'Text':
+            return { type: 'note', ...base, rect, text: comment };
+        case 'FreeText': {
+            const intent = dict.lookup(PDFName.of('IT'));
+            if (intent instanceof PDFName && intent.decodeText() === 'FreeTextCallout') return null;
+            if (!comment.trim()) return null;
+            const da = parseDefaultAppearance(textOf(dict.lookup(PDFName.of('DA'))));
+            const inset = borderOf(dict, 0).width + 1;
+            return {
+                type: 'text',
+                ...base,
+                color: da.color,
+                rect: { left: rect.left + inset, top: rect.top + inset, width: Math.max(0, rect.width - 2 * inset), height: rect.height },
+                text: comment.replace(/\r\n?/g, '\n'),
+                fontSize: da.fontSize,
+                fontFamily: da.fontFamily,
+                textAlign: ['left', 'center', 'right'][numberOf(dict.lookup(PDFName.of('Q')), 0)] || 'left'
+            };
+        }
+        default:
+            return null;
+    }
+}
+
+function rectOf(dict, toTop) {
+    const r = numbersOf(dict.lookup(PDFName.of('Rect')));
+    if (r.length < 4) return null;
+    const a = toTop(Math.min(r[0], r[2]), Math.max(r[1], r[3]));
+    return { left: a.x, top: a.y, width: Math.abs(r[2] - r[0]), height: Math.abs(r[3] - r[1]) };
+}
+
+function quadRects(dict, toTop) {
+    const q = numbersOf(dict.lookup(PDFName.of('QuadPoints')));
+    const rects = [];
+    for (let i = 0; i + 7 < q.length; i += 8) {
+        const pts = [0, 2, 4, 6].map((k) => toTop(q[i + k], q[i + k + 1]));
+        const xs = pts.map((p) => p.x);
+        const ys = pts.map((p) => p.y);
+        const left = Math.min(...xs);
+        const top = Math.min(...ys);
+        rects.push({ left, top, width: Math.max(...xs) - left, height: Math.max(...ys) - top });
+    }
+    return rects;
+}
+
+function borderOf(dict, defaultWidth = 1) {
+    const bs = dict.lookup(PDFName.of('BS'));
+    if (bs instanceof PDFDict) {
+        const style = bs.lookup(PDFName.of('S'));
+        const dash = numbersOf(bs.lookup(PDFName.of('D'))).filter((n) => n > 0);
+        return {
+            width: numberOf(bs.lookup(PDFName.of('W')), defaultWidth),
+            dash: style === PDFName.of('D') ? (dash.length ? dash : [3]) : null
+        };
+    }
+    const border = numbersOf(dict.lookup(PDFName.of('Border')));
+    return { width: border.length >= 3 ? border[2] : defaultWidth, dash: null };
+}
+
+function parseDefaultAppearance(da) {
+    const font = da.match(/\/([^\s/]+)\s+([\d.]+)\s+Tf/);
+    const rgb = da.match(/([\d.]+)\s+([\d.]+)\s+([\d.]+)\s+rg/);
+    const gray = da.match(/([\d.]+)\s+g(\s|$)/);
+    const fontName = font ? font[1].toLowerCase() : '';
+    let fontFamily = 'Arial';
+    if (fontName.includes('tiro') || fontName.includes('times')) fontFamily = 'Times New Roman';
+    else if (fontName.includes('cour')) fontFamily = 'Courier New';
+    let color = '#000000';
+    if (rgb) color = toHex([rgb[1], rgb[2], rgb[3]].map(Number));
+    else if (gray) color = toHex([Number(gray[1])]);
+    const size = font ? parseFloat(font[2]) : 0;
+    return { fontSize: size > 0 ? size : 12, fontFamily, color };
+}
+
+function colorOf(arr) {
+    const nums = numbersOf(arr);
+    return nums.length ? toHex(nums) : null;
+}
+
+function toHex(c) {
+    let rgb;
+    if (c.length === 1) rgb = [c[0], c[0], c[0]];
+    else if (c.length === 4) rgb = [(1 - c[0]) * (1 - c[3]), (1 - c[1]) * (1 - c[3]), (1 - c[2]) * (1 - c[3])];
+    else rgb = c.slice(0, 3);
+    return '#' + rgb.map((v) => Math.round(Math.max(0, Math.min(1, v)) * 255).toString(16).padStart(2, '0')).join('');
+}
+
+function numberOf(obj, fallback) {
+    return obj instanceof PDFNumber ? obj.asNumber() : fallback;
+}
+
+function numbersOf(arr) {
+    if (!(arr instanceof PDFArray)) return [];
+    const out = [];
+    for (let i = 0; i < arr.size(); i++) {
+        const n = arr.lookup(i);
+        if (n instanceof PDFNumber) out.push(n.asNumber());
+    }
+    return out;
+}
+
+function textOf(obj) {
+    return obj instanceof PDFString || obj instanceof PDFHexString ? obj.decodeText() : '';
+}
@@ -0,0 +1,538 @@
+/**
+ * Native Annotations - Writes Fabric objects as editable PDF annotation dictionaries
+ * (Highlight, Underline, StrikeOut, Ink, Square, Circle, Line, Text, Stamp, FreeText)
+ * instead of drawing them into the page content.
+ *
+ * Every annotation gets an /AP /N appearance stream whose BBox equals its Rect, so the
+ * stream is drawn in default user space and looks the same as on the canvas.
+ */
+
+const { PDFName, PDFString, PDFHexString } = PDFLib;
+
+/** Annotation types this module can write; anything else is flattened by the exporter */
+export const NATIVE_ANNOTATION_TYPES = new Set([
+    'highlight', 'underline', 'strike', 'path', 'draw', 'rect', 'ellipse', 'arrow', 'note', 'stamp', 'text', 'i-text', 'textbox'
+]);
+
+/** Stamp texts that have a standard /Name in the PDF spec */
+const STANDARD_STAMP_NAMES = {
+    APPROVED: 'Approved',
+    EXPERIMENTAL: 'Experimental',
+    'NOT APPROVED': 'NotApproved',
+    'AS IS': 'AsIs',
+    EXPIRED: 'Expired',
+    'NOT FOR PUBLIC RELEASE': 'NotForPublicRelease',
+    CONFIDENTIAL: 'Confidential',
+    FINAL: 'Final',
+    SOLD: 'Sold',
+    DEPARTMENTAL: 'Departmental',
+    'FOR COMMENT': 'ForComment',
+    'TOP SECRET': 'TopSecret',
+    DRAFT: 'Draft',
+    'FOR PUBLIC RELEASE': 'ForPublicRelease'
+};
+
+const KAPPA = 0.5522847498;
+
+function fmt(n) {
+    const r = Math.round(n * 1000) / 1000;
+    return Object.is(r, -0) ? '0' : String(r);
+}
+
+function isPaint(color) {
+    return !!color && color !== 'transparent' && color !== 'none' && !/^rgba\([^)]*,\s*0(\.0+)?\s*\)$/.test(color);
+}
+
+/**
+ * Write one Fabric object as a native annotation on a pdf-lib page.
+ * @param {PDFLib.PDFDocument} pdfDoc
+ * @param {PDFLib.PDFPage} page
+ * @param {fabric.Object} obj
+ * @param {string} type - obj._annotationType || obj.type
+ * @param {{ scaleFactor: number; fonts: Record<string, PDFLib.PDFFont>; textFont: (obj: fabric.Object, text: string) => PDFLib.PDFFont; parseColor: (c: string) => {r: number; g: number; b: number} }} ctx
+ * @returns {Promise<boolean>} false if the object has to be flattened instead
+ */
+export async function addNativeAnnotation(pdfDoc, page, obj, type, ctx) {
+    if (!NATIVE_ANNOTATION_TYPES.has(type)) return false;
+    const writer = new AnnotationWriter(pdfDoc, page, ctx);
+    switch (type) {
+        case 'highlight': return writer.highlight(obj);
+        case 'underline':
+        case 'strike': return writer.textLine(obj, type);
+        case 'path':
+        case 'draw': return writer.ink(obj);
+        case 'rect': return writer.square(obj);
+        case 'ellipse': return writer.circle(obj);
+        case 'arrow': return writer.arrow(obj);
+        case 'note': return writer.note(obj);
+        case 'stamp': return writer.stamp(obj);
+        default: return writer.freeText(obj);
+    }
+}
+
+class AnnotationWriter {
+    constructor(pdfDoc, page, ctx) {
+        this.pdfDoc = pdfDoc;
+        this.context = pdfDoc.context;
+        this.page = page;
+        this.sf = ctx.scaleFactor;
+        this.fonts = ctx.fonts;
+        this.textFont = ctx.textFont;
+        this.parseColor = ctx.parseColor;
+        // The canvas shows the crop box unrotated, with its origin at the crop box top-left
+        this.crop = page.getCropBox();
+    }
+
+    /* ---------- geometry ---------- */
+
+    /** Canvas point -> default user space */
+    toPage(p) {
+        return { x: this.crop.x + p.x * this.sf, y: this.crop.y + this.crop.height - p.y * this.sf };
+    }
+
+    /** Point in an object's own (centered) space -> default user space */
+    objectPoint(obj, x, y) {
+        return this.toPage(fabric.util.transformPoint(new fabric.Point(x, y), obj.calcTransformMatrix()));
+    }
+
+    /** Corners of an object's box: top-left, top-right, bottom-right, bottom-left (as seen on the canvas) */
+    corners(obj) {
+        const w = obj.width / 2;
+        const h = obj.height / 2;
+        return [[-w, -h], [w, -h], [w, h], [-w, h]].map(([x, y]) => this.objectPoint(obj, x, y));
+    }
+
+    /** Stroke width in user space, following the object's (and its group's) scale */
+    strokeWidth(obj) {
+        if (!obj.stroke || !obj.strokeWidth) return 0;
+        if (obj.strokeUniform) return obj.strokeWidth * this.sf;
+        const m = obj.calcTransformMatrix();
+        return obj.strokeWidth * Math.sqrt(Math.abs(m[0] * m[3] - m[1] * m[2])) * this.sf;
+    }
+
+    rectAround(points, pad = 0) {
+        const xs = points.map((p) => p.x);
+        const ys = points.map((p) => p.y);
+        return [Math.min(...xs) - pad, Math.min(...ys) - pad, Math.max(...xs) + pad, Math.max(...ys) + pad];
+    }
+
+    /* ---------- PDF objects ---------- */
+
+    color(c) {
+        const { r, g, b } = this.parseColor(c || '#000000');
+        return [r, g, b];
+    }
+
+    colorOp(c, op) {
+        return `${this.color(c).map(fmt).join(' ')} ${op}`;
+    }
+
+    opacityOf(obj) {
+        return typeof obj.opacity === 'number' ? Math.max(0, Math.min(1, obj.opacity)) : 1;
+    }
+
+    /**
+     * Register an appearance stream drawn directly in user space
+     */
+    appearance(rect, content, resources = {}) {
+        const stream = this.context.flateStream(content, {
+            Type: 'XObject',
+            Subtype: 'Form',
+            BBox: rect,
+            Resources: resources
+        });
+        return this.context.register(stream);
+    }
+
+    /**
+     * ExtGState resources for a blend mode. Opacity is not repeated here: the annotation's
+     * /CA already applies to its whole appearance.
+     */
+    graphicsState(blendMode) {
+        return blendMode ? { ExtGState: { GS0: { Type: 'ExtGState', BM: blendMode } } } : null;
+    }
+
+    addAnnotation(subtype, rect, fields, appearance) {
+        const now = PDFString.fromDate(new Date());
+        const dict = this.context.obj({
+            Type: 'Annot',
+            Subtype: subtype,
+            Rect: rect,
+            F: 4, // Print
+            P: this.page.ref,
+            NM: PDFString.of(`pdfeditor-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`),
+            M: now,
+            CreationDate: now,
+            ...fields
+        });
+        if (appearance) dict.set(PDFName.of('AP'), this.context.obj({ N: appearance }));
+        const ref = this.context.register(dict);
+        this.page.node.addAnnot(ref);
+        return ref;
+    }
+
+    /**
+     * Wrap drawing operators in the graphics state (if any)
+     */
+    paint(ops, gsResources) {
+        return gsResources ? `q /GS0 gs\n${ops}\nQ` : ops;
+    }
+
+    polygonOps(points) {
+        return points.map((p, i) => `${fmt(p.x)} ${fmt(p.y)} ${i === 0 ? 'm' : 'l'}`).join('\n') + '\nh';
+    }
+
+    dashOp(obj) {
+        const dash = Array.isArray(obj.strokeDashArray) ? obj.strokeDashArray.filter((n) => n > 0) : [];
+        if (dash.length === 0) return { op: '', bs: { W: this.strokeWidth(obj), S: 'S' } };
+        const scale = obj.strokeUniform ? this.sf : this.strokeWidth(obj) / (obj.strokeWidth || 1);
+        const d = dash.map((n) => n * scale);
+        return { op: `[${d.map(fmt).join(' ')}] 0 d`, bs: { W: this.strokeWidth(obj), S: 'D', D: d } };
+    }
+
+    /* ---------- annotation types ---------- */
+
+    highlight(obj) {
+        const [tl, tr, br, bl] = this.corners(obj);
+        const rect = this.rectAround([tl, tr, br, bl]);
+        const opacity = this.opacityOf(obj);
+        const resources = this.graphicsState('Multiply');
+        const ap = this.appearance(rect, this.paint(`${this.colorOp(obj.fill, 'rg')}\n${this.polygonOps([tl, tr, br, bl])}\nf`, resources), resources);
+        this.addAnnotation('Highlight', rect, {
+            QuadPoints: [tl, tr, bl, br].flatMap((p) => [p.x, p.y]),
+            C: this.color(obj.fill),
+            CA: opacity
+        }, ap);
+        return true;
+    }
+
+    textLine(obj, kind) {
+        const pts = obj.calcLinePoints();
+        let p1 = this.objectPoint(obj, pts.x1, pts.y1);
+        let p2 = this.objectPoint(obj, pts.x2, pts.y2);
+        if (p2.x < p1.x) [p1, p2] = [p2, p1];
+        const len = Math.hypot(p2.x - p1.x, p2.y - p1.y);
+        if (len === 0) return true;
+        // Unit normal pointing "up" from the text baseline
+        const n = { x: -(p2.y - p1.y) / len, y: (p2.x - p1.x) / len };
+        const sw = Math.max(this.strokeWidth(obj), 0.5);
+        const height = Math.max(4 * sw, 10);
+        const [below, above] = kind === 'underline' ? [sw / 2, height] : [height / 2, height / 2];
+        const at = (p, d) => ({ x: p.x + n.x * d, y: p.y + n.y * d });
+        const tl = at(p1, above);
+        const tr = at(p2, above);
+        const bl = at(p1, -below);
+        const br = at(p2, -below);
+
+        const rect = this.rectAround([tl, tr, bl, br], sw);
+        const opacity = this.opacityOf(obj);
+        const ops = `${this.colorOp(obj.stroke, 'RG')}\n${fmt(sw)} w\n${fmt(p1.x)} ${fmt(p1.y)} m\n${fmt(p2.x)} ${fmt(p2.y)} l\nS`;
+        const ap = this.appearance(rect, ops);
+        this.addAnnotation(kind === 'underline' ? 'Underline' : 'StrikeOut', rect, {
+            QuadPoints: [tl, tr, bl, br].flatMap((p) => [p.x, p.y]),
+            C: this.color(obj.stroke),
+            CA: opacity
+        }, ap);
+        return true;
+    }
+
+    ink(obj) {
+        if (!Array.isArray(obj.path)) return false;
+        const offset = obj.pathOffset || { x: 0, y: 0 };
+        const pt = (x, y) => this.objectPoint(obj, x - offset.x, y - offset.y);
+        const strokes = [];
+        const ops = [];
+        let current = null;
+        let last = null;
+        let start = null;
+
+        for (const cmd of obj.path) {
+            switch (cmd[0]) {
+                case 'M': {
+                    const p = pt(cmd[1], cmd[2]);
+                    current = [p];
+                    strokes.push(current);
+                    ops.push(`${fmt(p.x)} ${fmt(p.y)} m`);
+                    last = { x: cmd[1], y: cmd[2] };
+                    start = last;
+                    break;
+                }
+                case 'L': {
+                    if (!current) break;
+                    const p = pt(cmd[1], cmd[2]);
+                    current.push(p);
+                    ops.push(`${fmt(p.x)} ${fmt(p.y)} l`);
+                    last = { x: cmd[1], y: cmd[2] };
+                    break;
+                }
+                case 'Q': {
+                    if (!current || !last) break;
+                    // Exact cubic for the appearance; sampled points for InkList
+                    const c1 = { x: last.x + (2 / 3) * (cmd[1] - last.x), y: last.y + (2 / 3) * (cmd[2] - last.y) };
+                    const c2 = { x: cmd[3] + (2 / 3) * (cmd[1] - cmd[3]), y: cmd[4] + (2 / 3) * (cmd[2] - cmd[4]) };
+                    this.pushCurve(ops, current, pt, last, c1, c2, { x: cmd[3], y: cmd[4] });
+                    last = { x: cmd[3], y: cmd[4] };
+                    break;
+                }
+                case 'C': {
+                    if (!current || !last) break;
+                    this.pushCurve(ops, current, pt, last, { x: cmd[1], y: cmd[2] }, { x: cmd[3], y: cmd[4] }, { x: cmd[5], y: cmd[6] });
+                    last = { x: cmd[5], y: cmd[6] };
+                    break;
+                }
+                case 'z':
+                case 'Z':
+                    if (current && start) {
+                        const p = pt(start.x, start.y);
+                        current.push(p);
+                        ops.push(`${fmt(p.x)} ${fmt(p.y)} l`);
+                        last = start;
+                    }
+                    break;
+            }
+        }
+        const points = strokes.flat();
+        if (points.length === 0) return true;
+
+        const sw = Math.max(this.strokeWidth(obj), 0.5);
+        const rect = this.rectAround(points, sw);
+        const opacity = this.opacityOf(obj);
+        const drawing = `${this.colorOp(obj.stroke, 'RG')}\n${fmt(sw)} w\n1 J\n1 j\n${ops.join('\n')}\nS`;
+        const ap = this.appearance(rect, drawing);
+        this.addAnnotation('Ink', rect, {
+            InkList: strokes.map((s) => s.flatMap((p) => [p.x, p.y])),
+            C: this.color(obj.stroke),
+            CA: opacity,
+            BS: { W: sw, S: 'S' }
+        }, ap);
+        return true;
+    }
+
+    pushCurve(ops, current, pt, p0, c1, c2, p3) {
+        const a = pt(c1.x, c1.y);
+        const b = pt(c2.x, c2.y);
+        const e = pt(p3.x, p3.y);
+        ops.push(`${fmt(a.x)} ${fmt(a.y)} ${fmt(b.x)} ${fmt(b.y)} ${fmt(e.x)} ${fmt(e.y)} c`);
+        const steps = 6;
+        for (let i = 1; i <= steps; i++) {
+            const t = i / steps;
+            const u = 1 - t;
+            const x = u * u * u * p0.x + 3 * u * u * t * c1.x + 3 * u * t * t * c2.x + t * t * t * p3.x;
+            const y = u * u * u * p0.y + 3 * u * u * t * c1.y + 3 * u * t * t * c2.y + t * t * t * p3.y;
+            current.push(pt(x, y));
+        }
+    }
+
+    /**
+     * Shared by Square and Circle: outline operators are built in the object's own space
+     */
+    closedShape(obj, subtype, outline, points) {
+        const sw = this.strokeWidth(obj);
+        const fill = isPaint(obj.fill);
+        const stroke = sw > 0 && isPaint(obj.stroke);
+        const rect = this.rectAround(points, sw / 2 + 0.5);
+        const opacity = this.opacityOf(obj);
+        const dash = this.dashOp(obj);
+
+        const ops = [];
+        if (fill) ops.push(this.colorOp(obj.fill, 'rg'));
+        if (stroke) ops.push(this.colorOp(obj.stroke, 'RG'), `${fmt(sw)} w`, dash.op);
+        ops.push(outline, fill && stroke ? 'B' : fill ? 'f' : stroke ? 'S' : 'n');
+        const ap = this.appearance(rect, ops.filter(Boolean).join('\n'));
+
+        const fields = {
+            C: stroke ? this.color(obj.stroke) : [],
+            CA: opacity,
+            BS: stroke ? dash.bs : { W: 0 }
+        };
+        if (fill) fields.IC = this.color(obj.fill);
+        const inset = sw / 2 + 0.5;
+        fields.RD = [inset, inset, inset, inset];
+        this.addAnnotation(subtype, rect, fields, ap);
+        return true;
+    }
+
+    square(obj) {
+        const corners = this.corners(obj);
+        return this.closedShape(obj, 'Square', this.polygonOps(corners), corners);
+    }
+
+    circle(obj) {
+        const rx = obj.width / 2;
+        const ry = obj.height / 2;
+        const p = (x, y) => this.objectPoint(obj, x, y);
+        const kx = rx * KAPPA;
+        const ky = ry * KAPPA;
+        const segments = [
+            [[rx, -ky], [kx, -ry], [0, -ry]],
+            [[-kx, -ry], [-rx, -ky], [-rx, 0]],
+            [[-rx, ky], [-kx, ry], [0, ry]],
+            [[kx, ry], [rx, ky], [rx, 0]]
+        ];
+        const start = p(rx, 0);
+        const ops = [`${fmt(start.x)} ${fmt(start.y)} m`];
+        const points = [start];
+        for (const seg of segments) {
+            const pts = seg.map(([x, y]) => p(x, y));
+            points.push(...pts);
+            ops.push(`${pts.map((q) => `${fmt(q.x)} ${fmt(q.y)}`).join(' ')} c`);
+        }
+        ops.push('h');
+        return this.closedShape(obj, 'Circle', ops.join('\n'), points);
+    }
+
+    arrow(obj) {
+        const children = obj.getObjects ? obj.getObjects() : [];
+        const line = children.find((o) => o.type === 'line');
+        const head = children.find((o) => o.type === 'triangle');
+        if (!line) return false;
+
+        const lp = line.calcLinePoints();
+        const p1 = this.objectPoint(line, lp.x1, lp.y1);
+        const p2 = this.objectPoint(line, lp.x2, lp.y2);
+        const sw = Math.max(this.strokeWidth(line), 0.5);
+        const opacity = this.opacityOf(obj);
+
+        const ops = [this.colorOp(line.stroke, 'RG'), `${fmt(sw)} w`, `${fmt(p1.x)} ${fmt(p1.y)} m`, `${fmt(p2.x)} ${fmt(p2.y)} l`, 'S'];
+        const points = [p1, p2];
+        let end = p2;
+        if (head) {
+            // Triangle apex points along the line; its base sits across the end point
+            const hw = head.width / 2;
+            const hh = head.height / 2;
+            const tri = [[0, -hh], [hw, hh], [-hw, hh]].map(([x, y]) => this.objectPoint(head, x, y));
+            end = tri[0];
+            points.push(...tri);
+            ops.push(this.colorOp(head.fill || line.stroke, 'rg'), this.polygonOps(tri), 'f');
+        }
+
+        const rect = this.rectAround(points, sw + 1);
+        const ap = this.appearance(rect, ops.join('\n'));
+        this.addAnnotation('Line', rect, {
+            L: [p1.x, p1.y, end.x, end.y],
+            LE: ['None', head ? 'ClosedArrow' : 'None'],
+            C: this.color(line.stroke),
+            IC: this.color(head?.fill || line.stroke),
+            CA: opacity,
+            BS: { W: sw, S: 'S' }
+        }, ap);
+        return true;
+    }
+
+    note(obj) {
+        const [tl] = this.corners(obj);
+        const size = 20;
+        const rect = [tl.x, tl.y - size, tl.x + size, tl.y];
+        const [x0, y0, x1, y1] = rect;
+        const lines = [0.7, 0.5, 0.3].map((f) => `${fmt(x0 + 4)} ${fmt(y0 + size * f)} m ${fmt(x1 - 4)} ${fmt(y0 + size * f)} l`).join('\n');
+        const ap = this.appearance(rect, [
+            '1 0.976 0.769 rg 0.961 0.62 0.043 RG 1 w',
+            `${fmt(x0 + 0.5)} ${fmt(y0 + 0.5)} ${fmt(size - 1)} ${fmt(size - 1)} re B`,
+            '0.45 0.33 0.02 RG 1 w',
+            lines,
+            'S'
+        ].join('\n'));
+
+        const textRef = this.addAnnotation('Text', rect, {
+            Contents: PDFHexString.fromText(obj._noteText || ''),
+            Name: 'Comment',
+            Open: false,
+            C: [1, 0.976, 0.769]
+        }, ap);
+        const popupRef = this.context.register(this.context.obj({
+            Type: 'Annot',
+            Subtype: 'Popup',
+            Rect: [x1, y1 - 120, x1 + 200, y1],
+            Parent: textRef,
+            Open: false,
+            F: 28 // Print, NoZoom, NoRotate
+        }));
+        this.context.lookup(textRef).set(PDFName.of('Popup'), popupRef);
+        this.page.node.addAnnot(popupRef);
+        return true;
+    }
+
+    async stamp(obj) {
+        const dataUrl = obj.toDataURL?.({ format: 'png', multiplier: 2 });
+        if (!dataUrl || !dataUrl.startsWith('data:image')) return false;
+        const bytes = Uint8Array.from(atob(dataUrl.split(',')[1]), (c) => c.charCodeAt(0));
+        const image = await this.pdfDoc.embedPng(bytes);
+
+        const rect = this.rectAround(this.corners(obj));
+        const [x0, y0, x1, y1] = rect;
+        const ap = this.appearance(rect, `q ${fmt(x1 - x0)} 0 0 ${fmt(y1 - y0)} ${fmt(x0)} ${fmt(y0)} cm /Im0 Do Q`, {
+            XObject: { Im0: image.ref }
+        });
+        const text = String(obj._stampText || '').trim();
+        this.addAnnotation('Stamp', rect, {
+            Name: STANDARD_STAMP_NAMES[text.toUpperCase()] || (text ? text.replace(/\s+/g, '') : 'Draft'),
+            Contents: PDFHexString.fromText(text),
+            CA: this.opacityOf(obj)
+        }, ap);
+        return true;
+    }
+
+    freeText(obj) {
+        const text = obj.text || '';
+        if (!text.trim()) return true;
+
+        const font = this.textFont(obj, text);
+        if (!font) return false;
+        // Standard fonts use the resource names viewers already know; uploaded fonts are embedded subsets
+        const standardKeys = new Map([
+            [this.fonts.helvetica, ['Helv', 'Helvetica']],
+            [this.fonts.helveticaBold, ['HeBo', 'Helvetica-Bold']],
+            [this.fonts.timesRoman, ['TiRo', 'Times-Roman']],
+            [this.fonts.courier, ['Cour', 'Courier']]
+        ]);
+        const [fontKey, fontLabel] = standardKeys.get(font) || ['FEmb', font.name.replace(/^[A-Z]{6}\+/, '')];
+
+        const size = (obj.fontSize || 16) * Math.abs(obj.scaleY || 1) * this.sf;
+        const boxWidth = obj.width * Math.abs(obj.scaleX || 1) * this.sf;
+        const lines = text.split('\n');
+        let encoded;
+        try {
+            // Throws for characters the chosen font cannot encode; the caller then flattens
+            encoded = lines.map((line) => ({ hex: font.encodeText(line).toString(), width: font.widthOfTextAtSize(line, size) }));
+        } catch (e) {
+            console.warn('FreeText annotation has characters its font cannot encode; flattening instead:', e);
+            return false;
+        }
+
+        const corners = this.corners(obj);
+        const rect = this.rectAround(corners, 1);
+        const anchor = corners[0];
+        const angle = ((obj.angle || 0) * Math.PI) / 180;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const color = this.colorOp(obj.fill, 'rg');
+        const align = obj.textAlign === 'center' ? 1 : obj.textAlign === 'right' ? 2 : 0;
+
+        // Text is laid out from the box's top-left corner, rotated with the object
+        const ops = [`q ${fmt(cos)} ${fmt(-sin)} ${fmt(sin)} ${fmt(cos)} ${fmt(anchor.x)} ${fmt(anchor.y)} cm`, 'BT', `/${fontKey} ${fmt(size)} Tf`, color];
+        let y = -size;
+        let prevX = 0;
+        let prevY = 0;
+        for (const { hex, width } of encoded) {
+            const x = align === 1 ? (boxWidth - width) / 2 : align === 2 ? boxWidth - width : 0;
+            ops.push(`${fmt(x - prevX)} ${fmt(y - prevY)} Td`, `${hex} Tj`);
+            prevX = x;
+            prevY = y;
+            y -= size * 1.2;
+        }
+        ops.push('ET', 'Q');
+
+        const opacity = this.opacityOf(obj);
+        const ap = this.appearance(rect, ops.join('\n'), { Font: { [fontKey]: font.ref } });
+        const hexColor = obj.fill && obj.fill.startsWith('#') ? obj.fill : '#000000';
+        this.addAnnotation('FreeText', rect, {
+            Contents: PDFHexString.fromText(text),
+            DA: PDFString.of(`/${fontKey} ${fmt(size)} Tf ${color}`),
+            DS: PDFString.of(`font: ${fontLabel} ${fmt(size)}pt; text-align:${['left', 'center', 'right'][align]}; color:${hexColor}`),
+            Q: align,
+            CA: opacity,
+            BS: { W: 0 }
+        }, ap);
+        return true;
+    }
+}
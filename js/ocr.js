@@ -0,0 +1,205 @@
+/**
+ * OCR - Recognizes the text of scanned pages in the browser with Tesseract (WebAssembly).
+ * The engine and language data are served from js/vendor/tesseract, so nothing leaves the machine;
+ * language data is kept in the browser's IndexedDB after its first use.
+ */
+
+const TESSERACT_BASE = new URL('./vendor/tesseract/', import.meta.url).href;
+
+/** Languages with data in js/vendor/tesseract/lang (Tesseract language codes) */
+export const OCR_LANGUAGES = [
+    { code: 'eng', name: 'English' },
+    { code: 'spa', name: 'Spanish' },
+    { code: 'fra', name: 'French' },
+    { code: 'deu', name: 'German' },
+    { code: 'ita', name: 'Italian' },
+    { code: 'por', name: 'Portuguese' },
+    { code: 'nld', name: 'Dutch' },
+    { code: 'pol', name: 'Polish' },
+    { code: 'ell', name: 'Greek' }
+];
+
+/** Tesseract reads best at about 300 dpi; the longest side is capped to bound memory on large pages */
+const RENDER_DPI = 300;
+const MAX_RENDER_SIDE = 5000;
+/** Words Tesseract is less sure of than this (0-100) are usually specks and rules, not text */
+const MIN_CONFIDENCE = 30;
+
+/**
+ * @typedef {Object} OcrWord
+ * @property {string} text
+ * @property {number} x - Left edge as a fraction of the page width
+ * @property {number} y - Top edge as a fraction of the page height
+ * @property {number} w
+ * @property {number} h
+ */
+
+/**
+ * @typedef {Object} OcrLine
+ * @property {OcrWord[]} words - In reading order
+ * @property {number} baseline - Distance of the baseline from the top, as a fraction of the page height
+ * @property {number} size - Font size as a fraction of the page height
+ */
+
+/**
+ * @typedef {Object} OcrPage
+ * Text recognized on one page; positions are on the unrotated page (its crop box), as the page canvases show it
+ * @property {string} language - Tesseract language code(s), e.g. "eng+spa"
+ * @property {OcrLine[]} lines
+ */
+
+/** Thrown inside a run when it is cancelled */
+class OcrCancelledError extends Error {
+    constructor() {
+        super('Text recognition was cancelled.');
+        this.name = 'OcrCancelledError';
+    }
+}
+
+export class PageOcr {
+    /**
+     * @param {import('./pdf-handler.js').PDFHandler} pdfHandler
+     */
+    constructor(pdfHandler) {
+        this.pdfHandler = pdfHandler;
+        this.worker = null;
+        this.language = '';
+        this.cancelled = false;
+        this._onLog = null;
+    }
+
+    /**
+     * Whether the engine's files are installed (js/vendor/tesseract/tesseract.min.js loaded)
+     */
+    isAvailable() {
+        return typeof Tesseract !== 'undefined';
+    }
+
+    /**
+     * Recognize the text of source pages one after another.
+     * @param {Array<{id: string; docId: string; sourcePageNum: number}>} pages
+     * @param {string} language - Tesseract language code(s), joined with "+"
+     * @param {(progress: { index: number; total: number; pageId: string; status: string; progress: number }) => void} [onProgress]
+     *   index is the 0-based position of the page being read; progress (0-1) is within that page
+     * @returns {Promise<{ results: Map<string, OcrPage>; cancelled: boolean }>} Pages read by id; after cancel() only those finished before it
+     */
+    async recognize(pages, language, onProgress = () => {}) {
+        if (!this.isAvailable()) throw new Error('The OCR engine is not installed on this site.');
+        this.cancelled = false;
+        const results = new Map();
+        const canvas = document.createElement('canvas');
+        try {
+            for (let index = 0; index < pages.length; index++) {
+                const page = pages[index];
+                const report = (status, progress) => onProgress({ index, total: pages.length, pageId: page.id, status, progress });
+                report('Loading the OCR engine', 0);
+                const worker = await this.getWorker(language);
+                this.checkCancelled();
+
+                report('Rendering', 0);
+                const pdfPage = await this.pdfHandler.getPage(page.docId, page.sourcePageNum);
+                const size = pdfPage.getViewport({ scale: 1, rotation: 0 });
+                const scale = Math.min(RENDER_DPI / 72, MAX_RENDER_SIDE / Math.max(size.width, size.height));
+                const { width, height } = await this.pdfHandler.renderPage(page.docId, page.sourcePageNum, canvas, scale, 0);
+                this.checkCancelled();
+
+                this._onLog = (m) => {
+                    if (m.status === 'recognizing text') report('Recognizing text', m.progress);
+                };
+                let data;
+                try {
+                    ({ data } = await worker.recognize(canvas));
+                } catch (e) {
+                    // Cancelling stops the worker in the middle of a page
+                    this.checkCancelled();
+                    throw e;
+                } finally {
+                    this._onLog = null;
+                }
+                this.checkCancelled();
+                results.set(page.id, { language, lines: this.readLines(data, width, height) });
+                report('Done', 1);
+            }
+        } catch (e) {
+            if (!(e instanceof OcrCancelledError)) throw e;
+            return { results, cancelled: true };
+        } finally {
+            canvas.width = 0;
+            canvas.height = 0;
+        }
+        return { results, cancelled: false };
+    }
+
+    /**
+     * Stop the run in progress; the page being read is abandoned
+     */
+    cancel() {
+        this.cancelled = true;
+        this.terminate();
+    }
+
+    checkCancelled() {
+        if (this.cancelled) throw new OcrCancelledError();
+    }
+
+    /**
+     * A worker with the language loaded; language data comes from the site the first time and
+     * from IndexedDB after that
+     */
+    async getWorker(language) {
+        if (this.worker && this.language === language) return this.worker;
+        await this.terminate();
+        this.worker = await Tesseract.createWorker(language, Tesseract.OEM.LSTM_ONLY, {
+            workerPath: TESSERACT_BASE + 'worker.min.js',
+            corePath: TESSERACT_BASE + 'core',
+            langPath: TESSERACT_BASE + 'lang',
+            workerBlobURL: false,
+            gzip: true,
+            cacheMethod: 'write',
+            logger: (m) => this._onLog?.(m)
+        });
+        this.language = language;
+        return this.worker;
+    }
+
+    /**
+     * Stop the worker and free its memory (it is started again on the next run)
+     */
+    async terminate() {
+        const worker = this.worker;
+        this.worker = null;
+        this.language = '';
+        if (!worker) return;
+        try {
+            await worker.terminate();
+        } catch (e) {
+            console.warn('Could not stop the OCR worker', e);
+        }
+    }
+
+    /**
+     * Lines of confidently recognized words, positioned as fractions of the rendered page
+     */
+    readLines(data, width, height) {
+        const lines = [];
+        for (const line of data.lines || []) {
+            const words = (line.words || [])
+                .filter((word) => word.text.trim() && word.confidence >= MIN_CONFIDENCE)
+                .map((word) => ({
+                    text: word.text.trim(),
+                    x: word.bbox.x0 / width,
+                    y: word.bbox.y0 / height,
+                    w: (word.bbox.x1 - word.bbox.x0) / width,
+                    h: (word.bbox.y1 - word.bbox.y0) / height
+                }));
+            if (words.length === 0) continue;
+            const { bbox, baseline } = line;
+            // Tesseract's baseline runs across the line; without one the line box bottom will do
+            const base = baseline?.has_baseline ? (baseline.y0 + baseline.y1) / 2 : bbox.y1;
+            // Ascenders reach roughly 0.75 of the font size above the baseline
+            const size = Math.max(base - bbox.y0, (bbox.y1 - bbox.y0) * 0.5) / 0.75;
+            lines.push({ words, baseline: base / height, size: size / height });
+        }
+        return lines;
+    }
+}
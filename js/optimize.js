@@ -0,0 +1,412 @@
+/**
+ * Optimize - Makes exported PDFs smaller: images are downsampled to the resolution they are shown
+ * at, photos are recompressed as JPEG, identical images are stored once and objects nothing refers
+ * to are dropped. Runs on a pdf-lib document after flush() (so embedded images are in the context)
+ * and before it is saved with object streams.
+ */
+
+const { PDFName, PDFDict, PDFArray, PDFNumber, PDFRef, PDFStream, PDFRawStream } = PDFLib;
+import {
+    bytesToBinary,
+    multiply,
+    transformBox,
+    numbersOf,
+    filterNames,
+    decodeStreamBytes,
+    parseOperations,
+    componentsOf,
+    undoPredictor,
+    pruneUnreachableObjects
+} from './pdf-utils.js';
+
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+const MAX_FORM_DEPTH = 8;
+const DECODABLE_FILTERS = new Set(['FlateDecode', 'LZWDecode', 'ASCII85Decode', 'ASCIIHexDecode', 'RunLengthDecode']);
+/** Images shown at more than this share of the target resolution are left as they are (too little to gain) */
+const MIN_SHRINK = 0.8;
+/** Larger images are skipped rather than decoded (browsers cap canvas sizes) */
+const MAX_PIXELS = 50e6;
+/** Images with more distinct colors than this in a sample are treated as photos */
+const PHOTO_COLORS = 256;
+
+/**
+ * @typedef {Object} OptimizeOptions
+ * @property {number} maxDpi - Images shown at a higher resolution are downsampled to it
+ * @property {number} jpegQuality - 0-1, for photos recompressed as JPEG
+ */
+
+/**
+ * @typedef {Object} OptimizeReport
+ * @property {number} downsampled - Images reduced to maxDpi
+ * @property {number} recompressed - Images written as JPEG
+ * @property {number} duplicates - Identical images merged into one
+ * @property {number} removedObjects - Objects dropped because nothing referred to them
+ */
+
+/** Default options for the export modal's Optimize choice */
+export const DEFAULT_OPTIMIZE_OPTIONS = { maxDpi: 150, jpegQuality: 0.75 };
+
+function numberOf(obj, fallback = 0) {
+    return obj instanceof PDFNumber ? obj.asNumber() : fallback;
+}
+
+function isImage(dict) {
+    const subtype = dict.lookup(PDFName.of('Subtype'));
+    return subtype instanceof PDFName && subtype.decodeText() === 'Image';
+}
+
+async function sha256Hex(bytes) {
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+    return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Point every reference to a key of replacements at its value instead
+ * @param {Map<PDFRef, PDFRef>} replacements
+ */
+function replaceReferences(context, replacements) {
+    const visit = (obj) => {
+        if (obj instanceof PDFStream) {
+            visit(obj.dict);
+        } else if (obj instanceof PDFDict) {
+            for (const [key, value] of obj.entries()) {
+                if (value instanceof PDFRef) {
+                    if (replacements.has(value)) obj.set(key, replacements.get(value));
+                } else {
+                    visit(value);
+                }
+            }
+        } else if (obj instanceof PDFArray) {
+            for (let i = 0; i < obj.size(); i++) {
+                const value = obj.get(i);
+                if (value instanceof PDFRef) {
+                    if (replacements.has(value)) obj.set(i, replacements.get(value));
+                } else {
+                    visit(value);
+                }
+            }
+        }
+    };
+    for (const [, obj] of context.enumerateIndirectObjects()) visit(obj);
+}
+
+/**
+ * Store identical image streams once. Soft masks are merged first, so images that only differed
+ * in which copy of a mask they pointed at are merged on the next pass.
+ * @returns {Promise<number>} Number of copies removed
+ */
+async function mergeDuplicateImages(context) {
+    let merged = 0;
+    for (let pass = 0; pass < 3; pass++) {
+        const firstByKey = new Map();
+        const replacements = new Map();
+        for (const [ref, obj] of context.enumerateIndirectObjects()) {
+            if (!(obj instanceof PDFRawStream) || !isImage(obj.dict)) continue;
+            const entries = obj.dict.entries()
+                .filter(([key]) => key.decodeText() !== 'Length')
+                .map(([key, value]) => `${key.toString()} ${value.toString()}`)
+                .sort();
+            const key = `${entries.join(' ')}|${await sha256Hex(obj.contents)}`;
+            const first = firstByKey.get(key);
+            if (first) replacements.set(ref, first);
+            else firstByKey.set(key, ref);
+        }
+        if (replacements.size === 0) break;
+        replaceReferences(context, replacements);
+        replacements.forEach((_, ref) => context.delete(ref));
+        merged += replacements.size;
+    }
+    return merged;
+}
+
+/**
+ * The largest size, in points, each image is shown at on the pages (page content, form XObjects
+ * and annotation appearances). Images used only elsewhere (patterns, for example) are not listed.
+ * @returns {Map<PDFRef, { width: number; height: number }>}
+ */
+function measureImageUse(pdfDoc) {
+    const context = pdfDoc.context;
+    const sizes = new Map();
+
+    const walk = (stream, resources, baseCtm, depth) => {
+        if (depth > MAX_FORM_DEPTH) return;
+        let src;
+        try {
+            src = stream.map((s) => bytesToBinary(decodeStreamBytes(s))).join('\n');
+        } catch (e) {
+            return;
+        }
+        const xobjects = resources instanceof PDFDict ? resources.lookup(PDFName.of('XObject')) : null;
+        let ctm = baseCtm;
+        const stack = [];
+        for (const { op, operands } of parseOperations(src)) {
+            if (op === 'q') {
+                stack.push(ctm);
+            } else if (op === 'Q') {
+                ctm = stack.pop() || baseCtm;
+            } else if (op === 'cm' && operands.length === 6 && operands.every((n) => typeof n === 'number')) {
+                ctm = multiply(operands, ctm);
+            } else if (op === 'Do' && xobjects instanceof PDFDict && operands[0]?.name) {
+                const ref = xobjects.get(PDFName.of(operands[0].name));
+                const xobj = context.lookup(ref);
+                if (!(xobj instanceof PDFStream)) continue;
+                if (isImage(xobj.dict)) {
+                    if (!(ref instanceof PDFRef)) continue;
+                    const width = Math.hypot(ctm[0], ctm[1]);
+                    const height = Math.hypot(ctm[2], ctm[3]);
+                    const seen = sizes.get(ref) || { width: 0, height: 0 };
+                    sizes.set(ref, { width: Math.max(seen.width, width), height: Math.max(seen.height, height) });
+                } else {
+                    const matrix = numbersOf(xobj.dict.lookup(PDFName.of('Matrix'))) || IDENTITY;
+                    const own = xobj.dict.lookup(PDFName.of('Resources'));
+                    walk([xobj], own instanceof PDFDict ? own : resources, multiply(matrix, ctm), depth + 1);
+                }
+            }
+        }
+    };
+
+    for (const page of pdfDoc.getPages()) {
+        const { Resources, Contents } = page.node.normalizedEntries();
+        const streams = Contents instanceof PDFArray ? Contents.asArray().map((c) => context.lookup(c)) : [];
+        walk(streams.filter((s) => s instanceof PDFStream), Resources, IDENTITY, 0);
+
+        // Appearances are drawn with their bounding box fitted to the annotation rectangle
+        const annots = page.node.Annots();
+        if (!(annots instanceof PDFArray)) continue;
+        for (let i = 0; i < annots.size(); i++) {
+            const annot = annots.lookup(i);
+            if (!(annot instanceof PDFDict)) continue;
+            const rect = numbersOf(annot.lookup(PDFName.of('Rect')));
+            const ap = annot.lookup(PDFName.of('AP'));
+            if (!rect || rect.length !== 4 || !(ap instanceof PDFDict)) continue;
+            for (const [, value] of ap.entries()) {
+                const entry = context.lookup(value);
+                const forms = entry instanceof PDFStream ? [entry]
+                    : entry instanceof PDFDict ? entry.entries().map(([, v]) => context.lookup(v)).filter((v) => v instanceof PDFStream) : [];
+                for (const form of forms) {
+                    const matrix = numbersOf(form.dict.lookup(PDFName.of('Matrix'))) || IDENTITY;
+                    const bbox = numbersOf(form.dict.lookup(PDFName.of('BBox')));
+                    if (!bbox || bbox.length !== 4) continue;
+                    const box = transformBox(bbox[0], bbox[1], bbox[2], bbox[3], matrix);
+                    if (!(box.x1 > box.x0 && box.y1 > box.y0)) continue;
+                    const sx = Math.abs(rect[2] - rect[0]) / (box.x1 - box.x0);
+                    const sy = Math.abs(rect[3] - rect[1]) / (box.y1 - box.y0);
+                    const fit = [sx, 0, 0, sy, Math.min(rect[0], rect[2]) - box.x0 * sx, Math.min(rect[1], rect[3]) - box.y0 * sy];
+                    const own = form.dict.lookup(PDFName.of('Resources'));
+                    walk([form], own instanceof PDFDict ? own : null, multiply(matrix, fit), 1);
+                }
+            }
+        }
+    }
+    return sizes;
+}
+
+/**
+ * Decode an 8-bit gray or RGB image into RGBA pixels
+ * @returns {Promise<{ width: number; height: number; comps: number; jpeg: boolean; canvas: HTMLCanvasElement }|null>} null when the image is stored in a way this does not handle
+ */
+async function readImage(context, stream) {
+    const dict = stream.dict;
+    const width = numberOf(dict.lookup(PDFName.of('Width')));
+    const height = numberOf(dict.lookup(PDFName.of('Height')));
+    if (!width || !height || width * height > MAX_PIXELS) return null;
+    if (dict.lookup(PDFName.of('ImageMask'))?.asBoolean?.() === true) return null;
+    // Color-key masks and decode arrays other than [0 1 ...] refer to the stored sample values
+    if (dict.has(PDFName.of('Mask'))) return null;
+    const decode = numbersOf(dict.lookup(PDFName.of('Decode')));
+    if (decode && decode.some((v, i) => v !== i % 2)) return null;
+    if (numberOf(dict.lookup(PDFName.of('BitsPerComponent')), 8) !== 8) return null;
+    const colorSpace = dict.get(PDFName.of('ColorSpace'));
+    const family = context.lookup(colorSpace) instanceof PDFArray ? context.lookup(colorSpace).lookup(0) : null;
+    // Samples of indexed and separation images are not colors
+    if (family instanceof PDFName && ['Indexed', 'I', 'Separation', 'DeviceN'].includes(family.decodeText())) return null;
+    const comps = componentsOf(colorSpace, context);
+    if (comps !== 1 && comps !== 3) return null;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    const filters = filterNames(dict);
+    let jpeg = false;
+    if (filters.length === 1 && filters[0] === 'DCTDecode') {
+        const bitmap = await createImageBitmap(new Blob([stream.contents], { type: 'image/jpeg' }));
+        if (bitmap.width !== width || bitmap.height !== height) return null;
+        ctx.drawImage(bitmap, 0, 0);
+        bitmap.close?.();
+        jpeg = true;
+    } else if (filters.every((f) => DECODABLE_FILTERS.has(f))) {
+        let data = decodeStreamBytes(stream);
+        const params = dict.lookup(PDFName.of('DecodeParms'));
+        const lastParams = params instanceof PDFArray ? params.lookup(params.size() - 1) : params;
+        if (lastParams instanceof PDFDict) data = undoPredictor(data, lastParams, comps, 8, width);
+        if (data.length < width * height * comps) return null;
+        const image = ctx.createImageData(width, height);
+        const out = image.data;
+        for (let i = 0, j = 0; i < width * height; i++, j += comps) {
+            out[i * 4] = data[j];
+            out[i * 4 + 1] = data[comps === 3 ? j + 1 : j];
+            out[i * 4 + 2] = data[comps === 3 ? j + 2 : j];
+            out[i * 4 + 3] = 255;
+        }
+        ctx.putImageData(image, 0, 0);
+    } else {
+        return null;
+    }
+    return { width, height, comps, jpeg, canvas };
+}
+
+/**
+ * The image drawn at a new size (smoothing on, so downsampling averages the pixels)
+ * @param {HTMLCanvasElement} source
+ */
+function resize(source, width, height) {
+    if (source.width === width && source.height === height) return source;
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.imageSmoothingEnabled = true;
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(source, 0, 0, width, height);
+    return canvas;
+}
+
+/**
+ * Samples of a canvas as 8-bit gray or RGB rows (alpha dropped)
+ */
+function samplesOf(canvas, comps) {
+    const { data } = canvas.getContext('2d', { willReadFrequently: true }).getImageData(0, 0, canvas.width, canvas.height);
+    const count = canvas.width * canvas.height;
+    const out = new Uint8Array(count * comps);
+    for (let i = 0; i < count; i++) {
+        out[i * comps] = data[i * 4];
+        if (comps === 3) {
+            out[i * comps + 1] = data[i * 4 + 1];
+            out[i * comps + 2] = data[i * 4 + 2];
+        }
+    }
+    return out;
+}
+
+/** Whether an image looks like a photo (many colors) rather than line art, text or a flat graphic */
+function looksLikePhoto(canvas) {
+    const { data } = canvas.getContext('2d', { willReadFrequently: true }).getImageData(0, 0, canvas.width, canvas.height);
+    const pixels = data.length / 4;
+    const step = Math.max(1, Math.floor(pixels / 20000));
+    const colors = new Set();
+    for (let i = 0; i < pixels; i += step) {
+        colors.add((data[i * 4] << 16) | (data[i * 4 + 1] << 8) | data[i * 4 + 2]);
+        if (colors.size > PHOTO_COLORS) return true;
+    }
+    return false;
+}
+
+function copyDictEntries(from, to, skip) {
+    for (const [key, value] of from.entries()) {
+        if (skip.includes(key.decodeText())) continue;
+        to.set(key, value);
+    }
+}
+
+/**
+ * A soft mask resampled to its image's new size (Flate, lossless)
+ * @returns {Promise<PDFRef|null>}
+ */
+async function resizeSoftMask(context, stream, width, height) {
+    const mask = await readImage(context, stream);
+    if (!mask || mask.comps !== 1) return null;
+    if (mask.width <= width && mask.height <= height) return null;
+    const out = context.flateStream(samplesOf(resize(mask.canvas, width, height), 1));
+    copyDictEntries(stream.dict, out.dict, ['Filter', 'DecodeParms', 'Length']);
+    out.dict.set(PDFName.of('Width'), PDFNumber.of(width));
+    out.dict.set(PDFName.of('Height'), PDFNumber.of(height));
+    return context.register(out);
+}
+
+/**
+ * Downsample and/or recompress one image in place (its reference stays the same)
+ * @param {number} scale - Share of its pixels to keep along each side (1 keeps the size)
+ * @returns {Promise<{ downsampled: boolean; recompressed: boolean }|null>} null when left unchanged
+ */
+async function optimizeImage(context, ref, stream, scale, jpegQuality) {
+    const image = await readImage(context, stream);
+    if (!image) return null;
+    const width = Math.max(1, Math.round(image.width * scale));
+    const height = Math.max(1, Math.round(image.height * scale));
+    const downsampled = width < image.width || height < image.height;
+    const photo = image.jpeg || looksLikePhoto(image.canvas);
+    if (!downsampled && !photo) return null;
+
+    const resized = resize(image.canvas, width, height);
+    let out;
+    if (photo) {
+        const blob = await new Promise((resolve) => resized.toBlob(resolve, 'image/jpeg', jpegQuality));
+        if (!blob) return null;
+        out = context.stream(new Uint8Array(await blob.arrayBuffer()), {
+            Type: 'XObject',
+            Subtype: 'Image',
+            Width: width,
+            Height: height,
+            ColorSpace: 'DeviceRGB',
+            BitsPerComponent: 8,
+            Filter: 'DCTDecode'
+        });
+        // A JPEG from the canvas is always RGB; an RGB profile still describes it
+        const skip = ['Type', 'Subtype', 'Width', 'Height', 'BitsPerComponent', 'Filter', 'DecodeParms', 'Length', 'SMask'];
+        if (image.comps !== 3) skip.push('ColorSpace');
+        copyDictEntries(stream.dict, out.dict, skip);
+    } else {
+        out = context.flateStream(samplesOf(resized, image.comps));
+        copyDictEntries(stream.dict, out.dict, ['Filter', 'DecodeParms', 'Length', 'SMask']);
+        out.dict.set(PDFName.of('Width'), PDFNumber.of(width));
+        out.dict.set(PDFName.of('Height'), PDFNumber.of(height));
+    }
+    if (out.getContentsSize() >= stream.getContentsSize()) return null;
+
+    const smaskRef = stream.dict.get(PDFName.of('SMask'));
+    if (smaskRef) {
+        const smask = context.lookup(smaskRef);
+        const resizedMask = downsampled && smask instanceof PDFStream ? await resizeSoftMask(context, smask, width, height) : null;
+        out.dict.set(PDFName.of('SMask'), resizedMask || smaskRef);
+    }
+    context.assign(ref, out);
+    return { downsampled, recompressed: photo };
+}
+
+/**
+ * Make a document smaller in place.
+ * @param {PDFLib.PDFDocument} pdfDoc - Flushed, so every embedded image is in its context
+ * @param {OptimizeOptions} options
+ * @returns {Promise<OptimizeReport>}
+ */
+export async function optimizePdf(pdfDoc, { maxDpi = DEFAULT_OPTIMIZE_OPTIONS.maxDpi, jpegQuality = DEFAULT_OPTIMIZE_OPTIONS.jpegQuality } = {}) {
+    const context = pdfDoc.context;
+    const report = { downsampled: 0, recompressed: 0, duplicates: 0, removedObjects: 0 };
+    const objectsBefore = context.enumerateIndirectObjects().length;
+    pruneUnreachableObjects(pdfDoc);
+    report.removedObjects = objectsBefore - context.enumerateIndirectObjects().length;
+    report.duplicates = await mergeDuplicateImages(context);
+
+    for (const [ref, shown] of measureImageUse(pdfDoc)) {
+        const stream = context.lookup(ref);
+        if (!(stream instanceof PDFRawStream)) continue;
+        const width = numberOf(stream.dict.lookup(PDFName.of('Width')));
+        const height = numberOf(stream.dict.lookup(PDFName.of('Height')));
+        if (!width || !height) continue;
+        // Pixels needed along each side at maxDpi (72 points to the inch)
+        const needed = Math.max((shown.width / 72) * maxDpi / width, (shown.height / 72) * maxDpi / height);
+        const scale = needed < MIN_SHRINK ? needed : 1;
+        try {
+            const result = await optimizeImage(context, ref, stream, scale, jpegQuality);
+            if (result?.downsampled) report.downsampled++;
+            if (result?.recompressed) report.recompressed++;
+        } catch (e) {
+            console.warn('Could not optimize an image', e);
+        }
+    }
+
+    // Soft masks that were replaced by smaller ones
+    pruneUnreachableObjects(pdfDoc);
+    return report;
+}
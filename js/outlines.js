@@ -0,0 +1,311 @@
+/**
+ * Outlines and links - Carries bookmarks (the /Outlines tree), GoTo links and named destinations
+ * over to an export that is built from copied pages, pointing them at the pages' new positions.
+ * Bookmarks and links whose page is not part of the export are dropped. Bookmarks edited in the
+ * Bookmarks panel are written with setOutline instead of the copied ones.
+ */
+
+const { PDFName, PDFDict, PDFArray, PDFNumber, PDFNull, PDFString, PDFHexString, PDFRef, PDFObjectCopier } = PDFLib;
+
+/**
+ * Replace the page references in a document's link destinations with page indexes. Call before
+ * its pages are copied: copying a link to another page would otherwise copy that page too (and
+ * the page tree above it). copyNavigation turns the indexes back into pages of the export.
+ * Named destinations are resolved, so the links no longer need the document's name tree.
+ * @param {PDFLib.PDFDocument} pdfDoc
+ */
+export function detachLinkDestinations(pdfDoc) {
+    const pageIndexes = new Map(pdfDoc.getPages().map((page, i) => [page.ref, i]));
+    const named = namedDestinations(pdfDoc);
+    for (const page of pdfDoc.getPages()) {
+        const annots = page.node.lookup(PDFName.of('Annots'));
+        if (!(annots instanceof PDFArray)) continue;
+        for (let i = 0; i < annots.size(); i++) {
+            const link = linkDestination(annots.lookup(i));
+            if (!link) continue;
+            const [holder, key] = link;
+            const dest = explicitDestination(holder.lookup(key), named);
+            const index = dest ? pageIndexes.get(dest.get(0)) : undefined;
+            if (index === undefined) {
+                // Copying a destination outside the page tree could drag other objects along; the link goes nowhere instead
+                holder.delete(key);
+                continue;
+            }
+            holder.set(key, pdfDoc.context.obj([PDFNumber.of(index), ...destinationView(dest)]));
+        }
+    }
+}
+
+/**
+ * @typedef {Object} NavigationSource
+ * @property {PDFLib.PDFDocument} pdfDoc - Source document (after detachLinkDestinations)
+ * @property {string} docId
+ * @property {string} [name] - File name; its bookmarks are nested under an entry with this name
+ *   (omit for the main document, whose bookmarks stay at the top level)
+ */
+
+/**
+ * Point the copied pages' links at their targets in the export and rebuild the sources' outlines
+ * and named destinations there.
+ * @param {PDFLib.PDFDocument} outDoc
+ * @param {NavigationSource[]} sources - Main document first
+ * @param {Array<{ page: PDFLib.PDFPage; docId: string; sourcePageNum: number }>} pages - Exported pages in order
+ * @param {{ outlines?: boolean }} [options] - outlines: false leaves the outline to setOutline
+ */
+export function copyNavigation(outDoc, sources, pages, { outlines: copyOutlines = true } = {}) {
+    const pageRefs = new Map();
+    for (const { page, docId, sourcePageNum } of pages) {
+        const key = `${docId}:${sourcePageNum - 1}`;
+        if (!pageRefs.has(key)) pageRefs.set(key, page.ref);
+    }
+    const pageRefFor = (docId) => (index) => pageRefs.get(`${docId}:${index}`);
+
+    for (const { page, docId } of pages) remapLinks(page, pageRefFor(docId));
+
+    const items = [];
+    const names = new Map();
+    for (const { pdfDoc, docId, name } of sources) {
+        const refFor = pageRefFor(docId);
+        const pageIndexes = new Map(pdfDoc.getPages().map((page, i) => [page.ref, i]));
+        const named = namedDestinations(pdfDoc);
+        const toExport = (dest) => {
+            const pageRef = dest ? refFor(pageIndexes.get(dest.get(0))) : undefined;
+            return pageRef ? [pageRef, ...destinationView(dest)] : null;
+        };
+
+        const outlines = pdfDoc.catalog.lookup(PDFName.of('Outlines'));
+        const copier = PDFObjectCopier.for(pdfDoc.context, outDoc.context);
+        const docItems = copyOutlines && outlines instanceof PDFDict
+            ? readOutline(pdfDoc, outlines.get(PDFName.of('First')), { named, toExport, copier, seen: new Set() })
+            : [];
+        if (name === undefined) {
+            items.push(...docItems);
+        } else if (docItems.length > 0) {
+            const first = pages.find((p) => p.docId === docId);
+            items.push({ title: PDFHexString.fromText(name), dest: first ? [first.page.ref, PDFName.of('Fit')] : null, open: false, children: docItems });
+        }
+
+        for (const [key, { title, dest }] of named) {
+            const target = names.has(key) ? null : toExport(dest);
+            if (target) names.set(key, { title, target });
+        }
+    }
+
+    const { context, catalog } = outDoc;
+    if (items.length > 0) replaceOutline(outDoc, items);
+    if (names.size > 0) {
+        // A name tree with a single leaf: keys in sorted order
+        const entries = [...names.entries()].sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+        let namesDict = catalog.lookup(PDFName.of('Names'));
+        if (!(namesDict instanceof PDFDict)) {
+            namesDict = context.obj({});
+            catalog.set(PDFName.of('Names'), context.register(namesDict));
+        }
+        namesDict.set(PDFName.of('Dests'), context.register(context.obj({
+            Names: entries.flatMap(([, { title, target }]) => [title, context.obj(target)])
+        })));
+    }
+}
+
+/**
+ * @typedef {Object} Bookmark
+ * An outline entry as edited in the Bookmarks panel
+ * @property {string} title
+ * @property {string|null} pageId - View page it opens; null for an entry without a page (a heading, web link, ...)
+ * @property {Array<number|null|{ name: string }>|null} [view] - Rest of the destination (/XYZ left top zoom, /Fit, ...);
+ *   the top of the page when omitted
+ * @property {string|null} [url] - Web link it opens instead
+ * @property {string|null} [action] - Named action (NextPage, Print, ...) it runs instead
+ * @property {boolean} [open] - Whether its children are shown
+ * @property {number[]|null} [color] - RGB, 0-255
+ * @property {boolean} [bold]
+ * @property {boolean} [italic]
+ * @property {Bookmark[]} children
+ */
+
+/**
+ * Replace a document's outline with edited bookmarks. A bookmark whose page is not part of the
+ * document is replaced by its children, as when outlines are copied.
+ * @param {PDFLib.PDFDocument} pdfDoc
+ * @param {Bookmark[]} bookmarks
+ * @param {Array<{ page: PDFLib.PDFPage; pageId: string }>} pages - The document's pages by view page id
+ */
+export function setOutline(pdfDoc, bookmarks, pages) {
+    const pageById = new Map(pages.map(({ page, pageId }) => [pageId, page]));
+    const toItems = (list) => list.flatMap((bookmark) => {
+        const children = toItems(bookmark.children || []);
+        const page = bookmark.pageId ? pageById.get(bookmark.pageId) : null;
+        if (bookmark.pageId && !page) return children;
+        const flags = (bookmark.italic ? 1 : 0) | (bookmark.bold ? 2 : 0);
+        const color = bookmark.color?.some((c) => c > 0) ? pdfDoc.context.obj(bookmark.color.map((c) => c / 255)) : null;
+        let action = null;
+        if (!page && bookmark.url) action = pdfDoc.context.obj({ S: 'URI', URI: PDFString.of(bookmark.url.replace(/[\\()]/g, '\\$&')) });
+        else if (!page && bookmark.action) action = pdfDoc.context.obj({ S: 'Named', N: bookmark.action });
+        return [{
+            title: PDFHexString.fromText(bookmark.title || ''),
+            dest: page ? [page.ref, ...bookmarkView(bookmark.view, page)] : null,
+            action,
+            open: !!bookmark.open,
+            color,
+            flags: flags ? PDFNumber.of(flags) : null,
+            children
+        }];
+    });
+    const items = toItems(bookmarks);
+    if (items.length > 0) replaceOutline(pdfDoc, items);
+    else pdfDoc.catalog.delete(PDFName.of('Outlines'));
+}
+
+/** Write outline items as the document's outline */
+function replaceOutline(pdfDoc, items) {
+    const { context, catalog } = pdfDoc;
+    const root = context.nextRef();
+    const written = writeOutline(context, items, root);
+    context.assign(root, context.obj({ Type: 'Outlines', First: written.first, Last: written.last, Count: written.visible }));
+    catalog.set(PDFName.of('Outlines'), root);
+}
+
+/** A bookmark's view as PDF objects: the stored one, or the top of the page at the current zoom */
+function bookmarkView(view, page) {
+    if (!Array.isArray(view) || view.length === 0) {
+        const { y, height } = page.getCropBox();
+        return [PDFName.of('XYZ'), PDFNull, PDFNumber.of(y + height), PDFNull];
+    }
+    return view.map((value) => {
+        if (value && typeof value === 'object') return PDFName.of(value.name);
+        return typeof value === 'number' ? PDFNumber.of(value) : PDFNull;
+    });
+}
+
+/** Point links whose destination is a page index at that page, and remove links to pages not exported */
+function remapLinks(page, pageRefFor) {
+    const annots = page.node.lookup(PDFName.of('Annots'));
+    if (!(annots instanceof PDFArray)) return;
+    for (let i = annots.size() - 1; i >= 0; i--) {
+        const link = linkDestination(annots.lookup(i));
+        if (!link) continue;
+        const dest = link[0].lookup(link[1]);
+        if (!(dest instanceof PDFArray) || !(dest.get(0) instanceof PDFNumber)) continue;
+        const pageRef = pageRefFor(dest.get(0).asNumber());
+        if (pageRef) dest.set(0, pageRef);
+        else annots.remove(i);
+    }
+}
+
+/**
+ * Where a GoTo link annotation keeps its destination
+ * @returns {[PDFLib.PDFDict, PDFLib.PDFName] | null} The dictionary (the link or its action) and key
+ */
+function linkDestination(annot) {
+    if (!(annot instanceof PDFDict) || annot.lookup(PDFName.of('Subtype')) !== PDFName.of('Link')) return null;
+    if (annot.has(PDFName.of('Dest'))) return [annot, PDFName.of('Dest')];
+    const action = annot.lookup(PDFName.of('A'));
+    return action instanceof PDFDict && action.lookup(PDFName.of('S')) === PDFName.of('GoTo') ? [action, PDFName.of('D')] : null;
+}
+
+/**
+ * Outline entries from the first item of a level on, as { title, dest, action, open, color, flags, children }.
+ * An entry whose page is not exported is replaced by its children.
+ */
+function readOutline(pdfDoc, first, options) {
+    const { named, toExport, copier, seen } = options;
+    const items = [];
+    for (let ref = first; ref instanceof PDFRef && !seen.has(ref);) {
+        seen.add(ref);
+        const dict = pdfDoc.context.lookup(ref);
+        if (!(dict instanceof PDFDict)) break;
+        const children = readOutline(pdfDoc, dict.get(PDFName.of('First')), options);
+        const count = dict.lookup(PDFName.of('Count'));
+        const item = {
+            title: dict.lookup(PDFName.of('Title')),
+            open: count instanceof PDFNumber && count.asNumber() > 0,
+            color: dict.lookup(PDFName.of('C')),
+            flags: dict.lookup(PDFName.of('F')),
+            dest: null,
+            action: null,
+            children
+        };
+        const action = dict.lookup(PDFName.of('A'));
+        const goTo = action instanceof PDFDict && action.lookup(PDFName.of('S')) === PDFName.of('GoTo');
+        const dest = dict.has(PDFName.of('Dest')) ? dict.lookup(PDFName.of('Dest')) : goTo ? action.lookup(PDFName.of('D')) : undefined;
+        if (dest !== undefined) {
+            item.dest = toExport(explicitDestination(dest, named));
+        } else if (action instanceof PDFDict) {
+            // Web links, named actions and the like do not depend on the pages
+            item.action = copier.copy(action);
+        }
+        if (dest !== undefined && !item.dest) items.push(...children);
+        else items.push(item);
+        ref = dict.get(PDFName.of('Next'));
+    }
+    return items;
+}
+
+/** Write outline items as siblings under parent; returns the first and last item and how many are visible */
+function writeOutline(context, items, parent) {
+    const refs = items.map(() => context.nextRef());
+    let visible = 0;
+    items.forEach((item, i) => {
+        const children = item.children.length > 0 ? writeOutline(context, item.children, refs[i]) : null;
+        context.assign(refs[i], context.obj({
+            Title: item.title instanceof PDFString || item.title instanceof PDFHexString ? item.title : PDFHexString.fromText(''),
+            Parent: parent,
+            Prev: refs[i - 1],
+            Next: refs[i + 1],
+            First: children?.first,
+            Last: children?.last,
+            Count: children ? (item.open ? children.visible : -children.visible) : undefined,
+            Dest: item.dest ? context.obj(item.dest) : undefined,
+            A: item.action || undefined,
+            C: item.color instanceof PDFArray ? context.obj(item.color.asArray().map((c) => item.color.context.lookup(c))) : undefined,
+            F: item.flags instanceof PDFNumber ? item.flags : undefined
+        }));
+        visible += 1 + (item.open && children ? children.visible : 0);
+    });
+    return { first: refs[0], last: refs[refs.length - 1], visible };
+}
+
+/**
+ * Named destinations of a document (the catalog's /Dests dictionary and the /Dests name tree)
+ * @returns {Map<string, { title: PDFLib.PDFString|PDFLib.PDFHexString; dest: PDFLib.PDFArray|null }>}
+ */
+function namedDestinations(pdfDoc) {
+    const { catalog, context } = pdfDoc;
+    const named = new Map();
+    const add = (key, title, value) => {
+        const dest = value instanceof PDFDict ? value.lookup(PDFName.of('D')) : value;
+        if (!named.has(key)) named.set(key, { title, dest: dest instanceof PDFArray && dest.size() > 0 ? dest : null });
+    };
+    const dests = catalog.lookup(PDFName.of('Dests'));
+    if (dests instanceof PDFDict) {
+        for (const [key, value] of dests.entries()) add(key.decodeText(), PDFString.of(key.decodeText()), context.lookup(value));
+    }
+    const names = catalog.lookup(PDFName.of('Names'));
+    const tree = names instanceof PDFDict ? names.lookup(PDFName.of('Dests')) : null;
+    const walk = (node, seen) => {
+        if (!(node instanceof PDFDict) || seen.has(node)) return;
+        seen.add(node);
+        const leaf = node.lookup(PDFName.of('Names'));
+        for (let i = 0; leaf instanceof PDFArray && i + 1 < leaf.size(); i += 2) {
+            const key = leaf.lookup(i);
+            if (key instanceof PDFString || key instanceof PDFHexString) add(key.decodeText(), key, leaf.lookup(i + 1));
+        }
+        const kids = node.lookup(PDFName.of('Kids'));
+        if (kids instanceof PDFArray) kids.asArray().forEach((kid) => walk(context.lookup(kid), seen));
+    };
+    walk(tree, new Set());
+    return named;
+}
+
+/** The explicit destination array for a destination that may be a name or string of a named one */
+function explicitDestination(value, named) {
+    let dest = value;
+    if (dest instanceof PDFName || dest instanceof PDFString || dest instanceof PDFHexString) dest = named.get(dest.decodeText())?.dest;
+    if (dest instanceof PDFDict) dest = dest.lookup(PDFName.of('D'));
+    return dest instanceof PDFArray && dest.size() > 0 ? dest : null;
+}
+
+/** The view part of a destination (/XYZ left top zoom, /Fit, ...), without its page */
+function destinationView(dest) {
+    return dest.asArray().slice(1).map((value) => dest.context.lookup(value));
+}
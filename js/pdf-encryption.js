@@ -0,0 +1,758 @@
+/**
+ * PDF Encryption - Password protection and permission restrictions for exported PDFs, and
+ * decryption of password-protected PDFs that are opened.
+ * Implements the PDF standard security handler in the browser: AES-256 (revisions 5 and 6),
+ * AES-128 and RC4 (revisions 2-4). Hashing and AES use Web Crypto; MD5 and RC4, which revisions 2-4
+ * need for their key derivation, are implemented here because Web Crypto does not offer them.
+ */
+
+const {
+    PDFDocument, PDFName, PDFDict, PDFArray, PDFNumber, PDFBool, PDFRef, PDFString, PDFHexString,
+    PDFStream, PDFRawStream, PDFInvalidObject, PDFObjectParser, PDFObjectStreamParser, PDFObjectStream,
+    PDFCrossRefStream, PDFHeader, PDFTrailer
+} = PDFLib;
+
+/** Standard padding string for revision 2-4 passwords */
+const PASSWORD_PAD = new Uint8Array([
+    0x28, 0xbf, 0x4e, 0x5e, 0x4e, 0x75, 0x8a, 0x41, 0x64, 0x00, 0x4e, 0x56, 0xff, 0xfa, 0x01, 0x08,
+    0x2e, 0x2e, 0x00, 0xb6, 0xd0, 0x68, 0x3e, 0x80, 0x2f, 0x0c, 0xa9, 0xfe, 0x64, 0x53, 0x69, 0x7a
+]);
+
+/** Objects packed into each object stream, as pdf-lib does */
+const OBJECTS_PER_STREAM = 50;
+
+/** Everything allowed; the defaults for new exports */
+export const DEFAULT_PERMISSIONS = Object.freeze({ print: true, copy: true, modify: true, fillForms: true, annotate: true });
+
+/** Thrown by decryptPdf when the password matches neither the user nor the owner password */
+export class IncorrectPasswordError extends Error {
+    constructor() {
+        super('Incorrect password.');
+        this.name = 'IncorrectPasswordError';
+    }
+}
+
+/**
+ * @typedef {Object} SecuritySettings
+ * Standard security handler values of an encrypted document, as returned by decryptPdf()
+ * @property {number} V
+ * @property {number} R
+ * @property {number} length - File key length in bytes
+ * @property {Uint8Array} O
+ * @property {Uint8Array} U
+ * @property {Uint8Array} [OE]
+ * @property {Uint8Array} [UE]
+ * @property {Uint8Array} [Perms]
+ * @property {number} P - Permission bits
+ * @property {boolean} encryptMetadata
+ * @property {'V2'|'AESV2'|'AESV3'|'None'} stmMethod - Stream cipher (V2 is RC4)
+ * @property {'V2'|'AESV2'|'AESV3'|'None'} strMethod - String cipher
+ * @property {Uint8Array} fileKey
+ * @property {Uint8Array} id - First element of the document /ID
+ */
+
+/**
+ * @typedef {Object} EncryptionOptions
+ * @property {string} [userPassword] - Opens the document; empty opens it without a password (restrictions still apply)
+ * @property {string} [ownerPassword] - Lifts the restrictions
+ * @property {'aes-256'|'aes-128'} [algorithm]
+ * @property {Partial<typeof DEFAULT_PERMISSIONS>} [permissions] - annotate also allows filling forms,
+ *   as the PDF permission bits cannot separate the two
+ * @property {SecuritySettings} [original] - Encrypt exactly like an opened document instead
+ *   (same passwords, permissions and algorithm); the other options are ignored
+ */
+
+/**
+ * Encrypt a PDF with the standard security handler.
+ * Without an owner password a random one is used, so the restrictions cannot be lifted later.
+ * @param {Uint8Array|ArrayBuffer} pdfBytes - Unencrypted PDF
+ * @param {EncryptionOptions} options
+ * @param {{ useObjectStreams?: boolean }} [save] - Write objects in compressed object streams (as pdf-lib's save())
+ * @returns {Promise<Uint8Array>} Encrypted PDF
+ */
+export async function encryptPdf(pdfBytes, options = {}, { useObjectStreams = true } = {}) {
+    const pdfDoc = await PDFDocument.load(pdfBytes, { updateMetadata: false });
+    const context = pdfDoc.context;
+
+    let security = options.original;
+    if (!security) {
+        const algorithm = options.algorithm === 'aes-128' ? 'aes-128' : 'aes-256';
+        const userPassword = options.userPassword || '';
+        const ownerPassword = options.ownerPassword || toHex(randomBytes(16));
+        const permissions = permissionFlags({ ...DEFAULT_PERMISSIONS, ...options.permissions });
+        const fileId = documentId(context);
+        security = algorithm === 'aes-128'
+            ? await standardHandlerR4(userPassword, ownerPassword, permissions, fileId)
+            : await standardHandlerR6(userPassword, ownerPassword, permissions, fileId);
+    }
+
+    // Packed first: an object stream is encrypted as a whole, the strings in it are not
+    const packed = useObjectStreams ? packObjectStreams(context) : null;
+    await transformObjects(context, security, false);
+
+    context.trailerInfo.Encrypt = context.register(context.obj(encryptDict(security)));
+    if (security.id.length > 0) {
+        context.trailerInfo.ID = context.obj([hexString(security.id), hexString(security.id)]);
+    }
+    // pdf-lib would build its object streams after the encryption, leaving them unencrypted
+    return packed ? saveWithObjectStreams(context, packed) : pdfDoc.save({ useObjectStreams: false, updateFieldAppearances: false });
+}
+
+/**
+ * Decrypt a PDF encrypted with the standard security handler.
+ * Either password works: the user password opens the document, the owner password also lifts
+ * its restrictions. Object numbers are kept, so the result matches what PDF.js shows for the original.
+ * @param {Uint8Array|ArrayBuffer} pdfBytes
+ * @param {string} [password]
+ * @returns {Promise<{ bytes: Uint8Array; encryption: SecuritySettings|null }>} The unencrypted PDF
+ *   and the settings needed to encrypt it the same way again (null if it was not encrypted)
+ */
+export async function decryptPdf(pdfBytes, password = '') {
+    const pdfDoc = await PDFDocument.load(pdfBytes, { ignoreEncryption: true, updateMetadata: false });
+    const context = pdfDoc.context;
+    const encryptRef = context.trailerInfo.Encrypt;
+    const dict = context.lookup(encryptRef);
+    if (!(dict instanceof PDFDict)) return { bytes: new Uint8Array(pdfBytes), encryption: null };
+
+    const security = readSecurity(dict, context);
+    security.fileKey = await authenticate(security, password);
+    if (!security.fileKey) throw new IncorrectPasswordError();
+
+    // Object streams could not be parsed while encrypted; decrypt and unpack them first.
+    // The objects inside are not encrypted on their own.
+    const unpacked = new Set();
+    for (const [ref, object] of context.enumerateIndirectObjects()) {
+        if (!(object instanceof PDFInvalidObject)) continue;
+        let stream;
+        try {
+            stream = PDFObjectParser.forBytes(object.data, context).parseObject();
+        } catch (_) {
+            continue;
+        }
+        if (!(stream instanceof PDFRawStream) || stream.dict.lookup(PDFName.of('Type')) !== PDFName.of('ObjStm')) continue;
+        const cipher = await objectCipher(security, security.stmMethod, ref, true);
+        const before = new Map(context.enumerateIndirectObjects());
+        await PDFObjectStreamParser.forStream(PDFRawStream.of(stream.dict, cipher ? await cipher(stream.contents) : stream.contents))
+            .parseIntoContext();
+        for (const [inner, value] of context.enumerateIndirectObjects()) {
+            if (before.get(inner) !== value) unpacked.add(inner);
+        }
+        context.delete(ref);
+    }
+
+    if (encryptRef instanceof PDFRef) {
+        unpacked.add(encryptRef);
+        context.delete(encryptRef);
+    }
+    await transformObjects(context, security, true, unpacked);
+    delete context.trailerInfo.Encrypt;
+
+    // The catalog may have been in an object stream, so pdf-lib could not read the pages on load
+    const bytes = await pdfDoc.save({ useObjectStreams: false, addDefaultPage: false, updateFieldAppearances: false });
+    return { bytes, encryption: security };
+}
+
+/* ---------- object streams ---------- */
+
+/**
+ * Move the objects that may be compressed (generation 0, not streams) into new object streams
+ * @returns {Map<PDFRef, [PDFRef, number]>} Object stream and index in it of each moved object
+ */
+function packObjectStreams(context) {
+    const compressible = context.enumerateIndirectObjects()
+        .filter(([ref, object]) => ref.generationNumber === 0 && !(object instanceof PDFStream) && !(object instanceof PDFInvalidObject));
+    const packed = new Map();
+    for (let i = 0; i < compressible.length; i += OBJECTS_PER_STREAM) {
+        const objects = compressible.slice(i, i + OBJECTS_PER_STREAM);
+        const stream = PDFObjectStream.withContextAndObjects(context, objects, true);
+        const streamRef = context.register(PDFRawStream.of(stream.dict, stream.getContents()));
+        objects.forEach(([ref], index) => {
+            packed.set(ref, [streamRef, index]);
+            context.delete(ref);
+        });
+    }
+    return packed;
+}
+
+/**
+ * Write the remaining objects and a cross-reference stream (never encrypted) listing them
+ * and the objects packed into object streams
+ * @param {Map<PDFRef, [PDFRef, number]>} packed
+ */
+function saveWithObjectStreams(context, packed) {
+    const parts = [];
+    let offset = 0;
+    const write = (data) => {
+        const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+        parts.push(bytes);
+        offset += bytes.length;
+    };
+    write(serialize(PDFHeader.forVersion(1, 7)));
+    write('\n\n');
+
+    const entries = [];
+    for (const [ref, object] of context.enumerateIndirectObjects()) {
+        entries.push({ ref, offset });
+        write(`${ref.objectNumber} ${ref.generationNumber} obj\n`);
+        write(serialize(object));
+        write('\nendobj\n\n');
+    }
+    for (const [ref, [streamRef, index]] of packed) entries.push({ ref, streamRef, index });
+
+    const xrefRef = context.nextRef();
+    entries.push({ ref: xrefRef, offset });
+    const { Root, Info, ID, Encrypt } = context.trailerInfo;
+    const xref = PDFCrossRefStream.create(context.obj({ Size: context.largestObjectNumber + 1, Root, Info, ID, Encrypt }), true);
+    entries.sort((a, b) => a.ref.objectNumber - b.ref.objectNumber);
+    for (const entry of entries) {
+        if (entry.streamRef) xref.addCompressedEntry(entry.ref, entry.streamRef, entry.index);
+        else xref.addUncompressedEntry(entry.ref, entry.offset);
+    }
+    const xrefOffset = offset;
+    write(`${xrefRef.objectNumber} 0 obj\n`);
+    write(serialize(xref));
+    write('\nendobj\n\n');
+    write(serialize(PDFTrailer.forLastCrossRefSectionOffset(xrefOffset)));
+
+    const out = new Uint8Array(offset);
+    let at = 0;
+    for (const part of parts) {
+        out.set(part, at);
+        at += part.length;
+    }
+    return out;
+}
+
+/** Bytes pdf-lib writes for an object (or header, trailer) */
+function serialize(object) {
+    const bytes = new Uint8Array(object.sizeInBytes());
+    object.copyBytesInto(bytes, 0);
+    return bytes;
+}
+
+/* ---------- security handlers ---------- */
+
+async function standardHandlerR6(userPassword, ownerPassword, permissions, fileId) {
+    const user = utf8Password(userPassword);
+    const owner = utf8Password(ownerPassword);
+    const fileKey = randomBytes(32);
+
+    const userValidationSalt = randomBytes(8);
+    const userKeySalt = randomBytes(8);
+    const U = concat(await hashR6(user, userValidationSalt), userValidationSalt, userKeySalt);
+    const UE = await aesNoPad(await hashR6(user, userKeySalt), new Uint8Array(16), fileKey);
+
+    const ownerValidationSalt = randomBytes(8);
+    const ownerKeySalt = randomBytes(8);
+    const O = concat(await hashR6(owner, ownerValidationSalt, U), ownerValidationSalt, ownerKeySalt);
+    const OE = await aesNoPad(await hashR6(owner, ownerKeySalt, U), new Uint8Array(16), fileKey);
+
+    // Permissions, a check value and "T" (metadata is encrypted), encrypted so they cannot be edited
+    const perms = new Uint8Array(16);
+    new DataView(perms.buffer).setInt32(0, permissions, true);
+    perms.set([0xff, 0xff, 0xff, 0xff], 4);
+    perms.set([0x54, 0x61, 0x64, 0x62], 8);
+    perms.set(randomBytes(4), 12);
+
+    return {
+        V: 5,
+        R: 6,
+        length: 32,
+        O,
+        U,
+        OE,
+        UE,
+        Perms: await aesNoPad(fileKey, new Uint8Array(16), perms),
+        P: permissions,
+        encryptMetadata: true,
+        stmMethod: 'AESV3',
+        strMethod: 'AESV3',
+        fileKey,
+        id: fileId
+    };
+}
+
+async function standardHandlerR4(userPassword, ownerPassword, permissions, fileId) {
+    const user = padPassword(latin1Password(userPassword));
+    const owner = padPassword(latin1Password(ownerPassword));
+    const security = {
+        V: 4,
+        R: 4,
+        length: 16,
+        P: permissions,
+        encryptMetadata: true,
+        stmMethod: 'AESV2',
+        strMethod: 'AESV2',
+        id: fileId
+    };
+
+    // Owner entry: the user password encrypted with a key from the owner password
+    security.O = rc4Rounds(ownerKey(owner, security), user);
+    security.fileKey = fileKeyR4(user, security);
+    security.U = userEntryR4(security.fileKey, security);
+    return security;
+}
+
+/** Read the /Encrypt dictionary of a document */
+function readSecurity(dict, context) {
+    const filter = dict.lookup(PDFName.of('Filter'));
+    if (filter !== PDFName.of('Standard')) {
+        const name = filter instanceof PDFName ? filter.decodeText() : 'unknown';
+        throw new Error(`This PDF uses a security handler that is not supported (${name}).`);
+    }
+    const number = (key, fallback) => {
+        const value = dict.lookup(PDFName.of(key));
+        return value instanceof PDFNumber ? value.asNumber() : fallback;
+    };
+    const bytes = (key) => {
+        const value = dict.lookup(PDFName.of(key));
+        return value instanceof PDFString || value instanceof PDFHexString ? value.asBytes() : undefined;
+    };
+    const V = number('V', 0);
+    const R = number('R', 0);
+    if (![1, 2, 4, 5].includes(V) || R < 2 || R > 6) {
+        throw new Error(`This PDF uses an encryption method that is not supported (V${V}, R${R}).`);
+    }
+
+    let stmMethod = 'V2';
+    let strMethod = 'V2';
+    let bits = V === 1 ? 40 : number('Length', 40);
+    if (V >= 4) {
+        const filters = dict.lookup(PDFName.of('CF'));
+        const method = (key) => {
+            const name = dict.lookup(PDFName.of(key));
+            if (!(name instanceof PDFName) || name === PDFName.of('Identity')) return { cfm: 'None' };
+            const cf = filters instanceof PDFDict ? filters.lookup(name) : null;
+            const cfm = cf instanceof PDFDict ? cf.lookup(PDFName.of('CFM')) : null;
+            const length = cf instanceof PDFDict ? cf.lookup(PDFName.of('Length')) : null;
+            return {
+                cfm: cfm instanceof PDFName ? cfm.decodeText() : 'None',
+                length: length instanceof PDFNumber ? length.asNumber() : undefined
+            };
+        };
+        const stm = method('StmF');
+        const str = method('StrF');
+        stmMethod = stm.cfm;
+        strMethod = str.cfm;
+        for (const m of [stmMethod, strMethod]) {
+            if (!['None', 'V2', 'AESV2', 'AESV3'].includes(m)) {
+                throw new Error(`This PDF uses an encryption method that is not supported (${m}).`);
+            }
+        }
+        // Crypt filter lengths are in bytes, though some writers use bits
+        const cfLength = stm.length ?? str.length;
+        bits = V === 5 ? 256 : cfLength ? (cfLength <= 32 ? cfLength * 8 : cfLength) : number('Length', 128);
+    }
+
+    const encryptMetadata = dict.lookup(PDFName.of('EncryptMetadata'));
+    const id = context.trailerInfo.ID;
+    const firstId = id instanceof PDFArray ? id.lookup(0) : null;
+    return {
+        V,
+        R,
+        length: Math.max(5, Math.min(32, Math.floor(bits / 8))),
+        O: bytes('O') || new Uint8Array(0),
+        U: bytes('U') || new Uint8Array(0),
+        OE: bytes('OE'),
+        UE: bytes('UE'),
+        Perms: bytes('Perms'),
+        P: number('P', -1) | 0,
+        encryptMetadata: !(encryptMetadata instanceof PDFBool) || encryptMetadata.asBoolean(),
+        stmMethod,
+        strMethod,
+        id: firstId instanceof PDFString || firstId instanceof PDFHexString ? firstId.asBytes() : new Uint8Array(0)
+    };
+}
+
+/** The /Encrypt dictionary for security settings */
+function encryptDict(security) {
+    const dict = {
+        Filter: 'Standard',
+        V: security.V,
+        R: security.R,
+        Length: security.length * 8,
+        O: hexString(security.O),
+        U: hexString(security.U),
+        P: security.P
+    };
+    if (security.V >= 4) {
+        const cryptFilters = {};
+        const filterName = (method, name) => {
+            if (method === 'None') return 'Identity';
+            cryptFilters[name] = { AuthEvent: 'DocOpen', CFM: method, Length: security.length };
+            return name;
+        };
+        dict.StmF = filterName(security.stmMethod, 'StdCF');
+        dict.StrF = security.strMethod === security.stmMethod ? dict.StmF : filterName(security.strMethod, 'StrCF');
+        dict.CF = cryptFilters;
+        if (!security.encryptMetadata) dict.EncryptMetadata = false;
+    }
+    if (security.R >= 5) {
+        dict.OE = hexString(security.OE);
+        dict.UE = hexString(security.UE);
+        if (security.Perms) dict.Perms = hexString(security.Perms);
+    }
+    return dict;
+}
+
+/**
+ * Check a password against the security settings
+ * @returns {Promise<Uint8Array|null>} The file key, or null if the password is wrong
+ */
+async function authenticate(security, password) {
+    if (security.R >= 5) {
+        const bytes = utf8Password(password);
+        const hash = (salt, userKey) => security.R === 5
+            ? sha('SHA-256', concat(bytes, salt, userKey || new Uint8Array(0)))
+            : hashR6(bytes, salt, userKey);
+        const { O, U } = security;
+        const U48 = U.subarray(0, 48);
+        let intermediate = null;
+        let encryptedKey = null;
+        if (equalBytes(await hash(O.subarray(32, 40), U48), O.subarray(0, 32))) {
+            intermediate = await hash(O.subarray(40, 48), U48);
+            encryptedKey = security.OE;
+        } else if (equalBytes(await hash(U.subarray(32, 40)), U.subarray(0, 32))) {
+            intermediate = await hash(U.subarray(40, 48));
+            encryptedKey = security.UE;
+        }
+        if (!intermediate || !encryptedKey) return null;
+        return aesDecryptBlocks(await importAesKey(intermediate.subarray(0, 32)), new Uint8Array(16), encryptedKey.subarray(0, 32));
+    }
+
+    // Older revisions take Latin-1 passwords; characters outside it cannot match anyway
+    const padded = padPassword(Uint8Array.from(password, (ch) => ch.charCodeAt(0) & 0xff));
+    const userKey = checkUserPassword(padded, security);
+    if (userKey) return userKey;
+
+    // The owner password decrypts /O back to the user password
+    const key = ownerKey(padded, security);
+    let user = security.O.subarray(0, 32);
+    if (security.R === 2) {
+        user = rc4(key, user);
+    } else {
+        for (let i = 19; i >= 0; i--) user = rc4(key.map((b) => b ^ i), user);
+    }
+    return checkUserPassword(user, security);
+}
+
+function checkUserPassword(padded, security) {
+    const fileKey = fileKeyR4(padded, security);
+    const expected = userEntryR4(fileKey, security);
+    const length = security.R === 2 ? 32 : 16;
+    return equalBytes(expected.subarray(0, length), security.U.subarray(0, length)) ? fileKey : null;
+}
+
+/** Key that encrypts the user password into /O, from the padded owner password (algorithm 3) */
+function ownerKey(owner, { R, length }) {
+    let hash = md5(owner);
+    if (R >= 3) {
+        for (let i = 0; i < 50; i++) hash = md5(hash);
+    }
+    return hash.subarray(0, length);
+}
+
+/** File key from the padded user password, /O, the permissions and the document id (algorithm 2) */
+function fileKeyR4(user, { R, length, O, P, encryptMetadata, id }) {
+    const p = new Uint8Array(4);
+    new DataView(p.buffer).setInt32(0, P, true);
+    const noMetadata = R >= 4 && !encryptMetadata ? new Uint8Array([0xff, 0xff, 0xff, 0xff]) : new Uint8Array(0);
+    let fileKey = md5(concat(user, O.subarray(0, 32), p, id, noMetadata)).subarray(0, length);
+    if (R >= 3) {
+        for (let i = 0; i < 50; i++) fileKey = md5(fileKey).subarray(0, length);
+    }
+    return fileKey;
+}
+
+/** The /U entry for a file key (algorithms 4 and 5) */
+function userEntryR4(fileKey, { R, id }) {
+    if (R === 2) return rc4(fileKey, PASSWORD_PAD);
+    return concat(rc4Rounds(fileKey, md5(concat(PASSWORD_PAD, id))), new Uint8Array(16));
+}
+
+/**
+ * Permission bits (/P) for revision 3 and later. Bits 7-8 and 13-32 must be set;
+ * accessibility extraction (bit 10) is always allowed.
+ */
+function permissionFlags(permissions) {
+    let p = 0xfffff000 | 0xc0 | (1 << 9);
+    if (permissions.print) p |= (1 << 2) | (1 << 11);
+    if (permissions.modify) p |= (1 << 3) | (1 << 10);
+    if (permissions.copy) p |= 1 << 4;
+    if (permissions.annotate) p |= 1 << 5;
+    if (permissions.fillForms || permissions.annotate) p |= 1 << 8;
+    return p | 0;
+}
+
+/**
+ * Revision 6 password hash (ISO 32000-2, algorithm 2.B)
+ */
+async function hashR6(password, salt, userKey = new Uint8Array(0)) {
+    let k = await sha('SHA-256', concat(password, salt, userKey));
+    let e = new Uint8Array(0);
+    for (let round = 0; round < 64 || e[e.length - 1] > round - 32; round++) {
+        const block = concat(password, k, userKey);
+        const k1 = new Uint8Array(block.length * 64);
+        for (let i = 0; i < 64; i++) k1.set(block, i * block.length);
+        e = await aesNoPad(k.subarray(0, 16), k.subarray(16, 32), k1);
+        // The first 16 bytes as a big-endian number mod 3 (256 mod 3 is 1, so the byte sum will do)
+        const mod = e.subarray(0, 16).reduce((sum, b) => sum + b, 0) % 3;
+        k = await sha(['SHA-256', 'SHA-384', 'SHA-512'][mod], e);
+    }
+    return k.subarray(0, 32);
+}
+
+/* ---------- object encryption ---------- */
+
+/**
+ * Encrypt or decrypt the strings and streams of every indirect object
+ * @param {Set<PDFLib.PDFRef>} [skip] - Objects that are not encrypted on their own
+ */
+async function transformObjects(context, security, decrypt, skip = new Set()) {
+    // Without /EncryptMetadata the document's XMP metadata stays readable
+    const catalog = context.lookup(context.trailerInfo.Root);
+    const metadata = !security.encryptMetadata && catalog instanceof PDFDict ? catalog.get(PDFName.of('Metadata')) : null;
+
+    for (const [ref, object] of context.enumerateIndirectObjects()) {
+        if (skip.has(ref)) continue;
+        const strings = await objectCipher(security, security.strMethod, ref, decrypt);
+        if (object instanceof PDFRawStream) {
+            if (object.dict.lookup(PDFName.of('Type')) === PDFName.of('XRef')) continue;
+            if (strings) await transformStrings(object.dict, strings);
+            const streams = ref === metadata ? null : await objectCipher(security, security.stmMethod, ref, decrypt);
+            if (streams) context.assign(ref, PDFRawStream.of(object.dict, await streams(object.contents)));
+        } else if (strings) {
+            const replaced = await transformStrings(object, strings);
+            if (replaced !== object) context.assign(ref, replaced);
+        }
+    }
+}
+
+/**
+ * Cipher for one object: AES-256 uses the file key directly, the older methods a key derived
+ * from the file key and the object number.
+ * @returns {Promise<((data: Uint8Array) => Promise<Uint8Array>)|null>} null when the method is Identity
+ */
+async function objectCipher(security, method, { objectNumber, generationNumber }, decrypt) {
+    if (method === 'None') return null;
+    let keyBytes = security.fileKey;
+    if (method !== 'AESV3') {
+        keyBytes = md5(concat(
+            security.fileKey,
+            new Uint8Array([objectNumber & 0xff, (objectNumber >> 8) & 0xff, (objectNumber >> 16) & 0xff, generationNumber & 0xff, (generationNumber >> 8) & 0xff]),
+            method === 'AESV2' ? new Uint8Array([0x73, 0x41, 0x6c, 0x54]) : new Uint8Array(0) // "sAlT"
+        )).subarray(0, Math.min(security.length + 5, 16));
+    }
+    if (method === 'V2') return async (data) => rc4(keyBytes, data);
+    const key = await importAesKey(keyBytes);
+    return decrypt ? (data) => aesDecrypt(key, data) : (data) => aesEncrypt(key, data);
+}
+
+/**
+ * Encrypt or decrypt every string inside a PDF object. Dictionaries and arrays are updated in place;
+ * a string is returned as its replacement.
+ */
+async function transformStrings(object, cipher) {
+    if (object instanceof PDFString || object instanceof PDFHexString) {
+        return hexString(await cipher(object.asBytes()));
+    }
+    if (object instanceof PDFDict) {
+        // Signature values are never encrypted so they can be verified
+        const isSignature = object.lookup(PDFName.of('Type')) === PDFName.of('Sig');
+        for (const [name, value] of object.entries()) {
+            if (isSignature && name === PDFName.of('Contents')) continue;
+            const replaced = await transformStrings(value, cipher);
+            if (replaced !== value) object.set(name, replaced);
+        }
+    } else if (object instanceof PDFArray) {
+        for (let i = 0; i < object.size(); i++) {
+            const value = object.get(i);
+            const replaced = await transformStrings(value, cipher);
+            if (replaced !== value) object.set(i, replaced);
+        }
+    }
+    return object;
+}
+
+/** AES-CBC with a random IV written in front of the data, PKCS#7 padded (as PDF expects) */
+async function aesEncrypt(key, data) {
+    const iv = randomBytes(16);
+    const encrypted = await crypto.subtle.encrypt({ name: 'AES-CBC', iv }, key, data);
+    return concat(iv, new Uint8Array(encrypted));
+}
+
+/** Reverse of aesEncrypt; damaged padding is tolerated, as other readers do */
+async function aesDecrypt(key, data) {
+    if (data.length < 32) return new Uint8Array(0);
+    const blocks = data.subarray(16, 16 + ((data.length - 16) & ~15));
+    const plain = await aesDecryptBlocks(key, data.subarray(0, 16), blocks);
+    const pad = plain[plain.length - 1];
+    return pad >= 1 && pad <= 16 ? plain.subarray(0, plain.length - pad) : plain;
+}
+
+/** AES-CBC of whole blocks without padding (Web Crypto always pads, so the padding block is dropped) */
+async function aesNoPad(keyBytes, iv, data) {
+    const key = await importAesKey(keyBytes);
+    const encrypted = await crypto.subtle.encrypt({ name: 'AES-CBC', iv }, key, data);
+    return new Uint8Array(encrypted, 0, data.length);
+}
+
+/**
+ * AES-CBC decryption of whole blocks without removing padding. Web Crypto insists on valid padding,
+ * so a block that decrypts to a full padding block is appended first.
+ */
+async function aesDecryptBlocks(key, iv, data) {
+    const last = data.length ? data.subarray(data.length - 16) : iv;
+    const padding = new Uint8Array(16).fill(16);
+    const padBlock = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-CBC', iv: last }, key, padding), 0, 16);
+    return new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-CBC', iv }, key, concat(data, padBlock)));
+}
+
+function importAesKey(bytes) {
+    return crypto.subtle.importKey('raw', bytes, 'AES-CBC', false, ['encrypt', 'decrypt']);
+}
+
+async function sha(algorithm, data) {
+    return new Uint8Array(await crypto.subtle.digest(algorithm, data));
+}
+
+/* ---------- passwords and ids ---------- */
+
+function utf8Password(password) {
+    return new TextEncoder().encode(password.normalize('NFKC')).subarray(0, 127);
+}
+
+function latin1Password(password) {
+    const bytes = [];
+    for (const ch of password) {
+        const code = ch.codePointAt(0);
+        if (code > 0xff) throw new Error('AES-128 passwords can only use Latin characters. Choose AES-256 for other characters.');
+        bytes.push(code);
+    }
+    return new Uint8Array(bytes);
+}
+
+function padPassword(bytes) {
+    const padded = new Uint8Array(32);
+    padded.set(bytes.subarray(0, 32));
+    if (bytes.length < 32) padded.set(PASSWORD_PAD.subarray(0, 32 - bytes.length), bytes.length);
+    return padded;
+}
+
+/** First element of the document's /ID (kept if present), which revision 4 keys depend on */
+function documentId(context) {
+    const id = context.trailerInfo.ID;
+    const first = id instanceof PDFArray ? id.lookup(0) : null;
+    if (first instanceof PDFString || first instanceof PDFHexString) {
+        const bytes = first.asBytes();
+        if (bytes.length > 0) return bytes;
+    }
+    return randomBytes(16);
+}
+
+/* ---------- helpers ---------- */
+
+function randomBytes(n) {
+    return crypto.getRandomValues(new Uint8Array(n));
+}
+
+function concat(...parts) {
+    const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+    let offset = 0;
+    for (const p of parts) {
+        out.set(p, offset);
+        offset += p.length;
+    }
+    return out;
+}
+
+function equalBytes(a, b) {
+    return a.length === b.length && a.every((v, i) => v === b[i]);
+}
+
+function toHex(bytes) {
+    return Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+function hexString(bytes) {
+    return PDFHexString.of(toHex(bytes));
+}
+
+/** RC4 once with the key, then 19 more times with the key XORed with the round number */
+function rc4Rounds(key, data) {
+    let out = rc4(key, data);
+    for (let i = 1; i <= 19; i++) out = rc4(key.map((b) => b ^ i), out);
+    return out;
+}
+
+function rc4(key, data) {
+    const s = new Uint8Array(256);
+    for (let i = 0; i < 256; i++) s[i] = i;
+    for (let i = 0, j = 0; i < 256; i++) {
+        j = (j + s[i] + key[i % key.length]) & 0xff;
+        [s[i], s[j]] = [s[j], s[i]];
+    }
+    const out = new Uint8Array(data.length);
+    for (let n = 0, i = 0, j = 0; n < data.length; n++) {
+        i = (i + 1) & 0xff;
+        j = (j + s[i]) & 0xff;
+        [s[i], s[j]] = [s[j], s[i]];
+        out[n] = data[n] ^ s[(s[i] + s[j]) & 0xff];
+    }
+    return out;
+}
+
+const MD5_SHIFTS = [7, 12, 17, 22, 5, 9, 14, 20, 4, 11, 16, 23, 6, 10, 15, 21];
+const MD5_K = Array.from({ length: 64 }, (_, i) => Math.floor(Math.abs(Math.sin(i + 1)) * 2 ** 32) | 0);
+
+function md5(data) {
+    const length = data.length;
+    const padded = new Uint8Array(((length + 8) >> 6 << 6) + 64);
+    padded.set(data);
+    padded[length] = 0x80;
+    const view = new DataView(padded.buffer);
+    view.setUint32(padded.length - 8, length * 8, true);
+    view.setUint32(padded.length - 4, Math.floor(length / 0x20000000), true);
+
+    let a0 = 0x67452301;
+    let b0 = 0xefcdab89 | 0;
+    let c0 = 0x98badcfe | 0;
+    let d0 = 0x10325476;
+    for (let offset = 0; offset < padded.length; offset += 64) {
+        let a = a0;
+        let b = b0;
+        let c = c0;
+        let d = d0;
+        for (let i = 0; i < 64; i++) {
+            let f;
+            let g;
+            if (i < 16) {
+                f = (b & c) | (~b & d);
+                g = i;
+            } else if (i < 32) {
+                f = (d & b) | (~d & c);
+                g = (5 * i + 1) & 15;
+            } else if (i < 48) {
+                f = b ^ c ^ d;
+                g = (3 * i + 5) & 15;
+            } else {
+                f = c ^ (b | ~d);
+                g = (7 * i) & 15;
+            }
+            const shift = MD5_SHIFTS[(i >> 4) * 4 + (i & 3)];
+            const sum = (a + f + MD5_K[i] + view.getUint32(offset + g * 4, true)) | 0;
+            a = d;
+            d = c;
+            c = b;
+            b = (b + ((sum << shift) | (sum >>> (32 - shift)))) | 0;
+        }
+        a0 = (a0 + a) | 0;
+        b0 = (b0 + b) | 0;
+        c0 = (c0 + c) | 0;
+        d0 = (d0 + d) | 0;
+    }
+    const out = new Uint8Array(16);
+    const outView = new DataView(out.buffer);
+    [a0, b0, c0, d0].forEach((word, i) => outView.setInt32(i * 4, word, true));
+    return out;
+}
@@ -2,13 +2,15 @@
  * PDF Handler - Manages PDF loading and rendering using PDF.js
  */
 
+import { decryptPdf } from './pdf-encryption.js';
+
 // Configure PDF.js worker
 pdfjsLib.GlobalWorkerOptions.workerSrc = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js';
 
 export class PDFHandler {
     constructor() {
         // Multiple PDFs can be loaded (for append/merge)
-        // docId -> { pdfDoc: PDFDocumentProxy, bytes: ArrayBuffer, name: string }
+        // docId -> { pdfDoc: PDFDocumentProxy, bytes: ArrayBuffer, name: string, encryption: Object|null, importedAnnotationIds?: Set<string> }
         this.docs = new Map();
         this.mainDocId = null;
 
@@ -22,47 +24,92 @@ export class PDFHandler {
     /**
      * Load a PDF from an ArrayBuffer
      * @param {ArrayBuffer} arrayBuffer - The PDF file data
+     * @param {{ onPassword?: PasswordCallback }} [options]
      * @returns {Promise<void>}
      */
-    async loadPDF(arrayBuffer) {
+    async loadPDF(arrayBuffer, { onPassword } = {}) {
+        const opened = await this._open(arrayBuffer, 'document.pdf', onPassword);
+
         // Reset and load as main document
         this.docs.clear();
         this.pages = [];
 
         const docId = 'main';
-        // Keep a separate copy for export: PDF.js transfers the buffer to its worker, which detaches it.
-        // We must not give PDF.js the same buffer we store for later export.
-        const bytesForExport = arrayBuffer.slice(0);
-        const bytesForPdfJs = arrayBuffer.slice(0);
-        const loadingTask = pdfjsLib.getDocument({ data: bytesForPdfJs });
-        const pdfDoc = await loadingTask.promise;
-
-        this.docs.set(docId, { pdfDoc, bytes: bytesForExport, name: 'document.pdf' });
+        this.docs.set(docId, opened);
         this.mainDocId = docId;
 
         // totalPages is for the *main* document until view pages are set
-        this.totalPages = pdfDoc.numPages;
+        this.totalPages = opened.pdfDoc.numPages;
         this.currentPage = 1;
 
-        return pdfDoc;
+        return opened.pdfDoc;
     }
 
     /**
      * Add an additional PDF (for append/merge)
      * @param {ArrayBuffer} arrayBuffer
      * @param {string} name
+     * @param {{ onPassword?: PasswordCallback }} [options]
      * @returns {Promise<{ docId: string; pageCount: number }>}
      */
-    async addDocument(arrayBuffer, name = 'document.pdf') {
-        // Keep a separate copy for export: PDF.js may detach the buffer it receives.
-        const bytesForExport = arrayBuffer.slice(0);
-        const bytesForPdfJs = arrayBuffer.slice(0);
-        const loadingTask = pdfjsLib.getDocument({ data: bytesForPdfJs });
-        const pdfDoc = await loadingTask.promise;
-
+    async addDocument(arrayBuffer, name = 'document.pdf', { onPassword } = {}) {
+        const opened = await this._open(arrayBuffer, name, onPassword);
         const docId = `doc_${Math.random().toString(36).slice(2, 10)}`;
-        this.docs.set(docId, { pdfDoc, bytes: bytesForExport, name });
-        return { docId, pageCount: pdfDoc.numPages };
+        this.docs.set(docId, opened);
+        return { docId, pageCount: opened.pdfDoc.numPages };
+    }
+
+    /**
+     * @callback PasswordCallback
+     * @param {boolean} incorrect - Whether a password was already tried and was wrong
+     * @returns {Promise<string|null>} The password, or null to give up
+     */
+
+    /**
+     * Open a PDF with PDF.js, asking for a password if it is encrypted. Encrypted documents are
+     * kept decrypted for export (same object numbers as PDF.js sees) along with their security
+     * settings, so export can encrypt them the same way again.
+     * @returns {Promise<{ pdfDoc: PDFDocumentProxy; bytes: ArrayBuffer; name: string; encryption: Object|null }>}
+     */
+    async _open(arrayBuffer, name, onPassword) {
+        // Keep a separate copy for export: PDF.js transfers the buffer to its worker, which detaches it.
+        // We must not give PDF.js the same buffer we store for later export.
+        let bytes = arrayBuffer.slice(0);
+        const loadingTask = pdfjsLib.getDocument({ data: arrayBuffer.slice(0) });
+        let password = '';
+        let cancelled = false;
+        loadingTask.onPassword = async (updatePassword, reason) => {
+            const answer = onPassword ? await onPassword(reason === pdfjsLib.PasswordResponses.INCORRECT_PASSWORD) : null;
+            if (answer === null || answer === undefined) {
+                cancelled = true;
+                loadingTask.destroy();
+                return;
+            }
+            password = answer;
+            updatePassword(answer);
+        };
+
+        let pdfDoc;
+        try {
+            pdfDoc = await loadingTask.promise;
+        } catch (e) {
+            if (cancelled) throw new Error('A password is required to open this PDF.');
+            throw e;
+        }
+
+        let encryption = null;
+        const { info } = await pdfDoc.getMetadata();
+        if (info?.EncryptFilterName) {
+            try {
+                const decrypted = await decryptPdf(bytes, password);
+                bytes = decrypted.bytes.buffer.slice(decrypted.bytes.byteOffset, decrypted.bytes.byteOffset + decrypted.bytes.byteLength);
+                encryption = decrypted.encryption;
+            } catch (e) {
+                await pdfDoc.destroy();
+                throw e;
+            }
+        }
+        return { pdfDoc, bytes, name, encryption };
     }
 
     /**
@@ -100,9 +147,11 @@ export class PDFHandler {
 
         const context = canvas.getContext('2d');
 
+        // Storage mode lets PDF.js skip annotations that were imported as canvas objects
         const renderContext = {
             canvasContext: context,
-            viewport: viewport
+            viewport: viewport,
+            annotationMode: pdfjsLib.AnnotationMode.ENABLE_STORAGE
         };
 
         await page.render(renderContext).promise;
@@ -277,24 +326,34 @@ export class PDFHandler {
         this.scale = newScale;
 
         for (const page of this.pages) {
-            const dimensions = await this.renderPage(page.docId, page.sourcePageNum, page.pdfCanvas, newScale, 0);
-            page.dimensions = dimensions;
-
-            const w = dimensions.width;
-            const h = dimensions.height;
-            if (page.inner) {
-                page.inner.style.width = w + 'px';
-                page.inner.style.height = h + 'px';
-            }
-            const container = page.wrapper?.querySelector('.annotation-container');
-            if (container) {
-                container.style.width = w + 'px';
-                container.style.height = h + 'px';
-            }
+            await this.rescalePage(page, newScale, updateOverlay);
+        }
+    }
 
-            if (updateOverlay) {
-                updateOverlay(page.fabricCanvas, w, h, newScale);
-            }
+    /**
+     * Re-render one page info object at a new scale (also used for pages restored by undo)
+     * @param {object} page - Entry shaped like this.pages[]
+     * @param {number} newScale
+     * @param {Function} updateOverlay - Function to update overlay size
+     */
+    async rescalePage(page, newScale, updateOverlay) {
+        const dimensions = await this.renderPage(page.docId, page.sourcePageNum, page.pdfCanvas, newScale, 0);
+        page.dimensions = dimensions;
+
+        const w = dimensions.width;
+        const h = dimensions.height;
+        if (page.inner) {
+            page.inner.style.width = w + 'px';
+            page.inner.style.height = h + 'px';
+        }
+        const container = page.wrapper?.querySelector('.annotation-container');
+        if (container) {
+            container.style.width = w + 'px';
+            container.style.height = h + 'px';
+        }
+
+        if (updateOverlay) {
+            updateOverlay(page.fabricCanvas, w, h, newScale);
         }
     }
 
@@ -308,6 +367,43 @@ export class PDFHandler {
         return doc?.bytes || null;
     }
 
+    /**
+     * Security settings of an encrypted document, as needed to encrypt an export the same way
+     * @param {string} [docId] - Document id (default main)
+     * @returns {Object|null} null if the document was not encrypted
+     */
+    getEncryption(docId = this.mainDocId) {
+        const doc = docId ? this.docs.get(docId) : null;
+        return doc?.encryption || null;
+    }
+
+    /**
+     * Mark annotations of a document as imported into the canvas: PDF.js stops drawing them
+     * and export removes them from the page. Call before the document's pages are rendered.
+     * @param {string} docId
+     * @param {string[]} ids - PDF.js annotation ids (object references such as "12R")
+     */
+    setImportedAnnotations(docId, ids) {
+        const doc = this.docs.get(docId);
+        if (!doc) return;
+        doc.importedAnnotationIds = new Set(ids);
+        for (const id of ids) {
+            doc.pdfDoc.annotationStorage.setValue(id, { noView: true });
+        }
+    }
+
+    /**
+     * Imported annotation ids per document (see setImportedAnnotations)
+     * @returns {Map<string, Set<string>>}
+     */
+    getImportedAnnotationIds() {
+        const out = new Map();
+        for (const [docId, doc] of this.docs.entries()) {
+            if (doc.importedAnnotationIds?.size) out.set(docId, doc.importedAnnotationIds);
+        }
+        return out;
+    }
+
     /**
      * Get a map of all loaded document bytes
      * @returns {Map<string, ArrayBuffer>}
@@ -320,6 +416,67 @@ export class PDFHandler {
         return out;
     }
 
+    /**
+     * File names of all loaded documents
+     * @returns {Map<string, string>} docId -> name
+     */
+    getDocumentNames() {
+        const out = new Map();
+        for (const [docId, doc] of this.docs.entries()) {
+            out.set(docId, doc.name);
+        }
+        return out;
+    }
+
+    /**
+     * @typedef {Object} OutlineEntry
+     * @property {string} title
+     * @property {number|null} pageNum - Page (1-indexed) it opens, or null
+     * @property {Array<number|null|{ name: string }>|null} view - Rest of the destination (/XYZ left top zoom, /Fit, ...)
+     * @property {string|null} url - Web link it opens
+     * @property {string|null} action - Named action it runs
+     * @property {boolean} open - Whether its children are shown
+     * @property {number[]|null} color - RGB, 0-255
+     * @property {boolean} bold
+     * @property {boolean} italic
+     * @property {OutlineEntry[]} children
+     */
+
+    /**
+     * Read a document's bookmarks (outline), with named destinations resolved to pages
+     * @param {string} [docId] - Document id (default main)
+     * @returns {Promise<OutlineEntry[]>} Empty if the document has no outline
+     */
+    async getOutline(docId = this.mainDocId) {
+        const pdfDoc = docId ? this.docs.get(docId)?.pdfDoc : null;
+        if (!pdfDoc) return [];
+        const resolve = (items) => Promise.all((items || []).map(async (item) => {
+            let dest = item.dest;
+            if (typeof dest === 'string') dest = await pdfDoc.getDestination(dest).catch(() => null);
+            let pageNum = null;
+            if (Array.isArray(dest) && dest.length > 0) {
+                const target = dest[0];
+                // A page index instead of a page is only valid for another file (remote GoTo), so it is ignored
+                if (target && typeof target === 'object') {
+                    pageNum = await pdfDoc.getPageIndex(target).then((i) => i + 1, () => null);
+                }
+            }
+            return {
+                title: item.title || '',
+                pageNum,
+                view: pageNum && dest.length > 1 ? dest.slice(1).map((v) => (v && typeof v === 'object' ? { name: v.name } : v)) : null,
+                url: item.url || null,
+                action: item.action || null,
+                open: (item.count || 0) > 0,
+                color: item.color ? Array.from(item.color) : null,
+                bold: !!item.bold,
+                italic: !!item.italic,
+                children: await resolve(item.items)
+            };
+        }));
+        return resolve(await pdfDoc.getOutline());
+    }
+
     /**
      * Check if a PDF is loaded
      * @returns {boolean}
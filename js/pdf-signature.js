@@ -0,0 +1,354 @@
+/**
+ * PDF Signature - Cryptographic signatures (PAdES baseline B, ETSI.CAdES.detached) with a
+ * certificate from a PKCS#12 (.p12/.pfx) file.
+ * The exporter reserves a signature field whose appearance is the visible signature; once the PDF
+ * is written, signPdf() fills in the signed byte range and a detached CMS signature.
+ * forge parses the PKCS#12 file and encodes ASN.1; Web Crypto hashes and signs (RSA and ECDSA keys).
+ */
+
+import { IncorrectPasswordError } from './pdf-encryption.js';
+
+const { PDFName, PDFNumber, PDFString, PDFHexString } = PDFLib;
+
+const OID = {
+    data: '1.2.840.113549.1.7.1',
+    signedData: '1.2.840.113549.1.7.2',
+    contentType: '1.2.840.113549.1.9.3',
+    messageDigest: '1.2.840.113549.1.9.4',
+    signingCertificateV2: '1.2.840.113549.1.9.16.2.47',
+    sha256: '2.16.840.1.101.3.4.2.1',
+    rsaEncryption: '1.2.840.113549.1.1.1',
+    ecPublicKey: '1.2.840.10045.2.1',
+    ecdsaWithSha256: '1.2.840.10045.4.3.2'
+};
+
+const CURVES = {
+    '1.2.840.10045.3.1.7': 'P-256',
+    '1.3.132.0.34': 'P-384',
+    '1.3.132.0.35': 'P-521'
+};
+
+/** Placeholder for the byte range numbers, which are only known once the file is written */
+const BYTE_RANGE_PLACEHOLDER = '**********';
+
+/**
+ * @typedef {Object} SigningCertificate
+ * @property {string} subject - Common name (or the full subject) of the signer's certificate
+ * @property {string} issuer
+ * @property {string} email
+ * @property {Date} notBefore
+ * @property {Date} notAfter
+ * @property {Array<Uint8Array>} chain - DER certificates, the signer's first
+ * @property {Uint8Array} privateKey - PKCS#8 DER
+ */
+
+/**
+ * Read the signing certificate and private key from a PKCS#12 file
+ * @param {Uint8Array|ArrayBuffer} p12Bytes
+ * @param {string} password
+ * @returns {SigningCertificate}
+ * @throws {IncorrectPasswordError} when the password is wrong
+ */
+export function readCertificate(p12Bytes, password) {
+    const { asn1, pki, pkcs12 } = forge;
+    let p12;
+    try {
+        const der = forge.util.binary.raw.encode(new Uint8Array(p12Bytes));
+        p12 = pkcs12.pkcs12FromAsn1(asn1.fromDer(der), false, password);
+    } catch (e) {
+        if (/password|MAC/i.test(e.message || '')) throw new IncorrectPasswordError();
+        throw new Error('Not a PKCS#12 (.p12 or .pfx) certificate file.');
+    }
+
+    const keyBags = [
+        ...(p12.getBags({ bagType: pki.oids.pkcs8ShroudedKeyBag })[pki.oids.pkcs8ShroudedKeyBag] || []),
+        ...(p12.getBags({ bagType: pki.oids.keyBag })[pki.oids.keyBag] || [])
+    ];
+    // forge only reads RSA certificates; the others (ECDSA) are left as ASN.1, so read the fields from that
+    const certs = (p12.getBags({ bagType: pki.oids.certBag })[pki.oids.certBag] || []).map((bag) => ({
+        ...certificateFields(bag.cert ? pki.certificateToAsn1(bag.cert) : bag.asn1),
+        keyId: bag.attributes?.localKeyId?.[0]
+    }));
+    const keyBag = keyBags[0];
+    if (!keyBag || certs.length === 0) throw new Error('The file must contain a certificate and its private key.');
+
+    // The signer's certificate shares the key's localKeyId; otherwise it is the one that issued nothing else
+    const keyId = keyBag.attributes?.localKeyId?.[0];
+    const signer = certs.find((c) => keyId && c.keyId === keyId)
+        || certs.find((c) => !certs.some((o) => o !== c && o.issuer.der === c.subject.der))
+        || certs[0];
+
+    const keyInfo = keyBag.key ? pki.wrapRsaPrivateKey(pki.privateKeyToAsn1(keyBag.key)) : keyBag.asn1;
+    return {
+        subject: signer.subject.CN || signer.subject.text,
+        issuer: signer.issuer.CN || signer.issuer.text,
+        email: signer.subject.E || '',
+        notBefore: signer.notBefore,
+        notAfter: signer.notAfter,
+        chain: [signer, ...certs.filter((c) => c !== signer)].map((c) => c.der),
+        privateKey: derBytes(keyInfo)
+    };
+}
+
+/** Names, validity and DER of an X.509 certificate in ASN.1 */
+function certificateFields(cert) {
+    const { asn1, pki } = forge;
+    const tbs = cert.value[0].value;
+    const offset = tbs[0].tagClass === asn1.Class.CONTEXT_SPECIFIC ? 1 : 0;
+    const [issuer, validity, subject] = tbs.slice(offset + 2, offset + 5);
+    const name = (rdn) => {
+        const attributes = pki.RDNAttributesAsArray(rdn);
+        const fields = Object.fromEntries(attributes.filter((a) => a.shortName).map((a) => [a.shortName, a.value]));
+        return { ...fields, text: attributes.map((a) => a.value).join(', '), der: asn1.toDer(rdn).getBytes() };
+    };
+    const time = (node) => (node.type === asn1.Type.UTCTIME ? asn1.utcTimeToDate(node.value) : asn1.generalizedTimeToDate(node.value));
+    return {
+        der: derBytes(cert),
+        issuer: name(issuer),
+        subject: name(subject),
+        notBefore: time(validity.value[0]),
+        notAfter: time(validity.value[1])
+    };
+}
+
+/**
+ * Add an unsigned signature field to a page: its widget shows the appearance stream, its value is a
+ * signature dictionary with room for the CMS signature. Call signPdf() on the saved bytes to sign it.
+ * Save without object streams so the signature dictionary stays a plain object.
+ * @param {PDFLib.PDFDocument} pdfDoc
+ * @param {PDFLib.PDFPage} page
+ * @param {{ rect: { x: number; y: number; width: number; height: number }; appearance: PDFLib.PDFRef; certificate: SigningCertificate; fieldName?: string; signerName?: string; contactInfo?: string; reason?: string }} options
+ */
+export function addSignatureField(pdfDoc, page, { rect, appearance, certificate, fieldName, signerName, contactInfo, reason }) {
+    const context = pdfDoc.context;
+    const chainLength = certificate.chain.reduce((n, der) => n + der.length, 0);
+    const signature = context.obj({
+        Type: 'Sig',
+        Filter: 'Adobe.PPKLite',
+        SubFilter: 'ETSI.CAdES.detached',
+        ByteRange: [0, BYTE_RANGE_PLACEHOLDER, BYTE_RANGE_PLACEHOLDER, BYTE_RANGE_PLACEHOLDER],
+        Contents: PDFHexString.of('0'.repeat(signatureSize(chainLength) * 2)),
+        M: PDFString.fromDate(new Date()),
+        Name: PDFHexString.fromText(signerName || certificate.subject),
+        ContactInfo: contactInfo ? PDFHexString.fromText(contactInfo) : undefined,
+        Reason: reason ? PDFHexString.fromText(reason) : undefined
+    });
+
+    const form = pdfDoc.getForm();
+    const taken = new Set(form.getFields().map((f) => f.getName()));
+    const base = (fieldName || 'Signature').replace(/\./g, '_');
+    let name = base;
+    for (let i = 2; taken.has(name); i++) name = `${base} ${i}`;
+
+    const widget = context.register(context.obj({
+        Type: 'Annot',
+        Subtype: 'Widget',
+        FT: 'Sig',
+        T: PDFHexString.fromText(name),
+        V: context.register(signature),
+        F: 4, // Print
+        Rect: [rect.x, rect.y, rect.x + rect.width, rect.y + rect.height],
+        P: page.ref,
+        AP: { N: appearance }
+    }));
+    page.node.addAnnot(widget);
+    const acroForm = pdfDoc.catalog.getOrCreateAcroForm();
+    acroForm.addField(widget);
+    // Signatures exist; the document should be saved incrementally (append only)
+    acroForm.dict.set(PDFName.of('SigFlags'), PDFNumber.of(3));
+}
+
+/**
+ * Sign the signature field added by addSignatureField in a written PDF
+ * @param {Uint8Array} pdfBytes
+ * @param {SigningCertificate} certificate
+ * @returns {Promise<Uint8Array>} The signed PDF (same length)
+ */
+export async function signPdf(pdfBytes, certificate) {
+    const bytes = new Uint8Array(pdfBytes);
+    const text = latin1(bytes);
+    const byteRange = new RegExp(`/ByteRange\\s*\\[\\s*0\\s+/\\*{10}\\s+/\\*{10}\\s+/\\*{10}\\s*\\]`).exec(text);
+    if (!byteRange) throw new Error('No signature field to sign.');
+    const contents = /\/Contents\s*<(0+)>/g;
+    contents.lastIndex = text.lastIndexOf('obj', byteRange.index);
+    const placeholder = contents.exec(text);
+    if (!placeholder || placeholder.index > text.indexOf('endobj', byteRange.index)) {
+        throw new Error('No room for the signature in the signature field.');
+    }
+
+    // Everything except the <...> of /Contents is signed
+    const start = placeholder.index + placeholder[0].indexOf('<');
+    const end = start + placeholder[1].length + 2;
+    const range = `[0 ${start} ${end} ${bytes.length - end}]`;
+    const rangeText = `/ByteRange ${range}`.padEnd(byteRange[0].length, ' ');
+    if (rangeText.length > byteRange[0].length) throw new Error('Signature byte range does not fit.');
+    bytes.set(encodeLatin1(rangeText), byteRange.index);
+
+    const digest = await sha256(concat(bytes.subarray(0, start), bytes.subarray(end)));
+    const cms = await signedData(digest, certificate);
+    const hex = toHex(cms);
+    if (hex.length > placeholder[1].length) throw new Error('The signature is larger than the space reserved for it.');
+    bytes.set(encodeLatin1(hex), start + 1);
+    return bytes;
+}
+
+/* ---------- CMS ---------- */
+
+/** Bytes to reserve for the CMS signature: the certificates plus the signature and its attributes */
+function signatureSize(chainLength) {
+    return chainLength + 4096;
+}
+
+/**
+ * Detached CMS SignedData over a document digest, with the signed attributes PAdES requires
+ * (content type, message digest, signing certificate v2)
+ */
+async function signedData(digest, certificate) {
+    const { asn1 } = forge;
+    const signerCert = asn1.fromDer(forge.util.binary.raw.encode(certificate.chain[0]));
+    const tbs = signerCert.value[0].value;
+    const versioned = tbs[0].tagClass === asn1.Class.CONTEXT_SPECIFIC ? 1 : 0;
+    const serial = tbs[versioned];
+    const issuer = tbs[versioned + 2];
+
+    // SigningCertificateV2 { certs: [ESSCertIDv2 { certHash }] }, the hash algorithm being the default SHA-256
+    const certHash = await sha256(certificate.chain[0]);
+    const attributes = [
+        seq(oid(OID.contentType), set(oid(OID.data))),
+        seq(oid(OID.messageDigest), set(octets(digest))),
+        seq(oid(OID.signingCertificateV2), set(seq(seq(seq(octets(certHash))))))
+    ];
+    // DER sorts SET OF by encoding
+    attributes.sort((a, b) => compareBytes(derBytes(a), derBytes(b)));
+
+    const { algorithm, sign } = await signingKey(certificate.privateKey);
+    const signature = await sign(derBytes(set(...attributes)));
+
+    const signerInfo = seq(
+        integer(1),
+        seq(issuer, serial),
+        seq(oid(OID.sha256), nullValue()),
+        asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, true, attributes),
+        algorithm,
+        octets(signature)
+    );
+    const certificates = certificate.chain.map((der) => asn1.fromDer(forge.util.binary.raw.encode(der)));
+    return derBytes(seq(
+        oid(OID.signedData),
+        asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, true, [seq(
+            integer(1),
+            set(seq(oid(OID.sha256), nullValue())),
+            seq(oid(OID.data)),
+            asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, true, certificates),
+            set(signerInfo)
+        )])
+    ));
+}
+
+/** Import a PKCS#8 key for Web Crypto signing, with the matching CMS signature algorithm */
+async function signingKey(pkcs8) {
+    const { asn1 } = forge;
+    const info = asn1.fromDer(forge.util.binary.raw.encode(pkcs8));
+    const [keyOid, params] = info.value[1].value;
+    const keyType = asn1.derToOid(keyOid.value);
+
+    if (keyType === OID.rsaEncryption) {
+        const algorithm = { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' };
+        const key = await crypto.subtle.importKey('pkcs8', pkcs8, algorithm, false, ['sign']);
+        return {
+            algorithm: seq(oid(OID.rsaEncryption), nullValue()),
+            sign: async (data) => new Uint8Array(await crypto.subtle.sign(algorithm, key, data))
+        };
+    }
+    const namedCurve = keyType === OID.ecPublicKey && params?.type === asn1.Type.OID ? CURVES[asn1.derToOid(params.value)] : null;
+    if (!namedCurve) throw new Error('Only RSA and ECDSA (P-256, P-384, P-521) certificates can sign.');
+    const algorithm = { name: 'ECDSA', namedCurve, hash: 'SHA-256' };
+    const key = await crypto.subtle.importKey('pkcs8', pkcs8, algorithm, false, ['sign']);
+    return {
+        algorithm: seq(oid(OID.ecdsaWithSha256)),
+        // Web Crypto returns r and s side by side; CMS wants them as a DER sequence of integers
+        sign: async (data) => {
+            const raw = new Uint8Array(await crypto.subtle.sign(algorithm, key, data));
+            const half = raw.length / 2;
+            return derBytes(seq(unsignedInteger(raw.subarray(0, half)), unsignedInteger(raw.subarray(half))));
+        }
+    };
+}
+
+/* ---------- ASN.1 helpers ---------- */
+
+function seq(...values) {
+    return forge.asn1.create(forge.asn1.Class.UNIVERSAL, forge.asn1.Type.SEQUENCE, true, values);
+}
+
+function set(...values) {
+    return forge.asn1.create(forge.asn1.Class.UNIVERSAL, forge.asn1.Type.SET, true, values);
+}
+
+function oid(value) {
+    return forge.asn1.create(forge.asn1.Class.UNIVERSAL, forge.asn1.Type.OID, false, forge.asn1.oidToDer(value).getBytes());
+}
+
+function octets(bytes) {
+    return forge.asn1.create(forge.asn1.Class.UNIVERSAL, forge.asn1.Type.OCTETSTRING, false, forge.util.binary.raw.encode(bytes));
+}
+
+function integer(n) {
+    return forge.asn1.create(forge.asn1.Class.UNIVERSAL, forge.asn1.Type.INTEGER, false, forge.asn1.integerToDer(n).getBytes());
+}
+
+/** INTEGER from big-endian unsigned bytes */
+function unsignedInteger(bytes) {
+    let i = 0;
+    while (i < bytes.length - 1 && bytes[i] === 0) i++;
+    const trimmed = bytes.subarray(i);
+    const value = trimmed[0] & 0x80 ? concat(new Uint8Array([0]), trimmed) : trimmed;
+    return forge.asn1.create(forge.asn1.Class.UNIVERSAL, forge.asn1.Type.INTEGER, false, forge.util.binary.raw.encode(value));
+}
+
+function nullValue() {
+    return forge.asn1.create(forge.asn1.Class.UNIVERSAL, forge.asn1.Type.NULL, false, '');
+}
+
+function derBytes(node) {
+    return forge.util.binary.raw.decode(forge.asn1.toDer(node).getBytes());
+}
+
+/* ---------- helpers ---------- */
+
+async function sha256(data) {
+    return new Uint8Array(await crypto.subtle.digest('SHA-256', data));
+}
+
+function concat(...parts) {
+    const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+    let offset = 0;
+    for (const p of parts) {
+        out.set(p, offset);
+        offset += p.length;
+    }
+    return out;
+}
+
+function compareBytes(a, b) {
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+        if (a[i] !== b[i]) return a[i] - b[i];
+    }
+    return a.length - b.length;
+}
+
+function latin1(bytes) {
+    let out = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        out += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return out;
+}
+
+function encodeLatin1(text) {
+    return Uint8Array.from(text, (ch) => ch.charCodeAt(0));
+}
+
+function toHex(bytes) {
+    return Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+}
@@ -0,0 +1,505 @@
+/**
+ * PDF utilities - Low-level helpers shared by the modules that rewrite PDF objects
+ * (redaction, optimization, PDF/A, sanitizing, incremental saves): binary strings,
+ * matrices, stream decoding, content stream parsing, image samples, walking every
+ * dictionary or embedded file, and reachability.
+ *
+ * Decoding helpers throw when content cannot be read; callers decide what that means for them.
+ */
+
+const {
+    PDFName,
+    PDFDict,
+    PDFArray,
+    PDFNumber,
+    PDFRef,
+    PDFStream,
+    PDFRawStream,
+    decodePDFRawStream
+} = PDFLib;
+
+/** Filters pdf-lib can decode */
+export const DECODABLE_FILTERS = new Set(['FlateDecode', 'LZWDecode', 'ASCII85Decode', 'ASCIIHexDecode', 'RunLengthDecode']);
+
+/* ---------- small helpers ---------- */
+
+export function bytesToBinary(bytes) {
+    let s = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        s += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return s;
+}
+
+export function binaryToBytes(str) {
+    const out = new Uint8Array(str.length);
+    for (let i = 0; i < str.length; i++) out[i] = str.charCodeAt(i) & 0xff;
+    return out;
+}
+
+export function multiply(m1, m2) {
+    return [
+        m1[0] * m2[0] + m1[1] * m2[2],
+        m1[0] * m2[1] + m1[1] * m2[3],
+        m1[2] * m2[0] + m1[3] * m2[2],
+        m1[2] * m2[1] + m1[3] * m2[3],
+        m1[4] * m2[0] + m1[5] * m2[2] + m2[4],
+        m1[4] * m2[1] + m1[5] * m2[3] + m2[5]
+    ];
+}
+
+export function transformBox(x0, y0, x1, y1, m) {
+    const pts = [[x0, y0], [x1, y0], [x0, y1], [x1, y1]];
+    const box = { x0: Infinity, y0: Infinity, x1: -Infinity, y1: -Infinity };
+    for (const [x, y] of pts) {
+        const tx = m[0] * x + m[2] * y + m[4];
+        const ty = m[1] * x + m[3] * y + m[5];
+        box.x0 = Math.min(box.x0, tx);
+        box.y0 = Math.min(box.y0, ty);
+        box.x1 = Math.max(box.x1, tx);
+        box.y1 = Math.max(box.y1, ty);
+    }
+    return box;
+}
+
+export function numberOf(obj, fallback = 0) {
+    return obj instanceof PDFNumber ? obj.asNumber() : fallback;
+}
+
+export function numbersOf(arr) {
+    if (!(arr instanceof PDFArray)) return null;
+    return arr.asArray().map((v) => numberOf(arr.context.lookup(v)));
+}
+
+export function filterNames(dict) {
+    const filter = dict.lookup(PDFName.of('Filter'));
+    if (!filter) return [];
+    if (filter instanceof PDFName) return [filter.decodeText()];
+    if (filter instanceof PDFArray) {
+        return filter.asArray().map((f) => {
+            const v = dict.context.lookup(f);
+            return v instanceof PDFName ? v.decodeText() : '';
+        });
+    }
+    return [''];
+}
+
+/**
+ * Decode the bytes of any stream pdf-lib can give us (loaded or freshly created).
+ */
+export function decodeStreamBytes(stream) {
+    if (stream instanceof PDFRawStream) {
+        const unsupported = filterNames(stream.dict).find((f) => !DECODABLE_FILTERS.has(f));
+        if (unsupported !== undefined) {
+            throw new Error(`Content is encoded with ${unsupported || 'an unknown filter'}, which cannot be decoded`);
+        }
+        return decodePDFRawStream(stream).decode();
+    }
+    if (stream && typeof stream.getUnencodedContents === 'function') {
+        return stream.getUnencodedContents();
+    }
+    throw new Error('Content could not be read');
+}
+
+/* ---------- content stream lexer/parser ---------- */
+
+function isWhitespace(c) {
+    return c === 0x20 || c === 0x0a || c === 0x0d || c === 0x09 || c === 0x0c || c === 0x00;
+}
+
+function isDelimiter(c) {
+    return c === 0x28 || c === 0x29 || c === 0x3c || c === 0x3e || c === 0x5b || c === 0x5d ||
+        c === 0x7b || c === 0x7d || c === 0x2f || c === 0x25;
+}
+
+class ContentLexer {
+    constructor(src) {
+        this.src = src;
+        this.pos = 0;
+    }
+
+    skipWhitespace() {
+        const { src } = this;
+        while (this.pos < src.length) {
+            const c = src.charCodeAt(this.pos);
+            if (isWhitespace(c)) {
+                this.pos++;
+            } else if (c === 0x25) {
+                while (this.pos < src.length && src[this.pos] !== '\n' && src[this.pos] !== '\r') this.pos++;
+            } else {
+                break;
+            }
+        }
+    }
+
+    next() {
+        this.skipWhitespace();
+        const { src } = this;
+        if (this.pos >= src.length) return null;
+        const start = this.pos;
+        const ch = src[this.pos];
+
+        if (ch === '(') return { type: 'str', value: this.readLiteralString(), start, end: this.pos };
+        if (ch === '<') {
+            if (src[this.pos + 1] === '<') {
+                this.pos += 2;
+                return { type: '<<', start, end: this.pos };
+            }
+            return { type: 'str', value: this.readHexString(), start, end: this.pos };
+        }
+        if (ch === '>' && src[this.pos + 1] === '>') {
+            this.pos += 2;
+            return { type: '>>', start, end: this.pos };
+        }
+        if (ch === '[' || ch === ']') {
+            this.pos++;
+            return { type: ch, start, end: this.pos };
+        }
+        if (ch === '/') {
+            this.pos++;
+            let raw = '';
+            while (this.pos < src.length) {
+                const c = src.charCodeAt(this.pos);
+                if (isWhitespace(c) || isDelimiter(c)) break;
+                raw += src[this.pos++];
+            }
+            const name = raw.replace(/#([0-9a-fA-F]{2})/g, (_, h) => String.fromCharCode(parseInt(h, 16)));
+            return { type: 'name', value: name, start, end: this.pos };
+        }
+
+        let word = '';
+        while (this.pos < src.length) {
+            const c = src.charCodeAt(this.pos);
+            if (isWhitespace(c) || isDelimiter(c)) break;
+            word += src[this.pos++];
+        }
+        if (!word) {
+            // Stray delimiter such as ')' or '{' - treat as a one-char keyword
+            this.pos++;
+            return { type: 'op', value: ch, start, end: this.pos };
+        }
+        if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) {
+            return { type: 'num', value: parseFloat(word), start, end: this.pos };
+        }
+        return { type: 'op', value: word, start, end: this.pos };
+    }
+
+    readLiteralString() {
+        const { src } = this;
+        let depth = 0;
+        let out = '';
+        this.pos++; // (
+        while (this.pos < src.length) {
+            const ch = src[this.pos++];
+            if (ch === '\\') {
+                const n = src[this.pos++];
+                if (n === 'n') out += '\n';
+                else if (n === 'r') out += '\r';
+                else if (n === 't') out += '\t';
+                else if (n === 'b') out += '\b';
+                else if (n === 'f') out += '\f';
+                else if (n === '\r') {
+                    if (src[this.pos] === '\n') this.pos++;
+                } else if (n === '\n') {
+                    // line continuation
+                } else if (n >= '0' && n <= '7') {
+                    let oct = n;
+                    while (oct.length < 3 && src[this.pos] >= '0' && src[this.pos] <= '7') oct += src[this.pos++];
+                    out += String.fromCharCode(parseInt(oct, 8) & 0xff);
+                } else if (n !== undefined) {
+                    out += n;
+                }
+            } else if (ch === '(') {
+                depth++;
+                out += ch;
+            } else if (ch === ')') {
+                if (depth === 0) break;
+                depth--;
+                out += ch;
+            } else {
+                out += ch;
+            }
+        }
+        return out;
+    }
+
+    readHexString() {
+        const { src } = this;
+        this.pos++; // <
+        let hex = '';
+        while (this.pos < src.length && src[this.pos] !== '>') {
+            const c = src[this.pos++];
+            if (/[0-9a-fA-F]/.test(c)) hex += c;
+        }
+        this.pos++; // >
+        if (hex.length % 2) hex += '0';
+        let out = '';
+        for (let i = 0; i < hex.length; i += 2) out += String.fromCharCode(parseInt(hex.slice(i, i + 2), 16));
+        return out;
+    }
+
+    /**
+     * Skip an inline image (after BI). Returns the index just past EI.
+     */
+    skipInlineImage() {
+        let tok;
+        while ((tok = this.next())) {
+            if (tok.type === 'op' && tok.value === 'ID') break;
+        }
+        if (!tok) throw new Error('Malformed inline image');
+        const { src } = this;
+        let i = tok.end + 1;
+        while (i < src.length) {
+            const idx = src.indexOf('EI', i);
+            if (idx < 0) break;
+            const before = src.charCodeAt(idx - 1);
+            const after = idx + 2 >= src.length ? 0x20 : src.charCodeAt(idx + 2);
+            if (isWhitespace(before) && (isWhitespace(after) || isDelimiter(after))) {
+                this.pos = idx + 2;
+                return this.pos;
+            }
+            i = idx + 2;
+        }
+        throw new Error('Malformed inline image');
+    }
+}
+
+/**
+ * Split a content stream into operations, keeping the raw source range of each
+ * so untouched operations can be written back byte for byte.
+ * @returns {Array<{ op: string; operands: any[]; start: number; end: number }>}
+ */
+export function parseOperations(src) {
+    const lexer = new ContentLexer(src);
+    const ops = [];
+    let operands = [];
+    let opStart = -1;
+    const stack = [];
+
+    const pushValue = (value) => {
+        if (stack.length) stack[stack.length - 1].push(value);
+        else operands.push(value);
+    };
+
+    let tok;
+    while ((tok = lexer.next())) {
+        if (opStart < 0) opStart = tok.start;
+        switch (tok.type) {
+            case '[':
+                stack.push([]);
+                break;
+            case '<<': {
+                const d = [];
+                d.isDict = true;
+                stack.push(d);
+                break;
+            }
+            case ']':
+            case '>>': {
+                const done = stack.pop();
+                if (!done) break;
+                if (done.isDict) {
+                    const map = new Map();
+                    for (let i = 0; i + 1 < done.length; i += 2) {
+                        if (done[i] && done[i].name !== undefined) map.set(done[i].name, done[i + 1]);
+                    }
+                    pushValue({ dict: map });
+                } else {
+                    pushValue(done);
+                }
+                break;
+            }
+            case 'num':
+                pushValue(tok.value);
+                break;
+            case 'name':
+                pushValue({ name: tok.value });
+                break;
+            case 'str':
+                pushValue({ str: tok.value });
+                break;
+            case 'op':
+                if (stack.length) {
+                    pushValue({ keyword: tok.value });
+                    break;
+                }
+                if (tok.value === 'BI') {
+                    const end = lexer.skipInlineImage();
+                    ops.push({ op: 'BI', operands: [], start: opStart, end });
+                } else {
+                    ops.push({ op: tok.value, operands, start: opStart, end: tok.end });
+                }
+                operands = [];
+                opStart = -1;
+                break;
+        }
+    }
+    return ops;
+}
+
+/* ---------- images ---------- */
+
+export function componentsOf(colorSpace, context) {
+    const cs = context.lookup(colorSpace);
+    if (cs instanceof PDFName) {
+        const n = cs.decodeText();
+        if (n === 'DeviceGray' || n === 'CalGray' || n === 'G') return 1;
+        if (n === 'DeviceRGB' || n === 'CalRGB' || n === 'RGB') return 3;
+        if (n === 'DeviceCMYK' || n === 'CMYK') return 4;
+        return 0;
+    }
+    if (cs instanceof PDFArray) {
+        const family = cs.lookup(0);
+        const n = family instanceof PDFName ? family.decodeText() : '';
+        if (n === 'Indexed' || n === 'I' || n === 'Separation' || n === 'CalGray') return 1;
+        if (n === 'CalRGB' || n === 'Lab') return 3;
+        if (n === 'ICCBased') {
+            const icc = cs.lookup(1);
+            return icc instanceof PDFStream ? numberOf(icc.dict.lookup(PDFName.of('N')), 0) : 0;
+        }
+        if (n === 'DeviceN') {
+            const names = cs.lookup(1);
+            return names instanceof PDFArray ? names.size() : 0;
+        }
+    }
+    return 0;
+}
+
+export function undoPredictor(data, params, fallbackColors, fallbackBpc, fallbackColumns) {
+    const predictor = numberOf(params.lookup(PDFName.of('Predictor')), 1);
+    if (predictor <= 1) return data;
+    const colors = numberOf(params.lookup(PDFName.of('Colors')), fallbackColors);
+    const bpc = numberOf(params.lookup(PDFName.of('BitsPerComponent')), fallbackBpc);
+    const columns = numberOf(params.lookup(PDFName.of('Columns')), fallbackColumns);
+    const rowBytes = Math.ceil((columns * colors * bpc) / 8);
+    const bpp = Math.max(1, Math.ceil((colors * bpc) / 8));
+
+    if (predictor === 2) {
+        if (bpc !== 8) throw new Error('Image uses an unsupported predictor');
+        const out = new Uint8Array(data);
+        for (let row = 0; row * rowBytes < out.length; row++) {
+            const base = row * rowBytes;
+            for (let i = bpp; i < rowBytes && base + i < out.length; i++) {
+                out[base + i] = (out[base + i] + out[base + i - bpp]) & 0xff;
+            }
+        }
+        return out;
+    }
+
+    const rows = Math.floor(data.length / (rowBytes + 1));
+    const out = new Uint8Array(rows * rowBytes);
+    const prev = new Uint8Array(rowBytes);
+    for (let row = 0; row < rows; row++) {
+        const src = row * (rowBytes + 1);
+        const type = data[src];
+        const dst = row * rowBytes;
+        for (let i = 0; i < rowBytes; i++) {
+            const raw = data[src + 1 + i];
+            const left = i >= bpp ? out[dst + i - bpp] : 0;
+            const up = prev[i];
+            const upLeft = i >= bpp ? prev[i - bpp] : 0;
+            let v;
+            switch (type) {
+                case 0: v = raw; break;
+                case 1: v = raw + left; break;
+                case 2: v = raw + up; break;
+                case 3: v = raw + ((left + up) >> 1); break;
+                case 4: {
+                    const p = left + up - upLeft;
+                    const pa = Math.abs(p - left);
+                    const pb = Math.abs(p - up);
+                    const pc = Math.abs(p - upLeft);
+                    v = raw + (pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft);
+                    break;
+                }
+                default:
+                    throw new Error('Image data is corrupt');
+            }
+            out[dst + i] = v & 0xff;
+        }
+        prev.set(out.subarray(dst, dst + rowBytes));
+    }
+    return out;
+}
+
+/* ---------- document walking ---------- */
+
+/** Call fn for every dictionary in the document (indirect, direct and stream dictionaries) */
+export function eachDict(context, fn) {
+    const visit = (obj) => {
+        if (obj instanceof PDFStream) {
+            visit(obj.dict);
+        } else if (obj instanceof PDFDict) {
+            fn(obj);
+            for (const [, value] of obj.entries()) {
+                if (!(value instanceof PDFRef)) visit(value);
+            }
+        } else if (obj instanceof PDFArray) {
+            obj.asArray().forEach((value) => {
+                if (!(value instanceof PDFRef)) visit(value);
+            });
+        }
+    };
+    for (const [, obj] of context.enumerateIndirectObjects()) visit(obj);
+}
+
+/**
+ * Every file in the EmbeddedFiles name tree
+ * @returns {PDFDict[]} File specifications
+ */
+export function embeddedFiles(pdfDoc) {
+    const out = [];
+    const walk = (node, depth) => {
+        if (!(node instanceof PDFDict) || depth > 16) return;
+        const names = node.lookup(PDFName.of('Names'));
+        if (names instanceof PDFArray) {
+            for (let i = 1; i < names.size(); i += 2) {
+                const spec = names.lookup(i);
+                if (spec instanceof PDFDict) out.push(spec);
+            }
+        }
+        const kids = node.lookup(PDFName.of('Kids'));
+        if (kids instanceof PDFArray) kids.asArray().forEach((kid) => walk(pdfDoc.context.lookup(kid), depth + 1));
+    };
+    walk(pdfDoc.catalog.lookupMaybe(PDFName.of('Names'), PDFDict)?.lookupMaybe(PDFName.of('EmbeddedFiles'), PDFDict), 0);
+    return out;
+}
+
+/**
+ * Delete every indirect object no longer reachable from the trailer, so
+ * content detached by an edit (redaction, optimization, sanitizing) is not written into the saved file.
+ * @param {PDFDocument} pdfDoc
+ */
+export function pruneUnreachableObjects(pdfDoc) {
+    const context = pdfDoc.context;
+    const seen = reachableObjects(context);
+    for (const [ref] of context.enumerateIndirectObjects()) {
+        if (!seen.has(ref)) context.delete(ref);
+    }
+}
+
+/**
+ * References of every indirect object reachable from the trailer
+ * @param {PDFLib.PDFContext} context
+ * @returns {Set<PDFRef>}
+ */
+export function reachableObjects(context) {
+    const seen = new Set();
+    const queue = Object.values(context.trailerInfo).filter(Boolean);
+    while (queue.length) {
+        const obj = queue.pop();
+        if (obj instanceof PDFRef) {
+            if (seen.has(obj)) continue;
+            seen.add(obj);
+            const target = context.lookup(obj);
+            if (target) queue.push(target);
+        } else if (obj instanceof PDFDict) {
+            for (const [, value] of obj.entries()) queue.push(value);
+        } else if (obj instanceof PDFArray) {
+            queue.push(...obj.asArray());
+        } else if (obj instanceof PDFStream) {
+            queue.push(obj.dict);
+        }
+    }
+    return seen;
+}
@@ -0,0 +1,709 @@
+/**
+ * PDF/A - Turns an export into an archival PDF/A-2b file (PDF/A-3b when it carries attachments):
+ * embedded stand-ins for the standard fonts, an sRGB output intent, XMP metadata matching the
+ * document info, no JavaScript or other forbidden actions, and a preflight of what still blocks
+ * conformance (usually content of the source pages that cannot be repaired in the browser).
+ */
+
+const { PDFName, PDFDict, PDFArray, PDFNumber, PDFString, PDFHexString, PDFStream, AFRelationship, StandardFontEmbedder, StandardFonts } = PDFLib;
+import { bytesToBinary, decodeStreamBytes, parseOperations, filterNames, pruneUnreachableObjects, eachDict, embeddedFiles } from './pdf-utils.js';
+import { writeXmpMetadata } from './document-properties.js';
+
+/**
+ * Metric-compatible replacements for the standard fonts, served from js/vendor/fonts: Liberation Sans
+ * for Helvetica and Arial, Tinos for Times and Cousine for Courier (PDF/A needs every font embedded,
+ * and the standard 14 are not). Each family lists regular, bold, italic and bold italic.
+ */
+const FONT_BASE = new URL('./vendor/fonts/', import.meta.url).href;
+const STAND_IN_FILES = {
+    sans: ['LiberationSans-Regular.ttf', 'LiberationSans-Bold.ttf', 'LiberationSans-Italic.ttf', 'LiberationSans-BoldItalic.ttf'],
+    serif: ['Tinos-Regular.ttf', 'Tinos-Bold.ttf', 'Tinos-Italic.ttf', 'Tinos-BoldItalic.ttf'],
+    mono: ['Cousine-Regular.ttf', 'Cousine-Bold.ttf', 'Cousine-Italic.ttf', 'Cousine-BoldItalic.ttf']
+};
+const ARCHIVAL_FONT_FILES = {
+    helvetica: STAND_IN_FILES.sans[0],
+    helveticaBold: STAND_IN_FILES.sans[1],
+    timesRoman: STAND_IN_FILES.serif[0],
+    courier: STAND_IN_FILES.mono[0]
+};
+
+/**
+ * Where StandardEncoding (the built-in encoding of the standard Latin fonts) differs from WinAnsiEncoding:
+ * code -> glyph name. Codes 128-255 that are missing here are not defined in StandardEncoding.
+ */
+const STANDARD_ENCODING_DIFFERENCES = {
+    39: 'quoteright', 96: 'quoteleft', 161: 'exclamdown', 162: 'cent', 163: 'sterling', 164: 'fraction', 165: 'yen',
+    166: 'florin', 167: 'section', 168: 'currency', 169: 'quotesingle', 170: 'quotedblleft', 171: 'guillemotleft',
+    172: 'guilsinglleft', 173: 'guilsinglright', 174: 'fi', 175: 'fl', 177: 'endash', 178: 'dagger', 179: 'daggerdbl',
+    180: 'periodcentered', 182: 'paragraph', 183: 'bullet', 184: 'quotesinglbase', 185: 'quotedblbase',
+    186: 'quotedblright', 187: 'guillemotright', 188: 'ellipsis', 189: 'perthousand', 191: 'questiondown', 193: 'grave',
+    194: 'acute', 195: 'circumflex', 196: 'tilde', 197: 'macron', 198: 'breve', 199: 'dotaccent', 200: 'dieresis',
+    202: 'ring', 203: 'cedilla', 205: 'hungarumlaut', 206: 'ogonek', 207: 'caron', 208: 'emdash', 225: 'AE',
+    227: 'ordfeminine', 232: 'Lslash', 233: 'Oslash', 234: 'OE', 235: 'ordmasculine', 241: 'ae', 245: 'dotlessi',
+    248: 'lslash', 249: 'oslash', 250: 'oe', 251: 'germandbls'
+};
+
+/** Unicode of the StandardEncoding glyph names WinAnsiEncoding does not have */
+const EXTRA_GLYPH_NAMES = {
+    fraction: 0x2044, fi: 0xfb01, fl: 0xfb02, breve: 0x02d8, dotaccent: 0x02d9, ring: 0x02da, hungarumlaut: 0x02dd,
+    ogonek: 0x02db, caron: 0x02c7, Lslash: 0x0141, lslash: 0x0142, dotlessi: 0x0131
+};
+
+/** Actions PDF/A-2 does not allow (ISO 19005-2, 6.5.1) */
+const FORBIDDEN_ACTIONS = new Set(['Launch', 'Sound', 'Movie', 'ResetForm', 'ImportData', 'Hide', 'SetOCGState', 'Rendition', 'Trans', 'GoTo3DView', 'JavaScript']);
+const ALLOWED_NAMED_ACTIONS = new Set(['NextPage', 'PrevPage', 'FirstPage', 'LastPage']);
+const FORBIDDEN_ANNOTATIONS = new Set(['3D', 'Sound', 'Screen', 'Movie']);
+const STANDARD_BLEND_MODES = new Set([
+    'Normal', 'Compatible', 'Multiply', 'Screen', 'Overlay', 'Darken', 'Lighten', 'ColorDodge', 'ColorBurn',
+    'HardLight', 'SoftLight', 'Difference', 'Exclusion', 'Hue', 'Saturation', 'Color', 'Luminosity'
+]);
+const SRGB_NAME = 'sRGB IEC61966-2.1';
+
+/** Annotation flags: Invisible, Hidden, Print, NoView, ToggleNoView */
+const FLAG_INVISIBLE = 1;
+const FLAG_HIDDEN = 2;
+const FLAG_PRINT = 4;
+const FLAG_NO_VIEW = 32;
+const FLAG_TOGGLE_NO_VIEW = 256;
+
+/**
+ * @typedef {Object} PdfAResult
+ * @property {2|3} part - PDF/A part the file declares (3 when it has attachments)
+ * @property {string[]} fixes - What was changed to conform
+ * @property {string[]} issues - What still blocks conformance (empty when the preflight passed)
+ */
+
+/** Font files by name, fetched once per session */
+const fontFiles = new Map();
+
+/**
+ * Bytes of a font in js/vendor/fonts. Throws if it cannot be fetched: a PDF/A file cannot be made without it.
+ * @param {string} file
+ * @returns {Promise<ArrayBuffer>}
+ */
+function loadFontFile(file) {
+    if (!fontFiles.has(file)) {
+        fontFiles.set(file, fetch(FONT_BASE + file).then((response) => {
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return response.arrayBuffer();
+        }).catch((e) => {
+            fontFiles.delete(file);
+            throw new Error(`The PDF/A fonts could not be loaded (js/vendor/fonts/${file}: ${e.message}).`);
+        }));
+    }
+    return fontFiles.get(file);
+}
+
+/**
+ * Embed the stand-ins for the standard fonts (as subsets)
+ * @param {PDFLib.PDFDocument} pdfDoc - With fontkit registered
+ * @returns {Promise<{ helvetica: PDFLib.PDFFont; helveticaBold: PDFLib.PDFFont; timesRoman: PDFLib.PDFFont; courier: PDFLib.PDFFont }>}
+ */
+export async function embedArchivalFonts(pdfDoc) {
+    const fonts = {};
+    for (const [key, file] of Object.entries(ARCHIVAL_FONT_FILES)) {
+        fonts[key] = await pdfDoc.embedFont(await loadFontFile(file), { subset: true });
+    }
+    return fonts;
+}
+
+/**
+ * The stand-in for a standard Latin font by its PostScript name (Helvetica-Bold, ArialMT, Arial,BoldItalic,
+ * TimesNewRomanPS-ItalicMT, Courier-Oblique, ...), or null for other fonts and narrow or other widths
+ * @param {string} baseFont
+ * @returns {string|null} File in js/vendor/fonts
+ */
+function standInFile(baseFont) {
+    const name = baseFont.replace(/^[A-Z]{6}\+/, '').replace(/[\s_]/g, '');
+    if (/narrow|condensed|black|light/i.test(name)) return null;
+    const family = /^(helvetica|arial)/i.test(name) ? 'sans' : /^times/i.test(name) ? 'serif' : /^courier/i.test(name) ? 'mono' : null;
+    if (!family) return null;
+    return STAND_IN_FILES[family][(/bold/i.test(name) ? 1 : 0) + (/italic|oblique/i.test(name) ? 2 : 0)];
+}
+
+let winAnsi = null;
+
+/**
+ * WinAnsiEncoding as pdf-lib has it for the standard fonts
+ * @returns {{ names: Map<number, string>; unicodes: Map<string, number> }} Glyph name by code, and Unicode by glyph name
+ */
+function winAnsiGlyphs() {
+    if (!winAnsi) {
+        const mappings = Object.entries(StandardFontEmbedder.for(StandardFonts.Helvetica).encoding.unicodeMappings);
+        winAnsi = { names: new Map(), unicodes: new Map() };
+        for (const [unicode, [code, name]] of mappings) {
+            if (!winAnsi.names.has(code)) winAnsi.names.set(code, name);
+            if (!winAnsi.unicodes.has(name)) winAnsi.unicodes.set(name, Number(unicode));
+        }
+    }
+    return winAnsi;
+}
+
+/**
+ * Glyph names of codes 32-255 of a simple font's encoding: WinAnsiEncoding or StandardEncoding (the
+ * standard fonts' own), with their Differences. Null for other encodings, which are not replaced.
+ * @param {PDFLib.PDFDict} font
+ * @returns {Map<number, string>|null}
+ */
+function encodingNames(font) {
+    const encoding = font.lookup(PDFName.of('Encoding'));
+    const base = encoding instanceof PDFName ? nameOf(encoding)
+        : encoding instanceof PDFDict ? nameOf(encoding.lookup(PDFName.of('BaseEncoding'))) || 'StandardEncoding'
+            : 'StandardEncoding';
+    if (encoding && !(encoding instanceof PDFName) && !(encoding instanceof PDFDict)) return null;
+    if (base !== 'WinAnsiEncoding' && base !== 'StandardEncoding') return null;
+    const names = new Map();
+    for (const [code, name] of winAnsiGlyphs().names) {
+        if (code >= 32 && (base === 'WinAnsiEncoding' || code < 128)) names.set(code, name);
+    }
+    if (base === 'StandardEncoding') {
+        for (const [code, name] of Object.entries(STANDARD_ENCODING_DIFFERENCES)) names.set(Number(code), name);
+    }
+    const differences = encoding instanceof PDFDict ? encoding.lookup(PDFName.of('Differences')) : null;
+    if (differences instanceof PDFArray) {
+        let code = 0;
+        for (const item of differences.asArray()) {
+            if (item instanceof PDFNumber) code = item.asNumber();
+            else if (item instanceof PDFName && item.decodeText() === '.notdef') names.delete(code++);
+            else if (item instanceof PDFName) names.set(code++, item.decodeText());
+        }
+    }
+    return names;
+}
+
+/** Unicode of a glyph name from WinAnsiEncoding, StandardEncoding or the uniXXXX form; undefined if unknown */
+function glyphUnicode(name) {
+    const { unicodes } = winAnsiGlyphs();
+    if (unicodes.has(name)) return unicodes.get(name);
+    if (name in EXTRA_GLYPH_NAMES) return EXTRA_GLYPH_NAMES[name];
+    const hex = /^uni([0-9A-F]{4})$/.exec(name) || /^u([0-9A-F]{4,6})$/.exec(name);
+    return hex ? parseInt(hex[1], 16) : undefined;
+}
+
+/**
+ * Every font the pages draw with (page resources, form XObjects and annotation appearances)
+ * @param {PDFLib.PDFDocument} pdfDoc
+ * @returns {Set<PDFLib.PDFDict>}
+ */
+function pageFonts(pdfDoc) {
+    const context = pdfDoc.context;
+    const fonts = new Set();
+    const seen = new Set();
+    const visitResources = (resources, depth) => {
+        if (!(resources instanceof PDFDict) || seen.has(resources) || depth > 8) return;
+        seen.add(resources);
+        const fontDict = resources.lookup(PDFName.of('Font'));
+        if (fontDict instanceof PDFDict) {
+            fontDict.entries().forEach(([, ref]) => {
+                const font = context.lookup(ref);
+                if (font instanceof PDFDict) fonts.add(font);
+            });
+        }
+        const xobjects = resources.lookup(PDFName.of('XObject'));
+        if (xobjects instanceof PDFDict) {
+            xobjects.entries().forEach(([, ref]) => {
+                const xobj = context.lookup(ref);
+                if (xobj instanceof PDFStream) visitResources(xobj.dict.lookup(PDFName.of('Resources')), depth + 1);
+            });
+        }
+    };
+    for (const page of pdfDoc.getPages()) {
+        visitResources(page.node.normalizedEntries().Resources, 0);
+        const annots = page.node.Annots();
+        if (!(annots instanceof PDFArray)) continue;
+        for (let i = 0; i < annots.size(); i++) {
+            const normal = annots.lookup(i)?.lookupMaybe?.(PDFName.of('AP'), PDFDict)?.lookup(PDFName.of('N'));
+            const forms = normal instanceof PDFStream ? [normal]
+                : normal instanceof PDFDict ? normal.entries().map(([, v]) => context.lookup(v)).filter((v) => v instanceof PDFStream) : [];
+            forms.forEach((form) => visitResources(form.dict.lookup(PDFName.of('Resources')), 1));
+        }
+    }
+    return fonts;
+}
+
+/**
+ * Embed stand-ins for the fonts the pages use without embedding them. Helvetica, Arial, Times and
+ * Courier (any style) with WinAnsi or Standard encodings become embedded TrueType fonts whose widths
+ * come from the stand-in, which has the same metrics. Run after flush(), before convertToPdfA.
+ * Throws, naming them, when other fonts are not embedded: PDF/A cannot be met without their program.
+ * @param {PDFLib.PDFDocument} pdfDoc
+ * @returns {Promise<string[]>} What was done, for the preflight fixes
+ */
+export async function embedStandInFonts(pdfDoc) {
+    const context = pdfDoc.context;
+    const replace = [];
+    const missing = new Set();
+    for (const font of pageFonts(pdfDoc)) {
+        if (fontIsEmbedded(context, font)) continue;
+        const baseFont = nameOf(font.lookup(PDFName.of('BaseFont'))) || 'unnamed';
+        const subtype = nameOf(font.lookup(PDFName.of('Subtype')));
+        const file = ['Type1', 'MMType1', 'TrueType'].includes(subtype) ? standInFile(baseFont) : null;
+        const names = file ? encodingNames(font) : null;
+        const unicodes = names && [...names].map(([code, name]) => [code, name, glyphUnicode(name)]);
+        if (!unicodes || unicodes.some(([, , unicode]) => unicode === undefined)) missing.add(baseFont);
+        else replace.push({ font, baseFont, file, unicodes });
+    }
+    if (missing.size) {
+        const list = [...missing].map((name) => `"${name}"`).join(', ');
+        throw new Error(`PDF/A needs every font embedded, and the original does not embed ${list}. Only Helvetica, Arial, Times and Courier can be replaced here; save without PDF/A, or embed the font${missing.size === 1 ? '' : 's'} in the original first.`);
+    }
+
+    // One program and descriptor per stand-in, shared by the fonts it replaces
+    const standIns = new Map();
+    const winAnsiNames = winAnsiGlyphs().names;
+    for (const { font, baseFont, file, unicodes } of replace) {
+        if (!standIns.has(file)) {
+            const bytes = new Uint8Array(await loadFontFile(file));
+            const program = fontkit.create(bytes);
+            const scale = 1000 / program.unitsPerEm;
+            const { minX, minY, maxX, maxY } = program.bbox;
+            const family = Object.keys(STAND_IN_FILES).find((key) => STAND_IN_FILES[key].includes(file));
+            const italic = STAND_IN_FILES[family].indexOf(file) >= 2;
+            const descriptor = context.register(context.obj({
+                Type: 'FontDescriptor',
+                FontName: program.postscriptName,
+                // Nonsymbolic, plus fixed pitch, serif and italic
+                Flags: 32 | (family === 'mono' ? 1 : 0) | (family === 'serif' ? 2 : 0) | (italic ? 64 : 0),
+                FontBBox: [minX, minY, maxX, maxY].map((v) => Math.round(v * scale)),
+                ItalicAngle: program.italicAngle,
+                Ascent: Math.round(program.ascent * scale),
+                Descent: Math.round(program.descent * scale),
+                CapHeight: Math.round(program.capHeight * scale),
+                StemV: 80,
+                FontFile2: context.register(context.flateStream(bytes, { Length1: bytes.length }))
+            }));
+            standIns.set(file, { program, scale, descriptor });
+        }
+        const { program, scale, descriptor } = standIns.get(file);
+        const byCode = new Map(unicodes.map(([code, name, unicode]) => [code, { name, unicode }]));
+        const widths = [];
+        const differences = [];
+        for (let code = 32; code <= 255; code++) {
+            const entry = byCode.get(code);
+            const glyph = program.glyphForCodePoint(entry ? entry.unicode : 0);
+            widths.push(Math.round(glyph.advanceWidth * scale));
+            if (entry && entry.name !== winAnsiNames.get(code)) differences.push(code, PDFName.of(entry.name));
+        }
+        font.set(PDFName.of('Subtype'), PDFName.of('TrueType'));
+        font.set(PDFName.of('BaseFont'), PDFName.of(program.postscriptName));
+        font.set(PDFName.of('FirstChar'), PDFNumber.of(32));
+        font.set(PDFName.of('LastChar'), PDFNumber.of(255));
+        font.set(PDFName.of('Widths'), context.obj(widths));
+        font.set(PDFName.of('Encoding'), differences.length
+            ? context.obj({ Type: 'Encoding', BaseEncoding: 'WinAnsiEncoding', Differences: differences })
+            : PDFName.of('WinAnsiEncoding'));
+        font.set(PDFName.of('FontDescriptor'), descriptor);
+    }
+    if (!replace.length) return [];
+    const names = [...new Set(replace.map(({ baseFont }) => baseFont))];
+    return [`Embedded stand-ins with the same metrics for ${names.length} font${names.length === 1 ? '' : 's'} the original did not embed (${names.join(', ')}).`];
+}
+
+/* ---------- sRGB profile ---------- */
+
+/**
+ * A minimal ICC v2 display profile for sRGB (D50-adapted primaries and the sRGB tone curve),
+ * built here so the output intent needs no profile file
+ * @returns {Uint8Array}
+ */
+function srgbProfile() {
+    const tags = [];
+    const ascii = (s) => Array.from(s, (c) => c.charCodeAt(0));
+    const u32 = (n) => [(n >>> 24) & 0xff, (n >>> 16) & 0xff, (n >>> 8) & 0xff, n & 0xff];
+    const u16 = (n) => [(n >>> 8) & 0xff, n & 0xff];
+    const s15 = (v) => u32(Math.round(v * 65536) >>> 0);
+    const xyz = (x, y, z) => [...ascii('XYZ '), 0, 0, 0, 0, ...s15(x), ...s15(y), ...s15(z)];
+
+    const desc = [...ascii('desc'), 0, 0, 0, 0, ...u32(SRGB_NAME.length + 1), ...ascii(SRGB_NAME), 0,
+        ...u32(0), ...u32(0), ...u16(0), 0, ...new Array(67).fill(0)];
+    const curve = [...ascii('curv'), 0, 0, 0, 0, ...u32(1024)];
+    for (let i = 0; i < 1024; i++) {
+        const v = i / 1023;
+        const linear = v <= 0.04045 ? v / 12.92 : ((v + 0.055) / 1.055) ** 2.4;
+        curve.push(...u16(Math.round(linear * 65535)));
+    }
+    tags.push(['desc', desc]);
+    tags.push(['cprt', [...ascii('text'), 0, 0, 0, 0, ...ascii('No copyright, use freely'), 0]]);
+    tags.push(['wtpt', xyz(0.9642, 1, 0.8249)]);
+    tags.push(['rXYZ', xyz(0.4360747, 0.2225045, 0.0139322)]);
+    tags.push(['gXYZ', xyz(0.3850649, 0.7168786, 0.0971045)]);
+    tags.push(['bXYZ', xyz(0.1430804, 0.0606169, 0.7141733)]);
+    tags.push(['rTRC', curve], ['gTRC', curve], ['bTRC', curve]);
+
+    // Tag data follows the header and tag table, each item 4-byte aligned; the curves share one copy
+    const table = [];
+    const data = [];
+    let offset = 128 + 4 + tags.length * 12;
+    const placed = new Map();
+    for (const [signature, bytes] of tags) {
+        if (!placed.has(bytes)) {
+            placed.set(bytes, offset);
+            data.push(...bytes);
+            while (data.length % 4) data.push(0);
+            offset = 128 + 4 + tags.length * 12 + data.length;
+        }
+        table.push(...ascii(signature), ...u32(placed.get(bytes)), ...u32(bytes.length));
+    }
+    const size = 128 + 4 + table.length + data.length;
+    const header = [
+        ...u32(size), 0, 0, 0, 0, 0x02, 0x10, 0, 0, ...ascii('mntr'), ...ascii('RGB '), ...ascii('XYZ '),
+        ...u16(2024), ...u16(1), ...u16(1), ...u16(0), ...u16(0), ...u16(0),
+        ...ascii('acsp'), ...new Array(24).fill(0), ...u32(0),
+        ...s15(0.9642), ...s15(1), ...s15(0.8249)
+    ];
+    while (header.length < 128) header.push(0);
+    return new Uint8Array([...header, ...u32(tags.length), ...table, ...data]);
+}
+
+/* ---------- conversion ---------- */
+
+function nameOf(obj) {
+    return obj instanceof PDFName ? obj.decodeText() : '';
+}
+
+function isForbiddenAction(action) {
+    if (!(action instanceof PDFDict)) return false;
+    const type = nameOf(action.lookup(PDFName.of('S')));
+    if (FORBIDDEN_ACTIONS.has(type)) return true;
+    return type === 'Named' && !ALLOWED_NAMED_ACTIONS.has(nameOf(action.lookup(PDFName.of('N'))));
+}
+
+/**
+ * Declare every attachment as an associated file (PDF/A-3): relationship, MIME type and
+ * modification date, listed in the catalog's AF array
+ */
+function declareAttachments(pdfDoc, specs) {
+    const context = pdfDoc.context;
+    let af = pdfDoc.catalog.lookup(PDFName.of('AF'));
+    if (!(af instanceof PDFArray)) {
+        af = context.obj([]);
+        pdfDoc.catalog.set(PDFName.of('AF'), af);
+    }
+    const listed = new Set(af.asArray().map((ref) => context.lookup(ref)));
+    const now = PDFString.fromDate(new Date());
+    for (const spec of specs) {
+        if (!spec.has(PDFName.of('AFRelationship'))) spec.set(PDFName.of('AFRelationship'), PDFName.of(AFRelationship.Unspecified));
+        const fileName = spec.lookup(PDFName.of('UF')) || spec.lookup(PDFName.of('F'));
+        if (!spec.has(PDFName.of('UF')) && fileName) spec.set(PDFName.of('UF'), PDFHexString.fromText(fileName.decodeText()));
+        if (!spec.has(PDFName.of('F')) && fileName) spec.set(PDFName.of('F'), PDFString.of(fileName.decodeText()));
+        const file = spec.lookupMaybe(PDFName.of('EF'), PDFDict)?.lookup(PDFName.of('F'));
+        if (file instanceof PDFStream) {
+            if (!file.dict.has(PDFName.of('Subtype'))) file.dict.set(PDFName.of('Subtype'), PDFName.of('application/octet-stream'));
+            let params = file.dict.lookup(PDFName.of('Params'));
+            if (!(params instanceof PDFDict)) {
+                params = context.obj({});
+                file.dict.set(PDFName.of('Params'), params);
+            }
+            if (!params.has(PDFName.of('ModDate'))) params.set(PDFName.of('ModDate'), now);
+        }
+        if (!listed.has(spec)) {
+            const ref = [...context.enumerateIndirectObjects()].find(([, obj]) => obj === spec)?.[0];
+            af.push(ref || spec);
+            listed.add(spec);
+        }
+    }
+}
+
+/**
+ * Change a document so it can conform to PDF/A-2b (or -3b with attachments): remove forbidden
+ * actions and settings, make annotations printable, declare attachments and add the sRGB output
+ * intent. Run after flush() and before the content hash is taken (annotations and images change);
+ * writePdfAMetadata completes the file just before it is saved.
+ * @param {PDFLib.PDFDocument} pdfDoc
+ * @returns {{ part: 2|3; fixes: string[] }}
+ */
+export function convertToPdfA(pdfDoc) {
+    const context = pdfDoc.context;
+    const catalog = pdfDoc.catalog;
+    const counts = { actions: 0, annotations: 0, removedAnnotations: 0, images: 0, graphicsStates: 0 };
+    const fixes = [];
+
+    // JavaScript and other actions that run or change things when the file is opened or used
+    const names = catalog.lookupMaybe(PDFName.of('Names'), PDFDict);
+    if (names?.has(PDFName.of('JavaScript'))) {
+        names.delete(PDFName.of('JavaScript'));
+        counts.actions++;
+    }
+    eachDict(context, (dict) => {
+        if (dict.has(PDFName.of('AA'))) {
+            dict.delete(PDFName.of('AA'));
+            counts.actions++;
+        }
+        for (const key of ['A', 'OpenAction', 'Next']) {
+            const value = dict.lookup(PDFName.of(key));
+            if (isForbiddenAction(value)) {
+                dict.delete(PDFName.of(key));
+                counts.actions++;
+            } else if (key === 'Next' && value instanceof PDFArray) {
+                for (let i = value.size() - 1; i >= 0; i--) {
+                    if (isForbiddenAction(value.lookup(i))) {
+                        value.remove(i);
+                        counts.actions++;
+                    }
+                }
+            }
+        }
+        const subtype = nameOf(dict.lookup(PDFName.of('Subtype')));
+        if (subtype === 'Image') {
+            // Interpolation, alternate images and OPI links may show differently per viewer
+            let changed = false;
+            if (dict.lookup(PDFName.of('Interpolate'))?.asBoolean?.() === true) {
+                dict.delete(PDFName.of('Interpolate'));
+                changed = true;
+            }
+            for (const key of ['Alternates', 'OPI']) {
+                if (dict.has(PDFName.of(key))) {
+                    dict.delete(PDFName.of(key));
+                    changed = true;
+                }
+            }
+            if (changed) counts.images++;
+        } else if (subtype === 'Form') {
+            dict.delete(PDFName.of('OPI'));
+            dict.delete(PDFName.of('PS'));
+        }
+        // Transfer functions (other than the default) are device-dependent
+        if (dict.has(PDFName.of('TR')) || (dict.has(PDFName.of('TR2')) && nameOf(dict.lookup(PDFName.of('TR2'))) !== 'Default')) {
+            dict.delete(PDFName.of('TR'));
+            dict.delete(PDFName.of('TR2'));
+            counts.graphicsStates++;
+        }
+    });
+
+    // Annotations must be printable and visible, and some kinds are not allowed at all
+    for (const page of pdfDoc.getPages()) {
+        const annots = page.node.Annots();
+        if (!(annots instanceof PDFArray)) continue;
+        for (let i = annots.size() - 1; i >= 0; i--) {
+            const annot = annots.lookup(i);
+            if (!(annot instanceof PDFDict)) continue;
+            const subtype = nameOf(annot.lookup(PDFName.of('Subtype')));
+            if (FORBIDDEN_ANNOTATIONS.has(subtype)) {
+                annots.remove(i);
+                counts.removedAnnotations++;
+                continue;
+            }
+            if (subtype === 'Popup') continue;
+            const flags = annot.lookup(PDFName.of('F')) instanceof PDFNumber ? annot.lookup(PDFName.of('F')).asNumber() : 0;
+            const fixed = (flags | FLAG_PRINT) & ~(FLAG_INVISIBLE | FLAG_HIDDEN | FLAG_NO_VIEW | FLAG_TOGGLE_NO_VIEW);
+            if (fixed !== flags || !annot.has(PDFName.of('F'))) {
+                annot.set(PDFName.of('F'), PDFNumber.of(fixed));
+                counts.annotations++;
+            }
+        }
+    }
+
+    // Viewers must not be asked to draw form fields themselves
+    const acroForm = catalog.lookupMaybe(PDFName.of('AcroForm'), PDFDict);
+    if (acroForm?.has(PDFName.of('NeedAppearances'))) {
+        acroForm.delete(PDFName.of('NeedAppearances'));
+        fixes.push('Form fields use their own appearances instead of asking the viewer to draw them.');
+    }
+    if (acroForm?.has(PDFName.of('XFA'))) {
+        acroForm.delete(PDFName.of('XFA'));
+        fixes.push('Removed the XFA form data (the regular form fields are kept).');
+    }
+
+    // Optional content configurations need names and no automatic state changes
+    const ocProperties = catalog.lookupMaybe(PDFName.of('OCProperties'), PDFDict);
+    if (ocProperties) {
+        const configs = [ocProperties.lookup(PDFName.of('D'))];
+        const others = ocProperties.lookup(PDFName.of('Configs'));
+        if (others instanceof PDFArray) configs.push(...others.asArray().map((c) => context.lookup(c)));
+        configs.forEach((config, i) => {
+            if (!(config instanceof PDFDict)) return;
+            if (!config.has(PDFName.of('Name'))) config.set(PDFName.of('Name'), PDFHexString.fromText(i === 0 ? 'Default' : `Configuration ${i}`));
+            config.delete(PDFName.of('AS'));
+        });
+    }
+
+    if (counts.actions) fixes.push(`Removed ${counts.actions} JavaScript or other action${counts.actions === 1 ? '' : 's'} PDF/A does not allow.`);
+    if (counts.removedAnnotations) fixes.push(`Removed ${counts.removedAnnotations} sound, movie, screen or 3D annotation${counts.removedAnnotations === 1 ? '' : 's'}.`);
+    if (counts.annotations) fixes.push(`Made ${counts.annotations} annotation${counts.annotations === 1 ? '' : 's'} visible and printable.`);
+    if (counts.images) fixes.push(`Turned off interpolation or alternates on ${counts.images} image${counts.images === 1 ? '' : 's'}.`);
+    if (counts.graphicsStates) fixes.push(`Removed transfer functions from ${counts.graphicsStates} graphics state${counts.graphicsStates === 1 ? '' : 's'}.`);
+
+    // PDF/A-2 only allows attachments that are PDF/A files themselves; PDF/A-3 allows any file declared as associated
+    const specs = embeddedFiles(pdfDoc);
+    const part = specs.length ? 3 : 2;
+    if (specs.length) {
+        declareAttachments(pdfDoc, specs);
+        const fileNames = specs.map((spec) => (spec.lookup(PDFName.of('UF')) || spec.lookup(PDFName.of('F')))?.decodeText?.() || 'unnamed');
+        fixes.push(`Declared as PDF/A-3b because the file has attachments (${fileNames.join(', ')}); PDF/A-2b only allows attachments that are PDF/A files.`);
+    }
+
+    // Colors are defined by the sRGB output intent
+    const profile = context.register(context.flateStream(srgbProfile(), { N: 3 }));
+    catalog.set(PDFName.of('OutputIntents'), context.obj([context.obj({
+        Type: 'OutputIntent',
+        S: 'GTS_PDFA1',
+        OutputConditionIdentifier: PDFString.of(SRGB_NAME),
+        Info: PDFString.of(SRGB_NAME),
+        RegistryName: PDFString.of('http://www.color.org'),
+        DestOutputProfile: profile
+    })]));
+
+    pruneUnreachableObjects(pdfDoc);
+    return { part, fixes };
+}
+
+/**
+ * Write the XMP metadata (declaring PDF/A, matching the document info) and the file identifier.
+ * Run last, after the document info is final.
+ * @param {PDFLib.PDFDocument} pdfDoc
+ * @param {2|3} part
+ */
+export function writePdfAMetadata(pdfDoc, part) {
+    writeXmpMetadata(pdfDoc, { pdfaPart: part });
+    const id = Array.from(crypto.getRandomValues(new Uint8Array(16)), (b) => b.toString(16).padStart(2, '0')).join('');
+    pdfDoc.context.trailerInfo.ID = pdfDoc.context.obj([PDFHexString.of(id), PDFHexString.of(id)]);
+}
+
+/* ---------- preflight ---------- */
+
+function mentionsCmyk(context, value, depth = 0) {
+    const obj = context.lookup(value);
+    if (obj instanceof PDFName) return obj.decodeText() === 'DeviceCMYK';
+    if (obj instanceof PDFArray && depth < 4) return obj.asArray().some((v) => mentionsCmyk(context, v, depth + 1));
+    return false;
+}
+
+function fontIsEmbedded(context, font) {
+    const subtype = nameOf(font.lookup(PDFName.of('Subtype')));
+    if (subtype === 'Type3') return true;
+    let target = font;
+    if (subtype === 'Type0') {
+        const descendants = font.lookup(PDFName.of('DescendantFonts'));
+        target = descendants instanceof PDFArray ? descendants.lookup(0) : null;
+        if (!(target instanceof PDFDict)) return false;
+    }
+    const descriptor = target.lookup(PDFName.of('FontDescriptor'));
+    return descriptor instanceof PDFDict && ['FontFile', 'FontFile2', 'FontFile3'].some((key) => descriptor.has(PDFName.of(key)));
+}
+
+/**
+ * List what keeps a converted document from conforming, by page.
+ * @param {PDFLib.PDFDocument} pdfDoc
+ * @returns {string[]} Empty when nothing was found
+ */
+export function preflightPdfA(pdfDoc) {
+    const context = pdfDoc.context;
+    const found = new Map(); // message -> Set of page numbers (0: not on a page)
+    const report = (message, pageNum) => {
+        if (!found.has(message)) found.set(message, new Set());
+        found.get(message).add(pageNum);
+    };
+    const checkedContent = new Set();
+
+    const checkContent = (streams, pageNum) => {
+        let src;
+        try {
+            src = streams.map((s) => bytesToBinary(decodeStreamBytes(s))).join('\n');
+        } catch (e) {
+            report('Some page content could not be read to check it', pageNum);
+            return;
+        }
+        for (const { op, operands } of parseOperations(src)) {
+            if (op === 'k' || op === 'K' || ((op === 'cs' || op === 'CS') && operands[0]?.name === 'DeviceCMYK')) {
+                report('Uses CMYK colors without a CMYK color profile (the output intent is sRGB)', pageNum);
+                return;
+            }
+        }
+    };
+
+    const checkResources = (resources, pageNum, depth) => {
+        if (!(resources instanceof PDFDict) || depth > 8) return;
+        const fonts = resources.lookup(PDFName.of('Font'));
+        if (fonts instanceof PDFDict) {
+            for (const [, ref] of fonts.entries()) {
+                const font = context.lookup(ref);
+                if (font instanceof PDFDict && !fontIsEmbedded(context, font)) {
+                    const baseFont = nameOf(font.lookup(PDFName.of('BaseFont'))) || 'unnamed';
+                    report(`Font "${baseFont}" is not embedded`, pageNum);
+                }
+            }
+        }
+        const colorSpaces = resources.lookup(PDFName.of('ColorSpace'));
+        if (colorSpaces instanceof PDFDict && colorSpaces.entries().some(([, cs]) => mentionsCmyk(context, cs))) {
+            report('Uses CMYK colors without a CMYK color profile (the output intent is sRGB)', pageNum);
+        }
+        const states = resources.lookup(PDFName.of('ExtGState'));
+        if (states instanceof PDFDict) {
+            for (const [, ref] of states.entries()) {
+                const state = context.lookup(ref);
+                if (!(state instanceof PDFDict)) continue;
+                const bm = context.lookup(state.get(PDFName.of('BM')));
+                const modes = bm instanceof PDFArray ? bm.asArray().map((m) => nameOf(context.lookup(m))) : bm ? [nameOf(bm)] : [];
+                if (modes.some((m) => !STANDARD_BLEND_MODES.has(m))) report('Uses a blend mode PDF/A does not define', pageNum);
+            }
+        }
+        const xobjects = resources.lookup(PDFName.of('XObject'));
+        if (xobjects instanceof PDFDict) {
+            for (const [, ref] of xobjects.entries()) {
+                const xobj = context.lookup(ref);
+                if (!(xobj instanceof PDFStream)) continue;
+                checkStream(xobj, pageNum, depth + 1);
+            }
+        }
+    };
+
+    const checkStream = (stream, pageNum, depth) => {
+        const dict = stream.dict;
+        const subtype = nameOf(dict.lookup(PDFName.of('Subtype')));
+        if (subtype === 'PS' || nameOf(dict.lookup(PDFName.of('Subtype2'))) === 'PS') report('Contains PostScript, which PDF/A does not allow', pageNum);
+        if (dict.has(PDFName.of('Ref'))) report('Contains a reference to content in another file', pageNum);
+        if (filterNames(dict).includes('LZWDecode')) report('Contains LZW-compressed data, which PDF/A does not allow', pageNum);
+        if (subtype === 'Image') {
+            if (mentionsCmyk(context, dict.get(PDFName.of('ColorSpace')))) report('Has CMYK images without a CMYK color profile (the output intent is sRGB)', pageNum);
+            return;
+        }
+        if (checkedContent.has(stream)) return;
+        checkedContent.add(stream);
+        checkContent([stream], pageNum);
+        checkResources(dict.lookup(PDFName.of('Resources')), pageNum, depth);
+    };
+
+    pdfDoc.getPages().forEach((page, index) => {
+        const pageNum = index + 1;
+        const { Resources, Contents } = page.node.normalizedEntries();
+        const streams = Contents instanceof PDFArray ? Contents.asArray().map((c) => context.lookup(c)).filter((s) => s instanceof PDFStream) : [];
+        streams.forEach((s) => {
+            if (filterNames(s.dict).includes('LZWDecode')) report('Contains LZW-compressed data, which PDF/A does not allow', pageNum);
+        });
+        checkContent(streams, pageNum);
+        checkResources(Resources, pageNum, 0);
+        const group = page.node.lookup(PDFName.of('Group'));
+        if (group instanceof PDFDict && mentionsCmyk(context, group.get(PDFName.of('CS')))) {
+            report('Uses CMYK colors without a CMYK color profile (the output intent is sRGB)', pageNum);
+        }
+
+        const { width, height } = page.getSize();
+        if (Math.min(width, height) < 3 || Math.max(width, height) > 14400) report('Page size is outside what PDF/A allows (3 to 14400 points)', pageNum);
+
+        const annots = page.node.Annots();
+        if (!(annots instanceof PDFArray)) return;
+        for (let i = 0; i < annots.size(); i++) {
+            const annot = annots.lookup(i);
+            if (!(annot instanceof PDFDict)) continue;
+            const subtype = nameOf(annot.lookup(PDFName.of('Subtype')));
+            if (subtype === 'Popup' || subtype === 'Link') continue;
+            const rect = annot.lookup(PDFName.of('Rect'));
+            const r = rect instanceof PDFArray ? rect.asArray().map((v) => (context.lookup(v) instanceof PDFNumber ? context.lookup(v).asNumber() : 0)) : [0, 0, 0, 0];
+            const normal = annot.lookupMaybe(PDFName.of('AP'), PDFDict)?.lookup(PDFName.of('N'));
+            if (!normal && r[0] !== r[2] && r[1] !== r[3]) {
+                report(`A ${subtype || 'page'} annotation has no appearance of its own`, pageNum);
+                continue;
+            }
+            const forms = normal instanceof PDFStream ? [normal]
+                : normal instanceof PDFDict ? normal.entries().map(([, v]) => context.lookup(v)).filter((v) => v instanceof PDFStream) : [];
+            forms.forEach((form) => checkStream(form, pageNum, 1));
+        }
+    });
+
+    return [...found].map(([message, pages]) => {
+        const list = [...pages].filter(Boolean).sort((a, b) => a - b);
+        if (!list.length) return message;
+        const shown = list.length > 10 ? `${list.slice(0, 10).join(', ')}, …` : list.join(', ');
+        return `${message} (page${list.length === 1 ? '' : 's'} ${shown})`;
+    });
+}
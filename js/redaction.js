@@ -0,0 +1,911 @@
+/**
+ * Redaction - Rewrites page content so that nothing under a redaction box
+ * survives in the exported file (text glyphs, image samples, vector paths,
+ * shadings, annotations). The caller draws the opaque fill afterwards.
+ *
+ * Rectangles are given in the page's default user space as
+ * { x0, y0, x1, y1 }. Whenever removal cannot be guaranteed the functions
+ * throw instead of silently leaving content behind.
+ *
+ * In text-only mode (used to replace edited text) only glyphs whose center lies
+ * in a box are removed; drawings, images and annotations are kept.
+ */
+
+const {
+    PDFName,
+    PDFDict,
+    PDFArray,
+    PDFNumber,
+    PDFStream,
+    StandardFontEmbedder
+} = PDFLib;
+import {
+    DECODABLE_FILTERS,
+    bytesToBinary,
+    binaryToBytes,
+    multiply,
+    transformBox,
+    numberOf,
+    numbersOf,
+    filterNames,
+    decodeStreamBytes,
+    parseOperations,
+    componentsOf,
+    undoPredictor
+} from './pdf-utils.js';
+
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+const MAX_FORM_DEPTH = 8;
+
+const PATH_CONSTRUCTION_OPS = new Set(['m', 'l', 'c', 'v', 'y', 'h', 're']);
+const PATH_PAINT_OPS = new Set(['S', 's', 'f', 'F', 'f*', 'B', 'B*', 'b', 'b*', 'n']);
+const STROKING_PAINT_OPS = new Set(['S', 's', 'B', 'B*', 'b', 'b*']);
+const TEXT_SHOW_OPS = new Set(['Tj', 'TJ', "'", '"']);
+const STANDARD_14 = new Set([
+    'Courier', 'Courier-Bold', 'Courier-Oblique', 'Courier-BoldOblique',
+    'Helvetica', 'Helvetica-Bold', 'Helvetica-Oblique', 'Helvetica-BoldOblique',
+    'Times-Roman', 'Times-Bold', 'Times-Italic', 'Times-BoldItalic',
+    'Symbol', 'ZapfDingbats'
+]);
+
+/* ---------- small helpers ---------- */
+
+/** Run a shared decoding helper: content that cannot be read cannot be redacted */
+function mustRead(read) {
+    try {
+        return read();
+    } catch (e) {
+        throw new Error(`${e.message}; redaction cannot be guaranteed`);
+    }
+}
+
+function toHex(binary) {
+    let s = '';
+    for (let i = 0; i < binary.length; i++) s += binary.charCodeAt(i).toString(16).padStart(2, '0');
+    return s;
+}
+
+function fmt(n) {
+    if (!Number.isFinite(n)) return '0';
+    return String(Number(n.toFixed(4)));
+}
+
+function invert(m) {
+    const det = m[0] * m[3] - m[1] * m[2];
+    if (!det) return null;
+    return [
+        m[3] / det,
+        -m[1] / det,
+        -m[2] / det,
+        m[0] / det,
+        (m[2] * m[5] - m[3] * m[4]) / det,
+        (m[1] * m[4] - m[0] * m[5]) / det
+    ];
+}
+
+function intersects(a, b) {
+    return a.x0 < b.x1 && a.x1 > b.x0 && a.y0 < b.y1 && a.y1 > b.y0;
+}
+
+/** The overlap of two boxes; null stands for no bound (the whole page) */
+function overlap(a, b) {
+    if (!a) return b;
+    if (!b) return a;
+    return { x0: Math.max(a.x0, b.x0), y0: Math.max(a.y0, b.y0), x1: Math.min(a.x1, b.x1), y1: Math.min(a.y1, b.y1) };
+}
+
+function hitsAny(box, rects) {
+    return rects.some((r) => intersects(box, r));
+}
+
+function centerInAny(box, rects) {
+    const x = (box.x0 + box.x1) / 2;
+    const y = (box.y0 + box.y1) / 2;
+    return rects.some((r) => x >= r.x0 && x <= r.x1 && y >= r.y0 && y <= r.y1);
+}
+
+function containedIn(box, rects) {
+    return rects.some((r) => box.x0 >= r.x0 && box.x1 <= r.x1 && box.y0 >= r.y0 && box.y1 <= r.y1);
+}
+
+/* ---------- fonts ---------- */
+
+const UNMEASURABLE_FONT = { measurable: false };
+
+function fontDescriptorMetrics(descriptor, fallbackAscent = 0.9, fallbackDescent = -0.25) {
+    let ascent = fallbackAscent;
+    let descent = fallbackDescent;
+    if (descriptor instanceof PDFDict) {
+        // Prefer the declared line metrics over FontBBox: the bbox is often far taller than any
+        // real glyph, which would make boxes drawn over one line also catch its neighbours
+        const a = numberOf(descriptor.lookup(PDFName.of('Ascent')), NaN);
+        const d = numberOf(descriptor.lookup(PDFName.of('Descent')), NaN);
+        const bbox = numbersOf(descriptor.lookup(PDFName.of('FontBBox')));
+        if (Number.isFinite(a) && a > 0) ascent = a / 1000;
+        else if (bbox && bbox.length === 4 && bbox[3] > 0) ascent = bbox[3] / 1000;
+        if (Number.isFinite(d) && d < 0) descent = d / 1000;
+        else if (bbox && bbox.length === 4 && bbox[1] < 0) descent = bbox[1] / 1000;
+    }
+    return { ascent, descent };
+}
+
+function standardFontWidths(baseFont, fontDict) {
+    const name = baseFont.replace(/^[A-Z]{6}\+/, '');
+    if (!STANDARD_14.has(name) || !StandardFontEmbedder) return null;
+    try {
+        const embedder = StandardFontEmbedder.for(name);
+        const codeToName = new Map();
+        for (const cp of embedder.encoding.supportedCodePoints) {
+            const { code, name: glyphName } = embedder.encoding.encodeUnicodeCodePoint(cp);
+            if (!codeToName.has(code)) codeToName.set(code, glyphName);
+        }
+        const encoding = fontDict.lookup(PDFName.of('Encoding'));
+        const differences = encoding instanceof PDFDict ? encoding.lookup(PDFName.of('Differences')) : null;
+        if (differences instanceof PDFArray) {
+            let code = 0;
+            for (const item of differences.asArray()) {
+                const v = differences.context.lookup(item);
+                if (v instanceof PDFNumber) code = v.asNumber();
+                else if (v instanceof PDFName) codeToName.set(code++, v.decodeText());
+            }
+        }
+        return (code) => {
+            const glyphName = codeToName.get(code);
+            const w = glyphName ? embedder.font.getWidthOfGlyph(glyphName) : undefined;
+            return typeof w === 'number' ? w / 1000 : null;
+        };
+    } catch (e) {
+        console.warn('Could not load standard font metrics for redaction:', e);
+        return null;
+    }
+}
+
+/**
+ * Build the subset of font information needed to place glyphs:
+ * how strings split into codes and how wide each code is.
+ */
+function loadFont(fontDict) {
+    if (!(fontDict instanceof PDFDict)) return UNMEASURABLE_FONT;
+    const subtype = fontDict.lookup(PDFName.of('Subtype'));
+    const subtypeName = subtype instanceof PDFName ? subtype.decodeText() : '';
+
+    if (subtypeName === 'Type0') {
+        const encoding = fontDict.lookup(PDFName.of('Encoding'));
+        const encodingName = encoding instanceof PDFName ? encoding.decodeText() : '';
+        // Only Identity-H gives us a reliable code length and horizontal advance
+        if (encodingName !== 'Identity-H') return UNMEASURABLE_FONT;
+        const descendants = fontDict.lookup(PDFName.of('DescendantFonts'));
+        const cidFont = descendants instanceof PDFArray ? descendants.lookup(0) : null;
+        if (!(cidFont instanceof PDFDict)) return UNMEASURABLE_FONT;
+        const dw = numberOf(cidFont.lookup(PDFName.of('DW')), 1000) / 1000;
+        const widths = new Map();
+        const w = cidFont.lookup(PDFName.of('W'));
+        if (w instanceof PDFArray) {
+            const items = w.asArray().map((v) => w.context.lookup(v));
+            for (let i = 0; i < items.length;) {
+                const first = numberOf(items[i]);
+                const next = items[i + 1];
+                if (next instanceof PDFArray) {
+                    numbersOf(next).forEach((width, k) => widths.set(first + k, width / 1000));
+                    i += 2;
+                } else {
+                    const last = numberOf(next);
+                    const width = numberOf(items[i + 2]) / 1000;
+                    for (let c = first; c <= last; c++) widths.set(c, width);
+                    i += 3;
+                }
+            }
+        }
+        const { ascent, descent } = fontDescriptorMetrics(cidFont.lookup(PDFName.of('FontDescriptor')));
+        return {
+            measurable: true,
+            exact: true,
+            codeBytes: 2,
+            ascent,
+            descent,
+            widthOf: (code) => (widths.has(code) ? widths.get(code) : dw)
+        };
+    }
+
+    const firstChar = numberOf(fontDict.lookup(PDFName.of('FirstChar')), 0);
+    const widthsArr = numbersOf(fontDict.lookup(PDFName.of('Widths')));
+    const descriptor = fontDict.lookup(PDFName.of('FontDescriptor'));
+    const missingWidth = descriptor instanceof PDFDict
+        ? numberOf(descriptor.lookup(PDFName.of('MissingWidth')), NaN)
+        : NaN;
+
+    if (subtypeName === 'Type3') {
+        const matrix = numbersOf(fontDict.lookup(PDFName.of('FontMatrix'))) || [0.001, 0, 0, 0.001, 0, 0];
+        const bbox = numbersOf(fontDict.lookup(PDFName.of('FontBBox'))) || [0, 0, 0, 0];
+        const hasBox = bbox[1] || bbox[3];
+        const yScale = matrix[3] || 0.001;
+        const ys = hasBox ? [bbox[1] * yScale, bbox[3] * yScale] : [-0.3, 1];
+        return {
+            measurable: true,
+            exact: !!widthsArr,
+            codeBytes: 1,
+            ascent: Math.max(...ys),
+            descent: Math.min(...ys),
+            widthOf: (code) => {
+                const w = widthsArr ? widthsArr[code - firstChar] : undefined;
+                return typeof w === 'number' ? w * (matrix[0] || 0.001) : 1;
+            }
+        };
+    }
+
+    const baseFont = fontDict.lookup(PDFName.of('BaseFont'));
+    const standard = !widthsArr && baseFont instanceof PDFName ? standardFontWidths(baseFont.decodeText(), fontDict) : null;
+    const { ascent, descent } = fontDescriptorMetrics(descriptor);
+    let exact = !!widthsArr || !!standard;
+    return {
+        measurable: true,
+        get exact() { return exact; },
+        codeBytes: 1,
+        ascent,
+        descent,
+        widthOf: (code) => {
+            if (widthsArr) {
+                const w = widthsArr[code - firstChar];
+                if (typeof w === 'number') return w / 1000;
+                if (Number.isFinite(missingWidth)) return missingWidth / 1000;
+                return 0;
+            }
+            if (standard) {
+                const w = standard(code);
+                if (w !== null) return w;
+            }
+            exact = false;
+            return 0.6;
+        }
+    };
+}
+
+/* ---------- images ---------- */
+
+/**
+ * Map redaction rectangles into pixel ranges of an image drawn with the given CTM.
+ */
+function pixelRegions(ctm, width, height, rects) {
+    const inv = invert(ctm);
+    if (!inv) return [];
+    const regions = [];
+    for (const r of rects) {
+        const u = transformBox(r.x0, r.y0, r.x1, r.y1, inv);
+        const u0 = Math.max(0, u.x0);
+        const u1 = Math.min(1, u.x1);
+        const v0 = Math.max(0, u.y0);
+        const v1 = Math.min(1, u.y1);
+        if (u0 >= u1 || v0 >= v1) continue;
+        regions.push({
+            col0: Math.max(0, Math.floor(u0 * width)),
+            col1: Math.min(width, Math.ceil(u1 * width)),
+            row0: Math.max(0, Math.floor((1 - v1) * height)),
+            row1: Math.min(height, Math.ceil((1 - v0) * height))
+        });
+    }
+    return regions;
+}
+
+/**
+ * A copy of a resource dictionary with its own XObject and Shading dictionaries, so replacing
+ * and dropping them leaves the pages and forms that share the original alone
+ */
+function unsharedResources(context, resources) {
+    const copy = resources.clone(context);
+    for (const key of ['XObject', 'Shading']) {
+        const dict = resources.lookup(PDFName.of(key));
+        if (dict instanceof PDFDict) copy.set(PDFName.of(key), dict.clone(context));
+    }
+    return copy;
+}
+
+function copyDictEntries(from, to, skip) {
+    for (const [key, value] of from.entries()) {
+        if (skip.includes(key.decodeText())) continue;
+        to.set(key, value);
+    }
+}
+
+async function redactJpeg(context, stream, regions) {
+    const dict = stream.dict;
+    const width = numberOf(dict.lookup(PDFName.of('Width')));
+    const height = numberOf(dict.lookup(PDFName.of('Height')));
+    let bitmap;
+    try {
+        bitmap = await createImageBitmap(new Blob([stream.contents], { type: 'image/jpeg' }));
+    } catch (e) {
+        throw new Error('A JPEG image under a redaction box could not be decoded; redaction cannot be guaranteed');
+    }
+    if (bitmap.width !== width || bitmap.height !== height) {
+        throw new Error('A JPEG image under a redaction box has unexpected dimensions; redaction cannot be guaranteed');
+    }
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(bitmap, 0, 0);
+    ctx.fillStyle = '#000000';
+    for (const r of regions) ctx.fillRect(r.col0, r.row0, r.col1 - r.col0, r.row1 - r.row0);
+    const blob = await new Promise((resolve) => canvas.toBlob(resolve, 'image/jpeg', 0.92));
+    if (!blob) throw new Error('Could not re-encode a redacted image');
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    const out = context.stream(bytes, {
+        Type: 'XObject',
+        Subtype: 'Image',
+        Width: width,
+        Height: height,
+        ColorSpace: 'DeviceRGB',
+        BitsPerComponent: 8,
+        Filter: 'DCTDecode'
+    });
+    copyDictEntries(dict, out.dict, ['Type', 'Subtype', 'Width', 'Height', 'ColorSpace', 'BitsPerComponent', 'Filter', 'DecodeParms', 'Length', 'Decode', 'SMask']);
+    return out;
+}
+
+function redactSampledImage(context, stream, regions) {
+    const dict = stream.dict;
+    const width = numberOf(dict.lookup(PDFName.of('Width')));
+    const height = numberOf(dict.lookup(PDFName.of('Height')));
+    const isMask = dict.lookup(PDFName.of('ImageMask'))?.asBoolean?.() === true;
+    const bpc = isMask ? 1 : numberOf(dict.lookup(PDFName.of('BitsPerComponent')), 8);
+    const comps = isMask ? 1 : componentsOf(dict.get(PDFName.of('ColorSpace')), context);
+    if (!comps || !width || !height) {
+        throw new Error('An image under a redaction box uses an unsupported color space; redaction cannot be guaranteed');
+    }
+
+    let data = mustRead(() => decodeStreamBytes(stream));
+    const params = dict.lookup(PDFName.of('DecodeParms'));
+    const lastParams = params instanceof PDFArray ? params.lookup(params.size() - 1) : params;
+    if (lastParams instanceof PDFDict) data = mustRead(() => undoPredictor(data, lastParams, comps, bpc, width));
+
+    const rowBytes = Math.ceil((width * comps * bpc) / 8);
+    if (data.length < rowBytes * height) {
+        throw new Error('An image under a redaction box is truncated; redaction cannot be guaranteed');
+    }
+    const samples = new Uint8Array(data.subarray(0, rowBytes * height));
+    for (const r of regions) {
+        const byte0 = Math.floor((r.col0 * comps * bpc) / 8);
+        const byte1 = Math.ceil((r.col1 * comps * bpc) / 8);
+        for (let row = r.row0; row < r.row1; row++) {
+            samples.fill(0, row * rowBytes + byte0, row * rowBytes + byte1);
+        }
+    }
+    const out = context.flateStream(samples);
+    copyDictEntries(dict, out.dict, ['Filter', 'DecodeParms', 'Length', 'SMask']);
+    return out;
+}
+
+/**
+ * Produce a copy of an image XObject with the redacted pixels overwritten.
+ * Soft masks are redacted too since they can carry the same shapes.
+ * @returns {Promise<PDFRef>}
+ */
+async function redactImage(context, stream, ctm, rects) {
+    const dict = stream.dict;
+    const width = numberOf(dict.lookup(PDFName.of('Width')));
+    const height = numberOf(dict.lookup(PDFName.of('Height')));
+    const regions = pixelRegions(ctm, width, height, rects);
+    const filters = filterNames(dict);
+
+    let out;
+    if (filters.length === 1 && filters[0] === 'DCTDecode') {
+        out = await redactJpeg(context, stream, regions);
+    } else if (filters.every((f) => DECODABLE_FILTERS.has(f))) {
+        out = redactSampledImage(context, stream, regions);
+    } else {
+        throw new Error(`An image under a redaction box uses ${filters.join(', ')} encoding; redaction cannot be guaranteed`);
+    }
+
+    const smask = dict.lookup(PDFName.of('SMask'));
+    if (smask instanceof PDFStream) {
+        out.dict.set(PDFName.of('SMask'), await redactImage(context, smask, ctm, rects));
+    }
+    return context.register(out);
+}
+
+/* ---------- interpreter ---------- */
+
+function newPath() {
+    return { subpaths: [], clip: null };
+}
+
+function addPoints(box, pts, ctm) {
+    for (let i = 0; i + 1 < pts.length; i += 2) {
+        const x = ctm[0] * pts[i] + ctm[2] * pts[i + 1] + ctm[4];
+        const y = ctm[1] * pts[i] + ctm[3] * pts[i + 1] + ctm[5];
+        box.x0 = Math.min(box.x0, x);
+        box.y0 = Math.min(box.y0, y);
+        box.x1 = Math.max(box.x1, x);
+        box.y1 = Math.max(box.y1, y);
+    }
+}
+
+/**
+ * Rewrite one content stream (page or form XObject).
+ * @returns {Promise<string>} new content as a binary string
+ */
+async function redactContent(run, src, resources, baseCtm, depth, baseClip = null) {
+    if (depth > MAX_FORM_DEPTH) {
+        throw new Error('Content is nested too deeply to redact reliably');
+    }
+    const { context, rects, report } = run;
+    const ops = mustRead(() => parseOperations(src));
+    const out = [];
+    const fontsDict = resources instanceof PDFDict ? resources.lookup(PDFName.of('Font')) : null;
+    const xobjects = resources instanceof PDFDict ? resources.lookup(PDFName.of('XObject')) : null;
+    const shadings = resources instanceof PDFDict ? resources.lookup(PDFName.of('Shading')) : null;
+
+    let gs = {
+        ctm: baseCtm,
+        // Bounds of the clipping path in page space (null: not clipped)
+        clip: baseClip,
+        lineWidth: 1,
+        font: null,
+        fontSize: 0,
+        charSpacing: 0,
+        wordSpacing: 0,
+        hScale: 1,
+        leading: 0,
+        rise: 0
+    };
+    const gsStack = [];
+    let tm = IDENTITY;
+    let tlm = IDENTITY;
+    // Extra text-space tolerance after a run we could not measure exactly
+    let slack = 0;
+    let path = null;
+    const markedContent = [];
+
+    const fontFor = (name) => {
+        if (!(fontsDict instanceof PDFDict)) return UNMEASURABLE_FONT;
+        const fontDict = fontsDict.lookup(PDFName.of(name));
+        if (!(fontDict instanceof PDFDict)) return UNMEASURABLE_FONT;
+        if (!run.fontCache.has(fontDict)) run.fontCache.set(fontDict, loadFont(fontDict));
+        return run.fontCache.get(fontDict);
+    };
+
+    const moveLine = (tx, ty) => {
+        tlm = multiply([1, 0, 0, 1, tx, ty], tlm);
+        tm = tlm;
+        slack = 0;
+    };
+
+    const markRemoved = () => {
+        for (const mc of markedContent) mc.touched = true;
+    };
+
+    /**
+     * Walk the glyphs of a text-showing operation. Returns the TJ items to
+     * write back, or null if nothing was removed.
+     */
+    const showText = (items) => {
+        const font = gs.font || UNMEASURABLE_FONT;
+        const size = gs.fontSize;
+        const th = gs.hScale;
+        const trm = () => multiply(tm, gs.ctm);
+
+        if (!font.measurable) {
+            let count = 0;
+            for (const item of items) if (item && item.str !== undefined) count += item.str.length;
+            const perByte = (Math.abs(size) + Math.abs(gs.charSpacing) + Math.abs(gs.wordSpacing)) * Math.abs(th);
+            const reach = count * perByte + Math.abs(size) + Math.abs(gs.rise) + slack;
+            if (hitsAny(transformBox(-reach, -reach, reach, reach, trm()), rects)) {
+                throw new Error('Text under a redaction box uses a font encoding that cannot be measured; redaction cannot be guaranteed');
+            }
+            tm = multiply([1, 0, 0, 1, count * perByte * 0.5, 0], tm);
+            slack += count * perByte;
+            return null;
+        }
+
+        const result = [];
+        let removed = 0;
+        const ascent = font.ascent * size + gs.rise;
+        const descent = font.descent * size + gs.rise;
+        for (const item of items) {
+            if (typeof item === 'number') {
+                tm = multiply([1, 0, 0, 1, (-item / 1000) * size * th, 0], tm);
+                result.push(item);
+                continue;
+            }
+            if (!item || item.str === undefined) continue;
+            const str = item.str;
+            for (let i = 0; i + font.codeBytes <= str.length; i += font.codeBytes) {
+                const bytes = str.substr(i, font.codeBytes);
+                const code = font.codeBytes === 2 ? (bytes.charCodeAt(0) << 8) | bytes.charCodeAt(1) : bytes.charCodeAt(0);
+                const w = font.widthOf(code);
+                const isSpace = font.codeBytes === 1 && code === 32;
+                const advance = (w * size + gs.charSpacing + (isSpace ? gs.wordSpacing : 0)) * th;
+                const glyphWidth = Math.max(w * size * th, advance);
+                const box = transformBox(
+                    Math.min(0, glyphWidth) - slack,
+                    Math.min(descent, ascent) - slack,
+                    Math.max(0, glyphWidth) + slack,
+                    Math.max(descent, ascent) + slack,
+                    trm()
+                );
+                if (run.textOnly ? centerInAny(box, rects) : hitsAny(box, rects)) {
+                    if (slack > 0 || !font.exact) {
+                        throw new Error('Text under a redaction box could not be positioned exactly; redaction cannot be guaranteed');
+                    }
+                    removed++;
+                    if (size * th !== 0) result.push((-advance / (size * th)) * 1000);
+                } else {
+                    result.push({ bytes });
+                }
+                tm = multiply([1, 0, 0, 1, advance, 0], tm);
+            }
+        }
+        if (!removed) return null;
+        report.glyphs += removed;
+        markRemoved();
+        return result;
+    };
+
+    const serializeTJ = (items) => {
+        const parts = [];
+        let pending = '';
+        for (const item of items) {
+            if (typeof item === 'number') {
+                if (pending) parts.push(`<${toHex(pending)}>`);
+                pending = '';
+                parts.push(fmt(item));
+            } else {
+                pending += item.bytes;
+            }
+        }
+        if (pending) parts.push(`<${toHex(pending)}>`);
+        return `[${parts.join(' ')}] TJ`;
+    };
+
+    for (const op of ops) {
+        const raw = src.slice(op.start, op.end);
+        const args = op.operands;
+        const num = (i) => (typeof args[i] === 'number' ? args[i] : 0);
+
+        if (PATH_CONSTRUCTION_OPS.has(op.op)) {
+            if (!path) path = newPath();
+            const nums = args.filter((a) => typeof a === 'number');
+            if (op.op === 'm' || op.op === 're' || !path.subpaths.length) {
+                path.subpaths.push({ raw: [], box: { x0: Infinity, y0: Infinity, x1: -Infinity, y1: -Infinity } });
+            }
+            const sp = path.subpaths[path.subpaths.length - 1];
+            sp.raw.push(raw);
+            if (op.op === 're') {
+                addPoints(sp.box, [nums[0], nums[1], nums[0] + nums[2], nums[1] + nums[3], nums[0], nums[1] + nums[3], nums[0] + nums[2], nums[1]], gs.ctm);
+            } else {
+                addPoints(sp.box, nums, gs.ctm);
+            }
+            if (op.op === 're') path.subpaths.push({ raw: [], box: { x0: Infinity, y0: Infinity, x1: -Infinity, y1: -Infinity } });
+            continue;
+        }
+        if (op.op === 'W' || op.op === 'W*') {
+            if (!path) path = newPath();
+            path.clip = raw;
+            continue;
+        }
+        if (PATH_PAINT_OPS.has(op.op)) {
+            const current = path || newPath();
+            path = null;
+            const subpaths = current.subpaths.filter((sp) => sp.raw.length);
+            const allRaw = subpaths.flatMap((sp) => sp.raw);
+            if (current.clip) {
+                const bounds = subpaths.map((sp) => sp.box).filter((b) => Number.isFinite(b.x0));
+                gs.clip = overlap(gs.clip, bounds.length ? {
+                    x0: Math.min(...bounds.map((b) => b.x0)),
+                    y0: Math.min(...bounds.map((b) => b.y0)),
+                    x1: Math.max(...bounds.map((b) => b.x1)),
+                    y1: Math.max(...bounds.map((b) => b.y1))
+                } : { x0: 0, y0: 0, x1: 0, y1: 0 });
+            }
+            if (op.op === 'n' || run.textOnly) {
+                out.push([...allRaw, current.clip, raw].filter(Boolean).join('\n'));
+                continue;
+            }
+            const m = gs.ctm;
+            const halfWidth = STROKING_PAINT_OPS.has(op.op)
+                ? (Math.max(Math.abs(m[0]) + Math.abs(m[2]), Math.abs(m[1]) + Math.abs(m[3])) * Math.max(gs.lineWidth, 1)) / 2
+                : 0;
+            const kept = subpaths.filter((sp) => {
+                const b = sp.box;
+                if (!Number.isFinite(b.x0)) return true;
+                return !hitsAny({ x0: b.x0 - halfWidth, y0: b.y0 - halfWidth, x1: b.x1 + halfWidth, y1: b.y1 + halfWidth }, rects);
+            });
+            if (kept.length === subpaths.length) {
+                out.push([...allRaw, current.clip, raw].filter(Boolean).join('\n'));
+                continue;
+            }
+            report.paths += subpaths.length - kept.length;
+            if (kept.length) out.push([...kept.flatMap((sp) => sp.raw), raw].join('\n'));
+            // A clipping path still has to take effect even if its painting was removed
+            if (current.clip) out.push([...allRaw, current.clip, 'n'].join('\n'));
+            continue;
+        }
+        if (path) {
+            // Operators between construction and painting are invalid; flush as-is
+            out.push(path.subpaths.flatMap((sp) => sp.raw).concat(path.clip ? [path.clip] : []).join('\n'));
+            path = null;
+        }
+
+        switch (op.op) {
+            case 'q':
+                gsStack.push({ ...gs });
+                out.push(raw);
+                break;
+            case 'Q':
+                if (gsStack.length) gs = gsStack.pop();
+                out.push(raw);
+                break;
+            case 'cm':
+                gs.ctm = multiply([num(0), num(1), num(2), num(3), num(4), num(5)], gs.ctm);
+                out.push(raw);
+                break;
+            case 'w':
+                gs.lineWidth = num(0);
+                out.push(raw);
+                break;
+            case 'BT':
+                tm = IDENTITY;
+                tlm = IDENTITY;
+                slack = 0;
+                out.push(raw);
+                break;
+            case 'Tf':
+                gs.font = fontFor(args[0]?.name);
+                gs.fontSize = num(1);
+                out.push(raw);
+                break;
+            case 'Tc':
+                gs.charSpacing = num(0);
+                out.push(raw);
+                break;
+            case 'Tw':
+                gs.wordSpacing = num(0);
+                out.push(raw);
+                break;
+            case 'Tz':
+                gs.hScale = num(0) / 100;
+                out.push(raw);
+                break;
+            case 'TL':
+                gs.leading = num(0);
+                out.push(raw);
+                break;
+            case 'Ts':
+                gs.rise = num(0);
+                out.push(raw);
+                break;
+            case 'Td':
+                moveLine(num(0), num(1));
+                out.push(raw);
+                break;
+            case 'TD':
+                gs.leading = -num(1);
+                moveLine(num(0), num(1));
+                out.push(raw);
+                break;
+            case 'Tm':
+                tm = [num(0), num(1), num(2), num(3), num(4), num(5)];
+                tlm = tm;
+                slack = 0;
+                out.push(raw);
+                break;
+            case 'T*':
+                moveLine(0, -gs.leading);
+                out.push(raw);
+                break;
+            case 'Tj':
+            case 'TJ':
+            case "'":
+            case '"': {
+                let prefix = '';
+                let items;
+                if (op.op === '"') {
+                    gs.wordSpacing = num(0);
+                    gs.charSpacing = num(1);
+                    moveLine(0, -gs.leading);
+                    prefix = `${fmt(num(0))} Tw ${fmt(num(1))} Tc T*\n`;
+                    items = [args[2]];
+                } else if (op.op === "'") {
+                    moveLine(0, -gs.leading);
+                    prefix = 'T*\n';
+                    items = [args[0]];
+                } else if (op.op === 'TJ') {
+                    items = Array.isArray(args[0]) ? args[0] : [];
+                } else {
+                    items = [args[0]];
+                }
+                const rewritten = showText(items);
+                out.push(rewritten ? prefix + serializeTJ(rewritten) : raw);
+                break;
+            }
+            case 'BDC':
+            case 'BMC':
+                markedContent.push({
+                    index: out.length,
+                    tag: args[0]?.name,
+                    hasText: op.op === 'BDC' && args[1]?.dict &&
+                        ['ActualText', 'Alt', 'E'].some((k) => args[1].dict.has(k)),
+                    touched: false
+                });
+                out.push(raw);
+                break;
+            case 'EMC': {
+                const mc = markedContent.pop();
+                // Replacement text would otherwise still reveal what was removed
+                if (mc && mc.touched && mc.hasText && mc.tag) out[mc.index] = `/${mc.tag} BMC`;
+                out.push(raw);
+                break;
+            }
+            case 'BI': {
+                const box = transformBox(0, 0, 1, 1, gs.ctm);
+                if (!run.textOnly && hitsAny(box, rects)) {
+                    report.images++;
+                } else {
+                    out.push(raw);
+                }
+                break;
+            }
+            case 'sh': {
+                // A shading fills the whole clipping area, within its own BBox if it has one
+                const name = args[0]?.name;
+                const shading = shadings instanceof PDFDict && name ? shadings.lookup(PDFName.of(name)) : null;
+                const shadingDict = shading instanceof PDFStream ? shading.dict : shading;
+                const bbox = shadingDict instanceof PDFDict ? numbersOf(shadingDict.lookup(PDFName.of('BBox'))) : null;
+                const area = overlap(gs.clip, bbox?.length === 4 ? transformBox(bbox[0], bbox[1], bbox[2], bbox[3], gs.ctm) : null);
+                if (run.textOnly || (area && !hitsAny(area, rects))) {
+                    out.push(raw);
+                    run.markUsed(shadings, name);
+                    break;
+                }
+                report.paths++;
+                run.markReplaced(shadings, name);
+                break;
+            }
+            case 'Do': {
+                const name = args[0]?.name;
+                const xobj = xobjects instanceof PDFDict && name ? xobjects.lookup(PDFName.of(name)) : null;
+                if (!(xobj instanceof PDFStream)) {
+                    out.push(raw);
+                    break;
+                }
+                const subtype = xobj.dict.lookup(PDFName.of('Subtype'));
+                const kind = subtype instanceof PDFName ? subtype.decodeText() : '';
+                if (kind === 'Image') {
+                    const box = transformBox(0, 0, 1, 1, gs.ctm);
+                    if (run.textOnly || !hitsAny(box, rects)) {
+                        out.push(raw);
+                        run.markUsed(xobjects, name);
+                        break;
+                    }
+                    report.images++;
+                    run.markReplaced(xobjects, name);
+                    if (containedIn(box, rects)) break;
+                    const ref = await redactImage(context, xobj, gs.ctm, rects);
+                    const key = xobjects.uniqueKey('Redacted');
+                    xobjects.set(key, ref);
+                    run.markUsed(xobjects, key.decodeText());
+                    out.push(`/${key.decodeText()} Do`);
+                } else if (kind === 'Form') {
+                    const matrix = numbersOf(xobj.dict.lookup(PDFName.of('Matrix'))) || IDENTITY;
+                    const bbox = numbersOf(xobj.dict.lookup(PDFName.of('BBox'))) || [0, 0, 0, 0];
+                    const formCtm = multiply(matrix, gs.ctm);
+                    const ownResources = xobj.dict.lookup(PDFName.of('Resources'));
+                    const formResources = ownResources instanceof PDFDict ? ownResources : resources;
+                    const formBox = transformBox(bbox[0], bbox[1], bbox[2], bbox[3], formCtm);
+                    if (!hitsAny(formBox, rects)) {
+                        out.push(raw);
+                        run.markUsed(xobjects, name);
+                        if (formResources === resources) {
+                            run.opaque.add(xobjects);
+                            if (shadings) run.opaque.add(shadings);
+                        }
+                        break;
+                    }
+                    const copyResources = ownResources instanceof PDFDict ? unsharedResources(context, ownResources) : resources;
+                    const content = bytesToBinary(mustRead(() => decodeStreamBytes(xobj)));
+                    const rewritten = await redactContent(run, content, copyResources, formCtm, depth + 1, overlap(gs.clip, formBox));
+                    const copy = context.flateStream(binaryToBytes(rewritten));
+                    copyDictEntries(xobj.dict, copy.dict, ['Filter', 'DecodeParms', 'Length', 'Resources']);
+                    if (copyResources !== resources) copy.dict.set(PDFName.of('Resources'), copyResources);
+                    run.markReplaced(xobjects, name);
+                    const key = xobjects.uniqueKey('Redacted');
+                    xobjects.set(key, context.register(copy));
+                    run.markUsed(xobjects, key.decodeText());
+                    out.push(`/${key.decodeText()} Do`);
+                } else {
+                    out.push(raw);
+                    run.markUsed(xobjects, name);
+                }
+                break;
+            }
+            default:
+                out.push(raw);
+                break;
+        }
+    }
+    if (path) out.push(path.subpaths.flatMap((sp) => sp.raw).join('\n'));
+    return out.join('\n');
+}
+
+/**
+ * Remove annotations (including form widgets) whose rectangle touches a redaction box.
+ */
+function redactAnnotations(page, rects) {
+    const annots = page.node.Annots();
+    if (!(annots instanceof PDFArray)) return 0;
+    let removed = 0;
+    for (let i = annots.size() - 1; i >= 0; i--) {
+        const annot = annots.lookup(i);
+        if (!(annot instanceof PDFDict)) continue;
+        const r = numbersOf(annot.lookup(PDFName.of('Rect')));
+        if (!r || r.length !== 4) continue;
+        const box = { x0: Math.min(r[0], r[2]), y0: Math.min(r[1], r[3]), x1: Math.max(r[0], r[2]), y1: Math.max(r[1], r[3]) };
+        if (hitsAny(box, rects)) {
+            annots.remove(i);
+            removed++;
+        }
+    }
+    return removed;
+}
+
+/**
+ * Redact a page in place.
+ * @param {PDFDocument} pdfDoc - pdf-lib document that owns the page
+ * @param {PDFPage} page - pdf-lib page
+ * @param {Array<{x0: number; y0: number; x1: number; y1: number}>} rects - boxes in default user space
+ * @param {{ textOnly?: boolean }} [options] - textOnly: remove only the glyphs centered in the boxes
+ * @returns {Promise<{ glyphs: number; paths: number; images: number; annotations: number }>}
+ */
+export async function redactPage(pdfDoc, page, rects, { textOnly = false } = {}) {
+    const report = { glyphs: 0, paths: 0, images: 0, annotations: 0 };
+    if (!rects.length) return report;
+
+    const context = pdfDoc.context;
+    const { Resources: pageResources, Contents } = page.node.normalizedEntries();
+    // Other pages may share (or inherit) the resources whose images are replaced here
+    const Resources = unsharedResources(context, pageResources);
+    page.node.set(PDFName.of('Resources'), Resources);
+    const used = new Map();
+    const replaced = new Map();
+    const run = {
+        context,
+        rects,
+        report,
+        textOnly,
+        fontCache: new Map(),
+        opaque: new Set(),
+        markUsed(dict, name) {
+            if (!dict) return;
+            if (!used.has(dict)) used.set(dict, new Set());
+            used.get(dict).add(name);
+        },
+        markReplaced(dict, name) {
+            if (!dict) return;
+            if (!replaced.has(dict)) replaced.set(dict, new Set());
+            replaced.get(dict).add(name);
+        }
+    };
+
+    const chunks = [];
+    const streams = Contents instanceof PDFArray ? Contents.asArray().map((c) => context.lookup(c)) : [];
+    for (const stream of streams) {
+        if (stream instanceof PDFStream) chunks.push(bytesToBinary(mustRead(() => decodeStreamBytes(stream))));
+    }
+    const rewritten = await redactContent(run, chunks.join('\n'), Resources, IDENTITY, 0);
+    const contentRef = context.register(context.flateStream(binaryToBytes(rewritten)));
+    page.node.set(PDFName.of('Contents'), context.obj([contentRef]));
+
+    // Drop XObjects and shadings we replaced so the original pixels/content stop being referenced
+    for (const [dict, names] of replaced) {
+        if (run.opaque.has(dict)) continue;
+        const stillUsed = used.get(dict) || new Set();
+        for (const name of names) {
+            if (!stillUsed.has(name)) dict.delete(PDFName.of(name));
+        }
+    }
+
+    if (!textOnly) report.annotations = redactAnnotations(page, rects);
+    // A page thumbnail is a picture of the unredacted page
+    page.node.delete(PDFName.of('Thumb'));
+    return report;
+}
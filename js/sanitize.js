@@ -0,0 +1,381 @@
+/**
+ * Sanitize - Removes what a document carries besides its visible pages before it is shared:
+ * metadata, JavaScript, attachments, hidden layers and annotations, comments and page thumbnails.
+ * sanitizePdf cleans the document's objects (before the content hash is taken);
+ * stripDocumentInfo empties the document info last, optionally keeping the signing payload.
+ */
+
+const { PDFName, PDFDict, PDFArray, PDFNumber, PDFString, PDFHexString, PDFStream, PDFRef } = PDFLib;
+import { bytesToBinary, binaryToBytes, decodeStreamBytes, parseOperations, pruneUnreachableObjects, eachDict, embeddedFiles } from './pdf-utils.js';
+
+/**
+ * @typedef {Object} SanitizeOptions
+ * @property {boolean} metadata - Document info, XMP and private application data
+ * @property {boolean} keepSigningData - Keep the signing-flow data: the payload in Keywords (signers, hash chain) and the signature audit trail
+ * @property {boolean} javascript - Document, page, field and link JavaScript actions
+ * @property {boolean} attachments - Embedded files and file attachment annotations
+ * @property {boolean} hidden - Optional-content layers that are off, and hidden annotations
+ * @property {boolean} comments - Comments and markup annotations (links and form fields stay)
+ * @property {boolean} thumbnails - Page thumbnail images
+ */
+
+/** @type {SanitizeOptions} */
+export const DEFAULT_SANITIZE_OPTIONS = {
+    metadata: true,
+    keepSigningData: true,
+    javascript: true,
+    attachments: true,
+    hidden: true,
+    comments: true,
+    thumbnails: true
+};
+
+const COMMENT_SUBTYPES = new Set([
+    'Text', 'FreeText', 'Line', 'Square', 'Circle', 'Polygon', 'PolyLine', 'Highlight', 'Underline',
+    'Squiggly', 'StrikeOut', 'Caret', 'Ink', 'Popup', 'Stamp', 'Sound', 'Redact'
+]);
+const FLAG_HIDDEN = 2;
+
+function nameOf(obj) {
+    return obj instanceof PDFName ? obj.decodeText() : '';
+}
+
+function plural(n, word, words = `${word}s`) {
+    return `${n} ${n === 1 ? word : words}`;
+}
+
+/** Remove the annotations of every page that match, returning how many went */
+function removeAnnotations(pdfDoc, matches) {
+    let removed = 0;
+    for (const page of pdfDoc.getPages()) {
+        const annots = page.node.Annots();
+        if (!(annots instanceof PDFArray)) continue;
+        for (let i = annots.size() - 1; i >= 0; i--) {
+            const annot = annots.lookup(i);
+            if (annot instanceof PDFDict && matches(annot)) {
+                annots.remove(i);
+                removed++;
+            }
+        }
+        if (annots.size() === 0) page.node.delete(PDFName.of('Annots'));
+    }
+    return removed;
+}
+
+/* ---------- JavaScript ---------- */
+
+function isJavaScript(action) {
+    return action instanceof PDFDict && nameOf(action.lookup(PDFName.of('S'))) === 'JavaScript';
+}
+
+function removeJavaScript(pdfDoc) {
+    let removed = 0;
+    const names = pdfDoc.catalog.lookupMaybe(PDFName.of('Names'), PDFDict);
+    if (names?.has(PDFName.of('JavaScript'))) {
+        names.delete(PDFName.of('JavaScript'));
+        removed++;
+    }
+    eachDict(pdfDoc.context, (dict) => {
+        for (const key of ['A', 'OpenAction', 'Next']) {
+            const value = dict.lookup(PDFName.of(key));
+            if (isJavaScript(value)) {
+                dict.delete(PDFName.of(key));
+                removed++;
+            } else if (key === 'Next' && value instanceof PDFArray) {
+                for (let i = value.size() - 1; i >= 0; i--) {
+                    if (isJavaScript(value.lookup(i))) {
+                        value.remove(i);
+                        removed++;
+                    }
+                }
+            }
+        }
+        // Additional actions (on open, on close, keystroke, format, calculate, ...)
+        const additional = dict.lookup(PDFName.of('AA'));
+        if (additional instanceof PDFDict) {
+            for (const [key, action] of additional.entries()) {
+                if (isJavaScript(pdfDoc.context.lookup(action))) {
+                    additional.delete(key);
+                    removed++;
+                }
+            }
+            if (additional.entries().length === 0) dict.delete(PDFName.of('AA'));
+        }
+    });
+    // XFA forms carry their own scripts
+    const acroForm = pdfDoc.catalog.lookupMaybe(PDFName.of('AcroForm'), PDFDict);
+    if (acroForm?.has(PDFName.of('XFA'))) {
+        acroForm.delete(PDFName.of('XFA'));
+        removed++;
+    }
+    return removed ? [`${plural(removed, 'JavaScript action')}`] : [];
+}
+
+/* ---------- attachments ---------- */
+
+function removeAttachments(pdfDoc) {
+    const fileNames = embeddedFiles(pdfDoc).map((spec) => {
+        const name = spec.lookup(PDFName.of('UF')) || spec.lookup(PDFName.of('F'));
+        return name instanceof PDFString || name instanceof PDFHexString ? name.decodeText() : 'unnamed';
+    });
+    pdfDoc.catalog.lookupMaybe(PDFName.of('Names'), PDFDict)?.delete(PDFName.of('EmbeddedFiles'));
+    // Associated files (PDF/A-3) can hang off the catalog, pages and other objects
+    eachDict(pdfDoc.context, (dict) => dict.delete(PDFName.of('AF')));
+    const annotations = removeAnnotations(pdfDoc, (annot) => nameOf(annot.lookup(PDFName.of('Subtype'))) === 'FileAttachment');
+    const removed = [];
+    if (fileNames.length) removed.push(`${plural(fileNames.length, 'attachment')} (${fileNames.join(', ')})`);
+    if (annotations) removed.push(plural(annotations, 'file attachment annotation'));
+    return removed;
+}
+
+/* ---------- hidden content ---------- */
+
+/**
+ * Optional-content groups that are off when the document opens
+ * @returns {Set<PDFDict>}
+ */
+function hiddenGroups(pdfDoc) {
+    const context = pdfDoc.context;
+    const properties = pdfDoc.catalog.lookupMaybe(PDFName.of('OCProperties'), PDFDict);
+    const config = properties?.lookupMaybe(PDFName.of('D'), PDFDict);
+    const groups = properties?.lookup(PDFName.of('OCGs'));
+    if (!(groups instanceof PDFArray)) return new Set();
+    const listed = (key) => {
+        const arr = config?.lookup(PDFName.of(key));
+        return new Set(arr instanceof PDFArray ? arr.asArray().map((ref) => context.lookup(ref)) : []);
+    };
+    const all = groups.asArray().map((ref) => context.lookup(ref)).filter((g) => g instanceof PDFDict);
+    if (nameOf(config?.lookup(PDFName.of('BaseState'))) === 'OFF') {
+        const on = listed('ON');
+        return new Set(all.filter((g) => !on.has(g)));
+    }
+    const off = listed('OFF');
+    return new Set(all.filter((g) => off.has(g)));
+}
+
+/** Whether an /OC entry (a group or a membership dictionary) keeps the content hidden */
+function isHiddenBy(context, value, hidden) {
+    const oc = context.lookup(value);
+    if (!(oc instanceof PDFDict)) return false;
+    if (nameOf(oc.lookup(PDFName.of('Type'))) !== 'OCMD') return hidden.has(oc);
+    const members = oc.lookup(PDFName.of('OCGs'));
+    const groups = members instanceof PDFArray ? members.asArray().map((ref) => context.lookup(ref)) : [context.lookup(members)];
+    if (!groups.length) return false;
+    const off = groups.filter((g) => hidden.has(g)).length;
+    switch (nameOf(oc.lookup(PDFName.of('P'))) || 'AnyOn') {
+        case 'AllOn': return off > 0;
+        case 'AnyOff': return off === 0;
+        case 'AllOff': return off < groups.length;
+        default: return off === groups.length;
+    }
+}
+
+/**
+ * Content without the marked-content sequences and XObjects of hidden layers
+ * @returns {string|null} The new content, or null when nothing is hidden in it
+ */
+function withoutHiddenContent(context, src, resources, hidden) {
+    const properties = resources instanceof PDFDict ? resources.lookup(PDFName.of('Properties')) : null;
+    const xobjects = resources instanceof PDFDict ? resources.lookup(PDFName.of('XObject')) : null;
+    const out = [];
+    let skipDepth = 0;
+    let changed = false;
+    for (const { op, operands, start, end } of parseOperations(src)) {
+        if (skipDepth > 0) {
+            if (op === 'BMC' || op === 'BDC') skipDepth++;
+            else if (op === 'EMC') skipDepth--;
+            continue;
+        }
+        if (op === 'BDC' && operands[0]?.name === 'OC' && operands[1]?.name !== undefined && properties instanceof PDFDict
+            && isHiddenBy(context, properties.get(PDFName.of(operands[1].name)), hidden)) {
+            skipDepth = 1;
+            changed = true;
+            continue;
+        }
+        if (op === 'Do' && operands[0]?.name !== undefined && xobjects instanceof PDFDict) {
+            const xobj = context.lookup(xobjects.get(PDFName.of(operands[0].name)));
+            if (xobj instanceof PDFStream && isHiddenBy(context, xobj.dict.get(PDFName.of('OC')), hidden)) {
+                changed = true;
+                continue;
+            }
+        }
+        out.push(src.slice(start, end));
+    }
+    return changed ? out.join('\n') : null;
+}
+
+/**
+ * Rewrite the content of a page's form XObjects (once each) without their hidden parts
+ * @param {PDFDict[]} cleaned - Collects the resources of the rewritten content, see dropHiddenResources
+ */
+function cleanForms(context, resources, hidden, done, cleaned, depth) {
+    const xobjects = resources instanceof PDFDict ? resources.lookup(PDFName.of('XObject')) : null;
+    if (!(xobjects instanceof PDFDict) || depth > 8) return;
+    for (const [, ref] of xobjects.entries()) {
+        const form = context.lookup(ref);
+        if (!(ref instanceof PDFRef) || !(form instanceof PDFStream) || done.has(form)) continue;
+        done.add(form);
+        if (nameOf(form.dict.lookup(PDFName.of('Subtype'))) !== 'Form') continue;
+        const formResources = form.dict.lookup(PDFName.of('Resources'));
+        try {
+            const rewritten = withoutHiddenContent(context, bytesToBinary(decodeStreamBytes(form)), formResources, hidden);
+            if (rewritten !== null) {
+                const copy = context.flateStream(binaryToBytes(rewritten));
+                for (const [key, value] of form.dict.entries()) {
+                    if (!['Filter', 'DecodeParms', 'Length'].includes(key.decodeText())) copy.dict.set(key, value);
+                }
+                context.assign(ref, copy);
+            }
+            if (formResources instanceof PDFDict) cleaned.push(formResources);
+        } catch (e) {
+            console.warn('Could not remove hidden content from a form XObject:', e);
+        }
+        cleanForms(context, formResources, hidden, done, cleaned, depth + 1);
+    }
+}
+
+/**
+ * Remove hidden XObjects and layer properties from resources whose content no longer uses them,
+ * so they are not written out (or copied with the page)
+ */
+function dropHiddenResources(context, resources, hidden) {
+    for (const key of ['XObject', 'Properties']) {
+        const dict = resources.lookup(PDFName.of(key));
+        if (!(dict instanceof PDFDict)) continue;
+        for (const [name, value] of dict.entries()) {
+            const obj = context.lookup(value);
+            const oc = key === 'XObject' ? (obj instanceof PDFStream ? obj.dict.get(PDFName.of('OC')) : null) : value;
+            if (oc && isHiddenBy(context, oc, hidden)) dict.delete(name);
+        }
+    }
+}
+
+/** Drop the groups from the optional-content configuration (and it entirely once no group is left) */
+function forgetGroups(pdfDoc, groups) {
+    const context = pdfDoc.context;
+    const properties = pdfDoc.catalog.lookupMaybe(PDFName.of('OCProperties'), PDFDict);
+    if (!properties) return;
+    const filter = (arr, depth = 0) => {
+        if (!(arr instanceof PDFArray) || depth > 8) return;
+        for (let i = arr.size() - 1; i >= 0; i--) {
+            const item = arr.lookup(i);
+            if (groups.has(item)) arr.remove(i);
+            else if (item instanceof PDFArray) filter(item, depth + 1);
+        }
+    };
+    filter(properties.lookup(PDFName.of('OCGs')));
+    const configs = [properties.lookup(PDFName.of('D'))];
+    const others = properties.lookup(PDFName.of('Configs'));
+    if (others instanceof PDFArray) configs.push(...others.asArray().map((c) => context.lookup(c)));
+    for (const config of configs) {
+        if (!(config instanceof PDFDict)) continue;
+        for (const key of ['ON', 'OFF', 'Order', 'RBGroups', 'Locked']) filter(config.lookup(PDFName.of(key)));
+    }
+    const left = properties.lookup(PDFName.of('OCGs'));
+    if (!(left instanceof PDFArray) || left.size() === 0) pdfDoc.catalog.delete(PDFName.of('OCProperties'));
+}
+
+/**
+ * Remove the content of the optional-content layers that are off, and hidden annotations. A
+ * rewritten export does not carry the layer configuration, so run this on the source documents
+ * before their pages are copied (and on the output, for hidden annotations).
+ * @param {PDFLib.PDFDocument} pdfDoc
+ * @returns {string[]} What was removed, for the user
+ */
+export function removeHiddenContent(pdfDoc) {
+    const context = pdfDoc.context;
+    const hidden = hiddenGroups(pdfDoc);
+    const removed = [];
+    if (hidden.size) {
+        const done = new Set();
+        const cleaned = [];
+        for (const page of pdfDoc.getPages()) {
+            const { Resources, Contents } = page.node.normalizedEntries();
+            const streams = Contents instanceof PDFArray ? Contents.asArray().map((c) => context.lookup(c)).filter((s) => s instanceof PDFStream) : [];
+            try {
+                const rewritten = withoutHiddenContent(context, streams.map((s) => bytesToBinary(decodeStreamBytes(s))).join('\n'), Resources, hidden);
+                if (rewritten !== null) {
+                    page.node.set(PDFName.of('Contents'), context.obj([context.register(context.flateStream(binaryToBytes(rewritten)))]));
+                }
+                if (Resources instanceof PDFDict) cleaned.push(Resources);
+            } catch (e) {
+                console.warn('Could not remove hidden content from a page:', e);
+            }
+            cleanForms(context, Resources, hidden, done, cleaned, 0);
+        }
+        cleaned.forEach((resources) => dropHiddenResources(context, resources, hidden));
+        removeAnnotations(pdfDoc, (annot) => isHiddenBy(context, annot.get(PDFName.of('OC')), hidden));
+        const names = [...hidden].map((g) => {
+            const name = g.lookup(PDFName.of('Name'));
+            return name instanceof PDFString || name instanceof PDFHexString ? name.decodeText() : 'unnamed';
+        });
+        forgetGroups(pdfDoc, hidden);
+        removed.push(`${plural(hidden.size, 'hidden layer')} (${names.join(', ')})`);
+    }
+    // Form fields may be hidden on purpose (e.g. for calculations), so only other annotations go
+    const annotations = removeAnnotations(pdfDoc, (annot) => {
+        const flags = annot.lookup(PDFName.of('F'));
+        return nameOf(annot.lookup(PDFName.of('Subtype'))) !== 'Widget'
+            && flags instanceof PDFNumber && (flags.asNumber() & FLAG_HIDDEN) !== 0;
+    });
+    if (annotations) removed.push(plural(annotations, 'hidden annotation'));
+    return removed;
+}
+
+/* ---------- sanitizing ---------- */
+
+/**
+ * Remove the chosen kinds of non-page content from a document. Run after flush() and before the
+ * content hash is taken; document info is emptied separately, last (see stripDocumentInfo).
+ * @param {PDFLib.PDFDocument} pdfDoc
+ * @param {SanitizeOptions} options
+ * @returns {string[]} What was removed, for the user
+ */
+export function sanitizePdf(pdfDoc, options) {
+    const removed = [];
+    if (options.javascript) removed.push(...removeJavaScript(pdfDoc));
+    if (options.attachments) removed.push(...removeAttachments(pdfDoc));
+    if (options.hidden) removed.push(...removeHiddenContent(pdfDoc));
+    if (options.comments) {
+        const comments = removeAnnotations(pdfDoc, (annot) => COMMENT_SUBTYPES.has(nameOf(annot.lookup(PDFName.of('Subtype')))));
+        if (comments) removed.push(plural(comments, 'comment'));
+    }
+    if (options.thumbnails) {
+        let thumbnails = 0;
+        for (const page of pdfDoc.getPages()) {
+            if (page.node.has(PDFName.of('Thumb'))) {
+                page.node.delete(PDFName.of('Thumb'));
+                thumbnails++;
+            }
+        }
+        if (thumbnails) removed.push(plural(thumbnails, 'page thumbnail'));
+    }
+    if (options.metadata) {
+        // XMP of the document, its pages and images, and private data of the applications that edited it
+        let metadata = 0;
+        eachDict(pdfDoc.context, (dict) => {
+            for (const key of ['Metadata', 'PieceInfo']) {
+                if (dict.has(PDFName.of(key))) {
+                    dict.delete(PDFName.of(key));
+                    metadata++;
+                }
+            }
+        });
+        if (metadata) removed.push(plural(metadata, 'XMP metadata or private application data stream', 'XMP metadata or private application data streams'));
+    }
+    pruneUnreachableObjects(pdfDoc);
+    return removed;
+}
+
+/**
+ * Empty the document info (title, author, dates, producer, ...). Run last, after the keywords are set.
+ * @param {PDFLib.PDFDocument} pdfDoc
+ * @param {string} [keepKeywords] - Keywords to keep (the signing payload)
+ * @returns {string[]} What was removed, for the user
+ */
+export function stripDocumentInfo(pdfDoc, keepKeywords = '') {
+    const info = pdfDoc.getInfoDict();
+    for (const [key] of info.entries()) info.delete(key);
+    if (keepKeywords) info.set(PDFName.of('Keywords'), PDFHexString.fromText(keepKeywords));
+    return [keepKeywords ? 'document information (signing-flow data kept)' : 'document information'];
+}
@@ -430,6 +430,45 @@ export const secureStorage = {
         saveVaultPayload(_activeVaultId, b64);
     },
 
+    /**
+     * Signing certificates (PKCS#12 files with their passwords). Not included in plain backups.
+     * @returns {Array<{ id: string; name: string; p12: string; password: string; subject: string; issuer: string; notAfter: string; createdAt: string }>}
+     */
+    getCertificates() {
+        this._assertUnlocked();
+        return _vault.certificates || [];
+    },
+
+    /**
+     * @param {{ name: string; p12: Uint8Array; password: string; subject: string; issuer?: string; notAfter: Date }} entry
+     */
+    async addCertificate(entry) {
+        this._assertUnlocked();
+        const list = _vault.certificates || [];
+        const next = {
+            id: uid(),
+            name: entry.name || entry.subject || 'Certificate',
+            p12: b64enc(entry.p12),
+            password: entry.password || '',
+            subject: entry.subject || '',
+            issuer: entry.issuer || '',
+            notAfter: entry.notAfter?.toISOString() ?? '',
+            createdAt: new Date().toISOString()
+        };
+        list.push(next);
+        _vault.certificates = list;
+        const b64 = await encrypt(JSON.stringify(_vault), _key);
+        saveVaultPayload(_activeVaultId, b64);
+        return next;
+    },
+
+    async removeCertificate(id) {
+        this._assertUnlocked();
+        _vault.certificates = (_vault.certificates || []).filter((c) => c.id !== id);
+        const b64 = await encrypt(JSON.stringify(_vault), _key);
+        saveVaultPayload(_activeVaultId, b64);
+    },
+
     /**
      * Replace vault content with plain backup data (templates + signatures). No password; use for regular file import.
      * @param {{ templates: object; signatures?: Array<{ id: string; name: string; dataUrl: string; type?: string; createdAt?: string }> }} data
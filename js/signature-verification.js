@@ -0,0 +1,390 @@
+/**
+ * Signature verification - Checks that a signed document is unchanged.
+ * The content hash covers what a reader sees (pages, their resources and annotations, form fields)
+ * and is recorded in the signing-flow hash chain on export; embedded CMS signatures are checked
+ * over their byte range with Web Crypto.
+ */
+
+const { PDFDict, PDFArray, PDFName, PDFNumber, PDFString, PDFHexString, PDFBool, PDFRef, PDFStream, PDFRawStream, PDFInvalidObject, PDFSignature, decodePDFRawStream } = PDFLib;
+
+/** Recorded with the hash so documents hashed another way are reported as unknown, not modified */
+export const CONTENT_HASH_METHOD = 'content-v1';
+
+/** Keys that point back up the tree; following them would hash unrelated pages */
+const SKIPPED_KEYS = new Set(['Parent', 'P']);
+
+const DIGESTS = {
+    '1.3.14.3.2.26': 'SHA-1',
+    '2.16.840.1.101.3.4.2.1': 'SHA-256',
+    '2.16.840.1.101.3.4.2.2': 'SHA-384',
+    '2.16.840.1.101.3.4.2.3': 'SHA-512'
+};
+
+/** Signature algorithm OID -> key type and hash (null: the signer's digest algorithm) */
+const SIGNATURE_ALGORITHMS = {
+    '1.2.840.113549.1.1.1': ['RSA', null],
+    '1.2.840.113549.1.1.5': ['RSA', 'SHA-1'],
+    '1.2.840.113549.1.1.11': ['RSA', 'SHA-256'],
+    '1.2.840.113549.1.1.12': ['RSA', 'SHA-384'],
+    '1.2.840.113549.1.1.13': ['RSA', 'SHA-512'],
+    '1.2.840.10045.2.1': ['EC', null],
+    '1.2.840.10045.4.1': ['EC', 'SHA-1'],
+    '1.2.840.10045.4.3.2': ['EC', 'SHA-256'],
+    '1.2.840.10045.4.3.3': ['EC', 'SHA-384'],
+    '1.2.840.10045.4.3.4': ['EC', 'SHA-512']
+};
+
+const CURVES = {
+    '1.2.840.10045.3.1.7': ['P-256', 32],
+    '1.3.132.0.34': ['P-384', 48],
+    '1.3.132.0.35': ['P-521', 66]
+};
+
+const OID_MESSAGE_DIGEST = '1.2.840.113549.1.9.4';
+const OID_SUBJECT_KEY_ID = '2.5.29.14';
+const OID_COMMON_NAME = '2.5.4.3';
+
+/**
+ * @typedef {Object} VerificationResult
+ * @property {'valid'|'modified'|'unknown'} status
+ * @property {string} detail - Explanation for the user
+ */
+
+/**
+ * @typedef {VerificationResult & { name: string; signedAt: string; issuer: string }} SignatureResult
+ */
+
+/**
+ * SHA-256 (hex) of the document's visible content: every page with its resources and annotations,
+ * and the form fields. Document info, attachments and signature values are not included, so the
+ * hash can be written into the document it describes and survives signing.
+ * Call after PDFDocument.flush() so embedded fonts and images are part of it.
+ * @param {PDFLib.PDFDocument} pdfDoc
+ * @returns {Promise<string>}
+ */
+export async function computeContentHash(pdfDoc) {
+    const tokens = [];
+    const visited = new Map();
+    const context = pdfDoc.context;
+
+    const walk = async (value) => {
+        const obj = value instanceof PDFRef ? context.lookup(value) : value;
+        if (obj === undefined || obj === null) {
+            tokens.push('null');
+            return;
+        }
+        if (obj instanceof PDFDict || obj instanceof PDFStream || obj instanceof PDFArray) {
+            // Objects are numbered by first visit, so renumbering on save does not change the hash
+            if (visited.has(obj)) {
+                tokens.push(`@${visited.get(obj)}`);
+                return;
+            }
+            visited.set(obj, visited.size);
+        }
+        if (obj instanceof PDFStream) {
+            await walkDict(obj.dict, new Set(['Length', 'Filter', 'DecodeParms']));
+            tokens.push(`stream:${await sha256Hex(streamContents(obj))}`);
+        } else if (obj instanceof PDFDict) {
+            await walkDict(obj);
+        } else if (obj instanceof PDFArray) {
+            tokens.push('[');
+            for (let i = 0; i < obj.size(); i++) await walk(obj.get(i));
+            tokens.push(']');
+        } else if (obj instanceof PDFName) {
+            tokens.push(`/${obj.decodeText()}`);
+        } else if (obj instanceof PDFNumber) {
+            tokens.push(String(Math.round(obj.asNumber() * 1e6) / 1e6));
+        } else if (obj instanceof PDFString || obj instanceof PDFHexString) {
+            tokens.push(`<${toHex(obj.asBytes())}>`);
+        } else if (obj instanceof PDFBool) {
+            tokens.push(String(obj.asBoolean()));
+        } else if (obj instanceof PDFInvalidObject) {
+            tokens.push(`?${toHex(obj.data)}`);
+        } else {
+            tokens.push(obj.toString());
+        }
+    };
+
+    const walkDict = async (dict, skip = SKIPPED_KEYS) => {
+        // Signature dictionaries are filled in after the hash is taken
+        if (dict.get(PDFName.of('Type')) === PDFName.of('Sig')) {
+            tokens.push('sig');
+            return;
+        }
+        const entries = dict.entries()
+            .map(([key, value]) => [key.decodeText(), value])
+            .filter(([key]) => !skip.has(key))
+            .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+        tokens.push('<<');
+        for (const [key, value] of entries) {
+            tokens.push(`/${key}`);
+            await walk(value);
+        }
+        tokens.push('>>');
+    };
+
+    tokens.push('pages');
+    for (const page of pdfDoc.getPages()) await walk(page.node);
+    tokens.push('fields');
+    const fields = pdfDoc.catalog.getAcroForm()?.Fields();
+    if (fields) await walk(fields);
+
+    return sha256Hex(new TextEncoder().encode(tokens.join(' ')));
+}
+
+/**
+ * Compare a document with the content hash recorded in its signing-flow hash chain
+ * @param {PDFLib.PDFDocument} pdfDoc
+ * @param {{ hash: string; method?: string } | undefined} hashChain
+ * @returns {Promise<VerificationResult>}
+ */
+export async function verifyContentHash(pdfDoc, hashChain) {
+    if (!hashChain?.hash) {
+        return { status: 'unknown', detail: 'No document hash was recorded when this document was saved.' };
+    }
+    if (hashChain.method !== CONTENT_HASH_METHOD) {
+        return { status: 'unknown', detail: 'This document was saved by an older version whose document hash cannot be checked.' };
+    }
+    const hash = await computeContentHash(pdfDoc);
+    return hash === hashChain.hash
+        ? { status: 'valid', detail: 'The content matches the document hash recorded at the last save.' }
+        : { status: 'modified', detail: 'The content was changed after the document was last saved by a signer.' };
+}
+
+/**
+ * Check every CMS signature (adbe.pkcs7.detached, ETSI.CAdES.detached) in a PDF.
+ * Certificates are not checked against a list of trusted authorities.
+ * @param {Uint8Array} fileBytes - The file exactly as opened (still encrypted, if it was)
+ * @param {PDFLib.PDFDocument} pdfDoc - The same document, loaded (and decrypted) with pdf-lib
+ * @returns {Promise<SignatureResult[]>}
+ */
+export async function verifySignatures(fileBytes, pdfDoc) {
+    const results = [];
+    const fields = pdfDoc.getForm().getFields().filter((f) => f instanceof PDFSignature);
+    for (const field of fields) {
+        const signature = field.acroField.dict.lookup(PDFName.of('V'));
+        if (!(signature instanceof PDFDict)) continue;
+        const text = (key) => {
+            const value = signature.lookup(PDFName.of(key));
+            return value instanceof PDFString || value instanceof PDFHexString ? value.decodeText() : '';
+        };
+        const signedAt = parseDate(text('M'));
+        let result;
+        try {
+            result = await verifySignature(fileBytes, signature);
+        } catch (e) {
+            console.warn('Could not verify signature', field.getName(), e);
+            result = { status: 'unknown', detail: 'The signature could not be read.', signer: '', issuer: '' };
+        }
+        results.push({
+            name: result.signer || text('Name') || field.getName(),
+            signedAt,
+            issuer: result.issuer,
+            status: result.status,
+            detail: result.detail
+        });
+    }
+    return results;
+}
+
+/** Verify one signature dictionary against the signed bytes of the file */
+async function verifySignature(fileBytes, signature) {
+    const { asn1 } = forge;
+    const range = signature.lookup(PDFName.of('ByteRange'));
+    const contents = signature.lookup(PDFName.of('Contents'));
+    if (!(range instanceof PDFArray) || range.size() !== 4 || !contents) {
+        return { status: 'unknown', detail: 'The signature has no signed byte range.', signer: '', issuer: '' };
+    }
+    const [start1, length1, start2, length2] = range.asArray().map((n) => n.asNumber());
+    if (start1 !== 0 || start2 + length2 > fileBytes.length || length1 > start2) {
+        return { status: 'modified', detail: 'The document was rewritten or changed after it was signed.', signer: '', issuer: '' };
+    }
+    const signed = concat(fileBytes.subarray(0, length1), fileBytes.subarray(start2, start2 + length2));
+
+    const cms = asn1.fromDer(forge.util.binary.raw.encode(trimDer(contents.asBytes())), { strict: false, decodeBitStrings: false });
+    const signedData = cms.value[1].value[0].value;
+    const certificates = (signedData.find((n) => n.tagClass === asn1.Class.CONTEXT_SPECIFIC && n.type === 0)?.value || [])
+        .map(certificateFields);
+    const signerInfo = signedData[signedData.length - 1].value[0];
+    const [, sid, digestAlgorithm, ...rest] = signerInfo.value;
+    const signedAttrs = rest[0].tagClass === asn1.Class.CONTEXT_SPECIFIC ? rest.shift() : null;
+    const [signatureAlgorithm, signatureValue] = rest;
+
+    const certificate = findSigner(certificates, sid) || certificates[0];
+    const signer = certificate?.commonName || '';
+    const issuer = certificate?.issuerName || '';
+    const digestName = DIGESTS[asn1.derToOid(digestAlgorithm.value[0].value)];
+    const [keyType, signatureHash] = SIGNATURE_ALGORITHMS[asn1.derToOid(signatureAlgorithm.value[0].value)] || [];
+    if (!certificate || !digestName || !keyType) {
+        return { status: 'unknown', detail: 'The signature uses an algorithm that cannot be checked here.', signer, issuer };
+    }
+
+    const digest = new Uint8Array(await crypto.subtle.digest(digestName, signed));
+    let data = signed;
+    if (signedAttrs) {
+        const messageDigest = signedAttrs.value.find((a) => asn1.derToOid(a.value[0].value) === OID_MESSAGE_DIGEST);
+        const recorded = messageDigest && forge.util.binary.raw.decode(messageDigest.value[1].value[0].value);
+        if (!recorded || !equalBytes(recorded, digest)) {
+            return { status: 'modified', detail: 'The document was changed after it was signed.', signer, issuer };
+        }
+        // The signature covers the attributes encoded as a SET rather than with their [0] tag
+        data = forge.util.binary.raw.decode(asn1.toDer(asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SET, true, signedAttrs.value)).getBytes());
+    }
+
+    const verified = await verifyWithKey(certificate, keyType, signatureHash || digestName, forge.util.binary.raw.decode(signatureValue.value), data);
+    if (verified === null) {
+        return { status: 'unknown', detail: 'The signer\'s key type cannot be checked here.', signer, issuer };
+    }
+    if (!verified) {
+        return { status: 'modified', detail: 'The signature does not match the signed content.', signer, issuer };
+    }
+    // Bytes after the signed range are only acceptable as incremental updates appended to the signed revision
+    const signedEnd = start2 + length2;
+    let updates = 0;
+    if (signedEnd < fileBytes.length) {
+        const revisionEnd = latin1(fileBytes.subarray(Math.max(0, signedEnd - 16), signedEnd));
+        updates = (latin1(fileBytes.subarray(signedEnd)).match(/%%EOF/g) || []).length;
+        if (!/%%EOF\s*$/.test(revisionEnd) || updates === 0) {
+            return { status: 'modified', detail: 'The signature is intact, but the document was changed after it was signed.', signer, issuer };
+        }
+    }
+    const selfSigned = certificate.issuerDer === certificate.subjectDer;
+    const trust = selfSigned
+        ? 'Signed with a self-signed certificate; confirm with the signer that it is theirs.'
+        : `Certificate issued by ${issuer || 'an unnamed authority'}; not checked against a list of trusted authorities.`;
+    const later = updates === 1 ? ' The document was updated once after it was signed; the signed revision is unchanged.'
+        : updates > 1 ? ` The document was updated ${updates} times after it was signed; the signed revision is unchanged.` : '';
+    return { status: 'valid', detail: trust + later, signer, issuer };
+}
+
+/** Verify a signature with the certificate's public key; null when the key type is not supported */
+async function verifyWithKey(certificate, keyType, hash, signature, data) {
+    const { asn1 } = forge;
+    const spki = certificate.publicKey;
+    const keyOid = asn1.derToOid(spki.value[0].value[0].value);
+    const spkiDer = forge.util.binary.raw.decode(asn1.toDer(spki).getBytes());
+    if (keyType === 'RSA' && keyOid === '1.2.840.113549.1.1.1') {
+        const algorithm = { name: 'RSASSA-PKCS1-v1_5', hash };
+        const key = await crypto.subtle.importKey('spki', spkiDer, algorithm, false, ['verify']);
+        return crypto.subtle.verify(algorithm, key, signature, data);
+    }
+    const params = spki.value[0].value[1];
+    const curve = keyType === 'EC' && keyOid === '1.2.840.10045.2.1' && params?.type === asn1.Type.OID ? CURVES[asn1.derToOid(params.value)] : null;
+    if (!curve) return null;
+    const [namedCurve, size] = curve;
+    const key = await crypto.subtle.importKey('spki', spkiDer, { name: 'ECDSA', namedCurve }, false, ['verify']);
+    // CMS carries r and s as a DER sequence; Web Crypto wants them side by side
+    const [r, s] = asn1.fromDer(forge.util.binary.raw.encode(signature)).value.map((n) => forge.util.binary.raw.decode(n.value));
+    const raw = concat(fixedLength(r, size), fixedLength(s, size));
+    return crypto.subtle.verify({ name: 'ECDSA', hash }, key, raw, data);
+}
+
+/** Names, key and identifiers of an X.509 certificate in ASN.1 */
+function certificateFields(cert) {
+    const { asn1 } = forge;
+    const tbs = cert.value[0].value;
+    const offset = tbs[0].tagClass === asn1.Class.CONTEXT_SPECIFIC ? 1 : 0;
+    const [serial, , issuer, , subject, publicKey] = tbs.slice(offset, offset + 6);
+    const extensions = tbs.find((n) => n.tagClass === asn1.Class.CONTEXT_SPECIFIC && n.type === 3)?.value[0]?.value || [];
+    const keyId = extensions.find((e) => asn1.derToOid(e.value[0].value) === OID_SUBJECT_KEY_ID);
+    const commonName = (name) => {
+        for (const rdn of name.value) {
+            for (const attribute of rdn.value) {
+                if (asn1.derToOid(attribute.value[0].value) === OID_COMMON_NAME) return forge.util.decodeUtf8(attribute.value[1].value);
+            }
+        }
+        return '';
+    };
+    return {
+        serial: serial.value,
+        issuerDer: asn1.toDer(issuer).getBytes(),
+        subjectDer: asn1.toDer(subject).getBytes(),
+        // OCTET STRING wrapping the key identifier OCTET STRING
+        keyId: keyId ? asn1.fromDer(keyId.value[keyId.value.length - 1].value).value : null,
+        commonName: commonName(subject),
+        issuerName: commonName(issuer),
+        publicKey
+    };
+}
+
+/** The certificate a SignerInfo's sid (IssuerAndSerialNumber or [0] SubjectKeyIdentifier) names */
+function findSigner(certificates, sid) {
+    const { asn1 } = forge;
+    if (sid.tagClass === asn1.Class.CONTEXT_SPECIFIC) {
+        return certificates.find((c) => c.keyId === sid.value);
+    }
+    const [issuer, serial] = sid.value;
+    const issuerDer = asn1.toDer(issuer).getBytes();
+    return certificates.find((c) => c.issuerDer === issuerDer && c.serial === serial.value);
+}
+
+/** /Contents is zero-padded after the DER signature */
+function trimDer(bytes) {
+    let length = bytes[1] & 0x80 ? 0 : bytes[1];
+    let headerLength = 2;
+    if (bytes[1] & 0x80) {
+        const count = bytes[1] & 0x7f;
+        for (let i = 0; i < count; i++) length = length * 256 + bytes[2 + i];
+        headerLength += count;
+    }
+    return bytes.subarray(0, Math.min(bytes.length, headerLength + length));
+}
+
+/** PDF date (D:YYYYMMDDHHmmSS+HH'mm') as an ISO string; '' when absent */
+function parseDate(value) {
+    const m = /^D:(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?(Z|[+-]\d{2}'?\d{2}'?)?/.exec(value || '');
+    if (!m) return '';
+    const [, y, mo = '01', d = '01', h = '00', mi = '00', s = '00', tz = 'Z'] = m;
+    const offset = tz === 'Z' ? 'Z' : `${tz.slice(0, 3)}:${tz.replace(/'/g, '').slice(3, 5)}`;
+    const date = new Date(`${y}-${mo}-${d}T${h}:${mi}:${s}${offset}`);
+    return Number.isNaN(date.getTime()) ? '' : date.toISOString();
+}
+
+/* ---------- helpers ---------- */
+
+function streamContents(stream) {
+    if (stream instanceof PDFRawStream) {
+        try {
+            return decodePDFRawStream(stream).decode();
+        } catch {
+            // Image codecs (DCT, JPX, ...) are hashed as stored
+            return stream.getContents();
+        }
+    }
+    return stream.getUnencodedContents ? stream.getUnencodedContents() : stream.getContents();
+}
+
+async function sha256Hex(bytes) {
+    return toHex(new Uint8Array(await crypto.subtle.digest('SHA-256', bytes)));
+}
+
+function fixedLength(bytes, size) {
+    const trimmed = bytes.subarray(Math.max(0, bytes.length - size));
+    const out = new Uint8Array(size);
+    out.set(trimmed, size - trimmed.length);
+    return out;
+}
+
+function concat(...parts) {
+    const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+    let offset = 0;
+    for (const p of parts) {
+        out.set(p, offset);
+        offset += p.length;
+    }
+    return out;
+}
+
+function equalBytes(a, b) {
+    return a.length === b.length && a.every((v, i) => v === b[i]);
+}
+
+function toHex(bytes) {
+    return Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+function latin1(bytes) {
+    let s = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) s += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    return s;
+}
@@ -1,13 +1,15 @@
 /**
  * Signing metadata - Parse and build our app's signing-flow payload stored in PDF Keywords.
- * Format: Keywords = "free-pdf-v1 " + base64(JSON.stringify(payload))
+ * Format: Keywords = "free-pdf-v1 " + base64(JSON.stringify(payload)), after the user's own keywords and "; " when there are any
  * Payload: { v: 1, signers: [...], expectedSigners?: [...], lockedSignatureFields?: string[], documentStage?: 'draft'|'sent'|'signed', hashChain?: { h, t, p }, ... }
  * - lockedSignatureFields: field labels that are signed and must not be modified by another participant.
  * - documentStage: draft (editable), sent (sent for signing), signed (has signatures; treat as received).
- * - hashChain: latest link { h: documentHash, t: timestamp, p: previousHash } for proving when changes were made.
+ * - hashChain: latest link { h: documentHash, m: hash method, t: timestamp, p: previousHash } for proving when changes were made.
  */
 
 const PREFIX = 'free-pdf-v1 ';
+/** Our payload at the end of Keywords (base64 has no spaces or separators) */
+const PAYLOAD_PATTERN = /(?:^|[;,]?\s+)(free-pdf-v1 [A-Za-z0-9+/=]*)\s*$/;
 
 function parseEmailList(arr) {
     return Array.isArray(arr)
@@ -15,15 +17,38 @@ function parseEmailList(arr) {
         : undefined;
 }
 
+/**
+ * Split Keywords into the user's keywords and our signing payload
+ * @param {string} [keywords]
+ * @returns {{ keywords: string; payload: string }} payload is '' when there is none
+ */
+export function splitSigningKeywords(keywords) {
+    const text = typeof keywords === 'string' ? keywords : '';
+    const match = text.match(PAYLOAD_PATTERN);
+    if (!match) return { keywords: text.trim(), payload: '' };
+    return { keywords: text.slice(0, match.index).trim(), payload: match[1] };
+}
+
+/**
+ * Keywords with the user's keywords first and our signing payload last
+ * @param {string} keywords
+ * @param {string} payload - From buildSigningKeywords
+ * @returns {string}
+ */
+export function joinSigningKeywords(keywords, payload) {
+    return [String(keywords || '').trim(), payload].filter(Boolean).join('; ');
+}
+
 /**
  * Parse Keywords string. Returns null if not our metadata.
  * @param {string} [keywords]
  * @returns {{ signers: Array<...>, expectedSigners?: Array<...>, lockedSignatureFields?: string[], documentStage?: string, hashChain?: { hash, timestamp, previousHash }, ... } | null}
  */
 export function parseSigningMetadata(keywords) {
-    if (typeof keywords !== 'string' || !keywords.startsWith(PREFIX)) return null;
+    const { payload } = splitSigningKeywords(keywords);
+    if (!payload) return null;
     try {
-        const raw = keywords.slice(PREFIX.length).trim();
+        const raw = payload.slice(PREFIX.length).trim();
         if (!raw) return { signers: [], expectedSigners: [], emailTemplate: undefined, originalSenderEmail: undefined, completionToEmails: undefined, completionCcEmails: undefined, completionBccEmails: undefined, lockedSignatureFields: [], lockedFormFields: [], documentStage: undefined, hashChain: undefined };
         const json = decodeURIComponent(escape(atob(raw)));
         const data = JSON.parse(json);
@@ -49,7 +74,7 @@ export function parseSigningMetadata(keywords) {
         const lockedFormFields = Array.isArray(data.lockedFormFields) ? data.lockedFormFields.filter((l) => typeof l === 'string').map((l) => String(l).trim()) : [];
         const documentStage = typeof data.documentStage === 'string' && ['draft', 'sent', 'signed'].includes(data.documentStage) ? data.documentStage : undefined;
         const hashChain = data.hashChain && typeof data.hashChain === 'object' && typeof data.hashChain.h === 'string'
-            ? { hash: data.hashChain.h, timestamp: data.hashChain.t || '', previousHash: typeof data.hashChain.p === 'string' ? data.hashChain.p : undefined }
+            ? { hash: data.hashChain.h, method: typeof data.hashChain.m === 'string' ? data.hashChain.m : undefined, timestamp: data.hashChain.t || '', previousHash: typeof data.hashChain.p === 'string' ? data.hashChain.p : undefined }
             : undefined;
         return { signers, expectedSigners, emailTemplate, originalSenderEmail, completionToEmails, completionCcEmails, completionBccEmails, lockedSignatureFields, lockedFormFields, documentStage, hashChain };
     } catch {
@@ -100,6 +125,7 @@ export function buildSigningKeywords(payload) {
     if (payload.hashChain && typeof payload.hashChain.hash === 'string') {
         data.hashChain = {
             h: payload.hashChain.hash,
+            m: typeof payload.hashChain.method === 'string' ? payload.hashChain.method : undefined,
             t: typeof payload.hashChain.timestamp === 'string' ? payload.hashChain.timestamp : new Date().toISOString(),
             p: typeof payload.hashChain.previousHash === 'string' ? payload.hashChain.previousHash : undefined
         };
@@ -114,7 +140,7 @@ export function buildSigningKeywords(payload) {
  */
 export function hasOurSigningMetadata(metadata) {
     const info = metadata?.info || {};
-    if (typeof info.Keywords === 'string' && info.Keywords.startsWith(PREFIX)) return true;
+    if (splitSigningKeywords(info.Keywords).payload) return true;
     if (typeof info.Producer === 'string' && info.Producer.includes('PDF Editor')) return true;
     return false;
 }
@@ -0,0 +1,293 @@
+/**
+ * Text Search - Extracts page text with PDF.js and finds matches with their on-page boxes
+ */
+
+const CONTEXT_CHARS = 32;
+
+function escapeRegExp(s) {
+    return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+export class TextSearch {
+    /**
+     * @param {import('./pdf-handler.js').PDFHandler} pdfHandler
+     */
+    constructor(pdfHandler) {
+        this.pdfHandler = pdfHandler;
+        // `${docId}:${pageNum}` -> { text, runs, width, height, ownLength }
+        this.cache = new Map();
+        // `${docId}:${pageNum}` -> text recognized by OCR (ocr.js OcrPage)
+        this.ocr = new Map();
+    }
+
+    /**
+     * Forget extracted and recognized text (call when a new document is loaded)
+     */
+    clear() {
+        this.cache.clear();
+        this.ocr.clear();
+    }
+
+    /**
+     * Add text recognized by OCR to a page (or remove it with null); it is searched after the page's own text
+     * @param {string} docId
+     * @param {number} pageNum - 1-indexed source page number
+     * @param {import('./ocr.js').OcrPage|null} ocrPage
+     */
+    setOcrText(docId, pageNum, ocrPage) {
+        const key = `${docId}:${pageNum}`;
+        if (ocrPage) this.ocr.set(key, ocrPage);
+        else this.ocr.delete(key);
+        this.cache.delete(key);
+    }
+
+    /**
+     * @returns {import('./ocr.js').OcrPage|null}
+     */
+    getOcrText(docId, pageNum) {
+        return this.ocr.get(`${docId}:${pageNum}`) || null;
+    }
+
+    /**
+     * Whether the page has text of its own (not counting OCR)
+     */
+    async hasOwnText(docId, pageNum) {
+        const pageText = await this.getPageText(docId, pageNum);
+        return pageText.text.slice(0, pageText.ownLength).trim() !== '';
+    }
+
+    /**
+     * Extract and cache the text of one source page.
+     * Runs keep their character range and geometry in unscaled, unrotated viewport space.
+     * Text recognized by OCR follows the page's own text (from ownLength on).
+     * @param {string} docId
+     * @param {number} pageNum - 1-indexed source page number
+     */
+    async getPageText(docId, pageNum) {
+        const key = `${docId}:${pageNum}`;
+        if (this.cache.has(key)) return this.cache.get(key);
+
+        const page = await this.pdfHandler.getPage(docId, pageNum);
+        const viewport = page.getViewport({ scale: 1, rotation: 0 });
+        const content = await page.getTextContent();
+
+        let text = '';
+        const runs = [];
+        for (const item of content.items) {
+            if (typeof item.str !== 'string') continue;
+            const style = content.styles?.[item.fontName] || {};
+            runs.push({
+                start: text.length,
+                end: text.length + item.str.length,
+                transform: pdfjsLib.Util.transform(viewport.transform, item.transform),
+                width: item.width,
+                fontName: item.fontName,
+                fontFamily: style.fontFamily || '',
+                ascent: typeof style.ascent === 'number' && style.ascent > 0 ? style.ascent : 0.8,
+                descent: typeof style.descent === 'number' && style.descent < 0 ? style.descent : -0.2
+            });
+            text += item.str;
+            if (item.hasEOL) text += '\n';
+        }
+        const ownLength = text.length;
+
+        const ocrPage = this.ocr.get(key);
+        for (const line of ocrPage?.lines || []) {
+            if (text && !text.endsWith('\n')) text += '\n';
+            const baseline = line.baseline * viewport.height;
+            const size = line.size * viewport.height;
+            line.words.forEach((word, i) => {
+                if (i > 0) text += ' ';
+                const top = word.y * viewport.height;
+                const bottom = (word.y + word.h) * viewport.height;
+                runs.push({
+                    start: text.length,
+                    end: text.length + word.text.length,
+                    transform: [size, 0, 0, -size, word.x * viewport.width, baseline],
+                    width: word.w * viewport.width,
+                    fontName: '',
+                    fontFamily: '',
+                    ascent: Math.max(baseline - top, 0) / size,
+                    descent: -Math.max(bottom - baseline, 0) / size,
+                    ocr: true
+                });
+                text += word.text;
+            });
+        }
+
+        const entry = { text, runs, width: viewport.width, height: viewport.height, ownLength };
+        this.cache.set(key, entry);
+        return entry;
+    }
+
+    /**
+     * Build the RegExp used for a query.
+     * With `regex` the query is used as a pattern; an invalid pattern throws a SyntaxError.
+     * @param {string} query
+     * @param {{ caseSensitive?: boolean; wholeWord?: boolean; regex?: boolean }} options
+     * @returns {RegExp|null}
+     */
+    buildPattern(query, options = {}) {
+        if (!query) return null;
+        const flags = options.caseSensitive ? 'g' : 'gi';
+        const wrap = (source, letter) => options.wholeWord
+            ? `(?<!${letter})(?:${source})(?!${letter})`
+            : source;
+
+        if (!options.regex) {
+            return new RegExp(wrap(escapeRegExp(query), '[\\p{L}\\p{N}_]'), flags + 'u');
+        }
+        try {
+            return new RegExp(wrap(query, '[\\p{L}\\p{N}_]'), flags + 'u');
+        } catch (e) {
+            // Unicode mode rejects some loose escapes (e.g. `\-`) that users commonly type
+            return new RegExp(wrap(query, '\\w'), flags);
+        }
+    }
+
+    /**
+     * Boxes covering characters [start, end) of a page, as fractions of the page size.
+     * @returns {Array<{ x: number; y: number; w: number; h: number }>}
+     */
+    rectsForRange(pageText, start, end) {
+        const rects = [];
+        for (const run of pageText.runs) {
+            if (run.end <= start || run.start >= end || run.end === run.start) continue;
+            const len = run.end - run.start;
+            const s = (Math.max(start, run.start) - run.start) / len;
+            const e = (Math.min(end, run.end) - run.start) / len;
+
+            const [a, b, c, d, ox, oy] = run.transform;
+            const fontHeight = Math.hypot(c, d);
+            const angle = Math.atan2(b, a);
+            const ux = Math.cos(angle);
+            const uy = Math.sin(angle);
+            // Viewport y grows downward, so "up" from the baseline is (sin, -cos)
+            const vx = Math.sin(angle);
+            const vy = -Math.cos(angle);
+            const x0 = run.width * s;
+            const x1 = run.width * e;
+            const up = run.ascent * fontHeight;
+            const down = run.descent * fontHeight;
+
+            const corners = [
+                [x0, down], [x1, down], [x0, up], [x1, up]
+            ].map(([along, across]) => [ox + ux * along + vx * across, oy + uy * along + vy * across]);
+            const xs = corners.map((p) => p[0]);
+            const ys = corners.map((p) => p[1]);
+            const left = Math.min(...xs);
+            const top = Math.min(...ys);
+            rects.push({
+                x: left / pageText.width,
+                y: top / pageText.height,
+                w: (Math.max(...xs) - left) / pageText.width,
+                h: (Math.max(...ys) - top) / pageText.height
+            });
+        }
+        return rects;
+    }
+
+    /**
+     * The horizontal text run under a point, for editing it in place.
+     * @param {string} docId
+     * @param {number} pageNum - 1-indexed source page number
+     * @param {number} x - Points from the left edge of the unrotated page
+     * @param {number} y - Points from the top edge of the unrotated page
+     * @returns {Promise<{ text: string; box: {x0: number; y0: number; x1: number; y1: number}; baseline: number; fontSize: number; font: {family: string; bold: boolean; italic: boolean} }|null>}
+     */
+    async runAt(docId, pageNum, x, y) {
+        const pageText = await this.getPageText(docId, pageNum);
+        const tolerance = 1;
+        let best = null;
+        for (const run of pageText.runs) {
+            const [a, b, c, d, ox, oy] = run.transform;
+            // Only upright, unskewed runs can be replaced by a plain text box; OCR text is not in the page to replace
+            if (run.ocr || run.end === run.start || a <= 0 || Math.abs(b) > 1e-3 || Math.abs(c) > 1e-3 || d >= 0) continue;
+            const text = pageText.text.slice(run.start, run.end);
+            if (!text.trim()) continue;
+            const box = {
+                x0: ox,
+                x1: ox + run.width,
+                y0: oy - run.ascent * -d,
+                y1: oy - run.descent * -d
+            };
+            if (x < box.x0 - tolerance || x > box.x1 + tolerance || y < box.y0 - tolerance || y > box.y1 + tolerance) continue;
+            const area = (box.x1 - box.x0) * (box.y1 - box.y0);
+            if (!best || area < best.area) best = { run, text, box, area, fontSize: -d };
+        }
+        if (!best) return null;
+
+        return {
+            text: best.text,
+            box: best.box,
+            baseline: best.run.transform[5],
+            fontSize: best.fontSize,
+            font: await this._fontOf(docId, pageNum, best.run)
+        };
+    }
+
+    /**
+     * Closest picker family and style for a run's font
+     */
+    async _fontOf(docId, pageNum, run) {
+        let data = null;
+        try {
+            const page = await this.pdfHandler.getPage(docId, pageNum);
+            if (page.commonObjs.has(run.fontName)) data = page.commonObjs.get(run.fontName);
+        } catch (e) {
+            // Font data only exists once the page has rendered; fall back to the style hints
+        }
+        const name = String(data?.name || '').toLowerCase();
+        let family = 'Arial';
+        if (data?.isMonospace || run.fontFamily === 'monospace' || /courier|mono/.test(name)) family = 'Courier New';
+        else if (data?.isSerifFont || run.fontFamily === 'serif' || /times|roman|georgia|(?<!sans-?)serif/.test(name)) family = 'Times New Roman';
+        return {
+            family,
+            bold: !!data?.bold || /bold|black|heavy|semibold/.test(name),
+            italic: !!data?.italic || /italic|oblique/.test(name)
+        };
+    }
+
+    /**
+     * Search all view pages in order.
+     * @param {Array<{id: string; docId: string; sourcePageNum: number}>} viewPages
+     * @param {string} query
+     * @param {{ caseSensitive?: boolean; wholeWord?: boolean }} options
+     * @param {() => boolean} [isCancelled] - Checked between pages; stop early when true
+     * @returns {Promise<Array<{ pageId: string; text: string; before: string; after: string; rects: Array<{x: number; y: number; w: number; h: number}> }>>}
+     */
+    async search(viewPages, query, options = {}, isCancelled = () => false) {
+        const pattern = this.buildPattern(query, options);
+        if (!pattern) return [];
+
+        const hits = [];
+        for (const vp of viewPages) {
+            if (isCancelled()) return hits;
+            let pageText;
+            try {
+                pageText = await this.getPageText(vp.docId, vp.sourcePageNum);
+            } catch (e) {
+                console.warn('Could not extract text for page', vp.id, e);
+                continue;
+            }
+            pattern.lastIndex = 0;
+            let m;
+            while ((m = pattern.exec(pageText.text)) !== null) {
+                if (m[0].length === 0) {
+                    pattern.lastIndex++;
+                    continue;
+                }
+                const start = m.index;
+                const end = start + m[0].length;
+                hits.push({
+                    pageId: vp.id,
+                    text: m[0],
+                    before: pageText.text.slice(Math.max(0, start - CONTEXT_CHARS), start).replace(/\s+/g, ' '),
+                    after: pageText.text.slice(end, end + CONTEXT_CHARS).replace(/\s+/g, ' '),
+                    rects: this.rectsForRange(pageText, start, end)
+                });
+            }
+        }
+        return hits;
+    }
+}
@@ -0,0 +1,128 @@
+/**
+ * Watermarks - A text (e.g. a diagonal "CONFIDENTIAL") or an image (e.g. a logo) repeated on the pages
+ * of an exported file, once at a position or tiled, turned and see-through, behind or above the content.
+ * The exporter writes one shared font or image per file; the canvas overlays preview it with the same layout.
+ */
+
+import { parsePageRanges, unrotatePoint } from './header-footer.js';
+
+/** @typedef {'center'|'top'|'bottom'|'topLeft'|'topRight'|'bottomLeft'|'bottomRight'|'tile'} WatermarkPosition */
+
+/**
+ * @typedef {Object} WatermarkSettings
+ * @property {'text'|'image'} kind
+ * @property {string} text
+ * @property {string} fontFamily - A standard family (Arial, Times New Roman, ...) or an uploaded font
+ * @property {boolean} bold
+ * @property {string} color - CSS hex color
+ * @property {{ dataUrl: string; width: number; height: number }|null} image - A PNG or JPEG and its size in pixels
+ * @property {number} scale - Width of the watermark as a share of the page width as shown (0.05 to 1)
+ * @property {number} rotation - Degrees counterclockwise on the page as shown
+ * @property {number} opacity - 0 (invisible) to 1
+ * @property {WatermarkPosition} position
+ * @property {'behind'|'above'} layer - Under the page content, or over it and the annotations
+ * @property {string} pageRange - Pages to mark, e.g. "1-3, 5" (empty for all)
+ */
+
+/** @type {WatermarkPosition[]} */
+export const WATERMARK_POSITIONS = ['center', 'top', 'bottom', 'topLeft', 'topRight', 'bottomLeft', 'bottomRight', 'tile'];
+
+/** @type {WatermarkSettings} */
+export const DEFAULT_WATERMARK = {
+    kind: 'text',
+    text: 'CONFIDENTIAL',
+    fontFamily: 'Arial',
+    bold: true,
+    color: '#808080',
+    image: null,
+    scale: 0.7,
+    rotation: 45,
+    opacity: 0.3,
+    position: 'center',
+    layer: 'above',
+    pageRange: ''
+};
+
+/** Height of capital letters as a share of the font size; text is centered on its capitals */
+export const CAP_HEIGHT = 0.7;
+
+/** Distance of corner and edge positions from the page edges, and between tiles, in points */
+const MARGIN = 36;
+
+/**
+ * Whether the settings put anything on the pages
+ * @param {WatermarkSettings|null} settings
+ */
+export function hasWatermark(settings) {
+    if (!settings) return false;
+    return settings.kind === 'image' ? !!settings.image?.dataUrl : !!settings.text?.trim();
+}
+
+/**
+ * Which pages of a file get the watermark, in page order
+ * @param {WatermarkSettings} settings
+ * @param {number} pageCount
+ * @returns {boolean[]}
+ */
+export function watermarkPages(settings, pageCount) {
+    const ranges = parsePageRanges(settings.pageRange, pageCount);
+    const all = !settings.pageRange?.trim();
+    return Array.from({ length: pageCount }, (_, i) => all || ranges.some(([start, end]) => i + 1 >= start && i + 1 <= end));
+}
+
+/**
+ * Where the watermark is drawn on a page. Sizes are in points; each mark is given by its center in
+ * the unrotated page, from its top-left corner, and its counterclockwise angle there (the page rotation
+ * plus the watermark's own, so it looks the same on every page as shown).
+ * @param {WatermarkSettings} settings
+ * @param {{ width: number; height: number }} page - Unrotated page (crop box) size, in points
+ * @param {number} rotation - Clockwise page rotation: 0, 90, 180 or 270
+ * @param {number} aspect - Height of the watermark divided by its width
+ * @returns {{ width: number; height: number; marks: Array<{ x: number; y: number; rotation: number }> }}
+ */
+export function layoutWatermark(settings, page, rotation, aspect) {
+    const r = ((rotation % 360) + 360) % 360;
+    const sideways = r === 90 || r === 270;
+    const shownWidth = sideways ? page.height : page.width;
+    const shownHeight = sideways ? page.width : page.height;
+    const width = shownWidth * settings.scale;
+    const height = width * aspect;
+    // Bounding box of the turned watermark on the page as shown
+    const angle = (settings.rotation * Math.PI) / 180;
+    const cos = Math.abs(Math.cos(angle));
+    const sin = Math.abs(Math.sin(angle));
+    const boxWidth = width * cos + height * sin;
+    const boxHeight = width * sin + height * cos;
+
+    const centers = [];
+    if (settings.position === 'tile') {
+        // Rows offset by half a tile, like bricks, spread from the middle of the page
+        const stepX = boxWidth + MARGIN;
+        const stepY = boxHeight + MARGIN;
+        const rows = Math.ceil(shownHeight / 2 / stepY) + 1;
+        const columns = Math.ceil(shownWidth / 2 / stepX) + 1;
+        for (let row = -rows; row <= rows; row++) {
+            for (let column = -columns; column <= columns; column++) {
+                const x = shownWidth / 2 + (column + (Math.abs(row) % 2) / 2) * stepX;
+                const y = shownHeight / 2 + row * stepY;
+                if (Math.abs(x - shownWidth / 2) < (shownWidth + boxWidth) / 2 && Math.abs(y - shownHeight / 2) < (shownHeight + boxHeight) / 2) {
+                    centers.push({ x, y });
+                }
+            }
+        }
+    } else {
+        const { position } = settings;
+        const x = position.endsWith('Left') ? MARGIN + boxWidth / 2
+            : position.endsWith('Right') ? shownWidth - MARGIN - boxWidth / 2
+                : shownWidth / 2;
+        const y = position.startsWith('top') ? MARGIN + boxHeight / 2
+            : position.startsWith('bottom') ? shownHeight - MARGIN - boxHeight / 2
+                : shownHeight / 2;
+        centers.push({ x, y });
+    }
+    return {
+        width,
+        height,
+        marks: centers.map((center) => ({ ...unrotatePoint(center, page, r), rotation: r + settings.rotation }))
+    };
+}
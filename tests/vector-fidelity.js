@@ -0,0 +1,246 @@
+/**
+ * Vector export fidelity - Draws Fabric objects the way the editor makes them, exports each with
+ * PDFExporter (flattened, as vectors) and compares the PDF page rendered by PDF.js with the Fabric
+ * canvas. Open tests/vector-fidelity.html from the local server; the result is also left in
+ * window.vectorFidelity ({ passed, results }) and the page title (PASS or FAIL) for automation.
+ */
+
+import { PDFExporter } from '../js/export.js';
+
+const PDFJS_BASE = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/';
+pdfjsLib.GlobalWorkerOptions.workerSrc = `${PDFJS_BASE}pdf.worker.min.js`;
+
+/** Canvas pixels per PDF point, as at 150% zoom, so the conversion between the two is covered */
+const SCALE = 1.5;
+const WIDTH = 360;
+const HEIGHT = 240;
+/**
+ * A pixel matches when each of its channels is within the range of the other image's pixels around it
+ * (one pixel each way), give or take this much: anti-aliasing and sub-pixel offsets stay in that range
+ */
+const CHANNEL_TOLERANCE = 24;
+/** Pixels closer to white than this (sum of RGB differences) are background */
+const INK_THRESHOLD = 30;
+/** Share of inked pixels that may differ: shapes are exact, text goes through two different font rasterizers */
+const SHAPE_LIMIT = 0.01;
+const TEXT_LIMIT = 0.05;
+
+/** Objects as the canvas tools create them (see CanvasManager) */
+const CASES = [
+    {
+        name: 'Rectangle (rotated, filled, half opaque)',
+        type: 'rect',
+        build: () => new fabric.Rect({ left: 90, top: 50, width: 170, height: 110, angle: 15, fill: '#3b82f6', stroke: '#1e3a8a', strokeWidth: 4, opacity: 0.6 })
+    },
+    {
+        name: 'Ellipse (dashed)',
+        type: 'ellipse',
+        build: () => new fabric.Ellipse({ left: 180, top: 120, rx: 120, ry: 70, originX: 'center', originY: 'center', fill: 'transparent', stroke: '#dc2626', strokeWidth: 4, strokeDashArray: [14, 8] })
+    },
+    {
+        name: 'Arrow',
+        type: 'arrow',
+        build: () => {
+            const line = new fabric.Line([40, 200, 300, 50], { stroke: '#111827', strokeWidth: 3 });
+            const angle = (Math.atan2(50 - 200, 300 - 40) * 180) / Math.PI + 90;
+            const head = new fabric.Triangle({ width: 14, height: 18, fill: '#111827', left: 300, top: 50, originX: 'center', originY: 'center', angle });
+            return new fabric.Group([line, head]);
+        }
+    },
+    {
+        name: 'Underline',
+        type: 'underline',
+        build: () => new fabric.Line([40, 150, 320, 150], { stroke: '#2563eb', strokeWidth: 3 })
+    },
+    {
+        name: 'Strikeout',
+        type: 'strike',
+        build: () => new fabric.Line([40, 110, 320, 110], { stroke: '#dc2626', strokeWidth: 2 })
+    },
+    {
+        name: 'Line (round caps, dashed, half opaque)',
+        type: 'path',
+        build: () => new fabric.Line([50, 60, 310, 190], { stroke: '#059669', strokeWidth: 10, strokeLineCap: 'round', strokeDashArray: [30, 20], opacity: 0.5 })
+    },
+    {
+        name: 'Freehand path',
+        type: 'draw',
+        build: () => new fabric.Path('M 30 180 Q 90 20 150 120 T 270 100 Q 320 90 330 200', {
+            fill: '', stroke: '#7c3aed', strokeWidth: 6, strokeLineCap: 'round', strokeLineJoin: 'round'
+        })
+    },
+    {
+        name: 'Highlight',
+        type: 'highlight',
+        build: () => new fabric.Rect({ left: 40, top: 90, width: 280, height: 40, fill: '#fff59d', opacity: 0.55 })
+    },
+    {
+        name: 'Stamp',
+        type: 'stamp',
+        text: true,
+        build: () => {
+            const w = 255;
+            const h = 66;
+            const border = new fabric.Rect({ width: w, height: h, fill: 'transparent', stroke: '#dc2626', strokeWidth: 3, rx: 9, ry: 9 });
+            const label = new fabric.Text('APPROVED', { fontSize: 30, fill: '#dc2626', fontWeight: 'bold', fontFamily: 'Arial', originX: 'center', originY: 'center', left: w / 2, top: h / 2 });
+            return new fabric.Group([border, label], { left: 50, top: 85, _stampText: 'APPROVED' });
+        }
+    },
+    {
+        name: 'Note',
+        type: 'note',
+        text: true,
+        build: () => {
+            const w = 210;
+            const h = 105;
+            const bg = new fabric.Rect({ width: w, height: h, fill: '#fff9c4', stroke: '#f59e0b', strokeWidth: 1.5, rx: 9, ry: 9 });
+            const label = new fabric.Textbox('Check the totals on this page', { width: w - 18, fontSize: 18, fill: '#111827', fontFamily: 'Arial', left: 9, top: 9, editable: false });
+            return new fabric.Group([bg, label], { left: 70, top: 60, _noteText: 'Check the totals on this page' });
+        }
+    }
+];
+
+/** A white canvas element of the test size */
+function blankCanvas() {
+    const canvas = document.createElement('canvas');
+    canvas.width = WIDTH;
+    canvas.height = HEIGHT;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, WIDTH, HEIGHT);
+    return canvas;
+}
+
+/**
+ * Draw the object on a Fabric canvas
+ * @returns {{ canvas: HTMLCanvasElement; object: fabric.Object }}
+ */
+function renderFabric(testCase) {
+    const element = blankCanvas();
+    const fabricCanvas = new fabric.StaticCanvas(element, { width: WIDTH, height: HEIGHT, backgroundColor: '#ffffff', enableRetinaScaling: false });
+    const object = testCase.build();
+    // A cached group is drawn as a resampled bitmap, blurring the reference
+    object.set({ _annotationType: testCase.type, objectCaching: false });
+    fabricCanvas.add(object);
+    fabricCanvas.renderAll();
+    return { canvas: fabricCanvas.getElement(), object };
+}
+
+/**
+ * Export the object on a blank page and render the page with PDF.js
+ * @returns {Promise<{ canvas: HTMLCanvasElement; vector: boolean }>}
+ */
+async function renderExport(testCase, object) {
+    const source = await PDFLib.PDFDocument.create();
+    source.addPage([WIDTH / SCALE, HEIGHT / SCALE]);
+    const exporter = new PDFExporter();
+    const bytes = await exporter.exportPDF({
+        docBytesById: new Map([['doc', (await source.save()).buffer]]),
+        mainDocId: 'doc',
+        viewPages: [{ id: 'page', docId: 'doc', sourcePageNum: 1 }],
+        annotationsByPageId: new Map([['page', [{ type: testCase.type, object }]]]),
+        scale: SCALE
+    });
+    // PDF.js's own copies of the standard fonts, rather than whatever the system substitutes
+    const doc = await pdfjsLib.getDocument({ data: bytes, standardFontDataUrl: `${PDFJS_BASE}standard_fonts/`, useSystemFonts: false }).promise;
+    const page = await doc.getPage(1);
+    const canvas = blankCanvas();
+    await page.render({ canvasContext: canvas.getContext('2d'), viewport: page.getViewport({ scale: SCALE }) }).promise;
+    // The fallback draws a snapshot image; a vector export has none
+    const { fnArray } = await page.getOperatorList();
+    const vector = !fnArray.some((fn) => fn === pdfjsLib.OPS.paintImageXObject || fn === pdfjsLib.OPS.paintInlineImageXObject);
+    await doc.destroy();
+    return { canvas, vector };
+}
+
+/**
+ * Compare two renderings, tolerating anti-aliasing and one-pixel offsets
+ * @returns {{ ratio: number; diff: HTMLCanvasElement }} ratio is the share of inked pixels that differ
+ */
+function compare(expected, actual) {
+    const a = expected.getContext('2d').getImageData(0, 0, WIDTH, HEIGHT).data;
+    const b = actual.getContext('2d').getImageData(0, 0, WIDTH, HEIGHT).data;
+    const distance = (p, i, q, j) => Math.abs(p[i] - q[j]) + Math.abs(p[i + 1] - q[j + 1]) + Math.abs(p[i + 2] - q[j + 2]);
+    const white = [255, 255, 255];
+    const hasMatch = (p, q, x, y) => {
+        const i = (y * WIDTH + x) * 4;
+        for (let c = 0; c < 3; c++) {
+            let min = 255;
+            let max = 0;
+            for (let ny = Math.max(0, y - 1); ny <= Math.min(HEIGHT - 1, y + 1); ny++) {
+                for (let nx = Math.max(0, x - 1); nx <= Math.min(WIDTH - 1, x + 1); nx++) {
+                    const v = q[(ny * WIDTH + nx) * 4 + c];
+                    min = Math.min(min, v);
+                    max = Math.max(max, v);
+                }
+            }
+            if (p[i + c] < min - CHANNEL_TOLERANCE || p[i + c] > max + CHANNEL_TOLERANCE) return false;
+        }
+        return true;
+    };
+    const diff = blankCanvas();
+    const ctx = diff.getContext('2d');
+    const out = ctx.getImageData(0, 0, WIDTH, HEIGHT);
+    let inked = 0;
+    let differing = 0;
+    for (let y = 0; y < HEIGHT; y++) {
+        for (let x = 0; x < WIDTH; x++) {
+            const i = (y * WIDTH + x) * 4;
+            if (distance(a, i, white, 0) <= INK_THRESHOLD && distance(b, i, white, 0) <= INK_THRESHOLD) continue;
+            inked++;
+            const same = hasMatch(a, b, x, y) && hasMatch(b, a, x, y);
+            if (!same) differing++;
+            out.data.set(same ? [209, 213, 219, 255] : [220, 38, 38, 255], i);
+        }
+    }
+    ctx.putImageData(out, 0, 0);
+    return { ratio: inked ? differing / inked : 0, diff };
+}
+
+function addRow(testCase, result, canvases) {
+    const row = document.createElement('tr');
+    const name = document.createElement('td');
+    name.textContent = testCase.name;
+    const verdict = document.createElement('td');
+    verdict.className = result.passed ? 'pass' : 'fail';
+    verdict.textContent = result.error
+        ? `FAIL: ${result.error}`
+        : `${result.passed ? 'PASS' : 'FAIL'}: ${(result.ratio * 100).toFixed(2)}% differ (limit ${(result.limit * 100).toFixed(0)}%)${result.vector ? '' : ', drawn as an image'}`;
+    row.append(name, verdict);
+    canvases.forEach((canvas) => {
+        const cell = document.createElement('td');
+        if (canvas) cell.append(canvas);
+        row.append(cell);
+    });
+    document.getElementById('results').append(row);
+}
+
+async function run() {
+    await Promise.all([document.fonts.load('20px Arial'), document.fonts.load('bold 20px Arial')]);
+    const results = [];
+    for (const testCase of CASES) {
+        const limit = testCase.text ? TEXT_LIMIT : SHAPE_LIMIT;
+        try {
+            const { canvas: expected, object } = renderFabric(testCase);
+            const { canvas: actual, vector } = await renderExport(testCase, object);
+            const { ratio, diff } = compare(expected, actual);
+            const result = { name: testCase.name, ratio, limit, vector, passed: vector && ratio <= limit };
+            results.push(result);
+            addRow(testCase, result, [expected, actual, diff]);
+        } catch (e) {
+            console.error(testCase.name, e);
+            const result = { name: testCase.name, limit, error: e.message, passed: false };
+            results.push(result);
+            addRow(testCase, result, []);
+        }
+    }
+    const passed = results.every((r) => r.passed);
+    const failed = results.filter((r) => !r.passed).length;
+    const summary = document.getElementById('summary');
+    summary.className = passed ? 'pass' : 'fail';
+    summary.textContent = passed ? `All ${results.length} objects match.` : `${failed} of ${results.length} objects differ.`;
+    document.title = passed ? 'PASS' : 'FAIL';
+    window.vectorFidelity = { passed, results };
+}
+
+run();